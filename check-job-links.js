@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// check-job-links.js - Run one link-liveness pass now (the bot also runs it on config.liveness.schedule)
+require("dotenv").config();
+const { Client, GatewayIntentBits } = require("discord.js");
+const mongoService = require("./services/mongo");
+const loggerService = require("./services/logger");
+const jobLiveness = require("./services/jobLiveness");
+
+async function main() {
+  const limitArg = process.argv.find((arg) => arg.startsWith("--limit="));
+  const limit = limitArg ? parseInt(limitArg.split("=")[1], 10) || undefined : undefined;
+
+  const connected = await mongoService.connect();
+  if (!connected) {
+    loggerService.log("❌ Could not connect to MongoDB; nothing checked", "error");
+    process.exit(1);
+  }
+
+  // Without a Discord login jobs are still closed in Mongo, but posted embeds stay as they are
+  let client = null;
+  if (process.env.DISCORD_TOKEN) {
+    client = new Client({ intents: [GatewayIntentBits.Guilds] });
+    await client.login(process.env.DISCORD_TOKEN);
+  } else {
+    loggerService.log("⚠️ DISCORD_TOKEN not set: closed jobs won't have their Discord embeds updated", "warn");
+  }
+
+  try {
+    const summary = await jobLiveness.runLivenessCheck(client, { limit });
+    loggerService.log(
+      `📊 ${summary.checked} checked: ${summary.open} open, ${summary.closed} closed, ${summary.unknown} unknown`
+    );
+  } catch (error) {
+    loggerService.log(`❌ Link check failed: ${error.message}`, "error");
+    process.exitCode = 1;
+  } finally {
+    await mongoService.close();
+    if (client) await client.destroy();
+  }
+}
+
+main();
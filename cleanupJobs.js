@@ -3,7 +3,7 @@
 require("dotenv").config();
 const { MongoClient } = require("mongodb");
 const config = require("./config");
-const { isRelevantJob } = require("./utils/helpers");
+const { evaluateJob } = require("./utils/jobRules");
 const loggerService = require("./services/logger");
 
 class JobCleanup {
@@ -15,6 +15,7 @@ class JobCleanup {
       totalProcessed: 0,
       totalRemoved: 0,
       bySource: {},
+      byReason: {},
     };
   }
 
@@ -27,6 +28,7 @@ class JobCleanup {
 
       // Initialize all collections
       this.collections = {
+        jobs: this.db.collection(config.mongo.collections.jobs),
         linkedin: this.db.collection(config.mongo.collections.linkedin),
         simplyhired: this.db.collection(config.mongo.collections.simplyhired),
         ziprecruiter: this.db.collection(config.mongo.collections.ziprecruiter),
@@ -112,21 +114,20 @@ class JobCleanup {
           this.stats.totalProcessed++;
           this.stats.bySource[collectionName].processed++;
 
-          // Apply filtering logic
-          const isRelevant = isRelevantJob(
-            job.title || "",
-            job.company || "",
-            job.description || ""
-          );
+          // Apply the config.jobFiltering rules (canonical jobs use their first source's overrides)
+          const decision = evaluateJob(job, {
+            source: collectionName === "jobs" ? job.sources?.[0] : collectionName,
+          });
 
-          if (!isRelevant) {
+          if (!decision.relevant) {
             jobsToRemove.push(job._id);
             totalRemoved++;
             this.stats.totalRemoved++;
             this.stats.bySource[collectionName].removed++;
+            this.stats.byReason[decision.reason] = (this.stats.byReason[decision.reason] || 0) + 1;
 
             loggerService.log(
-              `🗑️  Marking for removal: "${job.title}" from ${
+              `🗑️  Marking for removal (${decision.reason}): "${job.title}" from ${
                 job.company || "Unknown Company"
               }`
             );
@@ -186,7 +187,7 @@ class JobCleanup {
     try {
       loggerService.log("🚀 Starting MongoDB job cleanup process...");
       loggerService.log(
-        "🎯 Filtering criteria: Must be software/data engineering related"
+        "🎯 Filtering criteria: config.jobFiltering rules (see utils/jobRules.js)"
       );
 
       // Get initial statistics
@@ -251,14 +252,14 @@ class JobCleanup {
       "\n✅ All jobs now meet software/data engineering criteria!"
     );
 
-    // Show examples of what types of jobs were kept
-    loggerService.log("\n🎯 Filtering Criteria Applied:");
-    loggerService.log(
-      "   ✅ KEPT: Software Engineer, Data Engineer, Full Stack Developer, etc."
-    );
-    loggerService.log(
-      "   ❌ REMOVED: Geotechnical Engineer, Field Engineer, Circuit Engineer, etc."
-    );
+    // Most common reasons jobs were removed
+    const reasons = Object.entries(this.stats.byReason).sort((a, b) => b[1] - a[1]);
+    if (reasons.length > 0) {
+      loggerService.log("\n🎯 Top Removal Reasons (config.jobFiltering rules):");
+      for (const [reason, count] of reasons.slice(0, 10)) {
+        loggerService.log(`   ❌ ${reason}: ${count}`);
+      }
+    }
   }
 
   async close() {
@@ -13,6 +13,10 @@ module.exports = {
     delayBetweenMessagesMs: 2000, // 2s between messages to stay under Discord limits
   },
 
+  // Server the CHANNEL_ID_* channels below belong to (also where slash commands are registered).
+  // Other servers pick their own channels with /setup (stored in the guild_settings collection).
+  defaultGuildId: process.env.GUILD_ID,
+
   // Multi-channel configuration for role + category routing
   // Format: channels[role][category] = channelId
   channels: {
@@ -28,6 +32,54 @@ module.exports = {
     },
   },
 
+  // Where new jobs are delivered. Discord (channels + subscription DMs) is the built-in sink;
+  // more sinks come from `sinks` below and the NOTIFIER_SINKS environment variable (a JSON array).
+  // Each sink: { name, type: "webhook" | "slack", url, secret, roles, categories, batchSize, retries, retryDelayMs }
+  //   webhook: JSON POST, signed with HMAC-SHA256 of "<timestamp>.<body>" when `secret` is set
+  //   slack:   Slack incoming-webhook message (blocks)
+  //   roles / categories: only these (e.g. ["intern"], ["software_engineering"]); empty means all
+  notifiers: {
+    discord: {
+      enabled: process.env.DISCORD_SINK_ENABLED !== "false",
+      roles: [],
+      categories: [],
+    },
+    sinks: [],
+    requestTimeoutMs: 10000, // Per webhook request
+    retry: {
+      retries: 3, // Retries after the first attempt (network errors, 429 and 5xx only)
+      baseDelayMs: 2000, // Doubled after every failed attempt
+      maxDelayMs: 60000,
+    },
+  },
+
+  // Personal job alert subscriptions (/subscribe), delivered by DM
+  subscriptions: {
+    enabled: process.env.SUBSCRIPTIONS_ENABLED !== "false",
+    maxPerUser: 10, // Maximum active subscriptions per user
+    maxJobsPerDm: 10, // Embeds per DM message (Discord max is 10)
+    maxJobsPerUserPerBatch: 30, // Cap matches DMed to one user per sendJobsToDiscord call
+    delayBetweenDmsMs: 1000, // Delay between DMs to stay under rate limits
+  },
+
+  // REST API under /api (server.js): read endpoints need the X-API-Key header,
+  // scrape endpoints need "Authorization: Bearer <SCRAPE_API_TOKEN>"
+  api: {
+    apiKey: process.env.API_KEY, // Read endpoints are disabled (503) when unset
+    scrapeToken: process.env.SCRAPE_API_TOKEN, // Scrape endpoints are disabled (503) when unset
+    defaultPageSize: 25, // Jobs per page for GET /api/jobs
+    maxPageSize: 100, // Upper bound for ?limit=
+    maxTrackedScrapes: 50, // Finished API scrapes kept in memory for GET /api/scrape/:id
+  },
+
+  // Public RSS / Atom feeds of stored jobs (/feeds/<role>/<category>.xml)
+  feeds: {
+    enabled: process.env.FEEDS_ENABLED !== "false",
+    baseUrl: process.env.PUBLIC_BASE_URL, // Absolute URL feeds link back to (default: the request's host)
+    itemLimit: 50, // Newest open jobs per feed (capped by api.maxPageSize)
+    maxAgeSeconds: 900, // Cache-Control max-age for feed readers
+  },
+
   // Main scraping schedule (for all job sources)
   scrapingSchedule: "0 14 * * *", // Daily at 2:00 PM EST (cron format)
 
@@ -35,6 +87,18 @@ module.exports = {
   dailyScraping: {
     enabled: true,
     schedule: "0 14 * * *", // Daily at 2:00 PM EST
+    timezone: process.env.SCRAPE_TIMEZONE || "America/New_York", // Timezone for all cron schedules
+    // Set SCHEDULER_ENABLED=false when an external trigger (npm run daily) is used instead
+    inProcessScheduler: process.env.SCHEDULER_ENABLED !== "false",
+
+    // Additional named schedules registered by the in-process scheduler (server.js).
+    // The main "daily" schedule above is always registered when enabled.
+    // "sources" limits a run to matching tasks (e.g. ["linkedin"]); omit it to run everything.
+    schedules: [
+      { name: "linkedin", cron: "0 */6 * * *", sources: ["linkedin"], enabled: false }, // Every 6 hours
+      { name: "github", cron: "0 * * * *", sources: ["github"], enabled: false }, // Hourly
+    ],
+
     timeFilter: "day", // Focus on jobs posted in the last 24 hours
     mode: "comprehensive", // Use comprehensive mode for thorough scraping
 
@@ -64,6 +128,7 @@ module.exports = {
       jobright: 100, // Increased for both roles
       simplyhired: 80,
       glassdoor: 80,
+      ats: 150,
     },
     notifications: {
       start: true, // Notify when scraping starts
@@ -73,19 +138,124 @@ module.exports = {
     },
   },
 
+  // Fuzzy duplicate detection, layered on top of the exact title-company-location hash
+  deduplication: {
+    fuzzy: true, // Merge near-identical postings (e.g. "Google LLC" vs "Google", "CA" vs "California")
+    titleSimilarityThreshold: 0.85, // Minimum title token similarity (0-1) for the same company and location
+  },
+
+  // Link-liveness checks: re-fetch stored job URLs and mark closed postings (and their Discord embeds)
+  liveness: {
+    enabled: process.env.LIVENESS_ENABLED !== "false",
+    schedule: "30 */6 * * *", // Every 6 hours at :30 (cron format, uses dailyScraping.timezone)
+    batchSize: 150, // Jobs checked per run, least recently checked first
+    concurrency: 3, // Parallel requests
+    delayBetweenRequestsMs: 500, // Per worker, to stay polite
+    recheckAfterHours: 24, // Skip jobs checked more recently than this
+    maxAgeDays: 45, // Only check jobs seen within this many days
+    requestTimeoutMs: 15000,
+    maxBodyChars: 200000, // Only scan the start of large pages for markers
+    userAgent:
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+    closedStatusCodes: [404, 410],
+    // Page text that means the posting is closed; "default" applies to every job
+    closedMarkers: {
+      default: [
+        "no longer accepting applications",
+        "this job is no longer available",
+        "this position has been filled",
+        "this job has expired",
+        "job posting has expired",
+        "position is no longer available",
+      ],
+      linkedin: ["no longer accepting applications"],
+      ziprecruiter: ["this job is no longer available", "job has expired"],
+      glassdoor: ["this job listing has expired"],
+      ats: [
+        "the job you are looking for is no longer open", // Greenhouse
+        "the position you're looking for has been filled", // Lever
+        "job not found", // Ashby
+      ],
+    },
+    // Final URLs (after redirects) that mean the posting was taken down
+    closedUrlPatterns: ["[?&]error=true", "/jobs/?$", "expired", "job-not-found"],
+  },
+
+  // Detail-page enrichment before posting: full description, salary, visa sponsorship,
+  // citizenship/clearance and graduation-year requirements (shown as embed badges)
+  enrichment: {
+    enabled: process.env.ENRICHMENT_ENABLED === "true",
+    // Sources whose detail pages are fetched; other jobs are read from their listing text only
+    visitSources: ["linkedin", "ziprecruiter", "ats"],
+    skipDomains: ["glassdoor.com"], // Never fetched (blocks plain requests)
+    perDomainConcurrency: 2, // Parallel requests to one site
+    maxConcurrency: 6, // Parallel requests overall
+    delayBetweenRequestsMs: 1000, // Per request slot, to stay polite
+    requestTimeoutMs: 15000,
+    maxJobsPerBatch: 60, // Detail pages fetched per delivery; the rest use listing text
+    maxDescriptionChars: 5000,
+    userAgent:
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+  },
+
+  // Salary parsing (utils/salary.js): salaryMin / salaryMax / salaryPeriod / currency / salaryAnnual
+  salary: {
+    // Yearly equivalents; an hour assumes a 40-hour week, 52 weeks a year
+    periodsPerYear: { hour: 2080, day: 260, week: 52, month: 12, year: 1 },
+    // Salaries without a stated period: up to this is hourly, from minYearlyAmount yearly, else monthly
+    maxHourlyAmount: 300,
+    minYearlyAmount: 15000,
+    // Daily summary order: "relevance" (sources, then recency) or "salary" (highest yearly first)
+    summarySort: "relevance",
+    statsDays: 30, // /status salary stats cover jobs first seen within this many days
+  },
+
+  // Save / Applied / Not relevant / Broken link buttons under posted job embeds
+  jobButtons: {
+    enabled: process.env.JOB_BUTTONS_ENABLED !== "false",
+    // Discord allows 5 button rows per message, so messages with buttons carry at most 5 jobs
+    embedsPerMessage: 5,
+    reviewListSize: 15, // Reports shown by /review list
+  },
+
+  // Personal application tracker (/applied, /myjobs, /status-update); stored in user_jobs
+  applications: {
+    // Pipeline order: buttons and /applied only move a job forward, /status-update can set any status
+    pipeline: ["saved", "applied", "oa", "interview", "offer", "rejected"],
+    pageSize: 10, // Jobs per /myjobs page
+  },
+
+  // Job exports (/export and npm run export)
+  exports: {
+    defaultDays: 7, // Time range when none is given
+    maxDays: 90, // Longest range /export accepts (the CLI has no limit)
+    // Discord's upload limit for servers without boosts; larger exports point to the CLI
+    maxAttachmentBytes: 10 * 1024 * 1024,
+  },
+
   // MongoDB configuration
   mongo: {
     uri: process.env.MONGO_URI || "mongodb://localhost:27017",
     dbName: process.env.DB_NAME || "job_scraper_bot",
     collections: {
+      jobs: "jobs", // Canonical jobs keyed by normalizedId, with per-source sightings
+      // Legacy per-source collections (no longer written; fold them in with npm run migrate:jobs)
       linkedin: "linkedin_jobs",
       ziprecruiter: "ziprecruiter_jobs",
       jobright: "jobright_jobs",
       github: "github_jobs",
       simplyhired: "simplyhired_jobs",
       glassdoor: "glassdoor_jobs",
+      ats: "ats_jobs",
+      scrapeRuns: "scrape_runs", // One document per scrape run with per-task rows
+      subscriptions: "subscriptions", // Personal job alert filters (/subscribe)
+      userJobs: "user_jobs", // Per-user saved / applied / hidden jobs (job embed buttons)
+      jobReports: "job_reports", // "Not relevant" and "Broken link" reports for admin review
+      filterOverrides: "filter_overrides", // Include/exclude terms added with /filter
+      guildSettings: "guild_settings", // Per-server channels, sources and filters (/setup)
     },
     maxCacheSize: 5000, // Maximum number of jobs to keep in cache per source - increased for comprehensive scraping
+    maxJobs: 35000, // Maximum canonical jobs to keep; least recently seen are pruned first
     // Connection settings
     connectionTimeout: 15000, // 15 seconds - increased for container environments
     serverSelectionTimeout: 15000, // 15 seconds - increased for container environments
@@ -218,215 +388,140 @@ module.exports = {
     ignoreDefaultArgs: ["--enable-automation"],
   },
 
-  // Global job filtering configuration - Focused on core software/data roles
+  // Job relevance rules, applied by utils/jobRules.js to every scraper and cleanupJobs.js.
+  // Terms match whole words, case-insensitively: "swe" matches "SWE Intern" but not "answer".
+  // A trailing * matches word prefixes ("engineer*" also matches "engineering"), and
+  // "/pattern/flags" is used as a regular expression. Set JOB_RULES_FILE to a JSON file with
+  // the same shape to change the rules without editing code (its keys replace these).
   jobFiltering: {
-    // Core keywords that must be present in job titles (at least one)
-    requiredKeywords: [
+    rulesFile: process.env.JOB_RULES_FILE || null,
+
+    // Aggregators and job boards listed as the employer; "Unknown Company" is allowed so
+    // scrapers that miss the company still keep title-relevant jobs
+    excludedCompanies: ["jobright", "indeed", "ziprecruiter", "simplyhired", "glassdoor"],
+
+    // Titles matching any of these skip the exclude and require checks (the role check still applies)
+    include: [],
+
+    // Titles matching any of these are rejected
+    exclude: [
+      // Non-software engineering disciplines
+      "geotechnical", "civil", "mechanical", "electrical", "chemical", "biomedical",
+      "environmental", "nuclear", "petroleum", "mining", "construction",
+      "hvac", "plumbing", "welding",
+      "field service", "field engineer", "field technician",
+      "process engineer", "project engineer", "design engineer", "sales engineer",
+      "technical support engineer", "field application",
+      "hardware engineer", "firmware engineer", "rf engineer",
+      "analog engineer", "digital design engineer",
+      "water resources", "structural", "urban planning", "surveying",
+      "materials engineer", "metallurgical", "ceramic", "polymer", "textile",
+      "food engineer", "agricultural", "forest engineer", "packaging engineer",
+      "safety engineer", "regulatory engineer", "clinical engineer",
+      "bioprocess", "pharmaceutical", "medical device", "laboratory",
+      "research engineer", "operations engineer", "facility engineer",
+      "building engineer", "energy engineer", "power engineer",
+      "control engineer", "instrumentation", "automation engineer",
+      "industrial engineer", "logistics engineer", "supply chain engineer",
+
+      // Seniority / management (too senior for intern/new grad)
+      "manager", "director", "principal", "senior", "staff",
+      "consultant", "advisor",
+      "product manager", "project manager", "program manager", "scrum master",
+      "agile coach", "internship coordinator",
+
+      // Non-tech roles
+      "customer service", "help desk", "administrative", "clerical",
+      "receptionist", "secretary",
+      "teacher", "instructor", "professor", "educator",
+      "writer", "editor", "journalist", "reporter",
+      "nurse", "doctor", "physician", "healthcare",
+      "lawyer", "attorney", "paralegal",
+      "accountant", "bookkeeper",
+      "chef", "cook", "restaurant", "hospitality", "hotel",
+      "driver", "delivery", "warehouse", "inventory",
+      "retail", "cashier", "store", "shop",
+    ],
+
+    // At least one of these must be in the title
+    require: [
       // Core software engineering
-      "software engineer",
-      "software developer",
-      "software development",
-      "frontend",
-      "backend",
-      "fullstack",
-      "full-stack",
-      "full stack",
-      "web developer",
-      "web development",
-      "mobile developer",
-      "app developer",
-      "application developer",
-      "systems engineer",
-      "platform engineer",
+      "software engineer*", "software developer*", "software development",
+      "swe", "sde",
+      "frontend", "backend", "fullstack", "full-stack", "full stack",
+      "web developer*", "web development", "mobile developer*", "app developer*",
+      "application developer*", "systems engineer*", "platform engineer*",
 
       // Data engineering/science
-      "data engineer",
-      "data scientist",
-      "data analyst",
-      "data analytics",
-      "machine learning",
-      "ml engineer",
-      "ai engineer",
-      "artificial intelligence",
-      "analytics engineer",
-      "business intelligence",
-      "bi engineer",
-      "product manager",
-      "product management",
-      "pm intern",
-      "associate product manager",
+      "data engineer*", "data scientist*", "data analyst*", "data analytics",
+      "machine learning", "ml engineer*", "ai engineer*", "artificial intelligence",
+      "analytics engineer*", "business intelligence", "bi engineer*",
 
       // Business analysis
-      "business analyst",
-      "business analytics",
+      "business analyst*", "business analytics",
 
       // DevOps/Infrastructure
-      "devops",
-      "site reliability",
-      "sre",
-      "infrastructure engineer",
-      "cloud engineer",
-
-      // Intern/Entry level indicators
-      "intern",
-      "internship",
-      "co-op",
-      "coop",
-      "student",
-      "new grad",
-      "new graduate",
-      "entry level",
-      "entry-level",
-      "junior",
-      "recent graduate",
-    ],
+      "devops", "site reliability", "sre", "infrastructure engineer*",
+      "cloud engineer*",
 
-    // Keywords that exclude jobs (if present, job is rejected)
-    excludedKeywords: [
-      // Non-software engineering roles
-      "geotechnical",
-      "civil",
-      "mechanical",
-      "electrical",
-      "chemical",
-      "biomedical",
-      "environmental",
-      "aerospace",
-      "nuclear",
-      "petroleum",
-      "mining",
-      "construction",
-      "hvac",
-      "plumbing",
-      "welding",
-      "manufacturing",
-      "production",
-      "assembly",
-      "field service",
-      "field engineer",
-      "field technician",
-      "maintenance",
-      "repair",
-      "quality assurance engineer",
-      "qa engineer",
-      "test engineer",
-      "validation engineer",
-      "process engineer",
-      "project engineer",
-      "design engineer",
-      "sales engineer",
-      "application engineer",
-      "field application",
-      "technical support engineer",
-      "hardware engineer",
-      "firmware engineer",
-      "embedded engineer",
-      "rf engineer",
-      "analog engineer",
-      "digital design engineer",
-      "circuit",
-      "pcb",
-      "asic",
-      "fpga",
-      "water resources",
-      "structural",
-      "transportation",
-      "urban planning",
-      "surveying",
-      "materials engineer",
-      "metallurgical",
-      "ceramic",
-      "polymer",
-      "textile",
-      "food engineer",
-      "agricultural",
-      "forest engineer",
-      "packaging engineer",
-      "safety engineer",
-      "compliance engineer",
-      "regulatory engineer",
-      "clinical engineer",
-      "bioprocess",
-      "pharmaceutical",
-      "medical device",
-      "laboratory",
-      "research engineer",
-      "operations engineer",
-      "facility engineer",
-      "building engineer",
-      "energy engineer",
-      "power engineer",
-      "control engineer",
-      "instrumentation",
-      "automation engineer",
-      "industrial engineer",
-      "logistics engineer",
-      "supply chain engineer",
-
-      // Non-engineering roles
-      "manager",
-      "director",
-      "lead",
-      "principal",
-      "senior",
-      "staff",
-      "architect",
-      "consultant",
-      "advisor",
-      "specialist",
-      "coordinator",
-      "assistant",
-      "associate",
-      "internship coordinator",
-      "recruiter",
-      "hr",
-      "human resources",
-      "marketing",
-      "sales",
-      "finance",
-      "accounting",
-      "legal",
-      "compliance",
-      "regulatory",
-      "project manager",
-      "program manager",
-      "scrum master",
-      "agile coach",
-
-      // Specific non-data analysts
-      "financial analyst",
-      "operations analyst",
-      "market analyst",
-      "research analyst",
-      "policy analyst",
+      // Cybersecurity
+      "cybersecurity", "security engineer*", "information security",
 
-      // Non-tech roles
-      "customer service",
-      "support",
-      "help desk",
-      "administrative",
-      "clerical",
-      "receptionist",
-      "secretary",
-      "office",
-      "administrator",
-      "teacher",
-      "nurse",
-      "doctor",
-    ],
+      // Emerging tech
+      "blockchain", "fintech", "quantitative", "algorithm*",
 
-    // Specific software/data role indicators (if present, job is accepted regardless)
-    softwareDataIndicators: [
-      "software engineer",
-      "software developer",
-      "software development",
-      "data engineer",
-      "data scientist",
-      "machine learning engineer",
-      "ml engineer",
-      "ai engineer",
-      "artificial intelligence engineer",
+      // Broad terms that also count
+      "software", "developer*", "engineer*", "programmer*", "coding",
+      "data", "database*", "analyst*",
     ],
+
+    // Role checks: a title must match the requested role ("both" accepts either).
+    // A role's exclude list only applies when checking that role.
+    roles: {
+      intern: {
+        match: ["intern", "interns", "internship*", "co-op", "coop", "student"],
+        exclude: [],
+      },
+      new_grad: {
+        match: [
+          "new grad", "new graduate", "entry level", "entry-level",
+          "junior", "recent graduate", "early career",
+          "university grad", "university graduate", "college grad", "college graduate",
+          "new college grad", "new college graduate",
+          // "SDE I", "SWE 1", ...
+          "sde i", "sde 1", "swe i", "swe 1",
+          // "Associate" when used as a level indicator (Associate Software Engineer)
+          "associate software", "associate data", "associate developer",
+          "associate engineer", "associate analyst",
+          "level 0", "level 1", "level i",
+          // "Software Engineer I", "Data Analyst 1 - Remote", "Developer 0"
+          "/\\b(?:engineer|developer|analyst|scientist)\\s+[i01]\\b/i",
+          // "2026 Start", "2026 Grad", "Class of 2026"
+          "/\\b20\\d\\d\\s+(?:start|grad)\\b/i",
+          "/\\bclass of 20\\d\\d\\b/i",
+        ],
+        exclude: [],
+      },
+    },
+
+    // Per-source overrides, keyed by source (task names like "github (new grad)" match by prefix).
+    // A list given here replaces the default one for that source. skip: true keeps every job;
+    // a list of checks ("companies", "include", "exclude", "require", "role") skips only those.
+    sources: {
+      // Curated lists; titles like "Google - Software Engineer" often lack intern/new grad words
+      github: { skip: true },
+      jobright: { skip: true },
+      // ZipRecruiter searches are broad, so only keep clearly matching titles (finance roles included)
+      ziprecruiter: {
+        require: [
+          "software engineer*", "software developer*",
+          "data engineer*", "data science", "data scientist*", "data analyst*",
+          "business analyst*", "finance", "financial analyst*",
+          "machine learning", "ml engineer*", "ai engineer*",
+          "developer*", "programmer*", "swe", "sde",
+        ],
+      },
+    },
   },
 
   // LinkedIn scraper configuration
@@ -628,6 +723,30 @@ module.exports = {
     embedColor: "#1e90ff",
   },
 
+  // Company ATS boards (public JSON APIs, no browser needed)
+  // board: "greenhouse" | "lever" | "ashby"; token is the company's board slug
+  // (boards.greenhouse.io/<token>, jobs.lever.co/<token>, jobs.ashbyhq.com/<token>)
+  ats: {
+    companies: [
+      { name: "Stripe", board: "greenhouse", token: "stripe" },
+      { name: "Databricks", board: "greenhouse", token: "databricks" },
+      { name: "Robinhood", board: "greenhouse", token: "robinhood" },
+      { name: "Cloudflare", board: "greenhouse", token: "cloudflare" },
+      { name: "Palantir", board: "lever", token: "palantir" },
+      { name: "Plaid", board: "lever", token: "plaid" },
+      { name: "Ramp", board: "ashby", token: "ramp" },
+      { name: "Notion", board: "ashby", token: "notion" },
+    ],
+    requestTimeoutMs: 15000,
+    delayBetweenCompaniesMs: 500, // Be polite to the board APIs
+    jobLimits: {
+      discord: 15, // Lightweight for Discord commands
+      comprehensive: 150, // For internal script execution
+    },
+    fileCache: "cache/ats-job-cache.json",
+    embedColor: "#2e8b57",
+  },
+
   // SimplyHired scraper configuration
   simplyhired: {
     jobKeywords: [
@@ -735,5 +854,14 @@ module.exports = {
     directory: "logs",
     errorFile: "error.log",
     combinedFile: "combined.log",
+    level: process.env.LOG_LEVEL || "info", // debug | info | warn | error (lower levels are dropped)
+    consoleFormat: process.env.LOG_FORMAT === "json" ? "json" : "pretty", // Files are always JSON lines
+    flushIntervalMs: 1000, // Buffered lines are written at least this often
+    bufferSize: 200, // ...or as soon as this many lines are waiting
+    rotation: {
+      maxSizeMB: 20, // Rotate a file once it would grow past this (0 = no size limit)
+      daily: true, // Also rotate at the first write of a new (UTC) day
+      maxFiles: 14, // Rotated files kept per log; older ones are deleted
+    },
   },
 };
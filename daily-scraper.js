@@ -7,10 +7,12 @@ const { runComprehensiveScrape } = require("./scrape");
 /**
  * Run the daily comprehensive scrape.
  * @param {object} client - Discord client
+ * @param {object} options - Optional run options
+ * @param {string} options.trigger - What started the run, saved to run history (default: "daily")
  * @returns {Promise<object>} scrape results
  */
-async function runDailyComprehensiveScrape(client) {
-  return runComprehensiveScrape(client);
+async function runDailyComprehensiveScrape(client, options = {}) {
+  return runComprehensiveScrape(client, { trigger: options.trigger || "daily" });
 }
 
 async function runDailyScraper() {
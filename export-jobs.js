@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// export-jobs.js - Export stored jobs to a CSV or JSON Lines file (same data as /export, without the size limit)
+require("dotenv").config();
+const path = require("path");
+const mongoService = require("./services/mongo");
+const loggerService = require("./services/logger");
+const jobExport = require("./services/jobExport");
+
+function getArg(name) {
+  const arg = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+async function main() {
+  const format = getArg("format") || "csv";
+  if (!jobExport.FORMATS.includes(format)) {
+    loggerService.log(`❌ Unknown format "${format}" (use ${jobExport.FORMATS.join(" or ")})`, "error");
+    process.exit(1);
+  }
+
+  let filters;
+  try {
+    filters = jobExport.buildExportFilters({
+      days: getArg("days"),
+      since: getArg("since"),
+      until: getArg("until"),
+      source: getArg("source"),
+      role: getArg("role"),
+      category: getArg("category"),
+    });
+  } catch (error) {
+    loggerService.log(`❌ ${error.message} (use YYYY-MM-DD)`, "error");
+    process.exit(1);
+  }
+
+  const connected = await mongoService.connect();
+  if (!connected) {
+    loggerService.log("❌ Could not connect to MongoDB; nothing exported", "error");
+    process.exit(1);
+  }
+
+  // Always a file: the logger writes to stdout, so stdout can't carry the export
+  const filePath = path.resolve(getArg("out") || jobExport.exportFileName(filters, format));
+
+  try {
+    const { count, bytes } = await jobExport.exportJobsToFile(filters, filePath, format);
+    loggerService.log(`📤 Exported ${count} jobs to ${filePath} (${bytes} bytes)`);
+  } catch (error) {
+    loggerService.log(`❌ Export failed: ${error.message}`, "error");
+    process.exitCode = 1;
+  } finally {
+    await mongoService.close();
+  }
+}
+
+main();
@@ -6,6 +6,7 @@ const loggerService = require("./services/logger");
 const commandHandler = require("./services/commandHandler");
 const config = require("./config");
 const { registerSlashCommands } = require("./registerCommands");
+const { isJobChannel } = require("./utils/guildRouting");
 
 // ── 1) Create Discord client ──────────
 const client = new Client({
@@ -41,9 +42,7 @@ client.on("messageCreate", (msg) => {
   if (!msg.content.startsWith("!") || msg.author.bot) return;
   
   // Check if message is in any allowed channel (log channel or job channels)
-  const isAllowedChannel = msg.channel.id === config.logChannelId || 
-    Object.values(config.channels.intern).includes(msg.channel.id) ||
-    Object.values(config.channels.new_grad).includes(msg.channel.id);
+  const isAllowedChannel = msg.channel.id === config.logChannelId || isJobChannel(msg.channel.id);
     
   if (!isAllowedChannel) return;
   
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+// migrate-jobs-collection.js - One-time fold of the per-source job collections into the canonical jobs collection
+require("dotenv").config();
+const config = require("./config");
+const mongoService = require("./services/mongo");
+const loggerService = require("./services/logger");
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  loggerService.log(
+    `🚚 Migrating per-source collections into "${config.mongo.collections.jobs}"${dryRun ? " (dry run)" : ""}...`
+  );
+
+  const connected = await mongoService.connect();
+  if (!connected) {
+    loggerService.log("❌ Could not connect to MongoDB; nothing migrated", "error");
+    process.exit(1);
+  }
+
+  try {
+    const summary = await mongoService.migrateLegacyCollections({ dryRun });
+
+    loggerService.log("\n📊 Migration Summary:");
+    for (const [source, count] of Object.entries(summary.sources)) {
+      loggerService.log(`   ${source}: ${count} documents`);
+    }
+    loggerService.log(`   Legacy documents read: ${summary.read}`);
+    loggerService.log(`   Distinct jobs (normalizedId): ${summary.uniqueJobs}`);
+    loggerService.log(`   Jobs collection: ${summary.jobsBefore} → ${summary.jobsAfter}`);
+    loggerService.log(`   Older jobs backfilled: ${summary.backfilled}`);
+    if (dryRun) {
+      loggerService.log("\nDry run only. Re-run without --dry-run to write.");
+    } else {
+      loggerService.log(
+        "\n✅ Done. The per-source collections were left in place; drop them once you've checked the result."
+      );
+    }
+  } catch (error) {
+    loggerService.log(`❌ Migration failed: ${error.message}`, "error");
+    process.exitCode = 1;
+  } finally {
+    await mongoService.close();
+  }
+}
+
+main();
@@ -1,6 +1,22 @@
-const { REST, Routes, SlashCommandBuilder } = require("discord.js");
+const { REST, Routes, SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require("discord.js");
 
 async function registerSlashCommands() {
+  // Scrape commands also send the caller, privately, the new jobs paying at least this much (channels get every job)
+  const minSalaryOption = (opt) =>
+    opt
+      .setName("min_salary")
+      .setDescription("Also send you the new jobs paying at least this yearly USD amount (e.g. 90000)")
+      .setRequired(false)
+      .setMinValue(1);
+  // ...or in this place, or remote (see utils/location)
+  const locationOption = (opt) =>
+    opt
+      .setName("location")
+      .setDescription("Also send you the new jobs in this place (e.g. seattle, ny, california, usa)")
+      .setRequired(false);
+  const remoteOnlyOption = (opt) =>
+    opt.setName("remote_only").setDescription("Also send you the new remote jobs (default: false)").setRequired(false);
+
   const commands = [
     // General job command
     new SlashCommandBuilder()
@@ -26,7 +42,10 @@ async function registerSlashCommands() {
             { name: "week", value: "week" },
             { name: "month", value: "month" }
           )
-      ),
+      )
+      .addIntegerOption(minSalaryOption)
+      .addStringOption(locationOption)
+      .addBooleanOption(remoteOnlyOption),
 
     // LinkedIn command with time options only (lightweight for Discord)
     new SlashCommandBuilder()
@@ -52,7 +71,16 @@ async function registerSlashCommands() {
             { name: "past week", value: "week" },
             { name: "past month", value: "month" }
           )
-      ),
+      )
+      .addBooleanOption((opt) =>
+        opt
+          .setName("preview")
+          .setDescription("Only show what would be posted; nothing is saved or sent")
+          .setRequired(false)
+      )
+      .addIntegerOption(minSalaryOption)
+      .addStringOption(locationOption)
+      .addBooleanOption(remoteOnlyOption),
 
 
 
@@ -80,7 +108,16 @@ async function registerSlashCommands() {
             { name: "week", value: "week" },
             { name: "month", value: "month" }
           )
-      ),
+      )
+      .addBooleanOption((opt) =>
+        opt
+          .setName("preview")
+          .setDescription("Only show what would be posted; nothing is saved or sent")
+          .setRequired(false)
+      )
+      .addIntegerOption(minSalaryOption)
+      .addStringOption(locationOption)
+      .addBooleanOption(remoteOnlyOption),
 
 
 
@@ -97,7 +134,16 @@ async function registerSlashCommands() {
             { name: "intern", value: "intern" },
             { name: "new grad", value: "new grad" }
           )
-      ),
+      )
+      .addBooleanOption((opt) =>
+        opt
+          .setName("preview")
+          .setDescription("Only show what would be posted; nothing is saved or sent")
+          .setRequired(false)
+      )
+      .addIntegerOption(minSalaryOption)
+      .addStringOption(locationOption)
+      .addBooleanOption(remoteOnlyOption),
 
 
 
@@ -118,7 +164,58 @@ async function registerSlashCommands() {
             { name: "Sharunkumar-OffSeason", value: "offseason" },
             { name: "QuantInternships2026", value: "quant" }
           )
-      ),
+      )
+      .addBooleanOption((opt) =>
+        opt
+          .setName("preview")
+          .setDescription("Only show what would be posted (all repos); nothing is saved or sent")
+          .setRequired(false)
+      )
+      .addIntegerOption(minSalaryOption)
+      .addStringOption(locationOption)
+      .addBooleanOption(remoteOnlyOption),
+
+    // Company ATS boards command (Greenhouse, Lever, Ashby watchlist)
+    new SlashCommandBuilder()
+      .setName("ats")
+      .setDescription("Check watchlist company boards (Greenhouse, Lever, Ashby)")
+      .addStringOption((opt) =>
+        opt
+          .setName("role")
+          .setDescription("intern | new grad | both (default: both)")
+          .setRequired(false)
+          .addChoices(
+            { name: "intern", value: "intern" },
+            { name: "new grad", value: "new_grad" },
+            { name: "both", value: "both" }
+          )
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName("time")
+          .setDescription("day | week | month (default: week)")
+          .setRequired(false)
+          .addChoices(
+            { name: "day", value: "day" },
+            { name: "week", value: "week" },
+            { name: "month", value: "month" }
+          )
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName("company")
+          .setDescription("Only this watchlist company (name or board token)")
+          .setRequired(false)
+      )
+      .addBooleanOption((opt) =>
+        opt
+          .setName("preview")
+          .setDescription("Only show what would be posted (all companies); nothing is saved or sent")
+          .setRequired(false)
+      )
+      .addIntegerOption(minSalaryOption)
+      .addStringOption(locationOption)
+      .addBooleanOption(remoteOnlyOption),
 
     // Daily scraping command
     new SlashCommandBuilder()
@@ -129,6 +226,12 @@ async function registerSlashCommands() {
           .setName("now")
           .setDescription("Run immediately (default: false)")
           .setRequired(false)
+      )
+      .addBooleanOption((opt) =>
+        opt
+          .setName("preview")
+          .setDescription("Only show what the comprehensive scrape would post; nothing is saved or sent")
+          .setRequired(false)
       ),
 
     // Status command
@@ -136,6 +239,432 @@ async function registerSlashCommands() {
       .setName("status")
       .setDescription("Show job-cache statistics"),
 
+    // Scrape run history command
+    new SlashCommandBuilder()
+      .setName("history")
+      .setDescription("Show recent scrape runs and weekly per-source trends")
+      .addStringOption((opt) =>
+        opt
+          .setName("source")
+          .setDescription("Only runs that included this source")
+          .setRequired(false)
+          .addChoices(
+            { name: "LinkedIn", value: "linkedin" },
+            { name: "ZipRecruiter", value: "ziprecruiter" },
+            { name: "Jobright", value: "jobright" },
+            { name: "GitHub", value: "github" },
+            { name: "SimplyHired", value: "simplyhired" },
+            { name: "Glassdoor", value: "glassdoor" },
+            { name: "ATS Boards", value: "ats" }
+          )
+      )
+      .addIntegerOption((opt) =>
+        opt
+          .setName("days")
+          .setDescription("Trend window in days (default: 28)")
+          .setRequired(false)
+          .setMinValue(1)
+          .setMaxValue(180)
+      )
+      .addIntegerOption((opt) =>
+        opt
+          .setName("limit")
+          .setDescription("Number of recent runs to list (default: 10)")
+          .setRequired(false)
+          .setMinValue(1)
+          .setMaxValue(25)
+      ),
+
+    // Stored jobs as a CSV / JSON Lines attachment
+    new SlashCommandBuilder()
+      .setName("export")
+      .setDescription("Download stored jobs as CSV or JSON Lines")
+      .addStringOption((opt) =>
+        opt
+          .setName("format")
+          .setDescription("File format (default: CSV)")
+          .setRequired(false)
+          .addChoices(
+            { name: "CSV", value: "csv" },
+            { name: "JSON Lines", value: "jsonl" }
+          )
+      )
+      .addIntegerOption((opt) =>
+        opt
+          .setName("days")
+          .setDescription("Jobs first seen in the last N days (default: 7)")
+          .setRequired(false)
+          .setMinValue(1)
+          .setMaxValue(90)
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName("source")
+          .setDescription("Only jobs seen on this source")
+          .setRequired(false)
+          .addChoices(
+            { name: "LinkedIn", value: "linkedin" },
+            { name: "ZipRecruiter", value: "ziprecruiter" },
+            { name: "Jobright", value: "jobright" },
+            { name: "GitHub", value: "github" },
+            { name: "SimplyHired", value: "simplyhired" },
+            { name: "Glassdoor", value: "glassdoor" },
+            { name: "ATS Boards", value: "ats" }
+          )
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName("role")
+          .setDescription("intern | new grad (default: both)")
+          .setRequired(false)
+          .addChoices(
+            { name: "intern", value: "intern" },
+            { name: "new grad", value: "new_grad" }
+          )
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName("category")
+          .setDescription("Job category (default: any)")
+          .setRequired(false)
+          .addChoices(
+            { name: "Software Engineering", value: "software_engineering" },
+            { name: "Data Analysis", value: "data_analysis" },
+            { name: "Data Science / Engineering", value: "data_science_engineer" }
+          )
+      ),
+
+    // Personal job alert subscriptions (delivered by DM)
+    new SlashCommandBuilder()
+      .setName("subscribe")
+      .setDescription("Get matching new jobs by DM")
+      .addStringOption((opt) =>
+        opt
+          .setName("keywords")
+          .setDescription("Comma-separated title keywords (e.g. backend, rust)")
+          .setRequired(false)
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName("companies")
+          .setDescription("Comma-separated companies (e.g. google, stripe)")
+          .setRequired(false)
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName("locations")
+          .setDescription("Comma-separated locations (e.g. seattle, ny)")
+          .setRequired(false)
+      )
+      .addBooleanOption((opt) =>
+        opt
+          .setName("remote_only")
+          .setDescription("Only remote jobs (default: false)")
+          .setRequired(false)
+      )
+      .addBooleanOption((opt) =>
+        opt
+          .setName("hide_no_sponsorship")
+          .setDescription("Skip jobs that won't sponsor a visa or need US citizenship (default: false)")
+          .setRequired(false)
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName("role")
+          .setDescription("intern | new grad | both (default: both)")
+          .setRequired(false)
+          .addChoices(
+            { name: "intern", value: "intern" },
+            { name: "new grad", value: "new_grad" },
+            { name: "both", value: "both" }
+          )
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName("category")
+          .setDescription("Job category (default: any)")
+          .setRequired(false)
+          .addChoices(
+            { name: "Software Engineering", value: "software_engineering" },
+            { name: "Data Analysis", value: "data_analysis" },
+            { name: "Data Science / Engineering", value: "data_science_engineer" }
+          )
+      ),
+
+    new SlashCommandBuilder()
+      .setName("subscriptions")
+      .setDescription("Manage your job alert subscriptions")
+      .addSubcommand((sub) =>
+        sub.setName("list").setDescription("List your subscriptions")
+      ),
+
+    new SlashCommandBuilder()
+      .setName("unsubscribe")
+      .setDescription("Remove a job alert subscription")
+      .addStringOption((opt) =>
+        opt
+          .setName("id")
+          .setDescription("Subscription ID from /subscriptions list, or 'all'")
+          .setRequired(true)
+      ),
+
+    // Personal application tracker (job handle = ID in a job post's footer, or its URL)
+    new SlashCommandBuilder()
+      .setName("applied")
+      .setDescription("Mark a job as applied in your /myjobs pipeline")
+      .addStringOption((opt) =>
+        opt
+          .setName("job")
+          .setDescription("Job ID from the post's footer, or the job URL")
+          .setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt.setName("note").setDescription("Optional note (e.g. referral)").setRequired(false)
+      ),
+
+    new SlashCommandBuilder()
+      .setName("myjobs")
+      .setDescription("Show the jobs you are tracking")
+      .addStringOption((opt) =>
+        opt
+          .setName("status")
+          .setDescription("Only jobs at this stage (default: all)")
+          .setRequired(false)
+            .addChoices(
+              { name: "saved", value: "saved" },
+              { name: "applied", value: "applied" },
+              { name: "online assessment", value: "oa" },
+              { name: "interview", value: "interview" },
+              { name: "offer", value: "offer" },
+              { name: "rejected", value: "rejected" }
+            )
+      )
+      .addBooleanOption((opt) =>
+        opt
+          .setName("export")
+          .setDescription("Send your tracked jobs as a CSV file instead")
+          .setRequired(false)
+      ),
+
+    new SlashCommandBuilder()
+      .setName("status-update")
+      .setDescription("Move a tracked job to another stage")
+      .addStringOption((opt) =>
+        opt
+          .setName("job")
+          .setDescription("Job ID from the post's footer, or the job URL")
+          .setRequired(true)
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName("status")
+          .setDescription("New stage")
+          .setRequired(true)
+            .addChoices(
+              { name: "saved", value: "saved" },
+              { name: "applied", value: "applied" },
+              { name: "online assessment", value: "oa" },
+              { name: "interview", value: "interview" },
+              { name: "offer", value: "offer" },
+              { name: "rejected", value: "rejected" }
+            )
+      )
+      .addStringOption((opt) =>
+        opt.setName("note").setDescription("Optional note (e.g. interview date)").setRequired(false)
+      ),
+
+    // Admin review queue for "Not relevant" / "Broken link" button reports
+    new SlashCommandBuilder()
+      .setName("review")
+      .setDescription("Review job reports from the buttons under posted jobs (admins)")
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addSubcommand((sub) =>
+        sub
+          .setName("list")
+          .setDescription("List open reports, most reported first")
+          .addStringOption((opt) =>
+            opt
+              .setName("type")
+              .setDescription("Report type (default: all)")
+              .setRequired(false)
+              .addChoices(
+                { name: "Not relevant", value: "not_relevant" },
+                { name: "Broken link", value: "broken_link" }
+              )
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("resolve")
+          .setDescription("Mark a report as handled (e.g. filter updated)")
+          .addStringOption((opt) =>
+            opt.setName("id").setDescription("Report ID from /review list").setRequired(true)
+          )
+          .addStringOption((opt) =>
+            opt.setName("note").setDescription("What was done").setRequired(false)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("dismiss")
+          .setDescription("Dismiss a report (the job was fine)")
+          .addStringOption((opt) =>
+            opt.setName("id").setDescription("Report ID from /review list").setRequired(true)
+          )
+          .addStringOption((opt) =>
+            opt.setName("note").setDescription("Why it was dismissed").setRequired(false)
+          )
+      ),
+
+    // Admin-managed filter terms, applied right away without a restart
+    new SlashCommandBuilder()
+      .setName("filter")
+      .setDescription("Add, remove and test job filter terms (admins)")
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addSubcommand((sub) =>
+        sub
+          .setName("add-exclude")
+          .setDescription("Reject titles containing a term")
+          .addStringOption((opt) =>
+            opt.setName("term").setDescription('Word, prefix ("engineer*") or /regex/').setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("add-include")
+          .setDescription("Always keep titles containing a term (skips exclude/require)")
+          .addStringOption((opt) =>
+            opt.setName("term").setDescription('Word, prefix ("engineer*") or /regex/').setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("remove")
+          .setDescription("Remove a term added with /filter")
+          .addStringOption((opt) =>
+            opt.setName("term").setDescription("Term as shown in /filter list").setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub.setName("list").setDescription("Show the terms added with /filter and a summary of the base rules")
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("test")
+          .setDescription("Show which rule accepts or rejects a title")
+          .addStringOption((opt) =>
+            opt.setName("title").setDescription("Job title to test").setRequired(true)
+          )
+          .addStringOption((opt) =>
+            opt
+              .setName("role")
+              .setDescription("Role to check (default: both)")
+              .setRequired(false)
+              .addChoices(
+                { name: "Intern", value: "intern" },
+                { name: "New Grad", value: "new_grad" },
+                { name: "Both", value: "both" },
+                { name: "Any (skip the role check)", value: "any" }
+              )
+          )
+          .addStringOption((opt) =>
+            opt.setName("source").setDescription("Source whose overrides apply (e.g. ziprecruiter)").setRequired(false)
+          )
+          .addStringOption((opt) =>
+            opt.setName("company").setDescription("Company name, for the excluded companies check").setRequired(false)
+          )
+      ),
+
+    // Per-server channels, sources and filters (admins)
+    new SlashCommandBuilder()
+      .setName("setup")
+      .setDescription("Choose where and which jobs this server gets (admins)")
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .setDMPermission(false)
+      .addSubcommand((sub) =>
+        sub
+          .setName("channel")
+          .setDescription("Post one role and category to a channel")
+          .addStringOption((opt) =>
+            opt
+              .setName("role")
+              .setDescription("Role")
+              .setRequired(true)
+              .addChoices(
+                { name: "intern", value: "intern" },
+                { name: "new grad", value: "new_grad" }
+              )
+          )
+          .addStringOption((opt) =>
+            opt
+              .setName("category")
+              .setDescription("Job category")
+              .setRequired(true)
+              .addChoices(
+                { name: "Software Engineering", value: "software_engineering" },
+                { name: "Data Analysis", value: "data_analysis" },
+                { name: "Data Science / Engineering", value: "data_science_engineer" }
+              )
+          )
+          .addChannelOption((opt) =>
+            opt
+              .setName("channel")
+              .setDescription("Channel to post in (leave empty to stop posting these jobs here)")
+              .setRequired(false)
+              .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("sources")
+          .setDescription("Only post jobs from some sources")
+          .addStringOption((opt) =>
+            opt
+              .setName("sources")
+              .setDescription('Comma-separated sources (e.g. linkedin, github, ats) or "all"')
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("filter")
+          .setDescription("Never post jobs with a title keyword or from a company")
+          .addStringOption((opt) =>
+            opt
+              .setName("action")
+              .setDescription("Add or remove")
+              .setRequired(true)
+              .addChoices(
+                { name: "add", value: "add" },
+                { name: "remove", value: "remove" }
+              )
+          )
+          .addStringOption((opt) =>
+            opt
+              .setName("type")
+              .setDescription("What the term matches")
+              .setRequired(true)
+              .addChoices(
+                { name: "title keyword", value: "keyword" },
+                { name: "company", value: "company" }
+              )
+          )
+          .addStringOption((opt) =>
+            opt.setName("term").setDescription('Word, prefix ("senior*") or /regex/').setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub
+          .setName("sponsorship")
+          .setDescription("Hide jobs that won't sponsor a visa or need US citizenship")
+          .addBooleanOption((opt) =>
+            opt.setName("hide").setDescription("Hide them (false shows them again)").setRequired(true)
+          )
+      )
+      .addSubcommand((sub) =>
+        sub.setName("show").setDescription("Show this server's channels, sources and filters")
+      ),
+
     // Clear cache command
     new SlashCommandBuilder()
       .setName("clearcache")
@@ -150,6 +679,7 @@ async function registerSlashCommands() {
             { name: "ZipRecruiter", value: "ziprecruiter" },
             { name: "Jobright", value: "jobright" },
             { name: "GitHub", value: "github" },
+            { name: "ATS Boards", value: "ats" },
 
             { name: "All", value: "all" }
           )
@@ -159,15 +689,21 @@ async function registerSlashCommands() {
   const rest = new REST({ version: "10" }).setToken(process.env.DISCORD_TOKEN);
 
   try {
-    // For testing, register per-guild (instant)
-    await rest.put(
-      Routes.applicationGuildCommands(
-        process.env.CLIENT_ID,
-        process.env.GUILD_ID
-      ),
-      { body: commands }
-    );
-    console.log("✅ Slash commands registered (guild scope).");
+    if (process.env.GUILD_ID) {
+      // Single server (and testing): per-guild registration shows up instantly
+      await rest.put(
+        Routes.applicationGuildCommands(
+          process.env.CLIENT_ID,
+          process.env.GUILD_ID
+        ),
+        { body: commands }
+      );
+      console.log("✅ Slash commands registered (guild scope).");
+    } else {
+      // Several servers: global commands, which can take a while to appear
+      await rest.put(Routes.applicationCommands(process.env.CLIENT_ID), { body: commands });
+      console.log("✅ Slash commands registered (global scope).");
+    }
   } catch (err) {
     console.error("❌ Error registering slash commands", err);
   }
@@ -4,6 +4,8 @@ const { Client, GatewayIntentBits } = require("discord.js");
 const config = require("./config");
 const loggerService = require("./services/logger");
 const mongoService = require("./services/mongo");
+const runHistory = require("./services/runHistory");
+const { createPreview, addToPreview, formatPreviewText } = require("./services/scrapePreview");
 const {
   deduplicateJobs,
   createDiscordJobMessages,
@@ -23,41 +25,73 @@ const jobrightScraper = require("./scrapers/jobright");
 const githubScraper = require("./scrapers/github");
 const simplyhiredScraper = require("./scrapers/simplyhired");
 const glassdoorScraper = require("./scrapers/glassdoor");
+const atsScraper = require("./scrapers/ats");
 
 const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
+// Stand-in client for scrapers while collecting, so they never post to Discord themselves
+// (notifier sinks skip delivery entirely for an offline client)
+const offlineClient = {
+  offline: true,
+  channels: {
+    cache: {
+      get: () => null,
+    },
+  },
+};
+
+/**
+ * Translate a generic time filter ("day", "three_days", "week", "month") into a
+ * source's own value from its config timeFilters map (falls back to the week value)
+ * @param {object} filters - Source time filter map (e.g. config.linkedin.timeFilters)
+ * @param {string} timeFilter - Generic time filter
+ * @returns {string} Source-specific time filter
+ */
+function sourceTimeFilter(filters, timeFilter) {
+  const key = timeFilter === "three_days" ? "threeDays" : timeFilter;
+  return filters[key] || filters.week;
+}
+
 /**
  * Map of available scrapers for specific source scraping
  */
 const availableScrapers = {
   linkedin: {
     name: "LinkedIn",
-    scraper: (client) =>
+    scraper: (client, role = "both", timeFilter = "week", scrapeOptions) =>
       linkedinScraper.scrapeAllJobs(
-        config.linkedin.timeFilters.week,
+        sourceTimeFilter(config.linkedin.timeFilters, timeFilter),
         client,
         "comprehensive",
-        "both"
+        role,
+        scrapeOptions
       ),
   },
   ziprecruiter: {
     name: "ZipRecruiter",
-    scraper: (client) =>
+    scraper: (client, role = "both", timeFilter = "day", scrapeOptions) =>
       ziprecruiterScraper.scrapeAllJobs(
-        config.ziprecruiter.timeFilters.day,
+        sourceTimeFilter(config.ziprecruiter.timeFilters, timeFilter),
         client,
         "comprehensive",
-        "both"
+        role,
+        scrapeOptions
       ),
   },
   jobright: {
     name: "JobRight",
-    scraper: (client) => jobrightScraper.scrapeAllJobs(client, "comprehensive", "both"),
+    scraper: (client, role = "both", timeFilter = "three_days", scrapeOptions) =>
+      jobrightScraper.scrapeAllJobs(client, "comprehensive", role, timeFilter, scrapeOptions),
   },
   github: {
     name: "GitHub",
-    scraper: (client) =>
-      githubScraper.scrapeAllJobs(client, "comprehensive", "both", "week"),
+    scraper: (client, role = "both", timeFilter = "week", scrapeOptions) =>
+      githubScraper.scrapeAllJobs(client, "comprehensive", role, timeFilter, scrapeOptions),
+  },
+  ats: {
+    name: "ATS (Company Boards)",
+    scraper: (client, role = "both", timeFilter = "week", scrapeOptions) =>
+      atsScraper.scrapeAllJobs(client, "comprehensive", role, timeFilter, scrapeOptions),
   },
 };
 
@@ -121,6 +155,8 @@ async function getExistingJobs(sourceName, timeRange = "day") {
  * @param {object} client - Discord client for channel routing
  * @param {string} priority - Priority level of the source
  * @param {string} role - Role type (intern, new_grad, or both)
+ * @param {object} options - Run options (dedupeContext, discordSendQueue, timeFilter override for the scraper,
+ *   preview: dry-run collector that gets what would be posted instead of Discord, with no source skipping or saving)
  * @returns {Object} Object with jobs and metadata
  */
 async function collectJobsFromSource(
@@ -136,14 +172,17 @@ async function collectJobsFromSource(
   const startTime = Date.now();
   const dedupeContext = options.dedupeContext;
   const discordSendQueue = options.discordSendQueue;
+  const preview = options.preview || null;
 
   try {
     loggerService.log(
       `🔍 Collecting jobs from ${sourceName} for role: ${role}...`
     );
 
-    // Check if we should skip this source
-    const skipDecision = await shouldSkipSource(sourceName);
+    // Check if we should skip this source (dry runs always scrape, since they exist to test it)
+    const skipDecision = preview
+      ? { shouldSkip: false }
+      : await shouldSkipSource(sourceName);
     if (skipDecision.shouldSkip) {
       loggerService.log(`⏭️ Skipping ${sourceName}: ${skipDecision.reason}`);
 
@@ -180,27 +219,23 @@ async function collectJobsFromSource(
       return {
         jobs: existingJobs,
         jobsFound: existingJobs.length,
+        rawJobsFound: existingJobs.length,
+        errorCount: 0,
         skipped: true,
         reason: skipDecision.reason,
+        startedAt: new Date(startTime),
         duration: Date.now() - startTime,
       };
     }
 
-    // Create a mock client for job collection
-    const mockClient = {
-      channels: {
-        cache: {
-          get: () => null, // Don't send messages during collection
-        },
-      },
-    };
-
     loggerService.log(`📡 [${sourceName}] Scraper starting (role=${role})...`);
     const scraperStart = Date.now();
 
     let result;
     try {
-      result = await scraperFunction(mockClient, role);
+      result = await scraperFunction(offlineClient, role, options.timeFilter, {
+        dryRun: !!preview,
+      });
     } catch (scraperErr) {
       loggerService.log(`❌ [${sourceName}] Scraper threw: ${scraperErr.message}`, "error");
       loggerService.log(`❌ [${sourceName}] Stack: ${scraperErr.stack}`, "error");
@@ -260,10 +295,13 @@ async function collectJobsFromSource(
         }
       }
 
-      loggerService.log(`📡 [${sourceName}] Sending ${jobsForProcessing.length} jobs to Discord (${role})`);
+      if (preview) {
+        loggerService.log(`🔍 [${sourceName}] Dry run: previewing ${jobsForProcessing.length} jobs (${role})`);
+        addToPreview(preview, sourceName, jobsForProcessing, role);
+      } else if (client) {
+        loggerService.log(`📡 [${sourceName}] Sending ${jobsForProcessing.length} jobs to Discord (${role})`);
 
-      // Send individual source summary to Discord
-      if (client) {
+        // Send individual source summary to Discord
         const sendToDiscord = async () => {
           await sendSourceSummaryToDiscord(
             null,
@@ -301,8 +339,11 @@ async function collectJobsFromSource(
       return {
         jobs: jobsForProcessing,
         jobsFound: jobsForProcessing.length,
+        rawJobsFound: rawCount,
+        errorCount: result.errorCount || 0,
         skipped: false,
         reason: "Successfully scraped",
+        startedAt: new Date(startTime),
         duration: Date.now() - startTime,
       };
     } else {
@@ -330,8 +371,11 @@ async function collectJobsFromSource(
       return {
         jobs: [],
         jobsFound: 0,
+        rawJobsFound: rawCount,
+        errorCount: result?.errorCount || 0,
         skipped: false,
         reason: "No jobs found",
+        startedAt: new Date(startTime),
         duration: Date.now() - startTime,
       };
     }
@@ -363,8 +407,11 @@ async function collectJobsFromSource(
     return {
       jobs: [],
       jobsFound: 0,
+      rawJobsFound: 0,
+      errorCount: 1,
       skipped: false,
       reason: `Error: ${error.message}`,
+      startedAt: new Date(startTime),
       duration: Date.now() - startTime,
     };
   }
@@ -376,6 +423,7 @@ async function collectJobsFromSource(
  * @param {string} priority - Priority level
  * @param {object} channel - Discord channel for sending summaries (legacy)
  * @param {object} client - Discord client for channel routing
+ * @param {object} options - Options passed to each task; options.onTaskComplete(result) is called as tasks finish
  * @returns {Array} Array of results
  */
 async function runParallelScraping(tasks, priority, channel, client, options = {}) {
@@ -402,6 +450,7 @@ async function runParallelScraping(tasks, priority, channel, client, options = {
         mergedOptions
       );
       results.push({ ...result, name: task.name, priority, role: task.role });
+      if (options.onTaskComplete) options.onTaskComplete(results[results.length - 1]);
       await delay(2000); // Delay between sources
     }
     return results;
@@ -437,6 +486,7 @@ async function runParallelScraping(tasks, priority, channel, client, options = {
         mergedOptions
       );
       results[index] = { ...result, name: task.name, priority, role: task.role };
+      if (options.onTaskComplete) options.onTaskComplete(results[index]);
     }
   };
 
@@ -453,12 +503,43 @@ async function runParallelScraping(tasks, priority, channel, client, options = {
   return results;
 }
 
+/**
+ * Run fn with a fresh runId (and the trigger) on every line it logs. Runs started
+ * inside another run keep the outer runId.
+ * @param {string} trigger - What started the run
+ * @param {Function} fn - The run
+ * @returns {Promise<*>} Whatever fn returns
+ */
+function withRunId(trigger, fn) {
+  if (loggerService.getContext().runId) {
+    return fn();
+  }
+  return loggerService.runWithContext({ runId: loggerService.newRunId(), trigger }, fn);
+}
+
 /**
  * Run scraping for a specific source
+ * @param {string} sourceName - Key in availableScrapers
+ * @param {object} client - Discord client
+ * @param {object} options - Optional run options
+ * @param {string} options.trigger - What started the run, saved to run history (default: "cli")
+ * @param {string} options.role - Role to scrape: intern, new_grad or both (default: "both")
+ * @param {string} options.timeFilter - day, three_days, week or month (default: the source's own)
+ * @param {Function} options.onProgress - Called with { phase } as the run moves along
+ * @param {boolean} options.dryRun - Scrape, filter and route without saving, recording or posting anything
+ * @returns {Promise<object>} { success, duration, jobsFound, historyRunId } (plus { dryRun, preview } for dry runs)
+ *   or { success: false, error }
  */
-async function runSpecificScraper(sourceName, client) {
+function runSpecificScraper(sourceName, client, options = {}) {
+  return withRunId(options.trigger || "cli", () => specificScraper(sourceName, client, options));
+}
+
+async function specificScraper(sourceName, client, options = {}) {
   const startTime = new Date();
   const scraper = availableScrapers[sourceName.toLowerCase()];
+  const role = options.role || "both";
+  const dryRun = options.dryRun === true;
+  const reportProgress = (progress) => options.onProgress && options.onProgress(progress);
 
   if (!scraper) {
     const availableSources = Object.keys(availableScrapers).join(", ");
@@ -467,24 +548,42 @@ async function runSpecificScraper(sourceName, client) {
     return { success: false, error: `Unknown source: ${sourceName}` };
   }
 
-  loggerService.log(`🚀 Starting ${scraper.name} job scraping...`);
+  loggerService.log(`🚀 Starting ${scraper.name} job scraping${dryRun ? " (dry run)" : ""}...`);
 
-  const channel = client.channels.cache.get(config.logChannelId);
+  const channel = dryRun ? null : client.channels.cache.get(config.logChannelId);
   if (channel) {
     await channel.send(`🤖 Starting ${scraper.name} job scraping...`);
   }
 
   try {
     loggerService.log(`🔍 Scraping ${scraper.name}...`);
-    const result = await scraper.scraper(client);
+    reportProgress({ phase: "scraping", completedTasks: 0, totalTasks: 1 });
+    const result = await scraper.scraper(dryRun ? offlineClient : client, role, options.timeFilter, { dryRun });
 
     const endTime = new Date();
     const duration = Math.round((endTime - startTime) / 1000);
+
+    if (dryRun) {
+      // The jobs the run below would post, routed to their channels
+      const preview = createPreview();
+      addToPreview(preview, scraper.name, result?.jobs || [], role);
+      loggerService.log(`🔍 ${scraper.name} dry run completed in ${duration} seconds`);
+      return { success: true, dryRun: true, duration, jobsFound: result?.jobsFound || 0, preview };
+    }
+
     const stats = await mongoService.getAllCacheStats();
 
     loggerService.log(
       `✅ ${scraper.name} completed successfully in ${duration} seconds`
     );
+    const historyRunId = await runHistory.recordScraperResult(
+      sourceName,
+      role,
+      options.trigger || "cli",
+      startTime,
+      result
+    );
+    reportProgress({ phase: "sending", completedTasks: 1, totalTasks: 1 });
 
     // Send individual source summary to Discord
     if (client && result && result.jobs) {
@@ -497,7 +596,7 @@ async function runSpecificScraper(sourceName, client) {
           jobsFound: result.jobsFound || 0,
           duration: duration * 1000, // Convert to milliseconds
           priority: "specific",
-          role: "both", // Default to both for specific scraper
+          role,
         },
         delay
       );
@@ -508,7 +607,7 @@ async function runSpecificScraper(sourceName, client) {
           result.jobs,
           client,
           scraper.name,
-          "both",
+          role,
           delay
         );
       }
@@ -520,7 +619,7 @@ async function runSpecificScraper(sourceName, client) {
         color: 0x00ff00,
         fields: [
           {
-            name: "📊 Total jobs in cache",
+            name: "📊 Unique jobs in cache",
             value: stats.total.toString(),
             inline: true,
           },
@@ -538,12 +637,28 @@ async function runSpecificScraper(sourceName, client) {
       await channel.send({ embeds: [embed] });
     }
 
-    return { success: true, duration, stats };
+    return {
+      success: true,
+      duration,
+      stats,
+      jobsFound: result?.jobsFound || 0,
+      historyRunId,
+    };
   } catch (error) {
     const endTime = new Date();
     const duration = Math.round((endTime - startTime) / 1000);
 
     loggerService.log(`❌ ${scraper.name} failed: ${error.message}`, "error");
+    if (dryRun) {
+      return { success: false, dryRun: true, error: error.message, duration };
+    }
+    await runHistory.recordScraperResult(
+      sourceName,
+      role,
+      options.trigger || "cli",
+      startTime,
+      { error: error.message }
+    );
 
     // Send error message to Discord
     if (channel) {
@@ -570,28 +685,60 @@ async function runSpecificScraper(sourceName, client) {
   }
 }
 
+/**
+ * Check whether a task belongs to one of the requested sources.
+ * Task names carry role suffixes ("LinkedIn (Internships)"), so match by prefix.
+ * @param {object} task - Scraping task definition
+ * @param {Array<string>|null} sources - Source keys to keep (null = all)
+ * @returns {boolean}
+ */
+function taskMatchesSources(task, sources) {
+  if (!Array.isArray(sources) || sources.length === 0) return true;
+  const taskName = (task.name || "").toLowerCase();
+  return sources.some((source) => taskName.startsWith(source.toLowerCase()));
+}
+
 /**
  * Optimized comprehensive scraping function that runs all job sources
+ * @param {object} client - Discord client
+ * @param {object} options - Optional run options
+ * @param {Array<string>} options.sources - Only run tasks for these sources (e.g. ["linkedin"])
+ * @param {string} options.trigger - What started the run, saved to run history (e.g. "schedule:daily")
+ * @param {string} options.role - Only run tasks for this role (overrides DAILY_ROLE)
+ * @param {string} options.timeFilter - day, three_days, week or month for every task (default: each task's own)
+ * @param {Function} options.onProgress - Called with { phase, completedTasks, totalTasks, lastTask } as tasks finish
+ * @param {boolean} options.dryRun - Run the whole pipeline but save, record and post nothing; results.preview
+ *   holds what would have been posted per channel (client may be null)
+ * @returns {Promise<object>} scrape results
  */
-async function runComprehensiveScrape(client) {
+function runComprehensiveScrape(client, options = {}) {
+  return withRunId(options.trigger || "manual", () => comprehensiveScrape(client, options));
+}
+
+async function comprehensiveScrape(client, options = {}) {
   const startTime = new Date();
+  const dryRun = options.dryRun === true;
+  const preview = dryRun ? createPreview() : null;
+  // Dry runs never get a client, so nothing below can post
+  const discordClient = dryRun ? null : client;
   const dailyConfig = config.dailyScraping;
   const optimization = dailyConfig.optimization;
+  const roleOverride = options.role || process.env.DAILY_ROLE;
   const requestedRole =
-    process.env.DAILY_ROLE &&
-    ["intern", "new_grad", "both"].includes(process.env.DAILY_ROLE)
-      ? process.env.DAILY_ROLE
+    roleOverride && ["intern", "new_grad", "both"].includes(roleOverride)
+      ? roleOverride
       : "both";
+  const reportProgress = (progress) => options.onProgress && options.onProgress(progress);
 
   const skipLinkedIn = process.env.SKIP_LINKEDIN === "true" || process.env.SKIP_LINKEDIN === "1";
   const runOtherSourcesOnly = process.env.RUN_OTHER_SOURCES_ONLY === "true" || process.env.RUN_OTHER_SOURCES_ONLY === "1";
   const sourcesLabel = runOtherSourcesOnly
     ? "ZipRecruiter, SimplyHired, Glassdoor (LinkedIn, GitHub, JobRight OFF)"
     : skipLinkedIn
-      ? "GitHub (SimplifyJobs), JobRight only (LinkedIn skipped)"
-      : "LinkedIn, GitHub, JobRight";
+      ? "GitHub (SimplifyJobs), ATS boards, JobRight only (LinkedIn skipped)"
+      : "LinkedIn, GitHub, ATS boards, JobRight";
 
-  loggerService.log("🚀 Starting optimized comprehensive job scraping...");
+  loggerService.log(`🚀 Starting optimized comprehensive job scraping${dryRun ? " (dry run: nothing is saved or posted)" : ""}...`);
   if (runOtherSourcesOnly) loggerService.log("🧪 Mode: RUN_OTHER_SOURCES_ONLY — testing other sources only.");
   loggerService.log(`📅 Date: ${startTime.toLocaleDateString()}`);
   loggerService.log(`⏰ Time: ${startTime.toLocaleTimeString()}`);
@@ -599,7 +746,7 @@ async function runComprehensiveScrape(client) {
     `⚡ Optimization: ${optimization.enabled ? "Enabled" : "Disabled"}`
   );
 
-  const logChannel = client.channels.cache.get(config.logChannelId);
+  const logChannel = discordClient ? discordClient.channels.cache.get(config.logChannelId) : null;
 
   // Send start notification
   if (logChannel) {
@@ -645,9 +792,11 @@ async function runComprehensiveScrape(client) {
   }
 
   const results = {
+    runId: null,
     successful: [],
     failed: [],
     skipped: [],
+    tasks: [], // Per-task rows saved to scrape run history
     totalJobsFound: 0,
     startTime: startTime,
     endTime: null,
@@ -678,9 +827,9 @@ async function runComprehensiveScrape(client) {
 
   // When RUN_OTHER_SOURCES_ONLY=true: run only ZipRecruiter, SimplyHired, Glassdoor (WellFound, Dice, CareerJet removed)
   const otherSourceTasks = [
-    { name: "ZipRecruiter", priority: "high", role: "both", scraper: (client, role) => ziprecruiterScraper.scrapeAllJobs(config.ziprecruiter.timeFilters.threeDays, client, "comprehensive", role), jobLimit: dailyConfig.jobLimits.ziprecruiter },
-    { name: "SimplyHired", priority: "medium", role: "both", scraper: (client, role) => simplyhiredScraper.scrapeAllJobs(config.simplyhired.timeFilters.week, client, "comprehensive", role), jobLimit: dailyConfig.jobLimits.simplyhired },
-    { name: "Glassdoor", priority: "medium", role: "both", scraper: (client, role) => glassdoorScraper.scrapeAllJobs("week", client, "comprehensive", role), jobLimit: dailyConfig.jobLimits.glassdoor },
+    { name: "ZipRecruiter", priority: "high", role: "both", scraper: (client, role, timeFilter = "three_days", scrapeOptions) => ziprecruiterScraper.scrapeAllJobs(sourceTimeFilter(config.ziprecruiter.timeFilters, timeFilter), client, "comprehensive", role, scrapeOptions), jobLimit: dailyConfig.jobLimits.ziprecruiter },
+    { name: "SimplyHired", priority: "medium", role: "both", scraper: (client, role, timeFilter = "week", scrapeOptions) => simplyhiredScraper.scrapeAllJobs(sourceTimeFilter(config.simplyhired.timeFilters, timeFilter), client, "comprehensive", role, scrapeOptions), jobLimit: dailyConfig.jobLimits.simplyhired },
+    { name: "Glassdoor", priority: "medium", role: "both", scraper: (client, role, timeFilter = "week", scrapeOptions) => glassdoorScraper.scrapeAllJobs(timeFilter, client, "comprehensive", role, scrapeOptions), jobLimit: dailyConfig.jobLimits.glassdoor },
   ];
 
   // Define scraping tasks with priority and daily limits - now including both roles
@@ -690,12 +839,13 @@ async function runComprehensiveScrape(client) {
       name: "LinkedIn (Internships)",
       priority: "high",
       role: "intern",
-      scraper: (client, role) =>
+      scraper: (client, role, timeFilter = "three_days", scrapeOptions) =>
         linkedinScraper.scrapeAllJobs(
-          config.linkedin.timeFilters.threeDays,
+          sourceTimeFilter(config.linkedin.timeFilters, timeFilter),
           client,
           "comprehensive",
-          role
+          role,
+          scrapeOptions
         ),
       jobLimit: dailyConfig.jobLimits.linkedin,
     },
@@ -703,8 +853,8 @@ async function runComprehensiveScrape(client) {
       name: "GitHub (Internships)",
       priority: "high",
       role: "intern",
-      scraper: (client, role) =>
-        githubScraper.scrapeAllJobs(client, "comprehensive", role, "three_days"),
+      scraper: (client, role, timeFilter = "three_days", scrapeOptions) =>
+        githubScraper.scrapeAllJobs(client, "comprehensive", role, timeFilter, scrapeOptions),
       jobLimit: dailyConfig.jobLimits.github,
     },
 
@@ -713,12 +863,13 @@ async function runComprehensiveScrape(client) {
       name: "LinkedIn (New Grad)",
       priority: "high",
       role: "new_grad",
-      scraper: (client, role) =>
+      scraper: (client, role, timeFilter = "three_days", scrapeOptions) =>
         linkedinScraper.scrapeAllJobs(
-          config.linkedin.timeFilters.threeDays,
+          sourceTimeFilter(config.linkedin.timeFilters, timeFilter),
           client,
           "comprehensive",
-          role
+          role,
+          scrapeOptions
         ),
       jobLimit: dailyConfig.jobLimits.linkedin,
     },
@@ -726,11 +877,21 @@ async function runComprehensiveScrape(client) {
       name: "GitHub (New Grad)",
       priority: "high",
       role: "new_grad",
-      scraper: (client, role) =>
-        githubScraper.scrapeAllJobs(client, "comprehensive", role, "three_days"),
+      scraper: (client, role, timeFilter = "three_days", scrapeOptions) =>
+        githubScraper.scrapeAllJobs(client, "comprehensive", role, timeFilter, scrapeOptions),
       jobLimit: dailyConfig.jobLimits.github,
     },
 
+    // High Priority Sources - Both roles (company ATS boards via public JSON APIs)
+    {
+      name: "ATS (Company Boards)",
+      priority: "high",
+      role: "both",
+      scraper: (client, role, timeFilter = "three_days", scrapeOptions) =>
+        atsScraper.scrapeAllJobs(client, "comprehensive", role, timeFilter, scrapeOptions),
+      jobLimit: dailyConfig.jobLimits.ats,
+    },
+
     // ZipRecruiter disabled - scraper is broken (0 jobs returned, likely site blocking)
     // Re-enable when scraping logic is fixed.
 
@@ -739,8 +900,8 @@ async function runComprehensiveScrape(client) {
       name: "JobRight",
       priority: "low",
       role: "both",
-      scraper: (client, role) =>
-        jobrightScraper.scrapeAllJobs(client, "comprehensive", role, "three_days"),
+      scraper: (client, role, timeFilter = "three_days", scrapeOptions) =>
+        jobrightScraper.scrapeAllJobs(client, "comprehensive", role, timeFilter, scrapeOptions),
       options: {
         skipMongoDedupe: true,
       },
@@ -769,7 +930,12 @@ async function runComprehensiveScrape(client) {
     tasksByRole = tasksToUse.filter(
       (task) => !(task.name || "").toLowerCase().includes("linkedin")
     );
-    loggerService.log(`⏭️ LinkedIn disabled (SKIP_LINKEDIN=true). Running ${tasksByRole.length} sources: GitHub + JobRight only.`);
+    loggerService.log(`⏭️ LinkedIn disabled (SKIP_LINKEDIN=true). Running ${tasksByRole.length} sources: GitHub + ATS + JobRight only.`);
+  }
+
+  if (Array.isArray(options.sources) && options.sources.length > 0) {
+    tasksByRole = tasksByRole.filter((task) => taskMatchesSources(task, options.sources));
+    loggerService.log(`🎯 Source filter enabled: ${options.sources.join(", ")} (${tasksByRole.length} tasks)`);
   }
 
   const filteredTasks =
@@ -804,6 +970,8 @@ async function runComprehensiveScrape(client) {
 
   // Process by priority levels
   const priorityLevels = ["high", "medium", "low"];
+  let completedTasks = 0;
+  reportProgress({ phase: "scraping", completedTasks, totalTasks: filteredTasks.length, lastTask: null });
 
   for (const priority of priorityLevels) {
     const priorityTasks = filteredTasks.filter(
@@ -821,8 +989,28 @@ async function runComprehensiveScrape(client) {
       priorityTasks,
       priority,
       logChannel,
-      client,
-      { dedupeContext, discordSendQueue }
+      discordClient,
+      {
+        dedupeContext,
+        discordSendQueue,
+        timeFilter: options.timeFilter,
+        preview,
+        onTaskComplete: (result) => {
+          completedTasks++;
+          reportProgress({
+            phase: "scraping",
+            completedTasks,
+            totalTasks: filteredTasks.length,
+            lastTask: {
+              name: result.name,
+              role: result.role,
+              jobsFound: result.jobsFound,
+              skipped: !!result.skipped,
+              errorCount: result.errorCount || 0,
+            },
+          });
+        },
+      }
     );
 
     // Process results
@@ -837,6 +1025,7 @@ async function runComprehensiveScrape(client) {
         });
         results.optimizationStats.sourcesSkipped++;
         results.optimizationStats.existingJobsReused += result.jobsFound;
+        results.tasks.push(runHistory.createTaskRecord(result, "skipped"));
       } else if (result.jobsFound > 0) {
         results.successful.push({
           name: result.name,
@@ -847,6 +1036,7 @@ async function runComprehensiveScrape(client) {
         });
         results.optimizationStats.sourcesScraped++;
         results.optimizationStats.newJobsFound += result.jobsFound;
+        results.tasks.push(runHistory.createTaskRecord(result, "success"));
       } else {
         results.failed.push({
           name: result.name,
@@ -854,6 +1044,9 @@ async function runComprehensiveScrape(client) {
           role: result.role,
           reason: result.reason,
         });
+        results.tasks.push(
+          runHistory.createTaskRecord(result, result.errorCount > 0 ? "failed" : "empty")
+        );
       }
 
       // Add source information to jobs
@@ -873,22 +1066,15 @@ async function runComprehensiveScrape(client) {
   }
 
   // Process all collected jobs
+  reportProgress({ phase: "processing", completedTasks, totalTasks: filteredTasks.length });
   loggerService.log(
     `📊 Processing ${allJobs.length} total jobs from all sources...`
   );
 
-  // Filter for relevant jobs - now include both intern and new grad roles
-  // Skip curated sources (github, jobright) whose jobs are already
-  // filtered at the scraper level and whose titles may not contain explicit
-  // intern/new-grad keywords (e.g. GitHub job "Google - Software Engineer")
-  // Use partial matching because task names include suffixes like "(New Grad)"
-  const curatedSourcePrefixes = ["github", "jobright"];
-  const relevantJobs = filterRelevantJobs(allJobs, requestedRole !== "both" ? requestedRole : "both", {
-    skipSourceCheck: (source) =>
-      curatedSourcePrefixes.some((prefix) =>
-        (source || "").toLowerCase().startsWith(prefix)
-      ),
-  });
+  // Filter for relevant jobs - now include both intern and new grad roles.
+  // Curated sources (github, jobright) are exempted by config.jobFiltering.sources;
+  // task names like "github (new grad)" resolve to their source by prefix
+  const relevantJobs = filterRelevantJobs(allJobs, requestedRole !== "both" ? requestedRole : "both");
   loggerService.log(`✅ Filtered to ${relevantJobs.length} relevant jobs`);
 
   // Deduplicate jobs across all sources
@@ -996,6 +1182,34 @@ async function runComprehensiveScrape(client) {
   loggerService.log("  Date range covered: each source uses its own time filter (day / 3 days / week / month)");
   loggerService.log("═══════════════════════════════════════════════════════════");
 
+  if (dryRun) {
+    preview.totals = {
+      collectedJobs: allJobs.length,
+      relevantJobs: relevantJobs.length,
+      uniqueJobs: uniqueJobs.length,
+      dailyNewJobs: dailyUniqueJobs.length,
+    };
+    results.dryRun = true;
+    results.preview = preview;
+    return results;
+  }
+
+  results.runId = await runHistory.recordRun({
+    trigger: options.trigger || "manual",
+    startedAt: startTime,
+    endedAt: runEnd,
+    tasks: results.tasks,
+    totals: {
+      collectedJobs: allJobs.length,
+      relevantJobs: relevantJobs.length,
+      uniqueJobs: uniqueJobs.length,
+      dailyNewJobs: dailyUniqueJobs.length,
+      scrapeDurationSec: duration,
+      postingDurationSec,
+      optimizationStats: results.optimizationStats,
+    },
+  });
+
   return results;
 }
 
@@ -1014,6 +1228,11 @@ function showUsage() {
 🔹 Run specific source scraping:
    node scrape.js <source_name>
 
+🔹 Dry run (scrape, filter, dedupe and route, then print what would be posted
+   per channel; nothing is saved to MongoDB and Discord is never contacted):
+   node scrape.js --dry-run
+   node scrape.js <source_name> --dry-run
+
 📋 Available sources:
    ${availableSources}
 
@@ -1021,6 +1240,8 @@ function showUsage() {
    node scrape.js linkedin              # LinkedIn comprehensive (past week focus)
    node scrape.js github                # GitHub repositories
    node scrape.js ziprecruiter          # ZipRecruiter jobs
+   node scrape.js ats                   # Company ATS boards (Greenhouse, Lever, Ashby)
+   node scrape.js linkedin --dry-run    # Preview LinkedIn posts without saving or sending
 
 🎓 Job Types Included:
    • Internships (intern, co-op, student positions)
@@ -1036,16 +1257,96 @@ function showUsage() {
   `);
 }
 
+/**
+ * Parse command line arguments: an optional source name plus flags
+ * @param {Array<string>} args - process.argv.slice(2)
+ * @returns {object} { command, dryRun, help }
+ */
+function parseArgs(args) {
+  return {
+    command: args.find((arg) => !arg.startsWith("-")),
+    dryRun: args.includes("--dry-run"),
+    help: args.some((arg) => ["help", "--help", "-h"].includes(arg)),
+  };
+}
+
+/**
+ * Connect to MongoDB, run the requested scrape, then shut down
+ * @param {string} command - Source name, or undefined for the comprehensive scrape
+ * @param {object|null} client - Logged-in Discord client (null for dry runs)
+ * @param {boolean} dryRun - Print what would be posted instead of saving and posting
+ */
+async function runFromCli(command, client, dryRun) {
+  // Connect to MongoDB and load cache (dry runs only read, to dedupe against known jobs)
+  const mongoConnected = await mongoService.connect();
+  if (!mongoConnected) {
+    loggerService.log(
+      "MongoDB connection failed, falling back to file cache",
+      "error"
+    );
+  }
+
+  await mongoService.loadCache();
+  loggerService.log("Job cache loaded successfully");
+
+  try {
+    let results;
+
+    if (command) {
+      // Run specific scraper
+      loggerService.log(`🎯 Running specific scraper: ${command}`);
+      results = await runSpecificScraper(command, client, { trigger: "cli", dryRun });
+
+      if (results.success) {
+        loggerService.log(`🎉 ${command} scraping completed successfully`);
+      } else {
+        loggerService.log(
+          `❌ ${command} scraping failed: ${results.error}`,
+          "error"
+        );
+      }
+    } else {
+      // Run comprehensive scraping (all sources with optimization)
+      loggerService.log(
+        "🚀 No specific source provided, running optimized comprehensive scraping"
+      );
+      results = await runComprehensiveScrape(client, { trigger: "cli", dryRun });
+
+      loggerService.log("🎉 All scraping tasks completed");
+      loggerService.log(
+        `Final results: ${results.successful.length} successful, ${results.failed.length} failed, ${results.skipped.length} skipped`
+      );
+    }
+
+    if (results.preview) {
+      console.log(`\n${formatPreviewText(results.preview)}`);
+    }
+  } catch (error) {
+    loggerService.log(`Error during scraping: ${error.message}`, "error");
+  } finally {
+    loggerService.log("Shutting down: closing MongoDB and Discord client...");
+    await mongoService.close();
+    if (client) {
+      try {
+        await client.destroy();
+      } catch (e) {
+        loggerService.log(`Discord client destroy: ${e.message}`, "warn");
+      }
+    }
+    await new Promise((r) => setTimeout(r, 1500));
+    process.exit(0);
+  }
+}
+
 /**
  * Main scraper function
  */
 async function runScraper() {
   // Parse command line arguments
-  const args = process.argv.slice(2);
-  const command = args[0];
+  const { command, dryRun, help } = parseArgs(process.argv.slice(2));
 
   // Handle help command
-  if (command === "help" || command === "--help" || command === "-h") {
+  if (help) {
     showUsage();
     process.exit(0);
   }
@@ -1057,6 +1358,12 @@ async function runScraper() {
     process.exit(1);
   }
 
+  // Dry runs never log in to Discord, so nothing can be posted
+  if (dryRun) {
+    await runFromCli(command, null, true);
+    return;
+  }
+
   const client = new Client({ intents: [GatewayIntentBits.Guilds] });
   setShutdownClient(client);
 
@@ -1065,60 +1372,7 @@ async function runScraper() {
 
     client.once("ready", async () => {
       loggerService.log(`Scraper logged in as ${client.user.tag}`);
-
-      // Connect to MongoDB and load cache
-      const mongoConnected = await mongoService.connect();
-      if (!mongoConnected) {
-        loggerService.log(
-          "MongoDB connection failed, falling back to file cache",
-          "error"
-        );
-      }
-
-      await mongoService.loadCache();
-      loggerService.log("Job cache loaded successfully");
-
-      try {
-        let results;
-
-        if (command) {
-          // Run specific scraper
-          loggerService.log(`🎯 Running specific scraper: ${command}`);
-          results = await runSpecificScraper(command, client);
-
-          if (results.success) {
-            loggerService.log(`🎉 ${command} scraping completed successfully`);
-          } else {
-            loggerService.log(
-              `❌ ${command} scraping failed: ${results.error}`,
-              "error"
-            );
-          }
-        } else {
-          // Run comprehensive scraping (all sources with optimization)
-          loggerService.log(
-            "🚀 No specific source provided, running optimized comprehensive scraping"
-          );
-          results = await runComprehensiveScrape(client);
-
-          loggerService.log("🎉 All scraping tasks completed");
-          loggerService.log(
-            `Final results: ${results.successful.length} successful, ${results.failed.length} failed, ${results.skipped.length} skipped`
-          );
-        }
-      } catch (error) {
-        loggerService.log(`Error during scraping: ${error.message}`, "error");
-      } finally {
-        loggerService.log("Shutting down: closing MongoDB and Discord client...");
-        await mongoService.close();
-        try {
-          await client.destroy();
-        } catch (e) {
-          loggerService.log(`Discord client destroy: ${e.message}`, "warn");
-        }
-        await new Promise((r) => setTimeout(r, 1500));
-        process.exit(0);
-      }
+      await runFromCli(command, client, false);
     });
   } catch (error) {
     loggerService.log(`Error starting scraper: ${error.message}`, "error");
@@ -1159,21 +1413,19 @@ process.on("SIGTERM", async () => {
 
 module.exports = {
   runComprehensiveScrape,
+  runSpecificScraper,
+  availableScrapers,
 };
 
 // Run the scraper only when executed directly
 if (require.main === module) {
-  if (
-    process.argv.slice(2).length > 0 &&
-    process.argv.slice(2)[0] !== "help" &&
-    process.argv.slice(2)[0] !== "--help" &&
-    process.argv.slice(2)[0] !== "-h"
-  ) {
+  const { command, dryRun, help } = parseArgs(process.argv.slice(2));
+  if (command && !help) {
     loggerService.log(
-      `🎯 Initializing specific scraper for: ${process.argv.slice(2)[0]}...`
+      `🎯 Initializing specific scraper for: ${command}${dryRun ? " (dry run)" : ""}...`
     );
-  } else {
-    loggerService.log("🚀 Initializing optimized comprehensive job scraper...");
+  } else if (!help) {
+    loggerService.log(`🚀 Initializing optimized comprehensive job scraper${dryRun ? " (dry run)" : ""}...`);
   }
   runScraper();
 }
@@ -0,0 +1,348 @@
+const https = require("https");
+const config = require("../config");
+const logger = require("../services/logger").child({ source: "ats" });
+const mongoService = require("../services/mongo");
+const {
+  delay,
+  generateJobId,
+  filterRelevantJobs,
+  filterJobsByDate,
+  categorizeJob,
+  sendJobsToDiscord,
+} = require("../utils/helpers");
+
+const SOURCE_NAME = "ATS (Company Boards)";
+
+// Public job board endpoints per ATS (no auth required)
+const BOARD_URLS = {
+  greenhouse: (token) =>
+    `https://boards-api.greenhouse.io/v1/boards/${encodeURIComponent(token)}/jobs?content=true`,
+  lever: (token) =>
+    `https://api.lever.co/v0/postings/${encodeURIComponent(token)}?mode=json`,
+  ashby: (token) =>
+    `https://api.ashbyhq.com/posting-api/job-board/${encodeURIComponent(token)}`,
+};
+
+/**
+ * Default HTTP layer: GET a URL and parse the JSON body
+ * @param {string} url - URL to fetch
+ * @param {number} redirectsLeft - Redirects still allowed
+ * @returns {Promise<object>} Parsed JSON
+ */
+function defaultHttpGetJson(url, redirectsLeft = 2) {
+  return new Promise((resolve, reject) => {
+    const req = https.get(
+      url,
+      {
+        headers: {
+          Accept: "application/json",
+          "User-Agent": "Mozilla/5.0 (compatible; JobScraperBot/1.0)",
+        },
+      },
+      (res) => {
+        if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirectsLeft > 0) {
+          res.resume();
+          resolve(defaultHttpGetJson(new URL(res.headers.location, url).toString(), redirectsLeft - 1));
+          return;
+        }
+        if (res.statusCode !== 200) {
+          res.resume();
+          reject(new Error(`HTTP ${res.statusCode} for ${url}`));
+          return;
+        }
+
+        let data = "";
+        res.on("data", (chunk) => {
+          data += chunk;
+        });
+        res.on("end", () => {
+          try {
+            resolve(JSON.parse(data));
+          } catch (error) {
+            reject(new Error(`Invalid JSON from ${url}: ${error.message}`));
+          }
+        });
+      }
+    );
+    req.setTimeout(config.ats?.requestTimeoutMs || 15000, () => {
+      req.destroy(new Error(`Timeout fetching ${url}`));
+    });
+    req.on("error", reject);
+  });
+}
+
+// Pluggable HTTP layer so tests can serve recorded fixture responses
+let httpGetJson = defaultHttpGetJson;
+
+/**
+ * Replace the HTTP layer (e.g. with a fixture reader in tests)
+ * @param {Function|null} fn - async (url) => parsed JSON; null restores the default
+ */
+function setHttpClient(fn) {
+  httpGetJson = typeof fn === "function" ? fn : defaultHttpGetJson;
+}
+
+/**
+ * Decode the handful of HTML entities the board APIs emit
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Turn HTML into plain text. Greenhouse content is entity-escaped HTML whose
+ * text is itself entity-encoded, so decode once before and once after stripping tags.
+ * @param {string} html - HTML or escaped HTML
+ * @returns {string} Plain text, truncated for storage
+ */
+function htmlToText(html) {
+  if (!html) return "";
+  return decodeEntities(decodeEntities(html).replace(/<[^>]+>/g, " "))
+    .replace(/\s+/g, " ")
+    .trim()
+    .substring(0, 2000);
+}
+
+/**
+ * Format a timestamp (ISO string or epoch ms) as YYYY-MM-DD
+ * @param {string|number} value - Timestamp
+ * @returns {string} Date string or "" if unparseable
+ */
+function toDateString(value) {
+  if (!value) return "";
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? "" : date.toISOString().split("T")[0];
+}
+
+/**
+ * Finish a parsed posting: shared fields and ids
+ * @param {object} job - Partially built job
+ * @param {object} company - Watchlist entry ({ name, board, token })
+ * @returns {object} Job object in the shape the other scrapers produce
+ */
+function finalizeJob(job, company) {
+  const finished = {
+    ...job,
+    company: company.name,
+    source: "ats",
+    atsBoard: company.board,
+  };
+  finished.id = generateJobId(finished);
+  finished.normalizedId = finished.id;
+  return finished;
+}
+
+/**
+ * Parse a Greenhouse board response ({ jobs: [...] })
+ * @param {object} data - Board API response
+ * @param {object} company - Watchlist entry
+ * @returns {Array} Jobs
+ */
+function parseGreenhouseJobs(data, company) {
+  return (data?.jobs || [])
+    .filter((posting) => posting.title && posting.absolute_url)
+    .map((posting) =>
+      finalizeJob(
+        {
+          title: posting.title.trim(),
+          location: posting.location?.name || "Not specified",
+          url: posting.absolute_url,
+          postedDate: toDateString(posting.first_published || posting.updated_at),
+          description: htmlToText(posting.content),
+          department: posting.departments?.[0]?.name || "",
+          atsJobId: String(posting.id),
+        },
+        company
+      )
+    );
+}
+
+/**
+ * Parse a Lever postings response ([...])
+ * @param {Array} data - Postings API response
+ * @param {object} company - Watchlist entry
+ * @returns {Array} Jobs
+ */
+function parseLeverJobs(data, company) {
+  return (Array.isArray(data) ? data : [])
+    .filter((posting) => posting.text && posting.hostedUrl)
+    .map((posting) =>
+      finalizeJob(
+        {
+          title: posting.text.trim(),
+          location: posting.categories?.location || "Not specified",
+          url: posting.hostedUrl,
+          postedDate: toDateString(posting.createdAt),
+          description: (posting.descriptionPlain || "").substring(0, 2000),
+          department: posting.categories?.team || "",
+          workModel: posting.workplaceType || "",
+          atsJobId: String(posting.id),
+        },
+        company
+      )
+    );
+}
+
+/**
+ * Parse an Ashby job board response ({ jobs: [...] })
+ * @param {object} data - Job board API response
+ * @param {object} company - Watchlist entry
+ * @returns {Array} Jobs
+ */
+function parseAshbyJobs(data, company) {
+  return (data?.jobs || [])
+    .filter((posting) => posting.title && posting.jobUrl && posting.isListed !== false)
+    .map((posting) =>
+      finalizeJob(
+        {
+          title: posting.title.trim(),
+          location: posting.location || "Not specified",
+          url: posting.jobUrl,
+          postedDate: toDateString(posting.publishedAt),
+          description: (posting.descriptionPlain || "").substring(0, 2000),
+          department: posting.department || "",
+          workModel: posting.workplaceType || (posting.isRemote ? "Remote" : ""),
+          atsJobId: String(posting.id),
+        },
+        company
+      )
+    );
+}
+
+const BOARD_PARSERS = {
+  greenhouse: parseGreenhouseJobs,
+  lever: parseLeverJobs,
+  ashby: parseAshbyJobs,
+};
+
+/**
+ * Fetch and parse every posting on one company's board
+ * @param {object} company - Watchlist entry ({ name, board, token })
+ * @returns {Promise<Array>} Jobs
+ */
+async function fetchCompanyJobs(company) {
+  const board = (company.board || "").toLowerCase();
+  if (!BOARD_URLS[board]) {
+    throw new Error(`Unsupported ATS board "${company.board}" for ${company.name}`);
+  }
+  const data = await httpGetJson(BOARD_URLS[board](company.token));
+  return BOARD_PARSERS[board](data, { ...company, board });
+}
+
+/**
+ * Main function to scrape all watchlist company boards
+ * @param {object} client - Discord client (optional, if null won't post to Discord)
+ * @param {string} mode - Scraping mode: "discord" or "comprehensive"
+ * @param {string} role - Role type: "intern", "new_grad" or "both"
+ * @param {string} timeFilter - Time filter for date filtering ("day", "three_days", "week", "month")
+ * @param {object} options - Optional settings
+ * @param {string} options.company - Only scrape this watchlist company (name or token)
+ * @param {boolean} options.dryRun - Scrape and filter without saving jobs to MongoDB
+ * @returns {object} Status object with jobs array
+ */
+async function scrapeAllJobs(client, mode = "discord", role = "both", timeFilter = "week", options = {}) {
+  const lastRunStatus = {
+    lastRun: new Date(),
+    success: false,
+    errorCount: 0,
+    jobsFound: 0,
+    jobs: [],
+  };
+
+  logger.log("Starting ATS board scraping process");
+
+  try {
+    let companies = config.ats?.companies || [];
+    if (options.company) {
+      const wanted = options.company.toLowerCase();
+      companies = companies.filter(
+        (company) => company.name.toLowerCase() === wanted || company.token.toLowerCase() === wanted
+      );
+    }
+
+    if (companies.length === 0) {
+      logger.log(`No ATS companies to scrape${options.company ? ` matching "${options.company}"` : ""}`, "warn");
+      lastRunStatus.success = true;
+      return lastRunStatus;
+    }
+
+    if (client && mode === "discord") {
+      const defaultChannel = client.channels.cache.get(config.logChannelId);
+      if (defaultChannel) {
+        await defaultChannel.send(`ATS boards - checking ${companies.length} compan${companies.length === 1 ? "y" : "ies"}...`);
+      }
+    }
+
+    const allJobs = [];
+    for (const company of companies) {
+      try {
+        const companyJobs = await fetchCompanyJobs(company);
+        logger.log(`📋 ${company.name} (${company.board}): ${companyJobs.length} postings`);
+        allJobs.push(...companyJobs);
+      } catch (error) {
+        lastRunStatus.errorCount++;
+        logger.log(`Error fetching ${company.name} ${company.board} board: ${error.message}`, "error");
+      }
+      await delay(config.ats?.delayBetweenCompaniesMs ?? 500);
+    }
+
+    // Boards list every opening, so filter before categorizing (categorizeJob logs per job)
+    const relevantJobs = filterJobsByDate(filterRelevantJobs(allJobs, role), timeFilter).map(
+      (job) => ({ ...job, category: categorizeJob(job) })
+    );
+    const newJobs = relevantJobs.filter((job) => !mongoService.jobExists(job.id, "ats"));
+
+    const jobLimit =
+      mode === "comprehensive"
+        ? config.ats?.jobLimits?.comprehensive || 150
+        : config.ats?.jobLimits?.discord || 15;
+    const jobsToSend = newJobs.slice(0, jobLimit);
+
+    if (jobsToSend.length > 0 && !options.dryRun) {
+      await mongoService.addJobs(jobsToSend, "ats");
+    }
+    lastRunStatus.jobsFound = jobsToSend.length;
+    lastRunStatus.jobs = relevantJobs;
+
+    if (client && mode === "discord") {
+      if (jobsToSend.length > 0) {
+        await sendJobsToDiscord(jobsToSend, client, SOURCE_NAME, role, delay);
+      }
+      const defaultChannel = client.channels.cache.get(config.logChannelId);
+      if (defaultChannel) {
+        await defaultChannel.send(
+          `ATS board scraping complete. Found ${jobsToSend.length} new posts${lastRunStatus.errorCount > 0 ? ` (${lastRunStatus.errorCount} boards failed)` : ""}.`
+        );
+      }
+    }
+
+    lastRunStatus.success = true;
+    logger.log(
+      `ATS scraping completed. ${allJobs.length} postings, ${relevantJobs.length} relevant, ${jobsToSend.length} new.`
+    );
+    return lastRunStatus;
+  } catch (error) {
+    lastRunStatus.success = false;
+    lastRunStatus.errorCount++;
+    logger.log(`Critical error in ATS scrapeAllJobs: ${error.message}`, "error");
+    return lastRunStatus;
+  }
+}
+
+module.exports = {
+  scrapeAllJobs,
+  fetchCompanyJobs,
+  parseGreenhouseJobs,
+  parseLeverJobs,
+  parseAshbyJobs,
+  setHttpClient,
+  SOURCE_NAME,
+};
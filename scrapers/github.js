@@ -2,10 +2,173 @@ const puppeteer = require("puppeteer-extra");
 const StealthPlugin = require("puppeteer-extra-plugin-stealth");
 puppeteer.use(StealthPlugin());
 const config = require("../config");
-const logger = require("../services/logger");
+const logger = require("../services/logger").child({ source: "github" });
 const mongoService = require("../services/mongo");
 const { EmbedBuilder } = require("discord.js");
-const { delay, filterRelevantJobs, filterJobsByDate, sendJobsToDiscord } = require("../utils/helpers");
+const { delay, filterRelevantJobs, filterJobsByDate, sendJobsToDiscord, evaluateParser } = require("../utils/helpers");
+const jobLiveness = require("../services/jobLiveness");
+
+/**
+ * Walk the README tables of a curated GitHub job repo. Rows under a recognised
+ * h2 section get that section's category; otherwise the first table is used.
+ * Runs inside the browser via evaluateParser, so it must stay self-contained.
+ * @param {Document|Element} root - Page document (or a fixture DOM in tests)
+ * @param {string} repoUrl - Repository URL stored on each post
+ * @returns {Array} Array of raw posts ({ repo, company, role, location, link, date, category, closed,
+ *   noSponsorship, requiresCitizenship })
+ */
+function parseReadmeTables(root, repoUrl) {
+  // innerText in the browser; textContent where layout isn't available (fixtures)
+  const cellText = (el) => (el.innerText ?? el.textContent ?? "").trim();
+  // Curated lists mark roles that don't sponsor visas (🛂) or need US citizenship (🇺🇸)
+  const readMarkers = (companyCell, roleCell) => {
+    const text = `${cellText(companyCell)} ${cellText(roleCell)}`;
+    return { noSponsorship: text.includes("🛂"), requiresCitizenship: text.includes("🇺🇸") };
+  };
+  const stripMarkers = (text) => text.replace(/🛂|🇺🇸/g, "").replace(/\s{2,}/g, " ").trim();
+  const results = [];
+  const markdownBody = root.querySelector(".markdown-body");
+  if (!markdownBody) return [];
+
+  // Define the sections we are interested in and their mapping to our categories
+  const targetSections = {
+    "software engineering": "software_engineering",
+    "data science": "data_science_engineer",
+    "ai & machine learning": "data_science_engineer",
+    "machine learning": "data_science_engineer",
+    "data analysis": "data_analysis",
+    "business analyst": "data_analysis"
+  };
+
+  // Find all h2 headers which define categories in Pitt CSC / PittCSC Pitt CSCPitt Pitt CSC repo
+  const headers = Array.from(markdownBody.querySelectorAll("h2"));
+
+  for (const header of headers) {
+    const headerText = cellText(header).toLowerCase();
+    let category = null;
+
+    // Check if this header matches any of our target sections
+    for (const [key, val] of Object.entries(targetSections)) {
+      if (headerText.includes(key)) {
+        category = val;
+        break;
+      }
+    }
+
+    if (!category) continue;
+
+    // Find the next table after this header
+    let nextElement = header.nextElementSibling;
+    while (nextElement && nextElement.tagName !== "TABLE" && nextElement.tagName !== "H2") {
+      nextElement = nextElement.nextElementSibling;
+    }
+
+    if (nextElement && nextElement.tagName === "TABLE") {
+      const rows = Array.from(nextElement.querySelectorAll("tbody tr"));
+
+      rows.forEach((tr) => {
+        const cells = Array.from(tr.querySelectorAll("td"));
+        if (cells.length < 5) return;
+
+        const companyAnchor = cells[0].querySelector("a");
+        const company = stripMarkers(cellText(companyAnchor || cells[0]));
+        const role = stripMarkers(cellText(cells[1]));
+        const location = cellText(cells[2]);
+        const linkAnchor = cells[3].querySelector("a");
+        const link = linkAnchor ? linkAnchor.href : "";
+        const datePosted = cells[4] ? cellText(cells[4]) : "";
+        // Curated repos replace the apply link with 🔒 once a role stops taking applications
+        const closed = cellText(cells[3]).includes("🔒");
+
+        if (!company || !role || !datePosted) return;
+
+        results.push({
+          repo: repoUrl,
+          company,
+          role,
+          location,
+          link,
+          date: datePosted,
+          category, // Store the category we found from the header
+          closed,
+          ...readMarkers(cells[0], cells[1])
+        });
+      });
+    }
+  }
+
+  // Fallback: if no sections were matched (e.g. different repo format), just get the first table
+  if (results.length === 0) {
+    const table = root.querySelector(".markdown-body table");
+    if (table) {
+      const rows = Array.from(table.querySelectorAll("tbody tr"));
+      rows.forEach((tr) => {
+        const cells = Array.from(tr.querySelectorAll("td"));
+        if (cells.length >= 5) {
+          const company = stripMarkers(cellText(cells[0]));
+          const role = stripMarkers(cellText(cells[1]));
+          const datePosted = cells[4] ? cellText(cells[4]) : "";
+          if (company && role && datePosted) {
+            results.push({
+              repo: repoUrl,
+              company,
+              role,
+              location: cellText(cells[2]),
+              link: cells[3].querySelector("a")?.href || "",
+              date: datePosted,
+              closed: cellText(cells[3]).includes("🔒"),
+              ...readMarkers(cells[0], cells[1])
+            });
+          }
+        }
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Convert raw README posts to our standard job object format
+ * @param {Array} posts - Posts from parseReadmeTables
+ * @param {object} repo - Repository configuration object
+ * @param {string} role - Fallback role when the repo config has no type
+ * @returns {Array} Array of job objects
+ */
+function postsToJobs(posts, repo, role = "intern") {
+  return posts.map((post) => {
+    // Build a composite key as repoName_company_date (lower-cased)
+    const compositeKey = (
+      repo.name +
+      "_" +
+      post.company +
+      "_" +
+      post.date
+    ).toLowerCase();
+
+    return {
+      id: compositeKey,
+      title: `${post.company} - ${post.role}`,
+      company: post.company,
+      location: post.location,
+      url: post.link || repo.url,
+      postedDate: post.date,
+      description: `Role: ${post.role} | Location: ${post.location}`,
+      metadata: "",
+      salary: "",
+      workModel: "",
+      source: "github",
+      role: repo.type || role,
+      category: post.category || repo.category, // Use category from header or repo config
+      repoUrl: repo.url,
+      closed: !!post.closed,
+      // The list's own 🛂 / 🇺🇸 markers are authoritative (see classifyWorkAuthorization)
+      ...(post.noSponsorship || post.requiresCitizenship
+        ? { sponsorship: "no", requiresCitizenship: !!post.requiresCitizenship, sponsorshipSource: "marker" }
+        : {}),
+    };
+  });
+}
 
 /**
  * Scrape a GitHub repository for job listings
@@ -40,136 +203,14 @@ async function scrapeGithubRepo(repo, role = "intern", timeFilter = "day") {
     await page.waitForSelector(".markdown-body table", { timeout: 15000 });
     await delay(3000);
 
-    const posts = await page.evaluate((repoUrl) => {
-      const results = [];
-      const markdownBody = document.querySelector(".markdown-body");
-      if (!markdownBody) return [];
-
-      // Define the sections we are interested in and their mapping to our categories
-      const targetSections = {
-        "software engineering": "software_engineering",
-        "data science": "data_science_engineer",
-        "ai & machine learning": "data_science_engineer",
-        "machine learning": "data_science_engineer",
-        "data analysis": "data_analysis",
-        "business analyst": "data_analysis"
-      };
-
-      // Find all h2 headers which define categories in Pitt CSC / PittCSC Pitt CSCPitt Pitt CSC repo
-      const headers = Array.from(markdownBody.querySelectorAll("h2"));
-      
-      for (const header of headers) {
-        const headerText = header.innerText.toLowerCase();
-        let category = null;
-
-        // Check if this header matches any of our target sections
-        for (const [key, val] of Object.entries(targetSections)) {
-          if (headerText.includes(key)) {
-            category = val;
-            break;
-          }
-        }
-
-        if (!category) continue;
-
-        // Find the next table after this header
-        let nextElement = header.nextElementSibling;
-        while (nextElement && nextElement.tagName !== "TABLE" && nextElement.tagName !== "H2") {
-          nextElement = nextElement.nextElementSibling;
-        }
-
-        if (nextElement && nextElement.tagName === "TABLE") {
-          const rows = Array.from(nextElement.querySelectorAll("tbody tr"));
-          
-          rows.forEach((tr) => {
-            const cells = Array.from(tr.querySelectorAll("td"));
-            if (cells.length < 5) return;
-
-            const companyAnchor = cells[0].querySelector("a");
-            const company = companyAnchor
-              ? companyAnchor.innerText.trim()
-              : cells[0].innerText.trim();
-            const role = cells[1].innerText.trim();
-            const location = cells[2].innerText.trim();
-            const linkAnchor = cells[3].querySelector("a");
-            const link = linkAnchor ? linkAnchor.href : "";
-            const datePosted = cells[4] ? cells[4].innerText.trim() : "";
-            
-            if (!company || !role || !datePosted) return;
-
-            results.push({
-              repo: repoUrl,
-              company,
-              role,
-              location,
-              link,
-              date: datePosted,
-              category // Store the category we found from the header
-            });
-          });
-        }
-      }
-
-      // Fallback: if no sections were matched (e.g. different repo format), just get the first table
-      if (results.length === 0) {
-        const table = document.querySelector(".markdown-body table");
-        if (table) {
-          const rows = Array.from(table.querySelectorAll("tbody tr"));
-          rows.forEach((tr) => {
-            const cells = Array.from(tr.querySelectorAll("td"));
-            if (cells.length >= 5) {
-              const company = cells[0].innerText.trim();
-              const role = cells[1].innerText.trim();
-              const datePosted = cells[4] ? cells[4].innerText.trim() : "";
-              if (company && role && datePosted) {
-                results.push({
-                  repo: repoUrl,
-                  company,
-                  role,
-                  location: cells[2].innerText.trim(),
-                  link: cells[3].querySelector("a")?.href || "",
-                  date: datePosted
-                });
-              }
-            }
-          });
-        }
-      }
-
-      return results;
-    }, repo.url);
+    const posts = await evaluateParser(page, parseReadmeTables, repo.url);
 
     logger.log(`Found ${posts.length} post(s) in repo ${repo.name}.`);
     await browser.close();
 
-    // Process the posts to match our standard job object format
-    let processedPosts = posts.map((post) => {
-      // Build a composite key as repoName_company_date (lower-cased)
-      const compositeKey = (
-        repo.name +
-        "_" +
-        post.company +
-        "_" +
-        post.date
-      ).toLowerCase();
-
-      return {
-        id: compositeKey,
-        title: `${post.company} - ${post.role}`,
-        company: post.company,
-        location: post.location,
-        url: post.link || repo.url,
-        postedDate: post.date,
-        description: `Role: ${post.role} | Location: ${post.location}`,
-        metadata: "",
-        salary: "",
-        workModel: "",
-        source: "github",
-        role: repo.type || role,
-        category: post.category || repo.category, // Use category from header or repo config
-        repoUrl: repo.url,
-      };
-    });
+    // Process the posts to match our standard job object format; relevance rules for
+    // curated repos are set in config.jobFiltering.sources.github (skipped by default)
+    let processedPosts = filterRelevantJobs(postsToJobs(posts, repo, role), role);
 
     // Curated repos (SimplifyJobs, JobRight) use age markers like "0d", "1d", "2d"
     // which are already relative dates. Apply a generous filter for curated repos
@@ -214,9 +255,11 @@ async function scrapeGithubRepo(repo, role = "intern", timeFilter = "day") {
  * @param {string} mode - Scraping mode: "discord" or "comprehensive"
  * @param {string} role - Job role to filter for
  * @param {string} timeFilter - Time filter for date filtering ("day", "three_days", "week", "month")
+ * @param {object} options - Optional settings
+ * @param {boolean} options.dryRun - Scrape and filter without saving jobs to MongoDB
  * @returns {object} Result object with jobs array
  */
-async function scrapeRepoAndSend(repo, client, mode = "discord", role = "intern", timeFilter = "day") {
+async function scrapeRepoAndSend(repo, client, mode = "discord", role = "intern", timeFilter = "day", options = {}) {
   const result = {
     lastRun: new Date(),
     success: false,
@@ -233,7 +276,16 @@ async function scrapeRepoAndSend(repo, client, mode = "discord", role = "intern"
       return result;
     }
 
-    const posts = await scrapeGithubRepo(repo, role, timeFilter);
+    const scrapedPosts = await scrapeGithubRepo(repo, role, timeFilter);
+
+    // 🔒 rows are closed: never post them, and close any we posted while they were open
+    const closedPosts = (scrapedPosts || []).filter((post) => post.closed);
+    const posts = (scrapedPosts || []).filter((post) => !post.closed);
+    if (closedPosts.length > 0) {
+      const closedCount = await jobLiveness.closeJobs(closedPosts, `Marked closed (🔒) in ${repo.name}`, client);
+      logger.log(`🔒 ${repo.name}: ${closedPosts.length} closed row(s), ${closedCount} previously open job(s) closed`);
+    }
+
     if (!posts || posts.length === 0) {
       logger.log(`No posts found in repo ${repo.name}`);
       if (client && mode === "discord") {
@@ -271,7 +323,9 @@ async function scrapeRepoAndSend(repo, client, mode = "discord", role = "intern"
     const postsToSend = newPosts.slice(0, maxJobsForRepo);
 
     // Add jobs to MongoDB cache
-    await mongoService.addJobs(postsToSend, "github");
+    if (!options.dryRun) {
+      await mongoService.addJobs(postsToSend, "github");
+    }
     result.jobsFound = postsToSend.length;
     
     // Add all posts to the jobs array (not just new ones)
@@ -298,9 +352,11 @@ async function scrapeRepoAndSend(repo, client, mode = "discord", role = "intern"
  * @param {string} mode - Scraping mode: "discord" or "comprehensive"
  * @param {string} role - Role type: "intern" or "new grad"
  * @param {string} timeFilter - Time filter for date filtering ("day", "three_days", "week", "month")
+ * @param {object} options - Optional settings
+ * @param {boolean} options.dryRun - Scrape and filter without saving jobs to MongoDB
  * @returns {object} Status object with jobs array
  */
-async function scrapeAllJobs(client, mode = "discord", role = "both", timeFilter = "day") {
+async function scrapeAllJobs(client, mode = "discord", role = "both", timeFilter = "day", options = {}) {
   const lastRunStatus = {
     lastRun: new Date(),
     success: false,
@@ -331,7 +387,7 @@ async function scrapeAllJobs(client, mode = "discord", role = "both", timeFilter
 
     // Process each repo and collect results
     for (const repo of reposToScrape) {
-      const repoResult = await scrapeRepoAndSend(repo, client, mode, role, timeFilter);
+      const repoResult = await scrapeRepoAndSend(repo, client, mode, role, timeFilter, options);
       lastRunStatus.jobsFound += repoResult.jobsFound;
       lastRunStatus.errorCount += repoResult.errorCount;
       
@@ -423,4 +479,6 @@ module.exports = {
   scrapeSpecificRepo,
   scrapeRepository,
   scrapeGithubRepo,
+  parseReadmeTables,
+  postsToJobs,
 };
@@ -3,10 +3,10 @@ const StealthPlugin = require("puppeteer-extra-plugin-stealth");
 puppeteer.use(StealthPlugin());
 const fs = require("fs");
 const config = require("../config");
-const logger = require("../services/logger");
+const logger = require("../services/logger").child({ source: "glassdoor" });
 const mongoService = require("../services/mongo");
 const { EmbedBuilder } = require("discord.js");
-const { delay, filterRelevantJobs } = require("../utils/helpers");
+const { delay, filterRelevantJobs, evaluateParser } = require("../utils/helpers");
 const { getPuppeteerLaunchOptions } = require("../utils/puppeteerLaunch");
 
 /**
@@ -35,6 +35,233 @@ function buildGlassdoorSearchUrl(keyword, location) {
   return `https://www.glassdoor.com/Job/${locSlug}-${kwSlug}-jobs-SRCH_IL.0,2_IN1_KO3,20.htm`;
 }
 
+/**
+ * Extract partner and regular job listings from a Glassdoor search results page.
+ * Runs inside the browser via evaluateParser, so it must stay self-contained.
+ * @param {Document|Element} root - Page document (or a fixture DOM in tests)
+ * @param {number} maxJobs - Maximum number of listings to read per listing type
+ * @returns {Array} Array of job objects
+ */
+function parseGlassdoorJobListings(root, maxJobs) {
+  const results = [];
+
+  // Simple hash function for stable ID generation
+  function simpleHash(str) {
+    let hash = 0;
+    if (!str || str.length === 0) return hash;
+    for (let i = 0; i < str.length; i++) {
+      hash = (hash << 5) - hash + str.charCodeAt(i);
+      hash |= 0; // Convert to 32bit integer
+    }
+    return hash;
+  }
+
+  // Helper function to get a job title using multiple selectors
+  function getJobTitle(el, selectors) {
+    let title = "";
+    for (const selector of selectors) {
+      const elem = el.querySelector(selector);
+      if (elem && (elem.textContent || elem.innerText)) {
+        title = (elem.textContent || elem.innerText).trim();
+        if (title && title.length > 2) break;
+      }
+    }
+    if (!title || title.length < 2) {
+      if (el.hasAttribute("aria-label")) {
+        title = el.getAttribute("aria-label").trim();
+      }
+      if (!title || title.length < 2) {
+        title = "Title Not Available";
+      }
+    }
+    return title;
+  }
+
+  // Process partner listings (if any)
+  const partnerListings = Array.from(
+    root.querySelectorAll('[data-id^="job-listing-partner-"]')
+  );
+  if (partnerListings.length > 0) {
+    for (let i = 0; i < Math.min(maxJobs, partnerListings.length); i++) {
+      try {
+        const el = partnerListings[i];
+        const linkEl = el.querySelector('a[href*="partner/jobListing"]');
+        if (!linkEl) continue;
+        const url = linkEl.href;
+        const partnerTitleSelectors = [
+          '[class*="title"]',
+          '[class*="jobTitle"]',
+          "h2",
+          "h3",
+          "h4",
+          '[data-test*="job-link"]',
+        ];
+        const title = getJobTitle(el, partnerTitleSelectors);
+        const companyEl = el.querySelector(
+          '[class*="employer"], [class*="company"], [data-test*="employer"]'
+        );
+        const company = companyEl
+          ? companyEl.textContent.trim()
+          : "Unknown Company";
+        const locationEl = el.querySelector(
+          '[class*="location"], [data-test*="location"]'
+        );
+        const location = locationEl
+          ? locationEl.textContent.trim()
+          : "Not specified";
+        const salaryEl = el.querySelector(
+          '[class*="salary"], [data-test*="salary"]'
+        );
+        const salary = salaryEl ? salaryEl.textContent.trim() : "";
+        const dateEl = el.querySelector(
+          '[class*="date"], [class*="posted"], [data-test*="job-age"]'
+        );
+        const postedDate = dateEl ? dateEl.textContent.trim() : "";
+        let jobId = "";
+        const match = url.match(/jobListingId=(\d+)/);
+        if (match && match[1]) {
+          jobId = `glassdoor-${match[1]}`;
+        } else {
+          // Use composite string for a stable hash
+          jobId = `glassdoor-${simpleHash(
+            url + title + company + location + postedDate + salary
+          )}`;
+        }
+        results.push({
+          id: jobId,
+          title: title,
+          url,
+          company,
+          location,
+          postedDate,
+          description: "",
+          metadata: "",
+          salary,
+          workModel: "",
+          isPartnerListing: true,
+          source: "glassdoor",
+        });
+      } catch (error) {
+        console.error(`Error parsing partner listing: ${error.message}`);
+      }
+    }
+  }
+
+  // Process regular job listings
+  const jobNodes = Array.from(
+    root.querySelectorAll(
+      '[data-test="jobListing"], .react-job-listing, .jobCard, a[href*="glassdoor.com/job-listing"], a[href*="glassdoor.com/partner/jobListing"]'
+    )
+  ).filter(
+    // Bare job links are only a fallback; skip the ones inside a card we already read
+    (node) =>
+      node.tagName !== "A" ||
+      !node.closest(
+        '[data-test="jobListing"], .react-job-listing, .jobCard, [data-id^="job-listing-partner-"]'
+      )
+  );
+
+  for (let i = 0; i < Math.min(maxJobs, jobNodes.length); i++) {
+    const el = jobNodes[i];
+    try {
+      const titleSelectors = [
+        '[data-test="job-link"]',
+        'a[data-test*="job"]',
+        'a[class*="job-title"]',
+        'a[class*="jobTitle"]',
+        "h2",
+        "h3",
+      ];
+      const title = getJobTitle(el, titleSelectors);
+      const companyElement =
+        el.querySelector('[data-test="employer-name"]') ||
+        el.querySelector('[class*="employer"]') ||
+        el.querySelector('[class*="company"]') ||
+        el.querySelector(".companyName");
+      let company = companyElement
+        ? (companyElement.textContent || companyElement.innerText).trim()
+        : "Unknown Company";
+
+      // Skip aggregated listings
+      if (
+        company &&
+        (company.toLowerCase().includes("jobright") ||
+          company.toLowerCase().includes("indeed") ||
+          company.toLowerCase().includes("ziprecruiter") ||
+          company.toLowerCase().includes("simplyhired"))
+      ) {
+        continue;
+      }
+      const locationElement =
+        el.querySelector('[data-test="location"]') ||
+        el.querySelector('[class*="location"]') ||
+        el.querySelector(".jobLocation");
+      const location = locationElement
+        ? (locationElement.textContent || locationElement.innerText).trim()
+        : "Not specified";
+      const salaryElement =
+        el.querySelector('[data-test="detailSalary"]') ||
+        el.querySelector('[class*="salary"]') ||
+        el.querySelector('[data-test*="salary"]');
+      const salary = salaryElement
+        ? (salaryElement.textContent || salaryElement.innerText).trim()
+        : "Not specified";
+      const dateElement =
+        el.querySelector('[data-test="job-age"]') ||
+        el.querySelector('[class*="date"]') ||
+        el.querySelector('[class*="posted"]');
+      const postedDate = dateElement
+        ? (dateElement.textContent || dateElement.innerText).trim()
+        : "N/A";
+      let url = "";
+      if (
+        el.querySelector('[data-test="job-link"]') &&
+        el.querySelector('[data-test="job-link"]').href
+      ) {
+        url = el.querySelector('[data-test="job-link"]').href;
+      } else if (el.tagName === "A" && el.href) {
+        url = el.href;
+      } else {
+        const linkElement = el.querySelector('a[href*="glassdoor.com"]');
+        if (linkElement) {
+          url = linkElement.href;
+        }
+      }
+      let jobId = "";
+      const match =
+        url.match(/jobListingId=(\d+)/) ||
+        url.match(/job-listing\/([A-Za-z0-9_-]+)/) ||
+        url.match(/[?&]jl=(\d+)/);
+      if (match && match[1]) {
+        jobId = `glassdoor-${match[1]}`;
+      } else {
+        // Use composite string from all fields for uniqueness
+        jobId = `glassdoor-${simpleHash(
+          url + title + company + location + postedDate + salary
+        )}`;
+      }
+      if (url) {
+        results.push({
+          id: jobId,
+          title: title,
+          url,
+          company,
+          location,
+          postedDate,
+          description: "",
+          metadata: "",
+          salary,
+          workModel: "",
+          source: "glassdoor",
+        });
+      }
+    } catch (error) {
+      console.error(`Error parsing job listing: ${error.message}`);
+    }
+  }
+  return results;
+}
+
 /**
  * Scrape Glassdoor search results
  * @param {string} searchUrl - The Glassdoor search URL
@@ -130,218 +357,7 @@ async function scrapeGlassdoor(searchUrl, maxJobs, options = {}) {
       );
     }
 
-    const jobs = await page.evaluate((maxJobs) => {
-      const results = [];
-
-      // Simple hash function for stable ID generation
-      function simpleHash(str) {
-        let hash = 0;
-        if (!str || str.length === 0) return hash;
-        for (let i = 0; i < str.length; i++) {
-          hash = (hash << 5) - hash + str.charCodeAt(i);
-          hash |= 0; // Convert to 32bit integer
-        }
-        return hash;
-      }
-
-      // Helper function to get a job title using multiple selectors
-      function getJobTitle(el, selectors) {
-        let title = "";
-        for (const selector of selectors) {
-          const elem = el.querySelector(selector);
-          if (elem && (elem.textContent || elem.innerText)) {
-            title = (elem.textContent || elem.innerText).trim();
-            if (title && title.length > 2) break;
-          }
-        }
-        if (!title || title.length < 2) {
-          if (el.hasAttribute("aria-label")) {
-            title = el.getAttribute("aria-label").trim();
-          }
-          if (!title || title.length < 2) {
-            title = "Title Not Available";
-          }
-        }
-        return title;
-      }
-
-      // Process partner listings (if any)
-      const partnerListings = Array.from(
-        document.querySelectorAll('[data-id^="job-listing-partner-"]')
-      );
-      if (partnerListings.length > 0) {
-        for (let i = 0; i < Math.min(maxJobs, partnerListings.length); i++) {
-          try {
-            const el = partnerListings[i];
-            const linkEl = el.querySelector('a[href*="partner/jobListing"]');
-            if (!linkEl) continue;
-            const url = linkEl.href;
-            const partnerTitleSelectors = [
-              '[class*="title"]',
-              '[class*="jobTitle"]',
-              "h2",
-              "h3",
-              "h4",
-              '[data-test*="job-link"]',
-            ];
-            const title = getJobTitle(el, partnerTitleSelectors);
-            const companyEl = el.querySelector(
-              '[class*="employer"], [class*="company"], [data-test*="employer"]'
-            );
-            const company = companyEl
-              ? companyEl.textContent.trim()
-              : "Unknown Company";
-            const locationEl = el.querySelector(
-              '[class*="location"], [data-test*="location"]'
-            );
-            const location = locationEl
-              ? locationEl.textContent.trim()
-              : "Not specified";
-            const salaryEl = el.querySelector(
-              '[class*="salary"], [data-test*="salary"]'
-            );
-            const salary = salaryEl ? salaryEl.textContent.trim() : "";
-            const dateEl = el.querySelector(
-              '[class*="date"], [class*="posted"], [data-test*="job-age"]'
-            );
-            const postedDate = dateEl ? dateEl.textContent.trim() : "";
-            let jobId = "";
-            const match = url.match(/jobListingId=(\d+)/);
-            if (match && match[1]) {
-              jobId = `glassdoor-${match[1]}`;
-            } else {
-              // Use composite string for a stable hash
-              jobId = `glassdoor-${simpleHash(
-                url + title + company + location + postedDate + salary
-              )}`;
-            }
-            results.push({
-              id: jobId,
-              title: title,
-              url,
-              company,
-              location,
-              postedDate,
-              description: "",
-              metadata: "",
-              salary,
-              workModel: "",
-              isPartnerListing: true,
-              source: "glassdoor",
-            });
-          } catch (error) {
-            console.error("Error parsing partner listing:", error);
-          }
-        }
-      }
-
-      // Process regular job listings
-      const jobNodes = Array.from(
-        document.querySelectorAll(
-          '[data-test="jobListing"], .react-job-listing, .jobCard, a[href*="glassdoor.com/job-listing"], a[href*="glassdoor.com/partner/jobListing"]'
-        )
-      );
-
-      for (let i = 0; i < Math.min(maxJobs, jobNodes.length); i++) {
-        const el = jobNodes[i];
-        try {
-          const titleSelectors = [
-            '[data-test="job-link"]',
-            'a[data-test*="job"]',
-            'a[class*="job-title"]',
-            'a[class*="jobTitle"]',
-            "h2",
-            "h3",
-          ];
-          const title = getJobTitle(el, titleSelectors);
-          const companyElement =
-            el.querySelector('[data-test="employer-name"]') ||
-            el.querySelector('[class*="employer"]') ||
-            el.querySelector('[class*="company"]') ||
-            el.querySelector(".companyName");
-          let company = companyElement
-            ? (companyElement.textContent || companyElement.innerText).trim()
-            : "Unknown Company";
-
-          // Skip aggregated listings
-          if (
-            company &&
-            (company.toLowerCase().includes("jobright") ||
-              company.toLowerCase().includes("indeed") ||
-              company.toLowerCase().includes("ziprecruiter") ||
-              company.toLowerCase().includes("simplyhired"))
-          ) {
-            continue;
-          }
-          const locationElement =
-            el.querySelector('[data-test="location"]') ||
-            el.querySelector('[class*="location"]') ||
-            el.querySelector(".jobLocation");
-          const location = locationElement
-            ? (locationElement.textContent || locationElement.innerText).trim()
-            : "Not specified";
-          const salaryElement =
-            el.querySelector('[data-test="detailSalary"]') ||
-            el.querySelector('[class*="salary"]') ||
-            el.querySelector('[data-test*="salary"]');
-          const salary = salaryElement
-            ? (salaryElement.textContent || salaryElement.innerText).trim()
-            : "Not specified";
-          const dateElement =
-            el.querySelector('[data-test="job-age"]') ||
-            el.querySelector('[class*="date"]') ||
-            el.querySelector('[class*="posted"]');
-          const postedDate = dateElement
-            ? (dateElement.textContent || dateElement.innerText).trim()
-            : "N/A";
-          let url = "";
-          if (
-            el.querySelector('[data-test="job-link"]') &&
-            el.querySelector('[data-test="job-link"]').href
-          ) {
-            url = el.querySelector('[data-test="job-link"]').href;
-          } else if (el.tagName === "A" && el.href) {
-            url = el.href;
-          } else {
-            const linkElement = el.querySelector('a[href*="glassdoor.com"]');
-            if (linkElement) {
-              url = linkElement.href;
-            }
-          }
-          let jobId = "";
-          const match =
-            url.match(/jobListingId=(\d+)/) ||
-            url.match(/job-listing\/([A-Za-z0-9_-]+)/) ||
-            url.match(/[?&]jl=(\d+)/);
-          if (match && match[1]) {
-            jobId = `glassdoor-${match[1]}`;
-          } else {
-            // Use composite string from all fields for uniqueness
-            jobId = `glassdoor-${simpleHash(
-              url + title + company + location + postedDate + salary
-            )}`;
-          }
-          if (url) {
-            results.push({
-              id: jobId,
-              title: title,
-              url,
-              company,
-              location,
-              postedDate,
-              description: "",
-              metadata: "",
-              salary,
-              workModel: "",
-              source: "glassdoor",
-            });
-          }
-        } catch (error) {
-          console.error("Error parsing job listing:", error);
-        }
-      }
-      return results;
-    }, maxJobs);
+    const jobs = await evaluateParser(page, parseGlassdoorJobListings, maxJobs);
 
     if (config.debugMode) {
       logger.log(`Glassdoor scraper found ${jobs.length} jobs.`);
@@ -510,9 +526,11 @@ async function scrapeMultipleUrls(urls, client, role = "intern") {
  * @param {object} client - Discord client (optional, if null won't post to Discord)
  * @param {string} mode - Scraping mode: "discord" or "comprehensive"
  * @param {string} role - Role type: "intern" or "new grad"
+ * @param {object} options - Optional settings
+ * @param {boolean} options.dryRun - Scrape and filter without saving jobs to MongoDB
  * @returns {object} Status object with jobs array
  */
-async function scrapeAllJobs(timeFilter, client, mode = "discord", role = "both") {
+async function scrapeAllJobs(timeFilter, client, mode = "discord", role = "both", options = {}) {
   const lastRunStatus = {
     lastRun: new Date(),
     success: false,
@@ -572,7 +590,7 @@ async function scrapeAllJobs(timeFilter, client, mode = "discord", role = "both"
           );
 
           // Add new jobs to the cache
-          if (newJobs.length > 0) {
+          if (newJobs.length > 0 && !options.dryRun) {
             await mongoService.addJobs(newJobs, "glassdoor");
           }
 
@@ -670,4 +688,5 @@ async function scrapeAllJobs(timeFilter, client, mode = "discord", role = "both"
 module.exports = {
   scrapeAllJobs,
   scrapeMultipleUrls,
+  parseGlassdoorJobListings,
 };
@@ -3,7 +3,7 @@ const https = require("https");
 const StealthPlugin = require("puppeteer-extra-plugin-stealth");
 puppeteer.use(StealthPlugin());
 const config = require("../config");
-const logger = require("../services/logger");
+const logger = require("../services/logger").child({ source: "jobright" });
 const mongoService = require("../services/mongo");
 const { EmbedBuilder } = require("discord.js");
 const {
@@ -12,6 +12,7 @@ const {
   filterJobsByDate,
   generateJobId,
   normalizeJob,
+  forwardPageConsole,
 } = require("../utils/helpers");
 
 /**
@@ -242,6 +243,7 @@ async function scrapeJobRightRepo(repo) {
     }
 
     // Extract job data from the README table
+    forwardPageConsole(page, { source: "jobright" });
     const jobs = await page.evaluate((repoConfig) => {
       const results = [];
       const processedJobs = new Set();
@@ -350,9 +352,11 @@ async function scrapeJobRightRepo(repo) {
  * @param {string} mode - Scraping mode: "discord" or "comprehensive"
  * @param {string} role - Role type: "intern", "new_grad", or "both"
  * @param {string} timeFilter - Date filter: "day", "three_days", "week", "month" (default "three_days" for daily)
+ * @param {object} options - Optional settings
+ * @param {boolean} options.dryRun - Scrape and filter without saving jobs to MongoDB
  * @returns {object} Object with jobs array and metadata
  */
-async function scrapeAllJobs(client, mode = "discord", role = "both", timeFilter = "three_days") {
+async function scrapeAllJobs(client, mode = "discord", role = "both", timeFilter = "three_days", options = {}) {
   logger.log("Starting JobRight GitHub repositories scraping process");
 
   const allJobs = [];
@@ -384,18 +388,17 @@ async function scrapeAllJobs(client, mode = "discord", role = "both", timeFilter
       const jobs = await scrapeJobRightRepo(repo);
 
       if (jobs && jobs.length > 0) {
-        // Skip relevance filtering for JobRight repos - they are already curated
-        logger.log(
-          `Found ${jobs.length} jobs from ${repo.name}. Skipping relevance filtering as JobRight lists are already curated.`,
-        );
+        // JobRight lists are curated, so config.jobFiltering.sources.jobright skips the rules by default
+        const relevantJobs = filterRelevantJobs(jobs, role);
+        logger.log(`Found ${jobs.length} jobs from ${repo.name}, ${relevantJobs.length} relevant.`);
 
         if (isComprehensive) {
-          allJobs.push(...jobs);
+          allJobs.push(...relevantJobs);
         } else {
           const maxJobsPerRepo =
             config.jobright.maxJobsPerRepo ||
             Math.ceil(jobLimit / relevantRepos.length);
-          const limitedJobs = jobs.slice(0, maxJobsPerRepo);
+          const limitedJobs = relevantJobs.slice(0, maxJobsPerRepo);
           allJobs.push(...limitedJobs);
         }
       }
@@ -427,7 +430,7 @@ async function scrapeAllJobs(client, mode = "discord", role = "both", timeFilter
   );
 
   // Save to cache
-  if (finalJobs.length > 0) {
+  if (finalJobs.length > 0 && !options.dryRun) {
     await mongoService.addJobs(finalJobs, "jobright");
   }
 
@@ -470,13 +473,12 @@ async function scrapeSpecificRepo(
 
   logger.log(`Scraping specific JobRight repository: ${repo.name}`);
 
-  const jobs = await scrapeJobRightRepo(repo);
+  const scrapedJobs = await scrapeJobRightRepo(repo);
 
-  if (jobs && jobs.length > 0) {
-    // Skip relevance filtering for JobRight repos - they are already curated
-    logger.log(
-      `Found ${jobs.length} jobs from ${repo.name}. Skipping relevance filtering as JobRight lists are already curated.`,
-    );
+  if (scrapedJobs && scrapedJobs.length > 0) {
+    // JobRight lists are curated, so config.jobFiltering.sources.jobright skips the rules by default
+    const jobs = filterRelevantJobs(scrapedJobs, role);
+    logger.log(`Found ${scrapedJobs.length} jobs from ${repo.name}, ${jobs.length} relevant.`);
 
     // Save to cache
     if (jobs.length > 0) {
@@ -504,4 +506,5 @@ module.exports = {
   scrapeAllJobs,
   scrapeSpecificRepo,
   scrapeJobRightRepo,
+  parseJobsFromMarkdown,
 };
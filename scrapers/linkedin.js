@@ -4,10 +4,10 @@ const puppeteer = require("puppeteer-extra");
 const StealthPlugin = require("puppeteer-extra-plugin-stealth");
 puppeteer.use(StealthPlugin());
 const config = require("../config");
-const logger = require("../services/logger");
+const logger = require("../services/logger").child({ source: "linkedin" });
 const mongoService = require("../services/mongo");
 const { EmbedBuilder } = require("discord.js");
-const { delay, filterRelevantJobs, filterJobsByDate, sendJobsToDiscord } = require("../utils/helpers");
+const { delay, filterRelevantJobs, filterJobsByDate, sendJobsToDiscord, evaluateParser } = require("../utils/helpers");
 
 const ARTIFACTS_DIR = path.join(process.cwd(), "artifacts");
 
@@ -48,6 +48,209 @@ function cleanText(text) {
     .trim();
 }
 
+/**
+ * Extract job cards from a LinkedIn search results page.
+ * Runs inside the browser via evaluateParser, so it must stay self-contained.
+ * @param {Document|Element} root - Page document (or a fixture DOM in tests)
+ * @param {number} maxJobs - Maximum number of cards to read
+ * @returns {Array} Array of raw job objects
+ */
+function parseLinkedInJobCards(root, maxJobs) {
+  // Clean text function for browser context
+  function cleanText(text) {
+    if (!text) return "";
+    return text
+      .replace(/[*\u00A0\u2022\u2023\u25E6\u2043\u2219]/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  // Try multiple selectors for job containers
+  const jobContainerSelectors = [
+    ".jobs-search__results-list li",
+    ".job-search-card",
+    ".jobs-search-results-list li",
+    "[data-job-id]",
+    ".scaffold-layout__list-container li",
+  ];
+
+  let jobNodes = [];
+  for (const selector of jobContainerSelectors) {
+    jobNodes = Array.from(root.querySelectorAll(selector));
+    if (jobNodes.length > 0) break;
+  }
+
+  console.log(`Found ${jobNodes.length} job nodes`);
+  const results = [];
+
+  for (let i = 0; i < Math.min(maxJobs, jobNodes.length); i++) {
+    const el = jobNodes[i];
+
+    // Try multiple selectors for each field
+    let title = "";
+    const titleSelectors = [
+      ".base-search-card__title",
+      ".job-search-card__title",
+      ".jobs-unified-top-card__job-title",
+      "h3 a",
+      "[data-job-title]",
+      ".job-card-list__title",
+    ];
+
+    for (const selector of titleSelectors) {
+      const titleElement = el.querySelector(selector);
+      if (titleElement) {
+        title = cleanText(
+          titleElement.innerText || titleElement.textContent
+        );
+        if (title && title !== "" && !title.includes("*")) break;
+      }
+    }
+
+    let company = "";
+    const companySelectors = [
+      ".base-search-card__subtitle",
+      ".job-search-card__subtitle",
+      ".jobs-unified-top-card__company-name",
+      "h4 a",
+      "[data-company-name]",
+      ".job-card-container__company-name",
+    ];
+
+    for (const selector of companySelectors) {
+      const companyElement = el.querySelector(selector);
+      if (companyElement) {
+        company = cleanText(
+          companyElement.innerText || companyElement.textContent
+        );
+        if (company && company !== "" && !company.includes("*")) break;
+      }
+    }
+
+    let location = "";
+    const locationSelectors = [
+      ".job-search-card__location",
+      ".jobs-unified-top-card__bullet",
+      ".job-card-container__metadata-item",
+      "[data-job-location]",
+      ".job-search-card__metadata",
+    ];
+
+    for (const selector of locationSelectors) {
+      const locationElement = el.querySelector(selector);
+      if (locationElement) {
+        location = cleanText(
+          locationElement.innerText || locationElement.textContent
+        );
+        if (location && location !== "" && !location.includes("*")) break;
+      }
+    }
+
+    let postedDate = "";
+    const dateSelectors = [
+      ".job-search-card__listdate",
+      ".jobs-unified-top-card__bullet",
+      "time",
+      ".job-card-container__metadata-item:last-child",
+      "[data-posted-date]",
+    ];
+
+    for (const selector of dateSelectors) {
+      const dateElement = el.querySelector(selector);
+      if (dateElement) {
+        postedDate = cleanText(
+          dateElement.innerText || dateElement.textContent
+        );
+        if (postedDate && postedDate !== "" && !postedDate.includes("*"))
+          break;
+      }
+    }
+
+    // Get URL
+    let url = "";
+    const urlSelectors = [
+      ".base-card__full-link",
+      ".job-search-card__title-link",
+      "h3 a",
+      "a[href*='/jobs/view/']",
+      "[data-job-id] a",
+    ];
+
+    for (const selector of urlSelectors) {
+      const urlElement = el.querySelector(selector);
+      if (urlElement && urlElement.href) {
+        url = urlElement.href;
+        break;
+      }
+    }
+
+    // Validate and clean company name to avoid aggregated listings
+    if (
+      company &&
+      (company.toLowerCase().includes("jobright") ||
+        company.toLowerCase().includes("indeed") ||
+        company.toLowerCase().includes("ziprecruiter") ||
+        company.toLowerCase().includes("simplyhired") ||
+        company.toLowerCase().includes("monster") ||
+        company.toLowerCase().includes("careerbuilder"))
+    ) {
+      // Log for debugging
+      console.log(`Skipping aggregated listing: ${title} at ${company}`);
+      continue;
+    }
+
+    // Debug logging for company extraction
+    if (company && company !== "Company details unavailable") {
+      console.log(`Extracted company: "${company}" for job: "${title}"`);
+    }
+
+    // Apply fallbacks only if we couldn't extract anything meaningful
+    if (!title || title === "" || title.includes("*")) {
+      title = "Position details unavailable";
+    }
+    if (!company || company === "" || company.includes("*")) {
+      company = "Company details unavailable";
+    }
+    if (!location || location === "" || location.includes("*")) {
+      location = "Location not specified";
+    }
+    if (!postedDate || postedDate === "" || postedDate.includes("*")) {
+      postedDate = "Recently posted";
+    }
+
+    // Generate job ID
+    let jobId = "";
+    try {
+      const match = url.match(/(?:currentJobId=|jobs\/view\/(?:[^/?]*-)?)(\d+)/);
+      jobId = match
+        ? `linkedin-${match[1]}`
+        : `linkedin-${Math.random().toString(36).substring(2, 10)}`;
+    } catch (e) {
+      jobId = `linkedin-${Math.random().toString(36).substring(2, 10)}`;
+    }
+
+    // Only add jobs that have at least a title and URL
+    if (title !== "Position details unavailable" && url) {
+      results.push({
+        id: jobId,
+        title,
+        url,
+        company,
+        location,
+        postedDate,
+        description: "",
+        metadata: "",
+        salary: "",
+        workModel: "",
+        source: "linkedin",
+      });
+    }
+  }
+
+  console.log(`Extracted ${results.length} valid jobs`);
+  return results;
+}
+
 /**
  * LinkedIn scraper function using Puppeteer with improved selectors
  * @param {string} searchUrl - The LinkedIn search URL
@@ -120,201 +323,7 @@ async function scrapeLinkedIn(searchUrl, maxJobs) {
       return { jobs: [], outcome };
     }
 
-    const jobs = await page.evaluate((maxJobs) => {
-      // Clean text function for browser context
-      function cleanText(text) {
-        if (!text) return "";
-        return text
-          .replace(/[*\u00A0\u2022\u2023\u25E6\u2043\u2219]/g, "")
-          .replace(/\s+/g, " ")
-          .trim();
-      }
-
-      // Try multiple selectors for job containers
-      const jobContainerSelectors = [
-        ".jobs-search__results-list li",
-        ".job-search-card",
-        ".jobs-search-results-list li",
-        "[data-job-id]",
-        ".scaffold-layout__list-container li",
-      ];
-
-      let jobNodes = [];
-      for (const selector of jobContainerSelectors) {
-        jobNodes = Array.from(document.querySelectorAll(selector));
-        if (jobNodes.length > 0) break;
-      }
-
-      console.log(`Found ${jobNodes.length} job nodes`);
-      const results = [];
-
-      for (let i = 0; i < Math.min(maxJobs, jobNodes.length); i++) {
-        const el = jobNodes[i];
-
-        // Try multiple selectors for each field
-        let title = "";
-        const titleSelectors = [
-          ".base-search-card__title",
-          ".job-search-card__title",
-          ".jobs-unified-top-card__job-title",
-          "h3 a",
-          "[data-job-title]",
-          ".job-card-list__title",
-        ];
-
-        for (const selector of titleSelectors) {
-          const titleElement = el.querySelector(selector);
-          if (titleElement) {
-            title = cleanText(
-              titleElement.innerText || titleElement.textContent
-            );
-            if (title && title !== "" && !title.includes("*")) break;
-          }
-        }
-
-        let company = "";
-        const companySelectors = [
-          ".base-search-card__subtitle",
-          ".job-search-card__subtitle",
-          ".jobs-unified-top-card__company-name",
-          "h4 a",
-          "[data-company-name]",
-          ".job-card-container__company-name",
-        ];
-
-        for (const selector of companySelectors) {
-          const companyElement = el.querySelector(selector);
-          if (companyElement) {
-            company = cleanText(
-              companyElement.innerText || companyElement.textContent
-            );
-            if (company && company !== "" && !company.includes("*")) break;
-          }
-        }
-
-        let location = "";
-        const locationSelectors = [
-          ".job-search-card__location",
-          ".jobs-unified-top-card__bullet",
-          ".job-card-container__metadata-item",
-          "[data-job-location]",
-          ".job-search-card__metadata",
-        ];
-
-        for (const selector of locationSelectors) {
-          const locationElement = el.querySelector(selector);
-          if (locationElement) {
-            location = cleanText(
-              locationElement.innerText || locationElement.textContent
-            );
-            if (location && location !== "" && !location.includes("*")) break;
-          }
-        }
-
-        let postedDate = "";
-        const dateSelectors = [
-          ".job-search-card__listdate",
-          ".jobs-unified-top-card__bullet",
-          "time",
-          ".job-card-container__metadata-item:last-child",
-          "[data-posted-date]",
-        ];
-
-        for (const selector of dateSelectors) {
-          const dateElement = el.querySelector(selector);
-          if (dateElement) {
-            postedDate = cleanText(
-              dateElement.innerText || dateElement.textContent
-            );
-            if (postedDate && postedDate !== "" && !postedDate.includes("*"))
-              break;
-          }
-        }
-
-        // Get URL
-        let url = "";
-        const urlSelectors = [
-          ".base-card__full-link",
-          ".job-search-card__title-link",
-          "h3 a",
-          "a[href*='/jobs/view/']",
-          "[data-job-id] a",
-        ];
-
-        for (const selector of urlSelectors) {
-          const urlElement = el.querySelector(selector);
-          if (urlElement && urlElement.href) {
-            url = urlElement.href;
-            break;
-          }
-        }
-
-        // Validate and clean company name to avoid aggregated listings
-        if (
-          company &&
-          (company.toLowerCase().includes("jobright") ||
-            company.toLowerCase().includes("indeed") ||
-            company.toLowerCase().includes("ziprecruiter") ||
-            company.toLowerCase().includes("simplyhired") ||
-            company.toLowerCase().includes("monster") ||
-            company.toLowerCase().includes("careerbuilder"))
-        ) {
-          // Log for debugging
-          console.log(`Skipping aggregated listing: ${title} at ${company}`);
-          continue;
-        }
-
-        // Debug logging for company extraction
-        if (company && company !== "Company details unavailable") {
-          console.log(`Extracted company: "${company}" for job: "${title}"`);
-        }
-
-        // Apply fallbacks only if we couldn't extract anything meaningful
-        if (!title || title === "" || title.includes("*")) {
-          title = "Position details unavailable";
-        }
-        if (!company || company === "" || company.includes("*")) {
-          company = "Company details unavailable";
-        }
-        if (!location || location === "" || location.includes("*")) {
-          location = "Location not specified";
-        }
-        if (!postedDate || postedDate === "" || postedDate.includes("*")) {
-          postedDate = "Recently posted";
-        }
-
-        // Generate job ID
-        let jobId = "";
-        try {
-          const match = url.match(/(?:currentJobId=|jobs\/view\/)(\d+)/);
-          jobId = match
-            ? `linkedin-${match[1]}`
-            : `linkedin-${Math.random().toString(36).substring(2, 10)}`;
-        } catch (e) {
-          jobId = `linkedin-${Math.random().toString(36).substring(2, 10)}`;
-        }
-
-        // Only add jobs that have at least a title and URL
-        if (title !== "Position details unavailable" && url) {
-          results.push({
-            id: jobId,
-            title,
-            url,
-            company,
-            location,
-            postedDate,
-            description: "",
-            metadata: "",
-            salary: "",
-            workModel: "",
-            source: "linkedin",
-          });
-        }
-      }
-
-      console.log(`Extracted ${results.length} valid jobs`);
-      return results;
-    }, maxJobs);
+    const jobs = await evaluateParser(page, parseLinkedInJobCards, maxJobs);
 
     if (config.debugMode) {
       logger.log(`LinkedIn scraper found ${jobs.length} jobs.`);
@@ -395,9 +404,11 @@ async function scrapeLinkedInWithRetry(searchUrl, maxJobs, retries = 3) {
  * @param {object} client - Discord client (optional, if null won't post to Discord)
  * @param {string} mode - Scraping mode: "discord" or "comprehensive"
  * @param {string} role - Role type: "intern" or "new grad"
+ * @param {object} options - Optional settings
+ * @param {boolean} options.dryRun - Scrape and filter without saving jobs to MongoDB
  * @returns {object} Status object with jobs array
  */
-async function scrapeAllJobs(timeFilter, client, mode = "discord", role = "both") {
+async function scrapeAllJobs(timeFilter, client, mode = "discord", role = "both", options = {}) {
   const lastRunStatus = {
     lastRun: new Date(),
     success: false,
@@ -534,7 +545,7 @@ async function scrapeAllJobs(timeFilter, client, mode = "discord", role = "both"
           );
 
           // Add new jobs to the cache
-          if (newJobs.length > 0) {
+          if (newJobs.length > 0 && !options.dryRun) {
             await mongoService.addJobs(newJobs, "linkedin");
           }
 
@@ -621,4 +632,5 @@ async function scrapeAllJobs(timeFilter, client, mode = "discord", role = "both"
 
 module.exports = {
   scrapeAllJobs,
+  parseLinkedInJobCards,
 };
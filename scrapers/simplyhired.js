@@ -2,12 +2,203 @@ const puppeteer = require("puppeteer-extra");
 const StealthPlugin = require("puppeteer-extra-plugin-stealth");
 puppeteer.use(StealthPlugin());
 const config = require("../config");
-const logger = require("../services/logger");
+const logger = require("../services/logger").child({ source: "simplyhired" });
 const mongoService = require("../services/mongo");
 const { EmbedBuilder } = require("discord.js");
-const { delay, filterRelevantJobs } = require("../utils/helpers");
+const { delay, filterRelevantJobs, evaluateParser } = require("../utils/helpers");
 const { getPuppeteerLaunchOptions } = require("../utils/puppeteerLaunch");
 
+/**
+ * Extract job cards from a SimplyHired search results page.
+ * Runs inside the browser via evaluateParser, so it must stay self-contained.
+ * @param {Document|Element} root - Page document (or a fixture DOM in tests)
+ * @returns {Array} Array of job objects
+ */
+function parseSimplyHiredJobCards(root) {
+  // Simple hash function (djb2-style)
+  function simpleHash(str) {
+    let hash = 5381;
+    for (let i = 0; i < str.length; i++) {
+      hash = (hash << 5) + hash + str.charCodeAt(i);
+    }
+    return hash.toString(16);
+  }
+
+  // Try multiple strategies to find job cards (data-cy can change when site updates)
+  const strategies = [
+    () => Array.from(root.querySelectorAll("[data-cy='card']")),
+    () => Array.from(root.querySelectorAll("div.chakra-stack.css-1igwmid")),
+    () => Array.from(root.querySelectorAll("[class*='job'], [class*='card'], [class*='result']")),
+    // Strategy 3: Look for any clickable elements with substantial text
+    () => Array.from(root.querySelectorAll("a, div, article")).filter(el => 
+      el.textContent && el.textContent.trim().length > 20 &&
+      (el.textContent.toLowerCase().includes('engineer') || 
+       el.textContent.toLowerCase().includes('developer') ||
+       el.textContent.toLowerCase().includes('intern'))
+    ),
+    // Strategy 4: Look for any elements that might contain job information
+    () => Array.from(root.querySelectorAll("div, article, li")).filter(el => 
+      el.textContent && el.textContent.trim().length > 30
+    )
+  ];
+
+  let jobCards = [];
+  for (const strategy of strategies) {
+    try {
+      const cards = strategy();
+      if (cards.length > 0) {
+        jobCards = cards;
+        console.log(`Found ${cards.length} potential job cards using strategy`);
+        break;
+      }
+    } catch (e) {
+      console.log(`Strategy failed: ${e.message}`);
+    }
+  }
+
+  const results = [];
+  const processedTitles = new Set();
+
+  for (const card of jobCards) {
+    try {
+      // Extract text content
+      const textContent = card.textContent || card.innerText || "";
+      const cleanText = textContent.trim().replace(/\s+/g, ' ');
+
+      if (cleanText.length < 15) continue;
+
+      // Try to extract job information
+      let title = "";
+      let company = "";
+      let location = "";
+      let url = "";
+
+      // Look for title in various elements
+      const titleSelectors = [
+        "h2 > a.chakra-button",
+        "h2 a",
+        "h3 a",
+        "a[class*='title']",
+        "a[class*='job']",
+        "h2",
+        "h3",
+        "a"
+      ];
+
+      for (const selector of titleSelectors) {
+        const titleEl = card.querySelector(selector);
+        if (titleEl && titleEl.textContent && titleEl.textContent.trim().length > 5) {
+          title = titleEl.textContent.trim();
+          if (titleEl.href) {
+            url = titleEl.href;
+          }
+          break;
+        }
+      }
+
+      // If no title found, try to extract from text content
+      if (!title) {
+        const lines = cleanText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+        for (const line of lines) {
+          const lowerLine = line.toLowerCase();
+          if (lowerLine.includes('engineer') || lowerLine.includes('developer') || 
+              lowerLine.includes('scientist') || lowerLine.includes('analyst') ||
+              lowerLine.includes('intern') || lowerLine.includes('full stack')) {
+            title = line;
+            break;
+          }
+        }
+      }
+
+      // Extract company name
+      const companySelectors = [
+        ".chakra-text.css-bujt2",
+        "[class*='company']",
+        "[class*='employer']",
+        "span[class*='company']",
+        "div[class*='company']"
+      ];
+
+      for (const selector of companySelectors) {
+        const companyEl = card.querySelector(selector);
+        if (companyEl && companyEl.textContent && companyEl.textContent.trim().length > 1) {
+          company = companyEl.textContent.trim();
+          break;
+        }
+      }
+
+      // Extract location
+      const locationSelectors = [
+        ".chakra-text.css-1d5vfrt",
+        "[class*='location']",
+        "span[class*='location']",
+        "div[class*='location']"
+      ];
+
+      for (const selector of locationSelectors) {
+        const locationEl = card.querySelector(selector);
+        if (locationEl && locationEl.textContent && locationEl.textContent.trim().length > 1) {
+          location = locationEl.textContent.trim();
+          break;
+        }
+      }
+
+      // Extract posted date
+      const dateSelectors = [
+        ".chakra-text.css-1ieddkj",
+        "[class*='date']",
+        "[class*='posted']",
+        "time"
+      ];
+
+      let postedDate = "N/A";
+      for (const selector of dateSelectors) {
+        const dateEl = card.querySelector(selector);
+        if (dateEl && dateEl.textContent && dateEl.textContent.trim().length > 1) {
+          postedDate = dateEl.textContent.trim();
+          break;
+        }
+      }
+
+      // If we found a title and it's not a duplicate, create a job object
+      if (title && !processedTitles.has(title.toLowerCase())) {
+        processedTitles.add(title.toLowerCase());
+
+        // Generate URL if not found
+        if (!url) {
+          const linkEl = card.querySelector('a');
+          if (linkEl && linkEl.href) {
+            url = linkEl.href;
+          } else {
+            url = `https://www.simplyhired.com/search?q=${encodeURIComponent(title)}`;
+          }
+        }
+
+        // Generate job ID
+        const jobId = url ? `sh-${simpleHash(url + title)}` : `sh-${Math.random().toString(36).substring(2, 15)}`;
+
+        results.push({
+          id: jobId,
+          title,
+          url,
+          company: company || "Unknown Company",
+          location: location || "Not specified",
+          postedDate,
+          description: "",
+          metadata: "",
+          salary: "",
+          workModel: "",
+          source: "simplyhired",
+        });
+      }
+    } catch (error) {
+      console.log(`Error processing job card: ${error.message}`);
+    }
+  }
+
+  return results;
+}
+
 /**
  * SimplyHired scraper function using Puppeteer
  * @param {string} searchUrl - The SimplyHired search URL
@@ -70,194 +261,11 @@ async function scrapeSimplyHired(searchUrl) {
       });
     }
 
-    const jobs = await page.evaluate(() => {
-      // Simple hash function (djb2-style)
-      function simpleHash(str) {
-        let hash = 5381;
-        for (let i = 0; i < str.length; i++) {
-          hash = (hash << 5) + hash + str.charCodeAt(i);
-        }
-        return hash.toString(16);
-      }
-
-      // Try multiple strategies to find job cards (data-cy can change when site updates)
-      const strategies = [
-        () => Array.from(document.querySelectorAll("[data-cy='card']")),
-        () => Array.from(document.querySelectorAll("div.chakra-stack.css-1igwmid")),
-        () => Array.from(document.querySelectorAll("[class*='job'], [class*='card'], [class*='result']")),
-        // Strategy 3: Look for any clickable elements with substantial text
-        () => Array.from(document.querySelectorAll("a, div, article")).filter(el => 
-          el.textContent && el.textContent.trim().length > 20 &&
-          (el.textContent.toLowerCase().includes('engineer') || 
-           el.textContent.toLowerCase().includes('developer') ||
-           el.textContent.toLowerCase().includes('intern'))
-        ),
-        // Strategy 4: Look for any elements that might contain job information
-        () => Array.from(document.querySelectorAll("div, article, li")).filter(el => 
-          el.textContent && el.textContent.trim().length > 30
-        )
-      ];
-
-      let jobCards = [];
-      for (const strategy of strategies) {
-        try {
-          const cards = strategy();
-          if (cards.length > 0) {
-            jobCards = cards;
-            console.log(`Found ${cards.length} potential job cards using strategy`);
-            break;
-          }
-        } catch (e) {
-          console.log(`Strategy failed: ${e.message}`);
-        }
-      }
-
-      const results = [];
-      const processedTitles = new Set();
-
-      for (const card of jobCards) {
-        try {
-          // Extract text content
-          const textContent = card.textContent || card.innerText || "";
-          const cleanText = textContent.trim().replace(/\s+/g, ' ');
-          
-          if (cleanText.length < 15) continue;
-
-          // Try to extract job information
-          let title = "";
-          let company = "";
-          let location = "";
-          let url = "";
-
-          // Look for title in various elements
-          const titleSelectors = [
-            "h2 > a.chakra-button",
-            "h2 a",
-            "h3 a",
-            "a[class*='title']",
-            "a[class*='job']",
-            "h2",
-            "h3",
-            "a"
-          ];
-
-          for (const selector of titleSelectors) {
-            const titleEl = card.querySelector(selector);
-            if (titleEl && titleEl.textContent && titleEl.textContent.trim().length > 5) {
-              title = titleEl.textContent.trim();
-              if (titleEl.href) {
-                url = titleEl.href;
-              }
-              break;
-            }
-          }
-
-          // If no title found, try to extract from text content
-          if (!title) {
-            const lines = cleanText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-            for (const line of lines) {
-              const lowerLine = line.toLowerCase();
-              if (lowerLine.includes('engineer') || lowerLine.includes('developer') || 
-                  lowerLine.includes('scientist') || lowerLine.includes('analyst') ||
-                  lowerLine.includes('intern') || lowerLine.includes('full stack')) {
-                title = line;
-                break;
-              }
-            }
-          }
-
-          // Extract company name
-          const companySelectors = [
-            ".chakra-text.css-bujt2",
-            "[class*='company']",
-            "[class*='employer']",
-            "span[class*='company']",
-            "div[class*='company']"
-          ];
-
-          for (const selector of companySelectors) {
-            const companyEl = card.querySelector(selector);
-            if (companyEl && companyEl.textContent && companyEl.textContent.trim().length > 1) {
-              company = companyEl.textContent.trim();
-              break;
-            }
-          }
-
-          // Extract location
-          const locationSelectors = [
-            ".chakra-text.css-1d5vfrt",
-            "[class*='location']",
-            "span[class*='location']",
-            "div[class*='location']"
-          ];
-
-          for (const selector of locationSelectors) {
-            const locationEl = card.querySelector(selector);
-            if (locationEl && locationEl.textContent && locationEl.textContent.trim().length > 1) {
-              location = locationEl.textContent.trim();
-              break;
-            }
-          }
-
-          // Extract posted date
-          const dateSelectors = [
-            ".chakra-text.css-1ieddkj",
-            "[class*='date']",
-            "[class*='posted']",
-            "time"
-          ];
-
-          let postedDate = "N/A";
-          for (const selector of dateSelectors) {
-            const dateEl = card.querySelector(selector);
-            if (dateEl && dateEl.textContent && dateEl.textContent.trim().length > 1) {
-              postedDate = dateEl.textContent.trim();
-              break;
-            }
-          }
-
-          // If we found a title and it's not a duplicate, create a job object
-          if (title && !processedTitles.has(title.toLowerCase())) {
-            processedTitles.add(title.toLowerCase());
-
-            // Generate URL if not found
-            if (!url) {
-              const linkEl = card.querySelector('a');
-              if (linkEl && linkEl.href) {
-                url = linkEl.href;
-              } else {
-                url = `https://www.simplyhired.com/search?q=${encodeURIComponent(title)}`;
-              }
-            }
-
-            // Generate job ID
-            const jobId = url ? `sh-${simpleHash(url + title)}` : `sh-${Math.random().toString(36).substring(2, 15)}`;
-
-            results.push({
-              id: jobId,
-              title,
-              url,
-              company: company || "Unknown Company",
-              location: location || "Not specified",
-              postedDate,
-              description: "",
-              metadata: "",
-              salary: "",
-              workModel: "",
-              source: "simplyhired",
-            });
-          }
-        } catch (error) {
-          console.log(`Error processing job card: ${error.message}`);
-        }
-      }
-
-      return results;
-    });
+    const jobs = await evaluateParser(page, parseSimplyHiredJobCards);
 
     if (config.debugMode) {
       jobs.forEach((job) =>
-        logger.log(`Found job: ${job.title} | ID: ${job.id}`, "info")
+        logger.log(`Found job: ${job.title} | ID: ${job.id}`, "debug")
       );
       logger.log(
         `SimplyHired scraper found ${jobs.length} job cards on the page.`
@@ -278,9 +286,11 @@ async function scrapeSimplyHired(searchUrl) {
  * @param {object} client - Discord client (optional, if null won't post to Discord)
  * @param {string} mode - Scraping mode: "discord" or "comprehensive"
  * @param {string} role - Role type: "intern" or "new grad"
+ * @param {object} options - Optional settings
+ * @param {boolean} options.dryRun - Scrape and filter without saving jobs to MongoDB
  * @returns {object} Status object with jobs array
  */
-async function scrapeAllJobs(timeFilter, client, mode = "discord", role = "both") {
+async function scrapeAllJobs(timeFilter, client, mode = "discord", role = "both", options = {}) {
   const lastRunStatus = {
     lastRun: new Date(),
     success: false,
@@ -351,7 +361,7 @@ async function scrapeAllJobs(timeFilter, client, mode = "discord", role = "both"
           );
 
           // Add new jobs to the cache
-          if (newJobs.length > 0) {
+          if (newJobs.length > 0 && !options.dryRun) {
             await mongoService.addJobs(newJobs, "simplyhired");
           }
 
@@ -448,4 +458,5 @@ async function scrapeAllJobs(timeFilter, client, mode = "discord", role = "both"
 
 module.exports = {
   scrapeAllJobs,
+  parseSimplyHiredJobCards,
 };
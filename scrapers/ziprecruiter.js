@@ -2,10 +2,10 @@ const puppeteer = require("puppeteer-extra");
 const StealthPlugin = require("puppeteer-extra-plugin-stealth");
 puppeteer.use(StealthPlugin());
 const config = require("../config");
-const logger = require("../services/logger");
+const logger = require("../services/logger").child({ source: "ziprecruiter" });
 const mongoService = require("../services/mongo");
 const { EmbedBuilder } = require("discord.js");
-const { delay, filterJobsByDate, sendJobsToDiscord, generateJobId, normalizeJob } = require("../utils/helpers");
+const { delay, filterRelevantJobs, filterJobsByDate, sendJobsToDiscord, generateJobId, normalizeJob, evaluateParser } = require("../utils/helpers");
 const { getPuppeteerLaunchOptions } = require("../utils/puppeteerLaunch");
 
 /**
@@ -34,66 +34,105 @@ function getDateFilterLabel(timeFilter) {
 }
 
 /**
- * ZipRecruiter-specific relevance filter for requested roles
- * @param {object} job - Job object
- * @param {string} role - Role type: "intern", "new_grad", or "both"
- * @returns {boolean} Whether job should be included
+ * Extract job cards from a ZipRecruiter search results page.
+ * Runs inside the browser via evaluateParser, so it must stay self-contained.
+ * @param {Document|Element} root - Page document (or a fixture DOM in tests)
+ * @returns {Array} Array of raw job objects (ids are added in Node by normalizeJob)
  */
-function isZipRecruiterRelevantJob(job, role = "both") {
-  const title = (job.title || "").toLowerCase();
-  const originalTitle = job.title || "";
-
-  const allowedKeywords = [
-    "software engineer", "software developer", "software engineering",
-    "data engineer", "data science", "data scientist", "data analyst",
-    "business analyst", "finance", "financial analyst",
-    "machine learning", "ml engineer", "ai engineer",
-    "developer", "programmer", "swe", "sde",
-  ];
-
-  const hasAllowedKeyword = allowedKeywords.some((keyword) =>
-    title.includes(keyword)
-  );
-  if (!hasAllowedKeyword) {
-    return false;
-  }
+function parseZipRecruiterJobCards(root) {
+  const results = [];
+  const processedTitles = new Set();
+
+  // Strategy 1: Modern ZipRecruiter uses <article> elements for job cards
+  const articleElements = root.querySelectorAll('article');
+  // Strategy 2: Job cards with data attributes / class names
+  const jobCards = root.querySelectorAll('[data-testid*="job"], [class*="job_result"], [class*="job-listing"], [class*="JobCard"], [class*="jobCard"], [class*="JobResult"]');
+  // Strategy 3: Links to job pages (reliable fallback)
+  const jobLinks = root.querySelectorAll('a[href*="/jobs/"], a[href*="/k/l/"], a[href*="/c/"]');
+  // Strategy 4: Generic result containers
+  const resultContainers = root.querySelectorAll('.search-result, [class*="result"], [class*="listing"], [class*="SearchResult"]');
+
+  const allElements = new Set([...articleElements, ...jobCards, ...resultContainers]);
+  jobLinks.forEach((link) => {
+    try {
+      const href = link.href || "";
+      if (!href || href === "#" || !href.includes("ziprecruiter.com")) return;
+      const container = link.closest('article') || link.closest('[class*="job"]') || link.closest('[class*="result"]') || link.closest('[class*="JobCard"]') || link.parentElement?.parentElement;
+      if (container) allElements.add(container);
+    } catch (_) {}
+  });
 
-  const internKeywords = ["intern", "internship", "co-op", "coop", "student"];
-  const newGradKeywords = [
-    "new grad", "new graduate", "entry level", "entry-level",
-    "junior", "recent graduate", "early career",
-    "university grad", "university graduate", "college grad", "college graduate",
-    "new college grad", "new college graduate",
-    "engineer i", "engineer 1", "engineer 0",
-    "developer i", "developer 1", "developer 0",
-    "analyst i", "analyst 1", "analyst 0",
-    "scientist i", "scientist 1", "scientist 0",
-    "sde i", "sde 1", "swe i", "swe 1",
-    "associate software", "associate data", "associate developer",
-    "associate engineer", "associate analyst",
-    "level 0", "level 1", "level i",
-    "2025 start", "2026 start", "2025 grad", "2026 grad",
-  ];
-
-  const newGradRegexPatterns = [
-    /\b(?:engineer|developer|analyst|scientist)\s+[i1]\b/i,
-    /\b(?:engineer|developer|analyst|scientist)\s+[i1]\s*[-–—]/i,
-  ];
-
-  if (role === "intern") {
-    return internKeywords.some((keyword) => title.includes(keyword));
-  }
+  allElements.forEach((element) => {
+    try {
+      const textContent = element.textContent || element.innerText || "";
+      const cleanText = textContent.trim().replace(/\s+/g, " ");
+      if (cleanText.length < 20) return;
+
+      let title = "";
+      let company = "";
+      let location = "";
+      let url = "";
+      let postedDate = "Recent";
+
+      const linkEl = element.querySelector('a[href*="/jobs/"]') || element.querySelector('a[href*="/k/l/"]') || element.querySelector('a[href*="/c/"]') || element.querySelector('a[class*="job"]') || element.querySelector('a');
+      if (linkEl) url = linkEl.href;
+      if (element.href) url = element.href;
+
+      const titleEl = element.querySelector('h2, h3, h4, [class*="title"], [class*="Title"], [data-testid*="title"]');
+      if (titleEl) title = (titleEl.innerText ?? titleEl.textContent).trim();
+      const companyEl = element.querySelector('[class*="company"], [class*="Company"], [data-testid*="company"], [class*="employer"]');
+      if (companyEl) company = (companyEl.innerText ?? companyEl.textContent).trim();
+      const locationEl = element.querySelector('[class*="location"], [class*="Location"], [data-testid*="location"]');
+      if (locationEl) location = (locationEl.innerText ?? locationEl.textContent).trim();
+      const dateEl = element.querySelector('[class*="date"], [class*="posted"], [class*="time"], [class*="ago"]');
+      if (dateEl) postedDate = (dateEl.innerText ?? dateEl.textContent).trim();
+
+      if (!title || !company) {
+        const lines = cleanText.split(/[\n·•|]/).map((l) => l.trim()).filter((l) => l.length > 2 && l.length < 200);
+        for (const line of lines) {
+          const lowerLine = line.toLowerCase();
+          if (lowerLine.includes("apply") || lowerLine.includes("save") || lowerLine.includes("sign") || lowerLine.includes("login") || lowerLine.includes("quick") || lowerLine.includes("easy")) continue;
+          if (!title && (lowerLine.includes("engineer") || lowerLine.includes("developer") || lowerLine.includes("scientist") || lowerLine.includes("analyst") || lowerLine.includes("intern") || lowerLine.includes("software") || lowerLine.includes("data") || lowerLine.includes("machine learning"))) title = line;
+          if (!company && !lowerLine.includes("engineer") && !lowerLine.includes("developer") && !lowerLine.includes("intern") && line.length > 2 && line.length < 60) company = line;
+          if (!location && /\b[A-Z]{2}\b/.test(line) && line.includes(",")) location = line;
+          if (lowerLine.includes("ago") || lowerLine.includes("today") || lowerLine.includes("yesterday") || lowerLine.match(/\d+[hd]\b/)) postedDate = line;
+        }
+      }
 
-  if (role === "new_grad") {
-    const hasNewGradKeyword = newGradKeywords.some((keyword) => title.includes(keyword));
-    const hasNewGradPattern = newGradRegexPatterns.some((regex) => regex.test(originalTitle));
-    return hasNewGradKeyword || hasNewGradPattern;
-  }
+      if (title && title.length > 3 && !processedTitles.has(title.toLowerCase())) {
+        processedTitles.add(title.toLowerCase());
+        if (!url) url = "#";
+        results.push({
+          title,
+          url,
+          company: company || "Company not specified",
+          location: location || "Location not specified",
+          postedDate,
+          description: cleanText.substring(0, 200) + "...",
+          metadata: cleanText,
+          salary: "",
+          workModel: "",
+          source: "ziprecruiter",
+        });
+      }
+    } catch (err) {
+      // ignore per-element errors
+    }
+  });
+
+  return results;
+}
 
-  const matchesIntern = internKeywords.some((keyword) => title.includes(keyword));
-  const hasNewGradKeyword = newGradKeywords.some((keyword) => title.includes(keyword));
-  const hasNewGradPattern = newGradRegexPatterns.some((regex) => regex.test(originalTitle));
-  return matchesIntern || hasNewGradKeyword || hasNewGradPattern;
+/**
+ * Add id/jobId/normalizedId in Node (generateJobId is not available in browser context)
+ * @param {Array} jobs - Raw jobs from parseZipRecruiterJobCards
+ * @returns {Array} Normalized job objects
+ */
+function finalizeZipRecruiterJobs(jobs) {
+  return jobs.map((job) => {
+    const normalized = normalizeJob(job);
+    return { ...normalized, id: normalized.normalizedId, jobId: normalized.normalizedId };
+  });
 }
 
 /**
@@ -149,95 +188,9 @@ async function scrapeZipRecruiterPage(browser, searchUrl) {
       });
     }
 
-    const jobs = await page.evaluate(() => {
-      const results = [];
-      const processedTitles = new Set();
-
-      // Strategy 1: Modern ZipRecruiter uses <article> elements for job cards
-      const articleElements = document.querySelectorAll('article');
-      // Strategy 2: Job cards with data attributes / class names
-      const jobCards = document.querySelectorAll('[data-testid*="job"], [class*="job_result"], [class*="job-listing"], [class*="JobCard"], [class*="jobCard"], [class*="JobResult"]');
-      // Strategy 3: Links to job pages (reliable fallback)
-      const jobLinks = document.querySelectorAll('a[href*="/jobs/"], a[href*="/k/l/"], a[href*="/c/"]');
-      // Strategy 4: Generic result containers
-      const resultContainers = document.querySelectorAll('.search-result, [class*="result"], [class*="listing"], [class*="SearchResult"]');
-
-      const allElements = new Set([...articleElements, ...jobCards, ...resultContainers]);
-      jobLinks.forEach((link) => {
-        try {
-          const href = link.href || "";
-          if (!href || href === "#" || !href.includes("ziprecruiter.com")) return;
-          const container = link.closest('article') || link.closest('[class*="job"]') || link.closest('[class*="result"]') || link.closest('[class*="JobCard"]') || link.parentElement?.parentElement;
-          if (container) allElements.add(container);
-        } catch (_) {}
-      });
-
-      allElements.forEach((element) => {
-        try {
-          const textContent = element.textContent || element.innerText || "";
-          const cleanText = textContent.trim().replace(/\s+/g, " ");
-          if (cleanText.length < 20) return;
-
-          let title = "";
-          let company = "";
-          let location = "";
-          let url = "";
-          let postedDate = "Recent";
-
-          const linkEl = element.querySelector('a[href*="/jobs/"]') || element.querySelector('a[href*="/k/l/"]') || element.querySelector('a[href*="/c/"]') || element.querySelector('a[class*="job"]') || element.querySelector('a');
-          if (linkEl) url = linkEl.href;
-          if (element.href) url = element.href;
-
-          const titleEl = element.querySelector('h2, h3, h4, [class*="title"], [class*="Title"], [data-testid*="title"]');
-          if (titleEl) title = titleEl.innerText.trim();
-          const companyEl = element.querySelector('[class*="company"], [class*="Company"], [data-testid*="company"], [class*="employer"]');
-          if (companyEl) company = companyEl.innerText.trim();
-          const locationEl = element.querySelector('[class*="location"], [class*="Location"], [data-testid*="location"]');
-          if (locationEl) location = locationEl.innerText.trim();
-          const dateEl = element.querySelector('[class*="date"], [class*="posted"], [class*="time"], [class*="ago"]');
-          if (dateEl) postedDate = dateEl.innerText.trim();
-
-          if (!title || !company) {
-            const lines = cleanText.split(/[\n·•|]/).map((l) => l.trim()).filter((l) => l.length > 2 && l.length < 200);
-            for (const line of lines) {
-              const lowerLine = line.toLowerCase();
-              if (lowerLine.includes("apply") || lowerLine.includes("save") || lowerLine.includes("sign") || lowerLine.includes("login") || lowerLine.includes("quick") || lowerLine.includes("easy")) continue;
-              if (!title && (lowerLine.includes("engineer") || lowerLine.includes("developer") || lowerLine.includes("scientist") || lowerLine.includes("analyst") || lowerLine.includes("intern") || lowerLine.includes("software") || lowerLine.includes("data") || lowerLine.includes("machine learning"))) title = line;
-              if (!company && !lowerLine.includes("engineer") && !lowerLine.includes("developer") && !lowerLine.includes("intern") && line.length > 2 && line.length < 60) company = line;
-              if (!location && /\b[A-Z]{2}\b/.test(line) && line.includes(",")) location = line;
-              if (lowerLine.includes("ago") || lowerLine.includes("today") || lowerLine.includes("yesterday") || lowerLine.match(/\d+[hd]\b/)) postedDate = line;
-            }
-          }
+    const jobs = await evaluateParser(page, parseZipRecruiterJobCards);
 
-          if (title && title.length > 3 && !processedTitles.has(title.toLowerCase())) {
-            processedTitles.add(title.toLowerCase());
-            if (!url) url = "#";
-            results.push({
-              title,
-              url,
-              company: company || "Company not specified",
-              location: location || "Location not specified",
-              postedDate,
-              description: cleanText.substring(0, 200) + "...",
-              metadata: cleanText,
-              salary: "",
-              workModel: "",
-              source: "ziprecruiter",
-            });
-          }
-        } catch (err) {
-          // ignore per-element errors
-        }
-      });
-
-      return results;
-    });
-
-    // Add id/jobId/normalizedId in Node (generateJobId is not available in browser context)
-    const processedJobs = jobs.map((job) => {
-      const normalized = normalizeJob(job);
-      return { ...normalized, id: normalized.normalizedId, jobId: normalized.normalizedId };
-    });
+    const processedJobs = finalizeZipRecruiterJobs(jobs);
 
     if (processedJobs.length === 0) {
       const diag = await page.evaluate(() => {
@@ -285,9 +238,11 @@ async function scrapeZipRecruiter(searchUrl) {
  * @param {object} client - Discord client (optional)
  * @param {string} mode - Scraping mode: "discord" or "comprehensive"
  * @param {string} role - Role type: "intern", "new_grad", or "both"
+ * @param {object} options - Optional settings
+ * @param {boolean} options.dryRun - Scrape and filter without saving jobs to MongoDB
  * @returns {object} Object with jobs array and metadata
  */
-async function scrapeAllJobs(timeFilter, client, mode = "discord", role = "both") {
+async function scrapeAllJobs(timeFilter, client, mode = "discord", role = "both", options = {}) {
   logger.log("Starting ZipRecruiter scraping process");
   
   const allJobs = [];
@@ -338,7 +293,8 @@ async function scrapeAllJobs(timeFilter, client, mode = "discord", role = "both"
 
           if (jobs && jobs.length > 0) {
             const limitedRawJobs = jobs.slice(0, maxJobsPerSearch);
-            const relevantJobs = limitedRawJobs.filter((job) => isZipRecruiterRelevantJob(job, role));
+            // ZipRecruiter's stricter required keywords live in config.jobFiltering.sources.ziprecruiter
+            const relevantJobs = filterRelevantJobs(limitedRawJobs, role);
             logger.log(`Found ${relevantJobs.length} relevant jobs for ${keyword} in ${location} (role: ${role})`);
 
             const dateFilterLabel = getDateFilterLabel(timeFilter);
@@ -367,7 +323,7 @@ async function scrapeAllJobs(timeFilter, client, mode = "discord", role = "both"
   logger.log(`ZipRecruiter scraping complete. Found ${uniqueJobs.length} unique jobs across ${locations.length} locations.`);
 
   // Save to cache
-  if (uniqueJobs.length > 0) {
+  if (uniqueJobs.length > 0 && !options.dryRun) {
     await mongoService.addJobs(uniqueJobs, "ziprecruiter");
   }
 
@@ -380,5 +336,7 @@ async function scrapeAllJobs(timeFilter, client, mode = "discord", role = "both"
 
 module.exports = {
   scrapeAllJobs,
-  scrapeZipRecruiter
+  scrapeZipRecruiter,
+  parseZipRecruiterJobCards,
+  finalizeZipRecruiterJobs,
 };
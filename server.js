@@ -7,8 +7,15 @@ const { Client, GatewayIntentBits } = require("discord.js");
 const mongoService = require("./services/mongo");
 const loggerService = require("./services/logger");
 const commandHandler = require("./services/commandHandler");
+const scheduler = require("./services/scheduler");
+const jobLiveness = require("./services/jobLiveness");
+const jobActions = require("./services/jobActions");
+const applications = require("./services/applications");
+const { createApiRouter, requireApiKey } = require("./services/api");
+const { createFeedRouter } = require("./services/feeds");
 const config = require("./config");
 const { registerSlashCommands } = require("./registerCommands");
+const { isJobChannel } = require("./utils/guildRouting");
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -38,6 +45,13 @@ client.once("ready", async () => {
 
   await mongoService.loadCache();
 
+  // Register cron jobs from config.dailyScraping
+  const scheduleCount = scheduler.start(client);
+  loggerService.log(`Scheduler started with ${scheduleCount} schedule(s)`);
+
+  // Periodically re-check posted job links and tag closed postings
+  jobLiveness.start(client);
+
   const channel = client.channels.cache.get(config.logChannelId);
   if (channel) {
     await channel.send(
@@ -54,9 +68,7 @@ client.on("messageCreate", (msg) => {
   if (!msg.content.startsWith("!") || msg.author.bot) return;
   
   // Check if message is in any allowed channel (log channel or job channels)
-  const isAllowedChannel = msg.channel.id === config.logChannelId || 
-    Object.values(config.channels.intern).includes(msg.channel.id) ||
-    Object.values(config.channels.new_grad).includes(msg.channel.id);
+  const isAllowedChannel = msg.channel.id === config.logChannelId || isJobChannel(msg.channel.id);
     
   if (!isAllowedChannel) return;
   
@@ -64,8 +76,14 @@ client.on("messageCreate", (msg) => {
   commandHandler.processCommand(cmd, msg, client);
 });
 
-// Handle slash commands
+// Handle slash commands and the buttons under posted jobs
 client.on("interactionCreate", (i) => {
+  if (i.isButton()) {
+    jobActions
+      .handleJobButton(i, client)
+      .then((handled) => handled || applications.handleMyJobsButton(i));
+    return;
+  }
   if (!i.isChatInputCommand()) return;
   commandHandler.handleSlash(i, client);
 });
@@ -94,6 +112,38 @@ app.get("/ready", (req, res) => {
   });
 });
 
+// Scrape run history: recent runs plus daily per-source totals for trend charts
+// Query params: source, days (trend window, default 28), limit (runs, default 20). Needs X-API-Key, like /api/runs
+app.get("/history", requireApiKey, async (req, res) => {
+  try {
+    const source = req.query.source || undefined;
+    const days = parseInt(req.query.days, 10) || 28;
+    const runs = await mongoService.getScrapeRuns({
+      source,
+      limit: req.query.limit,
+      days,
+    });
+    const trends = await mongoService.getScrapeRunTrends({ source, days });
+
+    res.status(200).json({
+      source: source || "all",
+      days,
+      runs,
+      trends,
+      mongo: mongoService.isConnected() ? "connected" : "disconnected",
+    });
+  } catch (error) {
+    loggerService.log(`Error serving /history: ${error.message}`, "error");
+    res.status(500).json({ error: "Failed to load run history" });
+  }
+});
+
+// REST API over the job database and scrape runs (see services/api.js for auth)
+app.use("/api", createApiRouter({ client }));
+
+// Public RSS / Atom job feeds, e.g. /feeds/intern/software_engineering.xml (no API key)
+app.use("/feeds", createFeedRouter());
+
 // Start the server
 app.listen(port, () => {
   loggerService.log(`Server is running on port ${port}`);
@@ -108,6 +158,8 @@ app.listen(port, () => {
 // Handle graceful shutdown
 process.on("SIGINT", async () => {
   loggerService.log("Shutting down...");
+  scheduler.stop();
+  jobLiveness.stop();
   await mongoService.close();
   await client.destroy();
   process.exit(0);
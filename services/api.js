@@ -0,0 +1,267 @@
+// services/api.js - REST API over the job database and scrape runs, mounted at /api by server.js
+const crypto = require("crypto");
+const express = require("express");
+const config = require("../config");
+const logger = require("./logger");
+const mongoService = require("./mongo");
+const scrapeTracker = require("./scrapeTracker");
+
+const ROLES = ["intern", "new_grad"];
+const CATEGORIES = ["software_engineering", "data_analysis", "data_science_engineer"];
+
+/**
+ * Compare two secrets without leaking their contents through timing
+ * @param {string} provided - Secret sent by the client
+ * @param {string} expected - Configured secret
+ * @returns {boolean} True if they match
+ */
+function secretsMatch(provided, expected) {
+  const a = crypto.createHash("sha256").update(String(provided)).digest();
+  const b = crypto.createHash("sha256").update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Express middleware: require the X-API-Key header to match API_KEY.
+ * The API answers 503 while no key is configured so it is never open by accident.
+ */
+function requireApiKey(req, res, next) {
+  const apiKey = config.api.apiKey;
+  if (!apiKey) {
+    return res.status(503).json({ error: "API is disabled: set API_KEY to enable it" });
+  }
+
+  const provided = req.get("x-api-key");
+  if (!provided || !secretsMatch(provided, apiKey)) {
+    return res.status(401).json({ error: "Missing or invalid API key" });
+  }
+
+  next();
+}
+
+/**
+ * Express middleware: require "Authorization: Bearer <token>" matching SCRAPE_API_TOKEN.
+ * Starting scrapes is kept behind its own token so read-only keys can't trigger them.
+ */
+function requireScrapeToken(req, res, next) {
+  const token = config.api.scrapeToken;
+  if (!token) {
+    return res.status(503).json({ error: "Scrape API is disabled: set SCRAPE_API_TOKEN to enable it" });
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  if (!match || !secretsMatch(match[1].trim(), token)) {
+    return res.status(401).json({ error: "Missing or invalid bearer token" });
+  }
+
+  next();
+}
+
+/**
+ * Parse the `since` filter: an ISO date, or a relative window like "12h" or "7d"
+ * @param {string} value - Query string value
+ * @returns {Date|null} Parsed date, or null if it can't be parsed
+ */
+function parseSince(value) {
+  const relative = /^(\d+)([hd])$/.exec(value);
+  if (relative) {
+    const hours = parseInt(relative[1], 10) * (relative[2] === "d" ? 24 : 1);
+    return new Date(Date.now() - hours * 60 * 60 * 1000);
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validate GET /api/jobs query parameters
+ * @param {object} query - req.query
+ * @returns {object} { filters } or { error }
+ */
+function parseJobFilters(query) {
+  const filters = {
+    page: query.page,
+    limit: query.limit,
+  };
+
+  if (query.source) {
+    const source = String(query.source).toLowerCase();
+    if (!mongoService.getSourceKeys().includes(source)) {
+      return { error: `Unknown source "${query.source}". Use one of: ${mongoService.getSourceKeys().join(", ")}` };
+    }
+    filters.source = source;
+  }
+
+  if (query.role) {
+    if (!ROLES.includes(query.role)) {
+      return { error: `Unknown role "${query.role}". Use one of: ${ROLES.join(", ")}` };
+    }
+    filters.role = query.role;
+  }
+
+  if (query.category) {
+    if (!CATEGORIES.includes(query.category)) {
+      return { error: `Unknown category "${query.category}". Use one of: ${CATEGORIES.join(", ")}` };
+    }
+    filters.category = query.category;
+  }
+
+  if (query.since) {
+    filters.since = parseSince(String(query.since));
+    if (!filters.since) {
+      return { error: `Invalid since "${query.since}". Use an ISO date or a window like 12h or 7d` };
+    }
+  }
+
+  if (query.postedSince) {
+    filters.postedSince = parseSince(String(query.postedSince));
+    if (!filters.postedSince) {
+      return { error: `Invalid postedSince "${query.postedSince}". Use an ISO date or a window like 12h or 7d` };
+    }
+  }
+
+  if (query.minSalary) {
+    filters.minSalary = Number(query.minSalary);
+    if (!Number.isFinite(filters.minSalary) || filters.minSalary <= 0) {
+      return { error: `Invalid minSalary "${query.minSalary}". Use a yearly amount like 90000` };
+    }
+  }
+
+  if (query.sort) {
+    if (!["seen", "posted", "salary"].includes(query.sort)) {
+      return { error: `Unknown sort "${query.sort}". Use seen, posted or salary` };
+    }
+    filters.sort = query.sort;
+  }
+
+  if (query.status) {
+    if (!["open", "closed"].includes(query.status)) {
+      return { error: `Unknown status "${query.status}". Use open or closed` };
+    }
+    filters.status = query.status;
+  }
+
+  if (query.company) filters.company = String(query.company);
+  if (query.q) filters.q = String(query.q);
+
+  return { filters };
+}
+
+// Answer 503 instead of empty results while MongoDB is down
+function requireMongo(req, res, next) {
+  if (!mongoService.isConnected()) {
+    return res.status(503).json({ error: "MongoDB is not connected" });
+  }
+  next();
+}
+
+/**
+ * Build the /api router
+ * @param {object} options - Router options
+ * @param {object} options.client - Discord client that API-triggered scrapes post with
+ * @returns {express.Router} Router with the job, stats, run and scrape endpoints
+ */
+function createApiRouter(options = {}) {
+  const router = express.Router();
+  router.use(express.json());
+
+  // Start a scrape. Body: { source: "all" | "linkedin" | ..., role, timeFilter }
+  router.post("/scrape", requireScrapeToken, (req, res) => {
+    const { run, error, status } = scrapeTracker.startScrape(req.body || {}, options.client);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.status(202).json({
+      id: run.id,
+      status: run.status,
+      statusUrl: `${req.baseUrl}/scrape/${run.id}`,
+    });
+  });
+
+  // Progress of an API-started scrape, and its results once finished
+  router.get("/scrape/:id", requireScrapeToken, (req, res) => {
+    const run = scrapeTracker.getScrape(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: "Scrape run not found" });
+    }
+    res.status(200).json(run);
+  });
+
+  // Everything below is read-only and uses the API key
+  router.use(requireApiKey);
+
+  // Jobs, newest first. Query params: source, role, category, status, company, since, postedSince, minSalary, sort, q, page, limit
+  router.get("/jobs", requireMongo, async (req, res) => {
+    const { filters, error } = parseJobFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const { jobs, total, page, limit } = await mongoService.findJobs(filters);
+      res.status(200).json({
+        jobs,
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (err) {
+      logger.log(`Error serving /api/jobs: ${err.message}`, "error");
+      res.status(500).json({ error: "Failed to load jobs" });
+    }
+  });
+
+  // One job with every source sighting
+  router.get("/jobs/:normalizedId", requireMongo, async (req, res) => {
+    try {
+      const job = await mongoService.getJobByNormalizedId(req.params.normalizedId);
+      if (!job) {
+        return res.status(404).json({ error: "Job not found" });
+      }
+      res.status(200).json(job);
+    } catch (err) {
+      logger.log(`Error serving /api/jobs/${req.params.normalizedId}: ${err.message}`, "error");
+      res.status(500).json({ error: "Failed to load job" });
+    }
+  });
+
+  // Cache statistics per source plus canonical totals (in-memory counts if MongoDB is down)
+  router.get("/stats", async (req, res) => {
+    try {
+      const stats = await mongoService.getAllCacheStats();
+      res.status(200).json({
+        ...stats,
+        mongo: mongoService.isConnected() ? "connected" : "disconnected",
+        generatedAt: new Date().toISOString(),
+      });
+    } catch (err) {
+      logger.log(`Error serving /api/stats: ${err.message}`, "error");
+      res.status(500).json({ error: "Failed to load stats" });
+    }
+  });
+
+  // Recent scrape runs. Query params: source, days, limit
+  router.get("/runs", requireMongo, async (req, res) => {
+    try {
+      const runs = await mongoService.getScrapeRuns({
+        source: req.query.source || undefined,
+        days: parseInt(req.query.days, 10) || undefined,
+        limit: req.query.limit,
+      });
+      res.status(200).json({ runs });
+    } catch (err) {
+      logger.log(`Error serving /api/runs: ${err.message}`, "error");
+      res.status(500).json({ error: "Failed to load runs" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createApiRouter,
+  requireApiKey,
+  requireScrapeToken,
+  parseJobFilters,
+};
@@ -0,0 +1,218 @@
+// services/applications.js - Personal application tracker: /applied, /myjobs and /status-update
+const {
+  ActionRowBuilder,
+  AttachmentBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+} = require("discord.js");
+const config = require("../config");
+const logger = require("./logger");
+const mongoService = require("./mongo");
+const { getJobHandle, csvCell } = require("../utils/helpers");
+
+const PAGE_BUTTON_PREFIX = "myjobs";
+
+const STATUS_EMOJI = {
+  saved: "⭐",
+  applied: "✅",
+  oa: "📝",
+  interview: "🗣️",
+  offer: "🎉",
+  rejected: "❌",
+};
+
+/**
+ * Resolve what a user typed into one stored job
+ * @param {string} handle - Job ID from an embed footer (or any normalizedId prefix) or the job's URL
+ * @returns {Promise<object>} { job } or { error }
+ */
+async function resolveJob(handle) {
+  const value = String(handle || "").trim().replace(/^<(.+)>$/, "$1");
+  const isUrl = /^https?:\/\//i.test(value);
+  if (!isUrl && !/^[0-9a-f]{6,32}$/i.test(value)) {
+    return { error: "Use the job ID from the footer of a job post (e.g. `3f2a9c1b7d`) or the job's URL." };
+  }
+
+  const matches = await mongoService.findJobsByHandle(value);
+  if (matches.length === 0) {
+    return { error: `No stored job matches \`${value}\`.` };
+  }
+  if (matches.length > 1 && !isUrl) {
+    const options = matches.map((job) => `\`${getJobHandle(job)}\` ${job.title} @ ${job.company}`).join("\n");
+    return { error: `\`${value}\` matches several jobs, use a longer ID:\n${options}` };
+  }
+  return { job: matches[0] };
+}
+
+/**
+ * Build a CSV of a user's tracked jobs (one row per job, history flattened into one column)
+ * @param {Array<object>} userJobs - user_jobs documents
+ * @returns {string} CSV text with a header row
+ */
+function buildApplicationsCsv(userJobs) {
+  const header = ["status", "title", "company", "location", "url", "job_id", "updated_at", "history"];
+  const rows = userJobs.map((entry) => [
+    entry.status,
+    entry.title,
+    entry.company,
+    entry.location,
+    entry.url,
+    getJobHandle(entry),
+    entry.updatedAt,
+    (entry.history || [])
+      .map((step) => `${step.status} ${new Date(step.at).toISOString().slice(0, 10)}${step.note ? ` (${step.note})` : ""}`)
+      .join("; "),
+  ]);
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+/**
+ * Build one /myjobs page: the embed plus Prev/Next buttons
+ * @param {object} user - Discord user ({ id, username })
+ * @param {string|null} status - Status filter (null for all)
+ * @param {number} page - 1-based page number
+ * @returns {Promise<object>} Message payload ({ embeds, components })
+ */
+async function buildMyJobsPage(user, status, page) {
+  const [{ jobs, total, limit }, counts] = await Promise.all([
+    mongoService.getUserJobs(user.id, { status, page }),
+    mongoService.getUserJobCounts(user.id),
+  ]);
+  const totalPages = Math.max(Math.ceil(total / limit), 1);
+  const currentPage = Math.min(page, totalPages);
+
+  const summary = config.applications.pipeline
+    .filter((step) => counts[step])
+    .map((step) => `${STATUS_EMOJI[step]} ${counts[step]} ${step}`)
+    .join(" · ");
+  const lines = jobs.map((entry) => {
+    const updated = Math.floor(new Date(entry.updatedAt).getTime() / 1000);
+    return `${STATUS_EMOJI[entry.status] || "•"} **${entry.status}** [${entry.title}](${entry.url}) @ ${entry.company} · \`${getJobHandle(entry)}\` · <t:${updated}:R>`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Your Applications${status ? `: ${status}` : ""}`)
+    .setColor("#0077b5")
+    .setDescription(
+      (lines.length > 0
+        ? `${summary}\n\n${lines.join("\n")}`
+        : "Nothing here yet. Use the buttons under job posts, `/applied` or `/status-update` to track jobs."
+      ).substring(0, 4096)
+    )
+    .setFooter({ text: `Page ${currentPage}/${totalPages} · ${total} job${total !== 1 ? "s" : ""} · /myjobs export:true for a CSV` });
+
+  const filterKey = status || "all";
+  const components =
+    totalPages > 1
+      ? [
+          new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+              .setCustomId(`${PAGE_BUTTON_PREFIX}:${filterKey}:${currentPage - 1}`)
+              .setLabel("◀ Prev")
+              .setStyle(ButtonStyle.Secondary)
+              .setDisabled(currentPage <= 1),
+            new ButtonBuilder()
+              .setCustomId(`${PAGE_BUTTON_PREFIX}:${filterKey}:${currentPage + 1}`)
+              .setLabel("Next ▶")
+              .setStyle(ButtonStyle.Secondary)
+              .setDisabled(currentPage >= totalPages)
+          ),
+        ]
+      : [];
+
+  return { embeds: [embed], components };
+}
+
+/**
+ * Handle the Prev/Next buttons of a /myjobs reply
+ * @param {object} interaction - Discord button interaction
+ * @returns {Promise<boolean>} True if the interaction was a /myjobs page button
+ */
+async function handleMyJobsButton(interaction) {
+  const [prefix, filterKey, page] = String(interaction.customId || "").split(":");
+  if (prefix !== PAGE_BUTTON_PREFIX) {
+    return false;
+  }
+
+  try {
+    const status = filterKey === "all" ? null : filterKey;
+    await interaction.update(await buildMyJobsPage(interaction.user, status, parseInt(page, 10) || 1));
+  } catch (error) {
+    logger.log(`Error paging /myjobs: ${error.message}`, "error");
+  }
+  return true;
+}
+
+/**
+ * Handle /applied, /myjobs and /status-update. Every reply is ephemeral.
+ * @param {object} interaction - Discord slash command interaction
+ */
+async function handleApplicationCommand(interaction) {
+  try {
+    const options = interaction.options;
+    const user = { id: interaction.user.id, username: interaction.user.username };
+
+    if (!mongoService.isConnected()) {
+      await interaction.reply({ content: "❌ Application tracking is unavailable right now (database offline).", ephemeral: true });
+      return;
+    }
+
+    if (interaction.commandName === "myjobs") {
+      const status = options.getString("status");
+
+      if (options.getBoolean("export")) {
+        const { jobs } = await mongoService.getUserJobs(user.id, { status, limit: 0 });
+        if (jobs.length === 0) {
+          await interaction.reply({ content: "You have no tracked jobs to export.", ephemeral: true });
+          return;
+        }
+        const file = new AttachmentBuilder(Buffer.from(buildApplicationsCsv(jobs), "utf8"), {
+          name: `my-jobs${status ? `-${status}` : ""}.csv`,
+        });
+        await interaction.reply({ content: `📄 ${jobs.length} tracked job(s)`, files: [file], ephemeral: true });
+        return;
+      }
+
+      await interaction.reply({ ...(await buildMyJobsPage(user, status, 1)), ephemeral: true });
+      return;
+    }
+
+    // /applied and /status-update both point at one job
+    const { job, error } = await resolveJob(options.getString("job"));
+    if (error) {
+      await interaction.reply({ content: `❌ ${error}`, ephemeral: true });
+      return;
+    }
+
+    const note = options.getString("note");
+    const status = interaction.commandName === "applied" ? "applied" : options.getString("status");
+    const result = await mongoService.setUserJobStatus(user, job, status, {
+      note,
+      force: interaction.commandName === "status-update",
+    });
+    if (!result) {
+      await interaction.reply({ content: "❌ Could not save that, please try again.", ephemeral: true });
+      return;
+    }
+
+    const content =
+      result.status !== status
+        ? `**${job.title}** @ ${job.company} is already at **${result.status}**. Use \`/status-update\` to change it.`
+        : `${STATUS_EMOJI[status]} **${job.title}** @ ${job.company}: ${result.previousStatus ? `${result.previousStatus} → ` : ""}**${status}**`;
+    if (result.status === status) {
+      logger.log(`📋 ${user.username} moved "${job.title}" @ ${job.company} to ${status}`);
+    }
+    await interaction.reply({ content, ephemeral: true });
+  } catch (error) {
+    logger.log(`Error handling /${interaction.commandName}: ${error.message}`, "error");
+    await interaction.reply({ content: "An error occurred while processing the command.", ephemeral: true }).catch(() => {});
+  }
+}
+
+module.exports = {
+  resolveJob,
+  buildApplicationsCsv,
+  handleMyJobsButton,
+  handleApplicationCommand,
+};
@@ -5,11 +5,42 @@ const ziprecruiterScraper = require("../scrapers/ziprecruiter");
 const jobrightScraper = require("../scrapers/jobright");
 const glassdoorScraper = require("../scrapers/glassdoor");
 const githubScraper = require("../scrapers/github");
+const atsScraper = require("../scrapers/ats");
 const mongoService = require("./mongo");
+const scheduler = require("./scheduler");
+const jobLiveness = require("./jobLiveness");
+const jobActions = require("./jobActions");
+const applications = require("./applications");
+const filterAdmin = require("./filterAdmin");
+const guildSetup = require("./guildSetup");
+const jobExport = require("./jobExport");
+const runHistory = require("./runHistory");
+const subscriptions = require("./subscriptions");
+const notifiers = require("./notifiers");
 const logger = require("./logger");
 const config = require("../config");
+const { formatAnnual } = require("../utils/salary");
+const { createJobEmbed, getSourceEmbedColor, generateJobId } = require("../utils/helpers");
 
-// Command status tracking
+// Most jobs one filtered command sends back to its caller (10 embeds per message)
+const MAX_FILTERED_MATCHES = 30;
+
+// Scraper commands that map to a single source, for run history
+const commandSources = {
+  jobslinkedin: "linkedin",
+  jobssimplyhired: "simplyhired",
+  jobsziprecruiter: "ziprecruiter",
+  jobsjobright: "jobright",
+  jobsglassdoor: "glassdoor",
+  jobsgithub: "github",
+  jobsgithubspecific: "github",
+  jobsats: "ats",
+};
+
+// Every command that scrapes; the ones not in commandSources cover several sources
+const scrapeCommands = new Set([...Object.keys(commandSources), "jobseverything", "jobsallsources", "daily"]);
+
+// Command status tracking (in-memory; persistent history lives in scrape_runs)
 let commandStatus = {
   linkedin: {
     lastRun: null,
@@ -47,6 +78,12 @@ let commandStatus = {
     jobsFound: 0,
     errorCount: 0,
   },
+  ats: {
+    lastRun: null,
+    success: false,
+    jobsFound: 0,
+    errorCount: 0,
+  },
 };
 
 /**
@@ -211,6 +248,12 @@ async function processCommand(command, message, client) {
       await executeCommand("jobsglassdoor", { timeFilter: "month" }, client);
     }
 
+    // Company ATS board commands
+    else if (command === "jobsats" || command === "ats") {
+      await message.reply("Starting company ATS board scraping (Greenhouse, Lever, Ashby)...");
+      await executeCommand("jobsats", {}, client);
+    }
+
     // GitHub specific commands
     else if (command === "jobsgithub" || command === "github") {
       await message.reply("Starting GitHub repositories scraping...");
@@ -355,6 +398,8 @@ async function processCommand(command, message, client) {
     // Status commands
     else if (command === "status") {
       await sendStatusReport(message, client);
+    } else if (command === "history") {
+      await sendHistoryReport(message);
     } else if (command === "dbstatus") {
       await sendDatabaseStatus(message, client);
     } else if (command === "help") {
@@ -391,12 +436,59 @@ async function processCommand(command, message, client) {
 }
 
 /**
- * Execute a command without user interaction (for scheduled tasks)
+ * Execute a command without user interaction (for scheduled tasks).
+ * Scraper commands are saved to the scrape_runs history.
  * @param {string} command - The command to execute
  * @param {object} options - Command options
  * @param {object} client - The Discord client
  */
 async function executeCommand(command, options, client) {
+  const startedAt = new Date();
+  // Every line logged by the scrapers carries this run's id; personal filters only pick what the caller is sent
+  const run = () => runCommand(command, options, client);
+  // Visible to the scheduler and POST /api/scrape, which don't start these sources meanwhile
+  const release = scrapeCommands.has(command)
+    ? scheduler.trackRun(`command ${command}`, commandSources[command] ? [commandSources[command]] : null)
+    : () => {};
+  let result;
+  try {
+    result = await logger.runWithContext({ runId: logger.newRunId(), trigger: `command:${command}` }, () =>
+      options?.callerFilters ? notifiers.collectMatchingJobs(options.callerFilters, options.callerMatches, run) : run()
+    );
+  } finally {
+    release();
+  }
+
+  // The daily command goes through runComprehensiveScrape, which records itself
+  if (commandSources[command]) {
+    await runHistory.recordScraperResult(
+      commandSources[command],
+      options?.role || "intern",
+      `command:${command}`,
+      startedAt,
+      result
+    );
+  } else if (command === "jobseverything" || command === "jobsallsources") {
+    const tasks = Object.entries(result || {})
+      .filter(([source]) => Object.values(commandSources).includes(source))
+      .map(([source, sourceResult]) =>
+        runHistory.createScraperTaskRecord(source, "both", startedAt, sourceResult)
+      );
+    if (tasks.length > 0) {
+      await runHistory.recordRun({ trigger: `command:${command}`, startedAt, tasks });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Run a command's scraper(s) and update in-memory command status
+ * @param {string} command - The command to execute
+ * @param {object} options - Command options
+ * @param {object} client - The Discord client
+ */
+async function runCommand(command, options, client) {
   try {
     let jobs = [];
     let source = "";
@@ -522,6 +614,16 @@ async function executeCommand(command, options, client) {
         );
         commandStatus.github = resultGithub;
         return resultGithub;
+      case "jobsats":
+        const resultAts = await atsScraper.scrapeAllJobs(
+          client,
+          "discord",
+          options.role || "both",
+          options.timeFilter || "week",
+          { company: options.company }
+        );
+        commandStatus.ats = resultAts;
+        return resultAts;
       case "daily":
         // Import the daily scraper function
         const { runDailyComprehensiveScrape } = require("../daily-scraper");
@@ -673,11 +775,18 @@ async function sendStatusReport(message) {
     const statusEmbed = new EmbedBuilder()
       .setTitle("Job Bot Status")
       .setColor("#00FF00")
-      .addFields({
-        name: "Total Cache Size",
-        value: cacheStats.total.toString(),
-        inline: false,
-      });
+      .addFields(
+        {
+          name: "Unique Jobs",
+          value: cacheStats.total.toString(),
+          inline: true,
+        },
+        {
+          name: "Seen On 2+ Sources",
+          value: cacheStats.crossSource.toString(),
+          inline: true,
+        }
+      );
 
     // Add LinkedIn status info if available
     if (commandStatus.linkedin.lastRun) {
@@ -805,6 +914,78 @@ async function sendStatusReport(message) {
       );
     }
 
+    // Add ATS board status info if available
+    if (commandStatus.ats.lastRun) {
+      statusEmbed.addFields(
+        {
+          name: "ATS Boards Last Run",
+          value: commandStatus.ats.lastRun.toLocaleString(),
+          inline: true,
+        },
+        {
+          name: "ATS Boards Status",
+          value: commandStatus.ats.success ? "Success" : "Failed",
+          inline: true,
+        },
+        {
+          name: "ATS Boards Jobs Found",
+          value: commandStatus.ats.jobsFound.toString(),
+          inline: true,
+        }
+      );
+    }
+
+    // Add pay across recent jobs that state a USD salary
+    const salaryStats = await mongoService.getSalaryStats();
+    if (salaryStats && salaryStats.withSalary > 0) {
+      statusEmbed.addFields({
+        name: `Salaries (last ${salaryStats.days} days)`,
+        value: [
+          `Median ${formatAnnual(salaryStats.median)} · average ${formatAnnual(salaryStats.average)}`,
+          `Range ${formatAnnual(salaryStats.min)} – ${formatAnnual(salaryStats.max)}`,
+          `${salaryStats.withSalary} of ${salaryStats.total} jobs state pay`,
+        ].join("\n"),
+      });
+    }
+
+    // Add scheduled run info (next run per named schedule)
+    const scheduleStatus = scheduler.getScheduleStatus();
+    if (scheduleStatus.length > 0) {
+      const scheduleLines = scheduleStatus.map((entry) => {
+        const nextRun = entry.nextRun ? entry.nextRun.toLocaleString() : "unknown";
+        const state = entry.running ? " (running)" : "";
+        return `**${entry.name}** \`${entry.cron}\` → ${nextRun}${state}`;
+      });
+      statusEmbed.addFields({
+        name: "Scheduled Runs",
+        value: scheduleLines.join("\n").substring(0, 1024),
+        inline: false,
+      });
+    }
+
+    // Add link-liveness checker state (closed-job detection)
+    const livenessStatus = jobLiveness.getStatus();
+    if (livenessStatus.scheduled) {
+      const last = livenessStatus.lastRun;
+      statusEmbed.addFields({
+        name: "Link Checks",
+        value: last
+          ? `Last run ${last.finishedAt.toLocaleString()}: ${last.checked} checked, ${last.closed} closed, ${last.unknown} unknown${livenessStatus.running ? " (running)" : ""}`
+          : `\`${config.liveness.schedule}\`, no run yet${livenessStatus.running ? " (running)" : ""}`,
+        inline: false,
+      });
+    }
+
+    // Add the last persisted run so status survives restarts
+    const [lastRun] = await mongoService.getScrapeRuns({ limit: 1 });
+    if (lastRun) {
+      statusEmbed.addFields({
+        name: "Last Recorded Run",
+        value: formatRunLine(lastRun),
+        inline: false,
+      });
+    }
+
     statusEmbed.setFooter({
       text: `Job Bot Status | ${new Date().toLocaleString()}`,
     });
@@ -815,6 +996,248 @@ async function sendStatusReport(message) {
   }
 }
 
+/**
+ * Format a scrape run as a single summary line
+ * @param {object} run - Scrape run document
+ * @returns {string} Summary line
+ */
+function formatRunLine(run) {
+  const totals = run.totals || {};
+  const startedAt = new Date(run.startedAt).toLocaleString();
+  const durationMin = Math.round((run.durationMs || 0) / 60000);
+  return (
+    `\`${startedAt}\` ${run.trigger} — ${totals.newJobs || 0} new / ${totals.jobsFound || 0} found, ` +
+    `✅ ${totals.successful || 0} ❌ ${totals.failed || 0} ⏭️ ${totals.skipped || 0} (${durationMin}m)`
+  );
+}
+
+/**
+ * Send scrape run history to Discord: recent runs plus weekly per-source trends
+ * @param {object} message - Discord message or interaction object
+ * @param {object} options - History options
+ * @param {string} options.source - Only runs that included this source
+ * @param {number} options.days - Trend window in days (default: 28)
+ * @param {number} options.limit - Number of recent runs to list (default: 10)
+ */
+async function sendHistoryReport(message, options = {}) {
+  try {
+    const days = options.days || 28;
+    const runs = await mongoService.getScrapeRuns({
+      limit: options.limit || 10,
+      source: options.source,
+    });
+    const trends = await mongoService.getScrapeRunTrends({
+      days,
+      source: options.source,
+    });
+
+    const historyEmbed = new EmbedBuilder()
+      .setTitle("Scrape Run History")
+      .setColor("#0077b5")
+      .setDescription(
+        options.source ? `Runs including **${options.source}**` : "All sources"
+      );
+
+    if (runs.length === 0) {
+      historyEmbed.addFields({
+        name: "Recent Runs",
+        value: mongoService.isConnected()
+          ? "No runs recorded yet."
+          : "MongoDB not connected, run history unavailable.",
+        inline: false,
+      });
+    } else {
+      historyEmbed.addFields({
+        name: `Recent Runs (${runs.length})`,
+        value: runs.map(formatRunLine).join("\n").substring(0, 1024),
+        inline: false,
+      });
+    }
+
+    // Bucket daily trend rows into weeks per source (this week first)
+    if (trends.length > 0) {
+      const weekCount = Math.ceil(days / 7);
+      const bySource = {};
+      for (const row of trends) {
+        const ageDays = (Date.now() - new Date(row.day).getTime()) / (24 * 60 * 60 * 1000);
+        const week = Math.min(Math.floor(ageDays / 7), weekCount - 1);
+        if (!bySource[row.source]) {
+          bySource[row.source] = { weeks: new Array(weekCount).fill(0), errors: 0, runs: 0 };
+        }
+        bySource[row.source].weeks[week] += row.newJobs;
+        bySource[row.source].errors += row.errors;
+        bySource[row.source].runs += row.runs;
+      }
+      const trendLines = Object.entries(bySource).map(
+        ([source, data]) =>
+          `**${source}**: ${data.weeks.join(" / ")} new (${data.runs} runs, ${data.errors} errors)`
+      );
+      historyEmbed.addFields({
+        name: `Weekly New Jobs (this week → ${weekCount - 1} weeks ago)`,
+        value: trendLines.join("\n").substring(0, 1024),
+        inline: false,
+      });
+    }
+
+    historyEmbed.setFooter({
+      text: `Run History | last ${days} days | ${new Date().toLocaleString()}`,
+    });
+    await message.reply({ embeds: [historyEmbed] });
+  } catch (error) {
+    logger.log(`Error sending run history: ${error.message}`, "error");
+    await message.reply("Error getting run history.");
+  }
+}
+
+/**
+ * Handle /subscribe, /subscriptions list and /unsubscribe (ephemeral replies)
+ * @param {object} interaction - The Discord interaction object
+ */
+async function handleSubscriptionCommand(interaction) {
+  try {
+    const options = interaction.options;
+    const userId = interaction.user.id;
+
+    if (interaction.commandName === "subscribe") {
+      const { subscription, error } = await subscriptions.createSubscription(
+        userId,
+        interaction.user.username,
+        {
+          keywords: options.getString("keywords"),
+          companies: options.getString("companies"),
+          locations: options.getString("locations"),
+          remoteOnly: options.getBoolean("remote_only"),
+          hideNoSponsorship: options.getBoolean("hide_no_sponsorship"),
+          role: options.getString("role"),
+          category: options.getString("category"),
+        }
+      );
+      if (error) {
+        await interaction.reply({ content: `❌ ${error}`, ephemeral: true });
+        return;
+      }
+      await interaction.reply({
+        content:
+          `🔔 Subscribed! ID \`${subscription.subscriptionId}\`: ${subscriptions.describeSubscription(subscription)}\n` +
+          "Matching new jobs will be sent to you by DM (make sure DMs from server members are enabled).",
+        ephemeral: true,
+      });
+      return;
+    }
+
+    if (interaction.commandName === "subscriptions") {
+      const userSubscriptions = await mongoService.getSubscriptions(userId);
+      if (userSubscriptions.length === 0) {
+        await interaction.reply({
+          content: "You have no subscriptions. Create one with `/subscribe`.",
+          ephemeral: true,
+        });
+        return;
+      }
+      const listEmbed = new EmbedBuilder()
+        .setTitle("Your Job Alert Subscriptions")
+        .setColor("#0077b5")
+        .setDescription(
+          userSubscriptions
+            .map((sub) => {
+              const matched = sub.matchCount ? ` — ${sub.matchCount} alerts sent` : "";
+              return `\`${sub.subscriptionId}\` ${subscriptions.describeSubscription(sub)}${matched}`;
+            })
+            .join("\n")
+            .substring(0, 4096)
+        )
+        .setFooter({ text: "Remove one with /unsubscribe id:<ID> (or id:all)" });
+      await interaction.reply({ embeds: [listEmbed], ephemeral: true });
+      return;
+    }
+
+    if (interaction.commandName === "unsubscribe") {
+      const id = (options.getString("id") || "").trim().toLowerCase();
+      const removed = await mongoService.removeSubscription(
+        userId,
+        id === "all" ? null : id
+      );
+      await interaction.reply({
+        content:
+          removed > 0
+            ? `🔕 Removed ${removed} subscription${removed !== 1 ? "s" : ""}.`
+            : `No subscription found with ID \`${id}\`. Use \`/subscriptions list\` to see your IDs.`,
+        ephemeral: true,
+      });
+    }
+  } catch (error) {
+    logger.log(`Error handling subscription command: ${error.message}`, "error");
+    await interaction.reply({
+      content: "An error occurred while updating your subscriptions.",
+      ephemeral: true,
+    });
+  }
+}
+
+/**
+ * Run a scrape as a dry run and show the caller what it would post, per channel.
+ * Nothing is saved to MongoDB, recorded in run history or posted.
+ * A /daily preview outlasts the interaction token, so its result is sent by DM instead.
+ * @param {object} interaction - Discord slash command interaction
+ * @param {object} client - Discord client
+ * @param {string} command - Slash command: a source from scrape.js, or "daily" for the comprehensive scrape
+ */
+async function sendScrapePreview(interaction, client, command) {
+  // Required lazily: scrape.js loads every scraper
+  const { runComprehensiveScrape, runSpecificScraper, availableScrapers } = require("../scrape");
+  const { buildPreviewReply } = require("./scrapePreview");
+
+  if (command !== "daily" && !availableScrapers[command]) {
+    await interaction.reply({ content: `❌ /${command} has no preview.`, ephemeral: true });
+    return;
+  }
+
+  // A preview still drives the scrapers, so it can't run alongside a real run of the same sources
+  const sources = command === "daily" ? null : [command];
+  const conflict = scheduler.findRunningConflict(sources);
+  if (conflict) {
+    await interaction.reply({ content: `⏳ Can't preview /${command} now: ${conflict}.`, ephemeral: true });
+    return;
+  }
+  const release = scheduler.trackRun(`preview ${command}`, sources);
+
+  try {
+    if (command === "daily") {
+      await interaction.reply({
+        content: "🔍 Previewing the daily comprehensive scrape. It takes a while; the result will be sent to you by DM.",
+        ephemeral: true,
+      });
+      const result = await runComprehensiveScrape(client, { dryRun: true });
+      try {
+        await interaction.user.send(
+          result.preview
+            ? buildPreviewReply(result.preview, "daily comprehensive scrape")
+            : `❌ Preview failed: ${result.error || "unknown error"}`
+        );
+      } catch (error) {
+        logger.log(`⚠️ Could not DM the daily preview to user ${interaction.user.id}: ${error.message}`, "warn");
+      }
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const role = (interaction.options.getString("role") || "both").replace(" ", "_");
+    const timeFilter = interaction.options.getString("time") || undefined;
+    const result = await runSpecificScraper(command, client, { dryRun: true, role, timeFilter });
+
+    if (!result.preview) {
+      await interaction.editReply(`❌ Preview failed: ${result.error || "unknown error"}`);
+      return;
+    }
+
+    const title = `${availableScrapers[command].name} (${role}${timeFilter ? `, ${timeFilter}` : ""})`;
+    await interaction.editReply(buildPreviewReply(result.preview, title));
+  } finally {
+    release();
+  }
+}
+
 /**
  * Send database status to Discord
  * @param {object} message - Discord message object
@@ -865,9 +1288,19 @@ async function sendDatabaseStatus(message) {
           inline: true,
         },
         {
-          name: "Total Cache Size",
+          name: "ATS Boards Cache Count",
+          value: cacheStats.ats.count.toString(),
+          inline: true,
+        },
+        {
+          name: "Unique Jobs",
           value: cacheStats.total.toString(),
           inline: true,
+        },
+        {
+          name: "Seen On 2+ Sources",
+          value: cacheStats.crossSource.toString(),
+          inline: true,
         }
       );
 
@@ -933,6 +1366,7 @@ async function sendHelpMessage(message) {
           value:
             "!ziprecruiter - Scrape ZipRecruiter jobs\n" +
             "!jobright - Scrape Jobright.ai jobs\n" +
+            "!ats - Scrape company ATS boards (Greenhouse, Lever, Ashby)\n" +
             "!glassdoor - Scrape Glassdoor jobs",
         },
         {
@@ -945,6 +1379,7 @@ async function sendHelpMessage(message) {
           name: "Status Commands",
           value:
             "!status - Check bot status and statistics\n" +
+            "!history - Show recent scrape runs and weekly trends\n" +
             "!dbStatus - Check database connection status\n" +
             "!help - Show this help message",
         }
@@ -980,17 +1415,76 @@ async function handleSlash(interaction, client) {
       jobright: "jobsjobright",
       glassdoor: "jobsglassdoor",
       github: "jobsgithub",
+      ats: "jobsats",
       daily: "daily",
       status: "status",
+      history: "history",
       clearcache: "clearcache",
     };
 
+    // Personal subscriptions are per-user, not scrapes
+    if (["subscribe", "subscriptions", "unsubscribe"].includes(command)) {
+      await handleSubscriptionCommand(interaction);
+      return;
+    }
+
+    // Personal application tracker
+    if (["applied", "myjobs", "status-update"].includes(command)) {
+      await applications.handleApplicationCommand(interaction);
+      return;
+    }
+
+    // Admin review queue for job button reports
+    if (command === "review") {
+      await jobActions.handleReviewCommand(interaction);
+      return;
+    }
+
+    // Admin filter terms (/filter add-exclude, add-include, remove, list, test)
+    if (command === "filter") {
+      await filterAdmin.handleFilterCommand(interaction);
+      return;
+    }
+
+    // Per-server channels, sources and filters (/setup channel, sources, filter, show)
+    if (command === "setup") {
+      await guildSetup.handleSetupCommand(interaction);
+      return;
+    }
+
+    // CSV / JSON Lines download of stored jobs
+    if (command === "export") {
+      await jobExport.handleExportCommand(interaction);
+      return;
+    }
+
     const legacyCommand = commandMap[command];
     if (!legacyCommand) {
       await interaction.reply({ content: "Unknown command", ephemeral: true });
       return;
     }
 
+    // Status is a report, not a scrape: reply directly with the status embed
+    if (legacyCommand === "status") {
+      await sendStatusReport(interaction);
+      return;
+    }
+
+    if (legacyCommand === "history") {
+      await sendHistoryReport(interaction, {
+        source: options.getString("source"),
+        days: options.getInteger("days"),
+        limit: options.getInteger("limit"),
+      });
+      return;
+    }
+
+    // Dry run: show what the scrape would post without saving or posting anything
+    if (options.getBoolean("preview")) {
+      await sendScrapePreview(interaction, client, command);
+      return;
+    }
+
     // Defer the reply since scraping might take time
     await interaction.deferReply();
 
@@ -1016,6 +1510,12 @@ async function handleSlash(interaction, client) {
       if (repo) {
         commandOptions = { repo };
       }
+    } else if (legacyCommand === "jobsats") {
+      commandOptions = {
+        timeFilter: options.getString("time") || "week",
+        role: role,
+        company: options.getString("company"),
+      };
     } else if (legacyCommand === "daily") {
       const runNow = options.getBoolean("now") || false;
       commandOptions = { runNow };
@@ -1027,12 +1527,26 @@ async function handleSlash(interaction, client) {
     } else if (legacyCommand !== "status") {
       commandOptions = { timeFilter: time, role: role };
     }
+    // min_salary, location and remote_only don't change what the channels get: matches are sent to the caller
+    const callerFilters = {
+      minSalary: options.getInteger("min_salary") || null,
+      location: (options.getString("location") || "").trim().substring(0, 100) || null,
+      remoteOnly: options.getBoolean("remote_only") === true,
+    };
+    const filtered = !!(callerFilters.minSalary || callerFilters.location || callerFilters.remoteOnly);
+    if (filtered) {
+      commandOptions.callerFilters = callerFilters;
+      commandOptions.callerMatches = [];
+    }
 
     // Execute the command
     await executeCommand(legacyCommand, commandOptions, client);
 
     // Send a follow-up message
     await interaction.followUp({ content: `Command ${command} completed!` });
+    if (filtered) {
+      await sendFilteredMatches(interaction, callerFilters, commandOptions.callerMatches);
+    }
   } catch (error) {
     logger.log(`Error handling slash command: ${error.message}`, "error");
     await interaction.followUp({
@@ -1042,6 +1556,41 @@ async function handleSlash(interaction, client) {
   }
 }
 
+/**
+ * Send the caller the new jobs of their run that passed their min_salary, location and
+ * remote_only, as ephemeral follow-ups (the channels got every new job as usual)
+ * @param {object} interaction - Deferred slash command interaction
+ * @param {object} filters - { minSalary, location, remoteOnly }
+ * @param {Array} matches - Matching jobs collected by notifiers.collectMatchingJobs
+ */
+async function sendFilteredMatches(interaction, filters, matches) {
+  const description = [
+    filters.minSalary && `min_salary ${filters.minSalary}`,
+    filters.location && `location "${filters.location}"`,
+    filters.remoteOnly && "remote_only",
+  ]
+    .filter(Boolean)
+    .join(", ");
+  const unique = [...new Map(matches.map((job) => [job.normalizedId || generateJobId(job), job])).values()];
+
+  if (unique.length === 0) {
+    await interaction.followUp({ content: `🔎 No new jobs matched your filters (${description}).`, ephemeral: true });
+    return;
+  }
+
+  const shown = unique.slice(0, MAX_FILTERED_MATCHES);
+  const more = unique.length > shown.length ? ` Showing the first ${shown.length}.` : "";
+  for (let i = 0; i < shown.length; i += 10) {
+    await interaction.followUp({
+      content: i === 0 ? `🔎 ${unique.length} new jobs matched your filters (${description}).${more}` : undefined,
+      embeds: shown
+        .slice(i, i + 10)
+        .map((job) => createJobEmbed(job, job.source || "Jobs", getSourceEmbedColor(job.source))),
+      ephemeral: true,
+    });
+  }
+}
+
 // Export the functions
 module.exports = {
   processCommand,
@@ -0,0 +1,217 @@
+// services/feeds.js - Public RSS 2.0 / Atom feeds of stored jobs per role and category, mounted at /feeds by server.js
+const crypto = require("crypto");
+const express = require("express");
+const config = require("../config");
+const logger = require("./logger");
+const mongoService = require("./mongo");
+const { parsePostedDate } = require("../utils/postedDate");
+
+const ROLES = ["intern", "new_grad"];
+const CATEGORIES = ["software_engineering", "data_analysis", "data_science_engineer"];
+const FORMATS = {
+  xml: "application/rss+xml; charset=utf-8",
+  atom: "application/atom+xml; charset=utf-8",
+};
+
+// Escape text for XML element content and attribute values
+function escapeXml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    // Control characters aren't allowed in XML 1.0 at all
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
+
+/**
+ * When a stored job was posted: its postedAt, or for jobs stored before postedAt existed,
+ * the posted date counted back from when the job was first seen. A job is never dated
+ * after we first saw it.
+ * @param {object} job - jobs collection document
+ * @returns {Date} Posted date, or firstSeenAt if there is none
+ */
+function jobPublishedAt(job) {
+  const firstSeenAt = job.firstSeenAt ? new Date(job.firstSeenAt) : new Date();
+  const posted = job.postedAt ? new Date(job.postedAt) : parsePostedDate(job.postedDate, firstSeenAt).postedAt;
+  return posted && posted < firstSeenAt ? posted : firstSeenAt;
+}
+
+/**
+ * Feed title, e.g. "Intern · Software Engineering jobs"
+ * @param {string} role - intern or new_grad
+ * @param {string} category - Category key or "all"
+ * @returns {string} Title
+ */
+function feedTitle(role, category) {
+  const words = (key) => key.split("_").map((w) => w.charAt(0).toUpperCase() + w.slice(1)).join(" ");
+  const roleName = role === "new_grad" ? "New Grad" : "Intern";
+  return category === "all" ? `${roleName} jobs` : `${roleName} · ${words(category)} jobs`;
+}
+
+/**
+ * Feed model shared by the RSS and Atom renderers
+ * @param {object} options - { role, category, jobs, selfUrl, siteUrl }
+ * @returns {object} { title, selfUrl, siteUrl, updated, items }
+ */
+function buildFeed({ role, category, jobs, selfUrl, siteUrl }) {
+  const items = jobs.map((job) => {
+    const summary = [
+      job.company,
+      job.location,
+      job.salary,
+      job.workModel,
+      job.postedDate && job.postedDate !== "Not specified" ? `Posted ${job.postedDate}` : "",
+      job.sources?.length ? `Seen on ${job.sources.join(", ")}` : "",
+    ].filter(Boolean);
+
+    return {
+      guid: job.normalizedId,
+      title: job.company ? `${job.title} @ ${job.company}` : job.title,
+      link: job.url,
+      company: job.company || "",
+      publishedAt: jobPublishedAt(job),
+      summary: summary.join(" · "),
+    };
+  });
+
+  // Jobs come newest first, so the first one is the latest change to the feed
+  const updated = jobs[0]?.firstSeenAt ? new Date(jobs[0].firstSeenAt) : null;
+  return { title: feedTitle(role, category), selfUrl, siteUrl, updated, items };
+}
+
+/**
+ * Render a feed as RSS 2.0
+ * @param {object} feed - From buildFeed
+ * @returns {string} XML document
+ */
+function renderRss(feed) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "<channel>",
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<link>${escapeXml(feed.siteUrl)}</link>`,
+    `<description>${escapeXml(`${feed.title}, newest first`)}</description>`,
+    `<atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+  ];
+  if (feed.updated) {
+    lines.push(`<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`);
+  }
+
+  for (const item of feed.items) {
+    lines.push(
+      "<item>",
+      `<guid isPermaLink="false">${escapeXml(item.guid)}</guid>`,
+      `<title>${escapeXml(item.title)}</title>`,
+      `<link>${escapeXml(item.link)}</link>`,
+      `<pubDate>${item.publishedAt.toUTCString()}</pubDate>`,
+      `<description>${escapeXml(item.summary)}</description>`,
+      "</item>"
+    );
+  }
+
+  lines.push("</channel>", "</rss>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Render a feed as Atom 1.0
+ * @param {object} feed - From buildFeed
+ * @returns {string} XML document
+ */
+function renderAtom(feed) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<id>${escapeXml(feed.selfUrl)}</id>`,
+    `<link rel="self" href="${escapeXml(feed.selfUrl)}"/>`,
+    `<link href="${escapeXml(feed.siteUrl)}"/>`,
+    `<updated>${(feed.updated || new Date(0)).toISOString()}</updated>`,
+  ];
+
+  for (const item of feed.items) {
+    lines.push(
+      "<entry>",
+      `<id>urn:job:${escapeXml(item.guid)}</id>`,
+      `<title>${escapeXml(item.title)}</title>`,
+      `<link href="${escapeXml(item.link)}"/>`,
+      `<published>${item.publishedAt.toISOString()}</published>`,
+      `<updated>${item.publishedAt.toISOString()}</updated>`,
+      `<author><name>${escapeXml(item.company || "Unknown")}</name></author>`,
+      `<summary>${escapeXml(item.summary)}</summary>`,
+      "</entry>"
+    );
+  }
+
+  lines.push("</feed>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Build the /feeds router: GET /feeds/<role>/<category>.xml (RSS) or .atom (Atom),
+ * where category can be "all". Answers conditional GETs with 304 via ETag / Last-Modified.
+ * @returns {express.Router} Router with the feed endpoints
+ */
+function createFeedRouter() {
+  const router = express.Router();
+
+  router.get("/:role/:category.:format", async (req, res) => {
+    const { role, category, format } = req.params;
+    if (!config.feeds.enabled) {
+      return res.status(404).type("text/plain").send("Feeds are disabled");
+    }
+    if (!ROLES.includes(role) || !(category === "all" || CATEGORIES.includes(category)) || !FORMATS[format]) {
+      return res.status(404).type("text/plain").send("Unknown feed");
+    }
+    if (!mongoService.isConnected()) {
+      return res.status(503).type("text/plain").send("MongoDB is not connected");
+    }
+
+    try {
+      const { jobs } = await mongoService.findJobs({
+        role,
+        category: category === "all" ? undefined : category,
+        status: "open",
+        limit: config.feeds.itemLimit,
+      });
+
+      const siteUrl = config.feeds.baseUrl || `${req.protocol}://${req.get("host")}`;
+      const feed = buildFeed({
+        role,
+        category,
+        jobs,
+        siteUrl,
+        selfUrl: `${siteUrl.replace(/\/$/, "")}${req.baseUrl}${req.path}`,
+      });
+      const body = format === "atom" ? renderAtom(feed) : renderRss(feed);
+
+      res.set("ETag", `"${crypto.createHash("sha1").update(body).digest("hex")}"`);
+      res.set("Cache-Control", `public, max-age=${config.feeds.maxAgeSeconds}`);
+      if (feed.updated) {
+        res.set("Last-Modified", feed.updated.toUTCString());
+      }
+
+      // req.fresh checks If-None-Match / If-Modified-Since against the headers above
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      res.status(200).type(FORMATS[format]).send(body);
+    } catch (err) {
+      logger.log(`Error serving /feeds${req.path}: ${err.message}`, "error");
+      res.status(500).type("text/plain").send("Failed to build feed");
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createFeedRouter,
+  buildFeed,
+  renderRss,
+  renderAtom,
+  jobPublishedAt,
+};
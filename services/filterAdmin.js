@@ -0,0 +1,164 @@
+// services/filterAdmin.js - /filter: admins add, remove and test job relevance terms at runtime
+const { EmbedBuilder, PermissionFlagsBits } = require("discord.js");
+const config = require("../config");
+const logger = require("./logger");
+const mongoService = require("./mongo");
+const { compileTerm, evaluateJob, matchRole, describeRules } = require("../utils/jobRules");
+
+const LISTS = { "add-exclude": "exclude", "add-include": "include" };
+
+/**
+ * Validate a term typed into /filter
+ * @param {string} value - Raw option value
+ * @returns {object} { term } or { error }
+ */
+function parseTerm(value) {
+  const term = String(value || "").trim();
+  if (!term || term.length > 100) {
+    return { error: "Terms must be 1-100 characters." };
+  }
+  try {
+    compileTerm(term);
+  } catch (error) {
+    return { error: `Invalid regular expression: ${error.message}` };
+  }
+  return { term };
+}
+
+/**
+ * Summarize the rules from config.js / JOB_RULES_FILE for /filter list
+ * @param {object} rules - Merged rules from describeRules()
+ * @returns {string} One line per list, plus per-source overrides
+ */
+function describeBaseRules(rules) {
+  const sources = Object.entries(rules.sources || {}).map(([source, override]) => {
+    const { skip, ...lists } = override;
+    const parts = [];
+    if (skip === true) parts.push("all rules skipped");
+    else if (Array.isArray(skip) && skip.length > 0) parts.push(`skips ${skip.join(", ")}`);
+    if (Object.keys(lists).length > 0) parts.push(`own ${Object.keys(lists).join(", ")}`);
+    return `${source}: ${parts.join("; ") || "no changes"}`;
+  });
+
+  return [
+    `${(rules.exclude || []).length} exclude, ${(rules.include || []).length} include, ${(rules.require || []).length} require terms`,
+    `${(rules.excludedCompanies || []).length} excluded companies`,
+    ...sources,
+    config.jobFiltering.rulesFile ? `Rules file: ${config.jobFiltering.rulesFile}` : "No JOB_RULES_FILE set",
+  ].join("\n");
+}
+
+/**
+ * Build the /filter test embed for one title
+ * @param {object} job - { title, company, source }
+ * @param {string|null} role - Role to check (null skips the role check)
+ * @returns {EmbedBuilder} Decision embed
+ */
+function buildTestEmbed(job, role) {
+  const decision = evaluateJob(job, { role });
+  const detectedRole = matchRole(job.title, job.source);
+
+  return new EmbedBuilder()
+    .setTitle(`${decision.relevant ? "✅ Accepted" : "❌ Rejected"}: ${job.title}`.substring(0, 256))
+    .setColor(decision.relevant ? "#2ecc71" : "#e74c3c")
+    .addFields(
+      { name: "Reason", value: decision.reason.substring(0, 1024) },
+      { name: "Decided by", value: decision.check, inline: true },
+      { name: "Role checked", value: role || "none", inline: true },
+      { name: "Title looks like", value: detectedRole || "neither role", inline: true },
+      { name: "Company / Source", value: `${job.company || "—"} / ${job.source || "default rules"}`, inline: false }
+    );
+}
+
+/**
+ * Handle /filter (add-exclude, add-include, remove, list, test). Admins only (Manage Server).
+ * @param {object} interaction - Discord slash command interaction
+ */
+async function handleFilterCommand(interaction) {
+  try {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      await interaction.reply({ content: "❌ /filter is limited to server admins.", ephemeral: true });
+      return;
+    }
+
+    const options = interaction.options;
+    const subcommand = options.getSubcommand();
+
+    if (subcommand === "test") {
+      const role = options.getString("role") || "both";
+      const job = {
+        title: options.getString("title"),
+        company: options.getString("company") || "",
+        source: options.getString("source") || null,
+      };
+      await interaction.reply({ embeds: [buildTestEmbed(job, role === "any" ? null : role)], ephemeral: true });
+      return;
+    }
+
+    if (subcommand === "list") {
+      const overrides = await mongoService.getFilterOverrides();
+      const { rules } = describeRules();
+      const lines = overrides.map(
+        (override) =>
+          `${override.list === "exclude" ? "🚫" : "✅"} \`${override.term}\` (${override.list}) by ${override.addedBy}, <t:${Math.floor(new Date(override.addedAt).getTime() / 1000)}:d>`
+      );
+      const embed = new EmbedBuilder()
+        .setTitle("Job Filter Overrides")
+        .setColor("#f39c12")
+        .setDescription(
+          (lines.length > 0 ? lines.join("\n") : "No runtime overrides. Add one with `/filter add-exclude`.").substring(0, 4096)
+        )
+        .addFields({ name: "Base rules (config.js / rules file)", value: describeBaseRules(rules).substring(0, 1024) });
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    if (!mongoService.isConnected()) {
+      await interaction.reply({ content: "❌ Filter overrides need MongoDB, which is offline right now.", ephemeral: true });
+      return;
+    }
+
+    const { term, error } = parseTerm(options.getString("term"));
+    if (error) {
+      await interaction.reply({ content: `❌ ${error}`, ephemeral: true });
+      return;
+    }
+
+    if (subcommand === "remove") {
+      const removedFrom = await mongoService.removeFilterOverride(term);
+      const content =
+        removedFrom.length > 0
+          ? `🗑️ Removed \`${term}\` from the ${removedFrom.join(" and ")} list. It no longer applies.`
+          : `❌ \`${term}\` isn't a /filter override. Terms from config.js or JOB_RULES_FILE have to be changed there.`;
+      if (removedFrom.length > 0) {
+        logger.log(`🧰 ${interaction.user.username} removed filter term "${term}" (${removedFrom.join(", ")})`);
+      }
+      await interaction.reply({ content, ephemeral: true });
+      return;
+    }
+
+    const list = LISTS[subcommand];
+    const added = await mongoService.addFilterOverride(list, term, interaction.user.username);
+    if (added === null) {
+      await interaction.reply({ content: "❌ Could not save the term, please try again.", ephemeral: true });
+      return;
+    }
+    if (added) {
+      logger.log(`🧰 ${interaction.user.username} added "${term}" to the ${list} filter list`);
+    }
+    await interaction.reply({
+      content: added
+        ? `${list === "exclude" ? "🚫" : "✅"} Added \`${term}\` to the ${list} list. It applies to the next scrape. Try it with \`/filter test\`.`
+        : `\`${term}\` is already on the ${list} list.`,
+      ephemeral: true,
+    });
+  } catch (error) {
+    logger.log(`Error handling /filter: ${error.message}`, "error");
+    await interaction.reply({ content: "An error occurred while processing the command.", ephemeral: true }).catch(() => {});
+  }
+}
+
+module.exports = {
+  handleFilterCommand,
+  buildTestEmbed,
+};
@@ -0,0 +1,179 @@
+// services/guildSetup.js - /setup: admins pick this server's job channels, sources and filters
+const { EmbedBuilder, PermissionFlagsBits } = require("discord.js");
+const logger = require("./logger");
+const mongoService = require("./mongo");
+const { compileTerm } = require("../utils/jobRules");
+const { ROLES, CATEGORIES, getGuildSettings } = require("../utils/guildRouting");
+
+const FILTER_FIELDS = { keyword: "excludeKeywords", company: "excludeCompanies" };
+
+/**
+ * Parse the /setup sources option
+ * @param {string} value - "all" or a comma-separated list of source keys
+ * @returns {object} { sources } (empty means all) or { error }
+ */
+function parseSources(value) {
+  const raw = String(value || "").trim().toLowerCase();
+  if (raw === "all" || raw === "") {
+    return { sources: [] };
+  }
+  const known = mongoService.getSourceKeys();
+  const sources = [...new Set(raw.split(",").map((source) => source.trim()).filter(Boolean))];
+  const unknown = sources.filter((source) => !known.includes(source));
+  if (unknown.length > 0) {
+    return { error: `Unknown source(s): ${unknown.join(", ")}. Use ${known.join(", ")} or "all".` };
+  }
+  return { sources };
+}
+
+/**
+ * Check that the bot can post job embeds in a channel
+ * @param {object} channel - Discord channel from the interaction
+ * @param {object} interaction - Discord slash command interaction
+ * @returns {string|null} Problem to report, or null if the channel is usable
+ */
+function checkChannel(channel, interaction) {
+  if (channel.guildId !== interaction.guildId) {
+    return "That channel is in a different server.";
+  }
+  if (!channel.isTextBased?.()) {
+    return "Jobs can only be posted in text or announcement channels.";
+  }
+  const me = interaction.guild?.members?.me;
+  const permissions = me ? channel.permissionsFor?.(me) : null;
+  if (permissions && !permissions.has([PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+    return `I need Send Messages and Embed Links in <#${channel.id}>.`;
+  }
+  return null;
+}
+
+/**
+ * Build the /setup show embed
+ * @param {object} settings - Guild settings
+ * @returns {EmbedBuilder} Settings embed
+ */
+function buildSettingsEmbed(settings) {
+  const channelLines = ROLES.flatMap((role) =>
+    CATEGORIES.map((category) => {
+      const channelId = settings.channels?.[role]?.[category];
+      return `**${role.replace("_", " ")}** / ${category.replace(/_/g, " ")}: ${channelId ? `<#${channelId}>` : "not posted"}`;
+    })
+  );
+  const filters = settings.filters || {};
+  const list = (terms) => ((terms || []).length > 0 ? terms.map((term) => `\`${term}\``).join(", ") : "none");
+
+  const embed = new EmbedBuilder()
+    .setTitle("Server Job Setup")
+    .setColor("#3498db")
+    .addFields(
+      { name: "Channels", value: channelLines.join("\n").substring(0, 1024) },
+      { name: "Sources", value: (settings.sources || []).length > 0 ? settings.sources.join(", ") : "all", inline: true },
+      { name: "Excluded title keywords", value: list(filters.excludeKeywords).substring(0, 1024), inline: false },
+      { name: "Excluded companies", value: list(filters.excludeCompanies).substring(0, 1024), inline: false },
+      { name: "Jobs without visa sponsorship", value: filters.hideNoSponsorship ? "hidden" : "shown", inline: true }
+    );
+  if (settings.updatedAt) {
+    embed.setFooter({ text: `Last changed by ${settings.updatedBy || "unknown"}` }).setTimestamp(new Date(settings.updatedAt));
+  }
+  return embed;
+}
+
+/**
+ * Handle /setup (channel, sources, filter, sponsorship, show). Admins only (Manage Server).
+ * @param {object} interaction - Discord slash command interaction
+ */
+async function handleSetupCommand(interaction) {
+  try {
+    if (!interaction.guildId) {
+      await interaction.reply({ content: "❌ /setup only works inside a server.", ephemeral: true });
+      return;
+    }
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      await interaction.reply({ content: "❌ /setup is limited to server admins.", ephemeral: true });
+      return;
+    }
+
+    const options = interaction.options;
+    const subcommand = options.getSubcommand();
+    const guildId = interaction.guildId;
+
+    if (subcommand === "show") {
+      await interaction.reply({ embeds: [buildSettingsEmbed(getGuildSettings(guildId))], ephemeral: true });
+      return;
+    }
+
+    if (!mongoService.isConnected()) {
+      await interaction.reply({ content: "❌ Server settings need MongoDB, which is offline right now.", ephemeral: true });
+      return;
+    }
+
+    let update;
+    let summary;
+
+    if (subcommand === "channel") {
+      const role = options.getString("role");
+      const category = options.getString("category");
+      const channel = options.getChannel("channel");
+      if (channel) {
+        const problem = checkChannel(channel, interaction);
+        if (problem) {
+          await interaction.reply({ content: `❌ ${problem}`, ephemeral: true });
+          return;
+        }
+      }
+      update = { $set: { [`channels.${role}.${category}`]: channel ? channel.id : null } };
+      const route = `${role.replace("_", " ")} ${category.replace(/_/g, " ")}`;
+      summary = channel ? `📌 ${route} jobs will be posted in <#${channel.id}>.` : `🔕 ${route} jobs are no longer posted here.`;
+    } else if (subcommand === "sources") {
+      const { sources, error } = parseSources(options.getString("sources"));
+      if (error) {
+        await interaction.reply({ content: `❌ ${error}`, ephemeral: true });
+        return;
+      }
+      update = { $set: { sources } };
+      summary = sources.length > 0 ? `🔎 Only posting jobs from ${sources.join(", ")}.` : "🔎 Posting jobs from every source.";
+    } else if (subcommand === "sponsorship") {
+      const hide = options.getBoolean("hide") === true;
+      update = { $set: { "filters.hideNoSponsorship": hide } };
+      summary = hide
+        ? "🛂 Jobs that won't sponsor a visa or need US citizenship won't be posted here."
+        : "🛂 Jobs are posted here whatever their visa sponsorship.";
+    } else {
+      const action = options.getString("action");
+      const field = `filters.${FILTER_FIELDS[options.getString("type")]}`;
+      const term = String(options.getString("term") || "").trim();
+      if (!term || term.length > 100) {
+        await interaction.reply({ content: "❌ Terms must be 1-100 characters.", ephemeral: true });
+        return;
+      }
+      try {
+        compileTerm(term);
+      } catch (error) {
+        await interaction.reply({ content: `❌ Invalid regular expression: ${error.message}`, ephemeral: true });
+        return;
+      }
+      update = action === "add" ? { $addToSet: { [field]: term } } : { $pull: { [field]: term } };
+      summary = action === "add" ? `🚫 Jobs matching \`${term}\` won't be posted here.` : `🗑️ Removed \`${term}\` from this server's filters.`;
+    }
+
+    const settings = await mongoService.updateGuildSettings(guildId, update, {
+      guildName: interaction.guild?.name,
+      updatedBy: interaction.user.username,
+    });
+    if (!settings) {
+      await interaction.reply({ content: "❌ Could not save the settings, please try again.", ephemeral: true });
+      return;
+    }
+
+    logger.log(`🧭 ${interaction.user.username} changed /setup ${subcommand} in ${interaction.guild?.name || guildId}`);
+    await interaction.reply({ content: summary, embeds: [buildSettingsEmbed(settings)], ephemeral: true });
+  } catch (error) {
+    logger.log(`Error handling /setup: ${error.message}`, "error");
+    await interaction.reply({ content: "An error occurred while processing the command.", ephemeral: true }).catch(() => {});
+  }
+}
+
+module.exports = {
+  handleSetupCommand,
+  parseSources,
+};
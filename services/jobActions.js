@@ -0,0 +1,257 @@
+// services/jobActions.js - Buttons under posted job embeds (save, applied, not relevant, broken link) and the /review queue
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  PermissionFlagsBits,
+} = require("discord.js");
+const config = require("../config");
+const logger = require("./logger");
+const mongoService = require("./mongo");
+const jobLiveness = require("./jobLiveness");
+const { titleTokens, normalizeCompany } = require("../utils/jobMatching");
+
+const BUTTON_PREFIX = "job";
+
+// Button actions in display order; the key is part of the button's customId
+const JOB_ACTIONS = {
+  save: { label: "Save", emoji: "⭐", style: ButtonStyle.Secondary },
+  applied: { label: "Applied", emoji: "✅", style: ButtonStyle.Success },
+  not_relevant: { label: "Not relevant", emoji: "🚫", style: ButtonStyle.Secondary },
+  broken_link: { label: "Broken link", emoji: "🔗", style: ButtonStyle.Danger },
+};
+
+const REPORT_TYPES = {
+  not_relevant: "Not relevant",
+  broken_link: "Broken link",
+};
+
+// Words every relevant title uses; never useful as an exclude keyword
+const REVIEW_IGNORED_TERMS = new Set([
+  "intern", "engineer", "software", "developer", "development", "new", "grad", "graduate",
+  "entry", "level", "junior", "data", "analyst", "scientist", "science", "analytic",
+  "program", "early", "career", "university", "student", "associate", "i", "ii",
+]);
+
+/**
+ * Build the button row for one job in a posted message
+ * @param {string} normalizedId - Job's normalizedId
+ * @param {number} position - Job's number in the message (matches the "#n" in its embed footer)
+ * @returns {ActionRowBuilder} Row with one button per action
+ */
+function buildJobButtonRow(normalizedId, position) {
+  return new ActionRowBuilder().addComponents(
+    Object.entries(JOB_ACTIONS).map(([action, button]) =>
+      new ButtonBuilder()
+        .setCustomId(`${BUTTON_PREFIX}:${action}:${normalizedId}`)
+        .setLabel(`${button.label} #${position}`)
+        .setEmoji(button.emoji)
+        .setStyle(button.style)
+    )
+  );
+}
+
+/**
+ * Parse a job button's customId
+ * @param {string} customId - e.g. "job:save:<normalizedId>"
+ * @returns {object|null} { action, normalizedId }, or null if it isn't a job button
+ */
+function parseJobButtonId(customId) {
+  const [prefix, action, normalizedId] = String(customId || "").split(":");
+  if (prefix !== BUTTON_PREFIX || !JOB_ACTIONS[action] || !normalizedId) {
+    return null;
+  }
+  return { action, normalizedId };
+}
+
+/**
+ * Report a job's link as broken, then check it right away and close the job if the check agrees
+ * @param {object} job - Stored job
+ * @param {object} report - Report document from addJobReport
+ * @param {object} client - Discord client used to edit the job's embeds
+ * @returns {Promise<string>} Reply for the reporting user
+ */
+async function handleBrokenLink(job, report, client) {
+  const check = await jobLiveness.checkJobLink(job);
+  if (check.status !== "closed") {
+    return `🔗 Thanks, reported **${job.title}** as a broken link. It still loads for us, so an admin will take a look.`;
+  }
+
+  await jobLiveness.closeJobs([job], `Reported broken and confirmed: ${check.reason}`, client);
+  await mongoService.updateJobReportStatus(report.reportId, "resolved", "link-check", check.reason);
+  return `🔒 Thanks! We confirmed **${job.title}** is closed (${check.reason}) and marked it in the channel.`;
+}
+
+/**
+ * Handle a click on one of the job buttons. Every reply is ephemeral.
+ * @param {object} interaction - Discord button interaction
+ * @param {object} client - Discord client
+ * @returns {Promise<boolean>} True if the interaction was a job button
+ */
+async function handleJobButton(interaction, client) {
+  const parsed = parseJobButtonId(interaction.customId);
+  if (!parsed) {
+    return false;
+  }
+
+  const { action, normalizedId } = parsed;
+  const user = { id: interaction.user.id, username: interaction.user.username };
+
+  try {
+    if (!mongoService.isConnected()) {
+      await interaction.reply({ content: "❌ Job tracking is unavailable right now (database offline).", ephemeral: true });
+      return true;
+    }
+
+    // Link checks can take a few seconds
+    await interaction.deferReply({ ephemeral: true });
+
+    const job = await mongoService.getJobByNormalizedId(normalizedId);
+    if (!job) {
+      await interaction.editReply("❌ This job is no longer in the database.");
+      return true;
+    }
+
+    let content;
+    if (action === "save" || action === "applied") {
+      const status = action === "save" ? "saved" : "applied";
+      const result = await mongoService.setUserJobStatus(user, job, status);
+      if (!result) {
+        content = "❌ Could not save that, please try again.";
+      } else if (result.status !== status) {
+        content = `✅ **${job.title}** is already at **${result.status}** in your /myjobs pipeline.`;
+      } else {
+        content =
+          action === "save"
+            ? `⭐ Saved **${job.title}** @ ${job.company}.`
+            : `✅ Marked **${job.title}** @ ${job.company} as applied. Good luck!`;
+      }
+    } else {
+      if (action === "not_relevant") {
+        await mongoService.hideUserJob(user, job);
+      }
+      const result = await mongoService.addJobReport(job, action, user);
+      if (!result) {
+        content = "❌ Could not save your report, please try again.";
+      } else if (result.alreadyReported) {
+        content = `You already reported **${job.title}**. Thanks!`;
+      } else if (action === "broken_link") {
+        content = await handleBrokenLink(job, result.report, client);
+      } else {
+        content = `🚫 Hidden **${job.title}** for you and sent it to the admins to tune the job filters.`;
+      }
+    }
+
+    await interaction.editReply(content);
+  } catch (error) {
+    logger.log(`Error handling job button ${interaction.customId}: ${error.message}`, "error");
+    const reply = { content: "An error occurred while processing that button.", ephemeral: true };
+    await (interaction.deferred || interaction.replied ? interaction.editReply(reply) : interaction.reply(reply)).catch(
+      () => {}
+    );
+  }
+  return true;
+}
+
+/**
+ * Words that keep showing up in "Not relevant" titles, as candidate exclude terms for
+ * config.jobFiltering. Company names and words every relevant title uses are left out.
+ * @param {Array<object>} reports - not_relevant report documents ({ title, company, count })
+ * @param {number} limit - Maximum terms to return
+ * @returns {Array<object>} { term, count } sorted by how many reports mention it
+ */
+function summarizeReportedTerms(reports, limit = 10) {
+  const counts = new Map();
+
+  for (const report of reports) {
+    const companyTokens = new Set(titleTokens(normalizeCompany(report.company)));
+    for (const term of titleTokens(report.title)) {
+      if (term.length < 3 || /^\d+$/.test(term)) continue;
+      if (REVIEW_IGNORED_TERMS.has(term) || companyTokens.has(term)) continue;
+      counts.set(term, (counts.get(term) || 0) + (report.count || 1));
+    }
+  }
+
+  return [...counts.entries()]
+    .filter(([, count]) => count > 1)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([term, count]) => ({ term, count }));
+}
+
+/**
+ * Handle /review (list, resolve, dismiss). Admins only (Manage Server).
+ * @param {object} interaction - Discord slash command interaction
+ */
+async function handleReviewCommand(interaction) {
+  try {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      await interaction.reply({ content: "❌ /review is limited to server admins.", ephemeral: true });
+      return;
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    if (subcommand === "list") {
+      const type = interaction.options.getString("type");
+      const reports = await mongoService.getJobReports({ type, limit: config.jobButtons.reviewListSize });
+      if (reports.length === 0) {
+        await interaction.reply({ content: "✅ The review queue is empty.", ephemeral: true });
+        return;
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(`Review Queue${type ? `: ${REPORT_TYPES[type]}` : ""}`)
+        .setColor("#f39c12")
+        .setDescription(
+          reports
+            .map(
+              (report) =>
+                `\`${report.reportId}\` ${JOB_ACTIONS[report.type].emoji} ×${report.count} [${report.title}](${report.url}) @ ${report.company}`
+            )
+            .join("\n")
+            .substring(0, 4096)
+        )
+        .setFooter({ text: "Close one with /review resolve id:<ID> or /review dismiss id:<ID>" });
+
+      const terms = summarizeReportedTerms(reports.filter((report) => report.type === "not_relevant"));
+      if (terms.length > 0) {
+        embed.addFields({
+          name: "Common words in \"Not relevant\" titles",
+          value: `${terms.map(({ term, count }) => `\`${term}\` (${count})`).join(", ")}\nCandidates for \`jobFiltering.exclude\` in config.js or JOB_RULES_FILE.`.substring(0, 1024),
+        });
+      }
+
+      await interaction.reply({ embeds: [embed], ephemeral: true });
+      return;
+    }
+
+    // resolve | dismiss
+    const reportId = interaction.options.getString("id").trim().toLowerCase();
+    const status = subcommand === "resolve" ? "resolved" : "dismissed";
+    const report = await mongoService.updateJobReportStatus(
+      reportId,
+      status,
+      interaction.user.username,
+      interaction.options.getString("note")
+    );
+    await interaction.reply({
+      content: report
+        ? `✅ Report \`${reportId}\` on **${report.title}** ${status}.`
+        : `❌ No report with ID \`${reportId}\`.`,
+      ephemeral: true,
+    });
+  } catch (error) {
+    logger.log(`Error handling /review: ${error.message}`, "error");
+    await interaction.reply({ content: "An error occurred while processing the command.", ephemeral: true }).catch(() => {});
+  }
+}
+
+module.exports = {
+  buildJobButtonRow,
+  parseJobButtonId,
+  handleJobButton,
+  handleReviewCommand,
+  summarizeReportedTerms,
+};
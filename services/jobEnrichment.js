@@ -0,0 +1,189 @@
+// services/jobEnrichment.js - Visit job detail pages and pull out salary, sponsorship, clearance and grad-year requirements
+const config = require("../config");
+const logger = require("./logger");
+const mongoService = require("./mongo");
+const { extractJobPosting, analyzeJobText, classifyWorkAuthorization } = require("../utils/jobDetails");
+
+/**
+ * Default HTTP layer: GET the detail page (following redirects)
+ * @param {string} url - Job URL
+ * @returns {Promise<object>} { status, url, text }
+ */
+async function defaultHttpGet(url) {
+  const response = await fetch(url, {
+    redirect: "follow",
+    signal: AbortSignal.timeout(config.enrichment.requestTimeoutMs),
+    headers: {
+      "User-Agent": config.enrichment.userAgent,
+      Accept: "text/html,application/xhtml+xml",
+    },
+  });
+  const text = response.ok ? await response.text() : "";
+  return { status: response.status, url: response.url || url, text };
+}
+
+// Pluggable HTTP layer so tests can serve canned pages
+let httpGet = defaultHttpGet;
+
+/**
+ * Replace the HTTP layer (e.g. with canned pages in tests)
+ * @param {Function|null} fn - async (url) => { status, url, text }; null restores the default
+ */
+function setHttpClient(fn) {
+  httpGet = typeof fn === "function" ? fn : defaultHttpGet;
+}
+
+/**
+ * Limit how many calls run at once; the rest wait their turn
+ * @param {number} max - Calls allowed at the same time
+ * @returns {Function} (fn) => Promise of fn's result
+ */
+function createLimiter(max) {
+  let active = 0;
+  const waiting = [];
+  const next = () => {
+    if (active >= max || waiting.length === 0) return;
+    active++;
+    const { fn, resolve, reject } = waiting.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+  return (fn) =>
+    new Promise((resolve, reject) => {
+      waiting.push({ fn, resolve, reject });
+      next();
+    });
+}
+
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a job's detail page is worth fetching: its source is in
+ * config.enrichment.visitSources and its site isn't in skipDomains
+ * @param {object} job - Job with source and url
+ * @returns {boolean} True if the page should be visited
+ */
+function shouldVisit(job) {
+  const settings = config.enrichment;
+  const domain = getDomain(job.url);
+  if (!domain || !settings.visitSources.includes(job.source)) return false;
+  return !settings.skipDomains.some((skip) => domain === skip || domain.endsWith(`.${skip}`));
+}
+
+/**
+ * Fetch a job's detail page and read its description and salary
+ * @param {object} job - Job with url
+ * @returns {Promise<object>} { description, salary, status } (status: "fetched", "failed" or "empty")
+ */
+async function fetchJobDetails(job) {
+  try {
+    const response = await httpGet(job.url);
+    if (response.status < 200 || response.status >= 300) {
+      logger.log(`Detail page for "${job.title}" returned HTTP ${response.status}`, "debug");
+      return { description: "", salary: "", status: "failed" };
+    }
+    const { description, salary } = extractJobPosting(response.text);
+    return { description, salary, status: description ? "fetched" : "empty" };
+  } catch (error) {
+    logger.log(`Could not fetch detail page for "${job.title}": ${error.message}`, "debug");
+    return { description: "", salary: "", status: "failed" };
+  }
+}
+
+/**
+ * A job with the structured fields read from its description (and detail page, if fetched):
+ * salary (kept if the listing had one), the longer description, the sponsorship / citizenship
+ * classification (source markers win), gradYears, enrichedAt and enrichmentStatus
+ * @param {object} job - Job as scraped
+ * @param {object} details - fetchJobDetails() result (null when the page wasn't visited)
+ * @returns {object} Enriched copy of the job
+ */
+function applyDetails(job, details) {
+  const description = [job.description, details?.description]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)[0] || "";
+  const analysis = analyzeJobText(`${job.title || ""}\n${description}`);
+
+  return {
+    ...job,
+    ...classifyWorkAuthorization({ ...job, description }),
+    description: description.slice(0, config.enrichment.maxDescriptionChars),
+    salary: job.salary || details?.salary || analysis.salary,
+    gradYears: analysis.gradYears,
+    enrichedAt: new Date(),
+    enrichmentStatus: details ? details.status : "listing",
+  };
+}
+
+/**
+ * Enrich new jobs before they are posted. Detail pages are fetched for up to
+ * maxJobsPerBatch jobs, with at most perDomainConcurrency requests per site (each
+ * followed by delayBetweenRequestsMs) and maxConcurrency overall; every other job is
+ * read from its listing text only. Results are saved to MongoDB.
+ * Jobs come back unchanged when config.enrichment.enabled is false.
+ * @param {Array<object>} jobs - New jobs
+ * @returns {Promise<Array<object>>} Jobs in the same order, enriched
+ */
+async function enrichJobs(jobs) {
+  const settings = config.enrichment;
+  if (!settings?.enabled || !jobs?.length) return jobs;
+
+  const startTime = Date.now();
+  const limitAll = createLimiter(settings.maxConcurrency);
+  const domainLimiters = new Map();
+  const limitDomain = (domain) => {
+    if (!domainLimiters.has(domain)) domainLimiters.set(domain, createLimiter(settings.perDomainConcurrency));
+    return domainLimiters.get(domain);
+  };
+
+  let visits = 0;
+  const enriched = await Promise.all(
+    jobs.map(async (job) => {
+      if (job.enrichedAt) return job;
+      if (!shouldVisit(job) || visits >= settings.maxJobsPerBatch) return applyDetails(job, null);
+      visits++;
+
+      const details = await limitDomain(getDomain(job.url))(() =>
+        limitAll(async () => {
+          const result = await fetchJobDetails(job);
+          await new Promise((resolve) => setTimeout(resolve, settings.delayBetweenRequestsMs));
+          return result;
+        })
+      );
+      return applyDetails(job, details);
+    })
+  );
+
+  const counts = enriched.reduce((acc, job) => {
+    acc[job.enrichmentStatus] = (acc[job.enrichmentStatus] || 0) + 1;
+    return acc;
+  }, {});
+  logger.log(
+    `🔎 Enriched ${enriched.length} jobs in ${((Date.now() - startTime) / 1000).toFixed(1)}s: ${Object.entries(counts)
+      .map(([status, count]) => `${count} ${status}`)
+      .join(", ")}`
+  );
+
+  await mongoService.saveJobEnrichment(enriched.filter((job, index) => job !== jobs[index]));
+  return enriched;
+}
+
+module.exports = {
+  setHttpClient,
+  createLimiter,
+  shouldVisit,
+  fetchJobDetails,
+  applyDetails,
+  enrichJobs,
+};
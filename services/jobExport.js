@@ -0,0 +1,217 @@
+// services/jobExport.js - Export stored jobs as CSV or JSON Lines (/export and npm run export)
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { once } = require("events");
+const { AttachmentBuilder } = require("discord.js");
+const config = require("../config");
+const logger = require("./logger");
+const mongoService = require("./mongo");
+const { csvCell } = require("../utils/helpers");
+
+// Columns, in order: what addJobs stores for each job, plus the fields exports can filter on
+const EXPORT_FIELDS = [
+  "title",
+  "company",
+  "location",
+  "url",
+  "postedDate",
+  "salary",
+  "workModel",
+  "source",
+  "role",
+  "category",
+  "firstSeenAt",
+];
+const FORMATS = ["csv", "jsonl"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn export options into jobs query filters
+ * @param {object} options - { days, since, until, source, role, category } (dates as Date or YYYY-MM-DD)
+ * @returns {object} Filters for mongoService.streamJobs
+ * @throws {Error} If a date can't be parsed
+ */
+function buildExportFilters(options = {}) {
+  const parseDate = (value, name) => {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid ${name} date: ${value}`);
+    }
+    return date;
+  };
+
+  const until = options.until ? parseDate(options.until, "until") : null;
+  const days = parseInt(options.days, 10) || config.exports.defaultDays;
+  const since = options.since
+    ? parseDate(options.since, "since")
+    : new Date((until ? until.getTime() : Date.now()) - days * DAY_MS);
+
+  return {
+    since,
+    until,
+    source: options.source || null,
+    role: options.role || null,
+    category: options.category || null,
+  };
+}
+
+/**
+ * One export row from a canonical job document
+ * @param {object} job - jobs collection document
+ * @returns {object} Row with the EXPORT_FIELDS keys
+ */
+function toExportRow(job) {
+  return {
+    title: job.title || "",
+    company: job.company || "",
+    location: job.location || "",
+    url: job.url || "",
+    postedDate: job.postedDate || "",
+    salary: job.salary || "",
+    workModel: job.workModel || "",
+    source: (job.sources || []).join(", "),
+    role: job.role || "",
+    category: job.category || "",
+    firstSeenAt: job.firstSeenAt ? new Date(job.firstSeenAt).toISOString() : "",
+  };
+}
+
+/**
+ * Write every job matching the filters to a stream, one line at a time, so exports
+ * of any size never sit in memory. Waits for "drain" when the stream is backed up.
+ * CSV starts with a UTF-8 byte order mark so Excel opens accented names correctly.
+ * @param {object} filters - From buildExportFilters
+ * @param {object} output - Writable stream (not ended here)
+ * @param {string} format - "csv" or "jsonl"
+ * @returns {Promise<number>} Number of jobs written
+ */
+async function writeJobsExport(filters, output, format = "csv") {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown export format: ${format} (use ${FORMATS.join(" or ")})`);
+  }
+  const cursor = mongoService.streamJobs(filters);
+  if (!cursor) {
+    throw new Error("MongoDB is not connected");
+  }
+
+  const write = async (chunk) => {
+    if (!output.write(chunk)) {
+      await once(output, "drain");
+    }
+  };
+
+  let count = 0;
+  try {
+    if (format === "csv") {
+      await write(`\uFEFF${EXPORT_FIELDS.join(",")}\n`);
+    }
+    for await (const job of cursor) {
+      const row = toExportRow(job);
+      await write(
+        format === "csv"
+          ? `${EXPORT_FIELDS.map((field) => csvCell(row[field])).join(",")}\n`
+          : `${JSON.stringify(row)}\n`
+      );
+      count++;
+    }
+  } finally {
+    await cursor.close();
+  }
+  return count;
+}
+
+/**
+ * Export to a file
+ * @param {object} filters - From buildExportFilters
+ * @param {string} filePath - Destination (overwritten)
+ * @param {string} format - "csv" or "jsonl"
+ * @returns {Promise<object>} { count, bytes }
+ */
+async function exportJobsToFile(filters, filePath, format = "csv") {
+  const output = fs.createWriteStream(filePath);
+  try {
+    const count = await writeJobsExport(filters, output, format);
+    output.end();
+    await once(output, "finish");
+    return { count, bytes: fs.statSync(filePath).size };
+  } catch (error) {
+    output.destroy();
+    throw error;
+  }
+}
+
+/**
+ * File name describing an export, e.g. jobs-linkedin-intern-2026-10-11-to-2026-10-18.csv
+ * @param {object} filters - From buildExportFilters
+ * @param {string} format - "csv" or "jsonl"
+ * @returns {string} File name
+ */
+function exportFileName(filters, format) {
+  const day = (date) => date.toISOString().slice(0, 10);
+  const parts = ["jobs", filters.source, filters.role, filters.category].filter(Boolean);
+  return `${parts.join("-")}-${day(filters.since)}-to-${day(filters.until || new Date())}.${format}`;
+}
+
+/**
+ * Handle /export: stream the matching jobs to a temp file and send it as an attachment
+ * @param {object} interaction - Discord slash command interaction
+ */
+async function handleExportCommand(interaction) {
+  let filePath = null;
+  try {
+    if (!mongoService.isConnected()) {
+      await interaction.reply({ content: "❌ Exports are unavailable right now (database offline).", ephemeral: true });
+      return;
+    }
+
+    const options = interaction.options;
+    const format = options.getString("format") || "csv";
+    const filters = buildExportFilters({
+      days: Math.min(options.getInteger("days") || config.exports.defaultDays, config.exports.maxDays),
+      source: options.getString("source"),
+      role: options.getString("role"),
+      category: options.getString("category"),
+    });
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const fileName = exportFileName(filters, format);
+    filePath = path.join(os.tmpdir(), `${interaction.id}-${fileName}`);
+    const { count, bytes } = await exportJobsToFile(filters, filePath, format);
+    logger.log(`📤 ${interaction.user.username} exported ${count} jobs (${fileName}, ${bytes} bytes)`);
+
+    if (count === 0) {
+      await interaction.editReply("No stored jobs match those filters.");
+    } else if (bytes > config.exports.maxAttachmentBytes) {
+      await interaction.editReply(
+        `❌ ${count} jobs come to ${(bytes / 1024 / 1024).toFixed(1)} MB, over Discord's upload limit. ` +
+          "Narrow the filters, or run `npm run export` on the server."
+      );
+    } else {
+      await interaction.editReply({
+        content: `📄 ${count} job(s) first seen ${filters.since.toISOString().slice(0, 10)} to today`,
+        files: [new AttachmentBuilder(filePath, { name: fileName })],
+      });
+    }
+  } catch (error) {
+    logger.log(`Error handling /export: ${error.message}`, "error");
+    const reply = { content: "An error occurred while exporting jobs.", ephemeral: true };
+    await (interaction.deferred ? interaction.editReply(reply) : interaction.reply(reply)).catch(() => {});
+  } finally {
+    if (filePath) {
+      await fs.promises.unlink(filePath).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  EXPORT_FIELDS,
+  FORMATS,
+  buildExportFilters,
+  toExportRow,
+  writeJobsExport,
+  exportJobsToFile,
+  exportFileName,
+  handleExportCommand,
+};
@@ -0,0 +1,282 @@
+// services/jobLiveness.js - Re-check posted job links and mark closed postings in Mongo and Discord
+const cron = require("node-cron");
+const { EmbedBuilder } = require("discord.js");
+const config = require("../config");
+const logger = require("./logger");
+const mongoService = require("./mongo");
+const { generateJobId } = require("../utils/helpers");
+
+const CLOSED_COLOR = 0x808080;
+
+let task = null;
+let running = false;
+let lastRun = null;
+
+/**
+ * Default HTTP layer: GET the page (following redirects) and return what the checks need
+ * @param {string} url - Job URL
+ * @returns {Promise<object>} { status, url, text }
+ */
+async function defaultHttpGet(url) {
+  const response = await fetch(url, {
+    redirect: "follow",
+    signal: AbortSignal.timeout(config.liveness.requestTimeoutMs),
+    headers: {
+      "User-Agent": config.liveness.userAgent,
+      Accept: "text/html,application/xhtml+xml",
+    },
+  });
+  const text = response.ok ? await response.text() : "";
+  return { status: response.status, url: response.url || url, text };
+}
+
+// Pluggable HTTP layer so tests can serve canned responses
+let httpGet = defaultHttpGet;
+
+/**
+ * Replace the HTTP layer (e.g. with canned responses in tests)
+ * @param {Function|null} fn - async (url) => { status, url, text }; null restores the default
+ */
+function setHttpClient(fn) {
+  httpGet = typeof fn === "function" ? fn : defaultHttpGet;
+}
+
+/**
+ * "Closed" page markers for a job: the defaults plus those of every source it was seen on
+ * @param {Array<string>} sources - Source keys (linkedin, ats, ...)
+ * @returns {Array<string>} Lowercase markers
+ */
+function getClosedMarkers(sources = []) {
+  const markers = config.liveness.closedMarkers;
+  return [
+    ...new Set(
+      [...(markers.default || []), ...sources.flatMap((source) => markers[source] || [])].map(
+        (marker) => marker.toLowerCase()
+      )
+    ),
+  ];
+}
+
+/**
+ * Check whether a job's link still points at an open posting.
+ * Only definite signals close a job (404/410, a takedown redirect, a "closed" marker);
+ * blocks, rate limits, server errors and timeouts come back as "unknown".
+ * @param {object} job - Job with url and sources
+ * @returns {Promise<object>} { status: "open" | "closed" | "unknown", reason, httpStatus }
+ */
+async function checkJobLink(job) {
+  let response;
+  try {
+    response = await httpGet(job.url);
+  } catch (error) {
+    const reason = error.name === "TimeoutError" ? "Request timed out" : error.message;
+    return { status: "unknown", reason, httpStatus: null };
+  }
+
+  const httpStatus = response.status;
+  if (config.liveness.closedStatusCodes.includes(httpStatus)) {
+    return { status: "closed", reason: `Link returns HTTP ${httpStatus}`, httpStatus };
+  }
+  if (httpStatus < 200 || httpStatus >= 300) {
+    return { status: "unknown", reason: `HTTP ${httpStatus}`, httpStatus };
+  }
+
+  if (response.url && response.url !== job.url) {
+    const pattern = config.liveness.closedUrlPatterns.find((p) => new RegExp(p, "i").test(response.url));
+    if (pattern) {
+      return { status: "closed", reason: `Redirected to ${response.url}`, httpStatus };
+    }
+  }
+
+  const text = (response.text || "").slice(0, config.liveness.maxBodyChars).toLowerCase();
+  const marker = getClosedMarkers(job.sources).find((m) => text.includes(m));
+  if (marker) {
+    return { status: "closed", reason: `Page says "${marker}"`, httpStatus };
+  }
+
+  return { status: "open", reason: null, httpStatus };
+}
+
+/**
+ * Rewrite a posted job embed so it reads as closed: struck-through title, grey, status field
+ * @param {object} embedData - Embed JSON from the original message
+ * @param {string} reason - Why the job is closed
+ * @returns {EmbedBuilder} Updated embed
+ */
+function buildClosedEmbed(embedData, reason) {
+  const embed = new EmbedBuilder(embedData);
+  const title = embedData.title || "Job posting";
+  if (!title.startsWith("🔒")) {
+    embed.setTitle(`🔒 ~~${title}~~`.slice(0, 256));
+  }
+  embed.setColor(CLOSED_COLOR);
+
+  const fields = (embedData.fields || []).filter((field) => field.name !== "Status");
+  fields.push({
+    name: "Status",
+    value: `Closed: no longer accepting applications (${reason || "closed"})`.slice(0, 1024),
+    inline: false,
+  });
+  embed.setFields(fields);
+  return embed;
+}
+
+/**
+ * Edit every Discord message a job was posted in to tag it as closed
+ * @param {object} job - Job with discordMessages ({ channelId, messageId, embedIndex })
+ * @param {string} reason - Why the job is closed
+ * @param {object} client - Discord client
+ * @returns {Promise<number>} Messages edited
+ */
+async function updateClosedJobMessages(job, reason, client) {
+  let edited = 0;
+  if (!client || !job.discordMessages) return edited;
+
+  for (const posted of job.discordMessages) {
+    try {
+      const channel = await client.channels.fetch(posted.channelId);
+      const message = await channel.messages.fetch(posted.messageId);
+      const embeds = message.embeds.map((embed, index) =>
+        index === posted.embedIndex ? buildClosedEmbed(embed.toJSON(), reason) : embed
+      );
+      await message.edit({ embeds });
+      edited++;
+    } catch (error) {
+      logger.log(
+        `Could not edit Discord message ${posted.messageId} for closed job "${job.title}": ${error.message}`,
+        "warn"
+      );
+    }
+  }
+  return edited;
+}
+
+/**
+ * Close jobs a source itself reports as closed (e.g. 🔒 rows in GitHub READMEs)
+ * @param {Array<object>} jobs - Job objects (normalizedId or title/company/location)
+ * @param {string} reason - Why they are closed
+ * @param {object} client - Discord client (null skips the embed edits)
+ * @returns {Promise<number>} Jobs that were open and are now closed
+ */
+async function closeJobs(jobs, reason, client) {
+  let closed = 0;
+
+  for (const job of jobs) {
+    const stored = await mongoService.markJobClosed(job.normalizedId || generateJobId(job), reason);
+    if (!stored) continue;
+    closed++;
+    logger.log(`🔒 Closed "${stored.title}" @ ${stored.company}: ${reason}`);
+    await updateClosedJobMessages(stored, reason, client);
+  }
+  return closed;
+}
+
+/**
+ * Check a batch of stored jobs and close the ones whose links are dead.
+ * @param {object} client - Discord client used to edit the original embeds
+ * @param {object} options - { limit } overrides config.liveness.batchSize
+ * @returns {Promise<object>} { checked, open, closed, unknown }
+ */
+async function runLivenessCheck(client, options = {}) {
+  const settings = config.liveness;
+  const summary = { checked: 0, open: 0, closed: 0, unknown: 0 };
+
+  if (running) {
+    logger.log("⏭️ Link check skipped: previous run still in progress", "warn");
+    return { ...summary, skipped: true };
+  }
+  running = true;
+
+  try {
+    const now = Date.now();
+    const jobs = await mongoService.getJobsForLivenessCheck({
+      limit: options.limit || settings.batchSize,
+      checkedBefore: new Date(now - settings.recheckAfterHours * 60 * 60 * 1000),
+      seenAfter: new Date(now - settings.maxAgeDays * 24 * 60 * 60 * 1000),
+    });
+    logger.log(`🔗 Checking ${jobs.length} job link(s) for closed postings...`);
+
+    let next = 0;
+    const worker = async () => {
+      while (next < jobs.length) {
+        const job = jobs[next++];
+        const check = await checkJobLink(job);
+        summary.checked++;
+        summary[check.status]++;
+
+        const closedJob = await mongoService.recordLivenessCheck(job.normalizedId, check);
+        if (closedJob) {
+          logger.log(`🔒 Closed "${job.title}" @ ${job.company}: ${check.reason}`);
+          await updateClosedJobMessages(closedJob, check.reason, client);
+        }
+        await new Promise((resolve) => setTimeout(resolve, settings.delayBetweenRequestsMs));
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(settings.concurrency, jobs.length) }, () => worker())
+    );
+
+    logger.log(
+      `✅ Link check done: ${summary.checked} checked, ${summary.closed} closed, ${summary.open} open, ${summary.unknown} unknown`
+    );
+    return summary;
+  } finally {
+    running = false;
+    lastRun = { ...summary, finishedAt: new Date() };
+  }
+}
+
+/**
+ * Register the periodic link check (config.liveness.schedule).
+ * @param {object} client - Discord client used to edit embeds
+ * @returns {boolean} True if the check was scheduled
+ */
+function start(client) {
+  stop();
+  if (!config.liveness.enabled) {
+    logger.log("Link-liveness checks disabled (LIVENESS_ENABLED=false)");
+    return false;
+  }
+  if (!cron.validate(config.liveness.schedule)) {
+    logger.log(`Invalid cron expression for link checks: ${config.liveness.schedule}`, "error");
+    return false;
+  }
+
+  task = cron.schedule(
+    config.liveness.schedule,
+    () =>
+      runLivenessCheck(client).catch((error) =>
+        logger.log(`❌ Link check failed: ${error.message}`, "error")
+      ),
+    { timezone: config.dailyScraping?.timezone }
+  );
+  logger.log(`📅 Link checks scheduled (${config.liveness.schedule})`);
+  return true;
+}
+
+/**
+ * Stop the periodic link check.
+ */
+function stop() {
+  if (task) task.stop();
+  task = null;
+}
+
+/**
+ * Status of the link checker (for /status)
+ * @returns {object} { scheduled, running, lastRun }
+ */
+function getStatus() {
+  return { scheduled: !!task, running, lastRun };
+}
+
+module.exports = {
+  checkJobLink,
+  buildClosedEmbed,
+  closeJobs,
+  runLivenessCheck,
+  setHttpClient,
+  start,
+  stop,
+  getStatus,
+};
@@ -1,33 +1,241 @@
+// services/logger.js - Structured logging: JSON lines with levels, context, buffered writes and rotation
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const config = require('../config');
 
-// Ensure log directory exists
-if (!fs.existsSync(config.logging.directory)) {
-  fs.mkdirSync(config.logging.directory);
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Context (e.g. runId) for everything logged inside runWithContext(), across awaits
+const runContext = new AsyncLocalStorage();
+// File path -> { directory, fileName, filePath, lines, size, day, chain }
+const writers = new Map();
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function getWriter(fileName) {
+  const directory = config.logging.directory;
+  const filePath = path.join(directory, fileName);
+  if (!writers.has(filePath)) {
+    // Ensure log directory exists
+    fs.mkdirSync(directory, { recursive: true });
+    let size = 0;
+    let day = today();
+    try {
+      const stat = fs.statSync(filePath);
+      size = stat.size;
+      day = stat.mtime.toISOString().slice(0, 10);
+    } catch (error) {
+      // No file yet
+    }
+    writers.set(filePath, { directory, fileName, filePath, lines: [], size, day, chain: Promise.resolve() });
+  }
+  return writers.get(filePath);
+}
+
+/**
+ * Rotated files for a log, newest first: combined.log -> combined.2026-10-18.1.log, ...
+ * @param {object} writer - File writer
+ * @returns {Promise<Array<string>>} Rotated file names
+ */
+async function listRotated(writer) {
+  const ext = path.extname(writer.fileName);
+  const base = path.basename(writer.fileName, ext);
+  const pattern = new RegExp(`^${base}\\.(\\d{4}-\\d{2}-\\d{2})\\.(\\d+)${ext.replace('.', '\\.')}$`);
+  const names = await fs.promises.readdir(writer.directory);
+  return names
+    .map((name) => ({ name, match: name.match(pattern) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match[1].localeCompare(a.match[1]) || Number(b.match[2]) - Number(a.match[2]))
+    .map(({ name }) => name);
 }
 
 /**
- * Log a message to console and file
- * @param {string} message - The message to log
- * @param {string} level - The log level (info, error, warn)
+ * Move the live file aside (named after the day it was written) and drop rotated
+ * files past rotation.maxFiles
+ * @param {object} writer - File writer
  */
-function log(message, level = 'info') {
-  const timestamp = new Date().toISOString();
-  const logMessage = `${timestamp} [${level.toUpperCase()}]: ${message}\n`;
-  
-  // Log to console
-  console.log(logMessage);
-  
-  // Log to appropriate file
-  const logFile = path.join(
-    config.logging.directory, 
-    level === 'error' ? config.logging.errorFile : config.logging.combinedFile
+async function rotate(writer) {
+  const ext = path.extname(writer.fileName);
+  const base = path.basename(writer.fileName, ext);
+  const rotated = await listRotated(writer);
+  // Next number for the day: one past the highest still on disk
+  const taken = Math.max(
+    0,
+    ...rotated.filter((name) => name.startsWith(`${base}.${writer.day}.`)).map((name) => Number(name.split('.').slice(-2)[0]))
   );
-  
-  fs.appendFileSync(logFile, logMessage);
+
+  try {
+    await fs.promises.rename(
+      writer.filePath,
+      path.join(writer.directory, `${base}.${writer.day}.${taken + 1}${ext}`)
+    );
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  writer.size = 0;
+  writer.day = today();
+
+  const maxFiles = config.logging.rotation?.maxFiles || 0;
+  if (maxFiles > 0) {
+    const expired = (await listRotated(writer)).slice(maxFiles);
+    await Promise.all(
+      expired.map((name) => fs.promises.unlink(path.join(writer.directory, name)).catch(() => {}))
+    );
+  }
+}
+
+function needsRotation(writer, bytes) {
+  const rotation = config.logging.rotation || {};
+  if (rotation.daily && writer.size > 0 && writer.day !== today()) return true;
+  const maxBytes = (rotation.maxSizeMB || 0) * 1024 * 1024;
+  return maxBytes > 0 && writer.size > 0 && writer.size + bytes > maxBytes;
+}
+
+// Append the buffered lines of one file; writes to a file never overlap
+function flushWriter(writer) {
+  if (writer.lines.length === 0) return writer.chain;
+  const chunk = writer.lines.join('');
+  writer.lines = [];
+
+  writer.chain = writer.chain.then(async () => {
+    try {
+      const bytes = Buffer.byteLength(chunk);
+      if (needsRotation(writer, bytes)) await rotate(writer);
+      await fs.promises.appendFile(writer.filePath, chunk);
+      writer.size += bytes;
+    } catch (error) {
+      console.error(`Logger could not write ${writer.filePath}: ${error.message}`);
+    }
+  });
+  return writer.chain;
+}
+
+/**
+ * Write every buffered line to disk
+ * @returns {Promise<void>} Resolves once all files are written
+ */
+function flush() {
+  return Promise.all([...writers.values()].map(flushWriter)).then(() => {});
+}
+
+function enqueue(fileName, line) {
+  const writer = getWriter(fileName);
+  writer.lines.push(line);
+  if (writer.lines.length >= (config.logging.bufferSize || 1)) {
+    flushWriter(writer);
+  }
+}
+
+setInterval(flush, config.logging.flushIntervalMs || 1000).unref();
+// Lines still buffered when the process exits are written synchronously
+process.on('exit', () => {
+  for (const writer of writers.values()) {
+    if (writer.lines.length === 0) continue;
+    try {
+      fs.appendFileSync(writer.filePath, writer.lines.join(''));
+    } catch (error) {
+      // Nothing left to report to
+    }
+    writer.lines = [];
+  }
+});
+
+// Errors don't survive JSON.stringify, so keep their message and stack
+function serializeFields(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    result[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+  }
+  return result;
+}
+
+function formatPretty(entry) {
+  const { time, level, msg, ...rest } = entry;
+  const extras = Object.entries(rest)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+  return `${time} [${level.toUpperCase()}]${extras ? ` [${extras}]` : ''}: ${msg}`;
+}
+
+function write(level, message, fields, context) {
+  const levelName = LEVELS[level] ? level : 'info';
+  const minLevel = LEVELS[config.logging.level] || LEVELS.info;
+  if (LEVELS[levelName] < minLevel) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level: levelName,
+    msg: String(message),
+    ...runContext.getStore(),
+    ...context,
+    ...serializeFields(fields),
+  };
+
+  const output = config.logging.consoleFormat === 'json' ? JSON.stringify(entry) : formatPretty(entry);
+  if (levelName === 'error') console.error(output);
+  else console.log(output);
+
+  const line = `${JSON.stringify(entry)}\n`;
+  enqueue(config.logging.combinedFile, line);
+  if (levelName === 'error') enqueue(config.logging.errorFile, line);
+}
+
+/**
+ * Build a logger whose lines all carry the given context
+ * @param {object} context - Fields added to every line (e.g. { source: "linkedin" })
+ * @returns {object} Logger with log, debug, info, warn, error and child
+ */
+function createLogger(context = {}) {
+  return {
+    /**
+     * Log a message to console and file
+     * @param {string} message - The message to log
+     * @param {string} level - debug, info, warn or error (default: info)
+     * @param {object} fields - Extra structured fields for this line
+     */
+    log: (message, level = 'info', fields) => write(level, message, fields, context),
+    debug: (message, fields) => write('debug', message, fields, context),
+    info: (message, fields) => write('info', message, fields, context),
+    warn: (message, fields) => write('warn', message, fields, context),
+    error: (message, fields) => write('error', message, fields, context),
+    child: (childContext) => createLogger({ ...context, ...childContext }),
+  };
+}
+
+/**
+ * Run a function with context added to every line logged inside it, by any logger
+ * @param {object} context - Fields such as { runId, trigger }
+ * @param {Function} fn - Function to run
+ * @returns {*} Whatever fn returns
+ */
+function runWithContext(context, fn) {
+  return runContext.run({ ...runContext.getStore(), ...context }, fn);
+}
+
+/**
+ * Context set by the enclosing runWithContext() calls
+ * @returns {object} Context fields (empty outside a run)
+ */
+function getContext() {
+  return runContext.getStore() || {};
+}
+
+/**
+ * Short random id for tying together the log lines of one scrape run
+ * @returns {string} 8 hex characters
+ */
+function newRunId() {
+  return crypto.randomBytes(4).toString('hex');
 }
 
 module.exports = {
-  log
-};
\ No newline at end of file
+  ...createLogger(),
+  LEVELS,
+  runWithContext,
+  getContext,
+  newRunId,
+  flush,
+};
@@ -1,13 +1,27 @@
 const { MongoClient } = require("mongodb");
+const crypto = require("crypto");
 const fs = require("fs");
 const config = require("../config");
 const logger = require("./logger");
-const { generateJobId } = require("../utils/helpers");
+const { generateJobId, detectJobRole, categorizeJob } = require("../utils/helpers");
+const { normalizeCompany, buildMatchProfile, findFuzzyDuplicate } = require("../utils/jobMatching");
+const { setRuntimeOverrides } = require("../utils/jobRules");
+const { setGuildSettings, defaultGuildSettings } = require("../utils/guildRouting");
+const { parsePostedDate } = require("../utils/postedDate");
+const { classifyWorkAuthorization } = require("../utils/jobDetails");
+const { salaryFields } = require("../utils/salary");
+const { locationFields } = require("../utils/location");
 
 // MongoDB client
 let mongoClient;
 let db;
-let collections = {};
+let jobsCollection;
+let scrapeRunsCollection;
+let subscriptionsCollection;
+let userJobsCollection;
+let jobReportsCollection;
+let filterOverridesCollection;
+let guildSettingsCollection;
 let isConnected = false;
 
 // In-memory job caches for each source
@@ -18,6 +32,7 @@ const jobCaches = {
   github: new Set(),
   simplyhired: new Set(),
   glassdoor: new Set(),
+  ats: new Set(),
 };
 
 // Connect to MongoDB
@@ -68,30 +83,55 @@ async function connect() {
     await mongoClient.connect();
     db = mongoClient.db(config.mongo.dbName);
 
-    // Initialize collections for each source
-    collections.linkedin = db.collection(config.mongo.collections.linkedin);
-    collections.ziprecruiter = db.collection(
-      config.mongo.collections.ziprecruiter
-    );
-    collections.jobright = db.collection(config.mongo.collections.jobright);
-    collections.github = db.collection(config.mongo.collections.github);
-    if (config.mongo.collections.simplyhired) {
-      collections.simplyhired = db.collection(config.mongo.collections.simplyhired);
+    // One canonical document per job (normalizedId) with a sighting per source posting
+    jobsCollection = db.collection(config.mongo.collections.jobs);
+    await jobsCollection.createIndex({ normalizedId: 1 }, { unique: true });
+    await jobsCollection.createIndex({ "sightings.source": 1, "sightings.jobId": 1 });
+    await jobsCollection.createIndex({ lastSeenAt: -1 });
+    await jobsCollection.createIndex({ canonicalCompany: 1 });
+    await jobsCollection.createIndex({ role: 1, category: 1, firstSeenAt: -1 });
+    await jobsCollection.createIndex({ postedAt: -1 });
+    await jobsCollection.createIndex({ salaryAnnual: -1 });
+    await jobsCollection.createIndex({ workModel: 1, "locations.state": 1 });
+    await jobsCollection.createIndex({ status: 1, lastCheckedAt: 1 });
+
+    if (config.mongo.collections.scrapeRuns) {
+      scrapeRunsCollection = db.collection(config.mongo.collections.scrapeRuns);
+      await scrapeRunsCollection.createIndex({ startedAt: -1 });
+      await scrapeRunsCollection.createIndex({ "tasks.source": 1, startedAt: -1 });
     }
-    if (config.mongo.collections.glassdoor) {
-      collections.glassdoor = db.collection(config.mongo.collections.glassdoor);
+    if (config.mongo.collections.subscriptions) {
+      subscriptionsCollection = db.collection(config.mongo.collections.subscriptions);
+      await subscriptionsCollection.createIndex({ subscriptionId: 1 }, { unique: true });
+      await subscriptionsCollection.createIndex({ userId: 1 });
+    }
+    if (config.mongo.collections.userJobs) {
+      userJobsCollection = db.collection(config.mongo.collections.userJobs);
+      await userJobsCollection.createIndex({ userId: 1, normalizedId: 1 }, { unique: true });
+      await userJobsCollection.createIndex({ userId: 1, status: 1, updatedAt: -1 });
+    }
+    if (config.mongo.collections.jobReports) {
+      jobReportsCollection = db.collection(config.mongo.collections.jobReports);
+      await jobReportsCollection.createIndex({ normalizedId: 1, type: 1 }, { unique: true });
+      await jobReportsCollection.createIndex({ reportId: 1 }, { unique: true });
+      await jobReportsCollection.createIndex({ status: 1, type: 1, count: -1 });
+    }
+    if (config.mongo.collections.filterOverrides) {
+      filterOverridesCollection = db.collection(config.mongo.collections.filterOverrides);
+      await filterOverridesCollection.createIndex({ list: 1, term: 1 }, { unique: true });
+    }
+    if (config.mongo.collections.guildSettings) {
+      guildSettingsCollection = db.collection(config.mongo.collections.guildSettings);
+      await guildSettingsCollection.createIndex({ guildId: 1 }, { unique: true });
     }
-
-    // Create indexes for faster lookups
-    await collections.linkedin.createIndex({ jobId: 1 }, { unique: true });
-    await collections.ziprecruiter.createIndex({ jobId: 1 }, { unique: true });
-    await collections.jobright.createIndex({ jobId: 1 }, { unique: true });
-    await collections.github.createIndex({ jobId: 1 }, { unique: true });
-    if (collections.simplyhired) await collections.simplyhired.createIndex({ jobId: 1 }, { unique: true });
-    if (collections.glassdoor) await collections.glassdoor.createIndex({ jobId: 1 }, { unique: true });
 
     logger.log("Successfully connected to MongoDB");
     isConnected = true;
+
+    // Apply the /filter terms admins added at runtime to the relevance rules
+    await applyFilterOverrides();
+    // Route jobs to every server set up with /setup
+    await applyGuildSettings();
     return true;
   } catch (error) {
     logger.log(`Error connecting to MongoDB: ${error.message}`, "error");
@@ -104,12 +144,9 @@ async function connect() {
 // Load job cache from MongoDB or fallback to file
 async function loadCache() {
   try {
-    await loadSourceCache("linkedin");
-    await loadSourceCache("ziprecruiter");
-    await loadSourceCache("jobright");
-    await loadSourceCache("github");
-    if (collections.simplyhired) await loadSourceCache("simplyhired");
-    if (collections.glassdoor) await loadSourceCache("glassdoor");
+    for (const source of Object.keys(jobCaches)) {
+      await loadSourceCache(source);
+    }
   } catch (error) {
     logger.log(`Error loading job caches: ${error.message}`, "error");
   }
@@ -118,13 +155,17 @@ async function loadCache() {
 // Load cache for a specific source
 async function loadSourceCache(source) {
   try {
-    // If MongoDB is connected, load from there
-    if (collections[source]) {
-      const jobs = await collections[source]
-        .find({})
-        .project({ jobId: 1, _id: 0 })
+    // If MongoDB is connected, load the source's posting ids from its sightings
+    if (jobsCollection) {
+      const sightings = await jobsCollection
+        .aggregate([
+          { $match: { "sightings.source": source } },
+          { $unwind: "$sightings" },
+          { $match: { "sightings.source": source } },
+          { $project: { _id: 0, jobId: "$sightings.jobId" } },
+        ])
         .toArray();
-      jobCaches[source] = new Set(jobs.map((job) => job.jobId));
+      jobCaches[source] = new Set(sightings.map((sighting) => sighting.jobId).filter(Boolean));
       logger.log(
         `Loaded ${jobCaches[source].size} ${source} jobs from MongoDB cache.`
       );
@@ -161,6 +202,8 @@ function getFileCachePath(source) {
       return config.jobright.fileCache;
     case "github":
       return config.github.fileCache;
+    case "ats":
+      return config.ats.fileCache;
 
     default:
       return `cache/${source}-job-cache.json`;
@@ -179,13 +222,10 @@ function jobExists(jobId, source) {
 // Check if a job exists by normalized ID (for cross-source deduplication)
 async function jobExistsByNormalizedId(normalizedId) {
   try {
-    // Check all collections for the normalized ID
-    for (const [source, collection] of Object.entries(collections)) {
-      if (collection) {
-        const existingJob = await collection.findOne({ normalizedId });
-        if (existingJob) {
-          return { exists: true, source, job: existingJob };
-        }
+    if (jobsCollection) {
+      const existingJob = await jobsCollection.findOne({ normalizedId });
+      if (existingJob) {
+        return { exists: true, source: existingJob.sources?.[0] || null, job: existingJob };
       }
     }
     return { exists: false, source: null, job: null };
@@ -207,7 +247,7 @@ async function filterNewJobsByNormalizedId(jobs) {
       return { ...job, normalizedId };
     });
 
-    if (!collections || Object.keys(collections).length === 0) {
+    if (!jobsCollection) {
       return normalizedJobs;
     }
 
@@ -228,17 +268,17 @@ async function filterNewJobsByNormalizedId(jobs) {
 
     for (let i = 0; i < normalizedIds.length; i += chunkSize) {
       const chunk = normalizedIds.slice(i, i + chunkSize);
-      for (const collection of Object.values(collections)) {
-        if (!collection) continue;
-        const found = await collection
-          .find({ normalizedId: { $in: chunk } })
-          .project({ normalizedId: 1, _id: 0 })
-          .toArray();
-        found.forEach((doc) => existingIds.add(doc.normalizedId));
-      }
+      const found = await jobsCollection
+        .find({ normalizedId: { $in: chunk } })
+        .project({ normalizedId: 1, _id: 0 })
+        .toArray();
+      found.forEach((doc) => existingIds.add(doc.normalizedId));
     }
 
-    return normalizedJobs.filter((job) => !existingIds.has(job.normalizedId));
+    const newJobs = normalizedJobs.filter((job) => !existingIds.has(job.normalizedId));
+    return config.deduplication?.fuzzy !== false
+      ? await filterFuzzyDuplicates(newJobs)
+      : newJobs;
   } catch (error) {
     logger.log(
       `Error filtering jobs by normalized ID: ${error.message}`,
@@ -248,10 +288,72 @@ async function filterNewJobsByNormalizedId(jobs) {
   }
 }
 
+/**
+ * Drop jobs that are near-duplicates of stored jobs (same canonical company and
+ * location, similar title) even though their normalizedId differs. The dropped
+ * posting is recorded as a sighting of the stored job it matched, so that job's
+ * sources list the other site too.
+ * @param {Array} jobs - Jobs that passed the exact normalizedId check
+ * @returns {Promise<Array>} Jobs with no fuzzy match in the jobs collection
+ */
+async function filterFuzzyDuplicates(jobs) {
+  const profiled = jobs.map((job) => ({ job, profile: buildMatchProfile(job) }));
+  const companies = [...new Set(profiled.map(({ profile }) => profile.company).filter(Boolean))];
+  if (companies.length === 0) {
+    return jobs;
+  }
+
+  const candidatesByCompany = new Map();
+  const chunkSize = 500;
+
+  for (let i = 0; i < companies.length; i += chunkSize) {
+    const chunk = companies.slice(i, i + chunkSize);
+    const found = await jobsCollection
+      .find({ canonicalCompany: { $in: chunk } })
+      .project({ normalizedId: 1, title: 1, company: 1, location: 1, _id: 0 })
+      .toArray();
+    for (const doc of found) {
+      const profile = buildMatchProfile(doc);
+      if (!candidatesByCompany.has(profile.company)) candidatesByCompany.set(profile.company, []);
+      candidatesByCompany.get(profile.company).push({ profile, doc });
+    }
+  }
+
+  const seenAt = new Date();
+  const sightingOperations = [];
+  const newJobs = profiled
+    .filter(({ job, profile }) => {
+      const match = findFuzzyDuplicate(
+        profile,
+        candidatesByCompany.get(profile.company) || [],
+        config.deduplication.titleSimilarityThreshold
+      );
+      if (!match) return true;
+
+      const stored = match.candidate.doc;
+      logger.log(
+        `🔀 Fuzzy duplicate of stored job: "${job.title}" @ ${job.company} (${job.source || "unknown source"}) → "${stored.title}" @ ${stored.company} [${stored.normalizedId}] (${match.reason}, score ${match.score.toFixed(2)})`
+      );
+      // Without a source there is nothing to add to the stored job's sources
+      if (job.source) {
+        sightingOperations.push(
+          ...buildSightingOperations({ ...job, normalizedId: stored.normalizedId }, job.source, seenAt)
+        );
+      }
+      return false;
+    })
+    .map(({ job }) => job);
+
+  if (sightingOperations.length > 0) {
+    await jobsCollection.bulkWrite(sightingOperations);
+  }
+  return newJobs;
+}
+
 // Get recent jobs from a specific source (within time range)
 async function getRecentJobs(source, timeRange = "day") {
   try {
-    if (!collections[source]) {
+    if (!jobsCollection) {
       return [];
     }
 
@@ -275,13 +377,25 @@ async function getRecentJobs(source, timeRange = "day") {
         startDate = new Date(now - 24 * 60 * 60 * 1000);
     }
 
-    const recentJobs = await collections[source]
+    const docs = await jobsCollection
       .find({
-        scrapedAt: { $gte: startDate }
+        sightings: { $elemMatch: { source, scrapedAt: { $gte: startDate } } }
       })
-      .project({ jobId: 1, normalizedId: 1, title: 1, company: 1, location: 1, scrapedAt: 1 })
+      .project({ normalizedId: 1, title: 1, company: 1, location: 1, sightings: 1 })
       .toArray();
 
+    const recentJobs = docs.map((doc) => {
+      const sighting = doc.sightings.filter((entry) => entry.source === source).pop();
+      return {
+        jobId: sighting.jobId,
+        normalizedId: doc.normalizedId,
+        title: doc.title,
+        company: doc.company,
+        location: doc.location,
+        scrapedAt: sighting.scrapedAt,
+      };
+    });
+
     logger.log(`Found ${recentJobs.length} recent jobs in ${source} (${timeRange})`);
     return recentJobs;
   } catch (error) {
@@ -296,7 +410,7 @@ async function getAllRecentJobs(timeRange = "day") {
     const allRecentJobs = {};
     let totalRecentJobs = 0;
 
-    for (const source of Object.keys(collections)) {
+    for (const source of Object.keys(jobCaches)) {
       const recentJobs = await getRecentJobs(source, timeRange);
       allRecentJobs[source] = recentJobs;
       totalRecentJobs += recentJobs.length;
@@ -328,6 +442,85 @@ async function shouldSkipSource(source, timeRange = "hour") {
   }
 }
 
+/**
+ * Build the bulk operations that record one source posting on its canonical job.
+ * The first op creates the job (or bumps its first/last seen times); the second
+ * appends the sighting unless this source already reported this posting id, so
+ * re-adding a job (or re-running the migration) never duplicates sightings.
+ * @param {object} job - Job object (`id` is the source's own posting id)
+ * @param {string} source - Source key (linkedin, github, ...)
+ * @param {Date} seenAt - When the posting was scraped
+ * @returns {Array} bulkWrite operations for the jobs collection
+ */
+function buildSightingOperations(job, source, seenAt = new Date()) {
+  const normalizedId = job.normalizedId || generateJobId(job);
+  // Parsed at scrape time (filterJobsByDate), or here relative to when the job was seen
+  const { postedAt, confidence } = job.postedAt
+    ? { postedAt: new Date(job.postedAt), confidence: job.postedAtConfidence || "exact" }
+    : parsePostedDate(job.postedDate, seenAt);
+  const sighting = {
+    source,
+    jobId: job.id,
+    url: job.url || "",
+    postedDate: job.postedDate || "Not specified",
+    postedAt,
+    scrapedAt: seenAt,
+  };
+  // Source markers (🛂 / 🇺🇸 in GitHub lists) overrule what earlier sightings' text said
+  const authorization = classifyWorkAuthorization(job);
+  const fromMarker = authorization.sponsorshipSource === "marker";
+
+  return [
+    {
+      updateOne: {
+        filter: { normalizedId },
+        update: {
+          $setOnInsert: {
+            normalizedId,
+            title: job.title || "Position details unavailable",
+            company: job.company || "Company details unavailable",
+            location: job.location || "Not specified",
+            url: job.url || "",
+            postedDate: job.postedDate || "Not specified",
+            postedAt,
+            postedAtConfidence: confidence,
+            description: job.description || "",
+            metadata: job.metadata || "",
+            salary: job.salary || "",
+            ...salaryFields(job),
+            ...locationFields(job),
+            isPartnerListing: job.isPartnerListing || false,
+            repoUrl: job.repoUrl || "",
+            normalizedTitle: job.normalizedTitle || (job.title || "").toLowerCase().trim(),
+            normalizedCompany: job.normalizedCompany || (job.company || "").toLowerCase().trim(),
+            normalizedLocation: job.normalizedLocation || (job.location || "").toLowerCase().trim(),
+            canonicalCompany: normalizeCompany(job.company),
+            role: detectJobRole(job),
+            category: categorizeJob(job),
+            status: "open",
+            sightings: [],
+            ...(fromMarker ? {} : authorization),
+          },
+          ...(fromMarker ? { $set: authorization } : {}),
+          $min: { firstSeenAt: seenAt },
+          $max: { lastSeenAt: seenAt },
+          $addToSet: { sources: source },
+        },
+        upsert: true,
+      },
+    },
+    {
+      updateOne: {
+        filter: {
+          normalizedId,
+          sightings: { $not: { $elemMatch: { source, jobId: job.id } } },
+        },
+        update: { $push: { sightings: sighting } },
+      },
+    },
+  ];
+}
+
 // Add multiple jobs to MongoDB cache
 async function addJobs(jobs, source) {
   try {
@@ -361,48 +554,17 @@ async function addJobs(jobs, source) {
     logger.log(`Updated in-memory cache for ${source}. Total jobs in cache: ${jobCaches[source].size}`);
 
     // If MongoDB is connected, store there
-    if (collections[source]) {
-      const operations = jobsWithNormalizedData.map((job) => ({
-        updateOne: {
-          filter: { jobId: job.id },
-          update: {
-            $set: {
-              // Required fields
-              jobId: job.id,
-              timestamp: new Date(),
-              title: job.title || "Position details unavailable",
-              company: job.company || "Company details unavailable",
-              location: job.location || "Not specified",
-              url: job.url || "",
-              postedDate: job.postedDate || "Not specified",
-              source: job.source || source,
-
-              // Optional fields with defaults
-              description: job.description || "",
-              metadata: job.metadata || "",
-              salary: job.salary || "",
-              workModel: job.workModel || "",
-              isPartnerListing: job.isPartnerListing || false,
-              repoUrl: job.repoUrl || "",
-              normalizedId: job.normalizedId || "",
-              normalizedTitle: job.normalizedTitle || "",
-              normalizedCompany: job.normalizedCompany || "",
-              normalizedLocation: job.normalizedLocation || "",
-
-              // Additional metadata for better organization
-              scrapedAt: new Date(),
-              lastUpdated: new Date(),
-            },
-          },
-          upsert: true,
-        },
-      }));
+    if (jobsCollection) {
+      const seenAt = new Date();
+      const operations = jobsWithNormalizedData.flatMap((job) =>
+        buildSightingOperations(job, source, seenAt)
+      );
 
-      await collections[source].bulkWrite(operations);
-      logger.log(`Added ${jobIds.length} ${source} jobs to MongoDB cache.`);
+      await jobsCollection.bulkWrite(operations);
+      logger.log(`Added ${jobIds.length} ${source} jobs to MongoDB jobs collection.`);
 
       // Prune cache if it exceeds the maximum size
-      await pruneCache(source);
+      await pruneCache();
     }
     // Fallback to file if MongoDB not available
     else {
@@ -452,10 +614,14 @@ async function clearCache(source) {
     // Clear in-memory cache
     jobCaches[source].clear();
 
-    // Clear MongoDB if connected
-    if (collections[source]) {
-      await collections[source].deleteMany({});
-      logger.log(`MongoDB ${source} job cache cleared.`);
+    // Clear MongoDB if connected: drop this source's sightings, then jobs no source has left
+    if (jobsCollection) {
+      await jobsCollection.updateMany(
+        { "sightings.source": source },
+        { $pull: { sightings: { source }, sources: source } }
+      );
+      const removed = await jobsCollection.deleteMany({ sightings: { $size: 0 } });
+      logger.log(`MongoDB ${source} sightings cleared (${removed.deletedCount} jobs removed).`);
     }
 
     // Also clear file cache as fallback
@@ -472,10 +638,9 @@ async function clearCache(source) {
 
 // Clear all job caches
 async function clearAllCaches() {
-  await clearCache("linkedin");
-  await clearCache("ziprecruiter");
-  await clearCache("jobright");
-  await clearCache("github");
+  for (const source of Object.keys(jobCaches)) {
+    await clearCache(source);
+  }
 
   return true;
 }
@@ -483,24 +648,25 @@ async function clearAllCaches() {
 // Get cache statistics for a specific source
 async function getCacheStats(source) {
   try {
-    if (collections[source]) {
-      const count = await collections[source].countDocuments();
-      const oldestJob = await collections[source]
-        .find({})
-        .sort({ timestamp: 1 })
+    if (jobsCollection) {
+      const query = { "sightings.source": source };
+      const count = await jobsCollection.countDocuments(query);
+      const oldestJob = await jobsCollection
+        .find(query)
+        .sort({ firstSeenAt: 1 })
         .limit(1)
         .toArray();
-      const newestJob = await collections[source]
-        .find({})
-        .sort({ timestamp: -1 })
+      const newestJob = await jobsCollection
+        .find(query)
+        .sort({ lastSeenAt: -1 })
         .limit(1)
         .toArray();
 
       return {
         count,
         source: "MongoDB",
-        oldestJob: oldestJob.length > 0 ? oldestJob[0].timestamp : null,
-        newestJob: newestJob.length > 0 ? newestJob[0].timestamp : null,
+        oldestJob: oldestJob.length > 0 ? oldestJob[0].firstSeenAt : null,
+        newestJob: newestJob.length > 0 ? newestJob[0].lastSeenAt : null,
       };
     } else {
       return {
@@ -524,49 +690,113 @@ async function getCacheStats(source) {
   }
 }
 
-// Get cache statistics for all sources
+/**
+ * Get cache statistics for all sources.
+ * Per-source counts are jobs that source has posted; `total` counts each job once
+ * (the canonical collection), and `crossSource` is how many were seen on 2+ sources.
+ * @returns {Promise<object>} { [source]: stats, total, sightings, crossSource }
+ */
 async function getAllCacheStats() {
-  const linkedinStats = await getCacheStats("linkedin");
-  const ziprecruiterStats = await getCacheStats("ziprecruiter");
-  const jobrightStats = await getCacheStats("jobright");
-  const githubStats = await getCacheStats("github");
-  const simplyhiredStats = collections.simplyhired ? await getCacheStats("simplyhired") : { count: 0, source: "N/A", oldestJob: null, newestJob: null };
-  const glassdoorStats = collections.glassdoor ? await getCacheStats("glassdoor") : { count: 0, source: "N/A", oldestJob: null, newestJob: null };
-
-  return {
-    linkedin: linkedinStats,
-    ziprecruiter: ziprecruiterStats,
-    jobright: jobrightStats,
-    github: githubStats,
-    simplyhired: simplyhiredStats,
-    glassdoor: glassdoorStats,
-    total:
-      linkedinStats.count +
-      ziprecruiterStats.count +
-      jobrightStats.count +
-      githubStats.count +
-      simplyhiredStats.count +
-      glassdoorStats.count,
-  };
+  const stats = {};
+  let sightings = 0;
+  for (const source of Object.keys(jobCaches)) {
+    stats[source] = await getCacheStats(source);
+    sightings += stats[source].count;
+  }
+
+  let total = sightings;
+  let crossSource = 0;
+  if (jobsCollection) {
+    try {
+      total = await jobsCollection.countDocuments();
+      crossSource = await jobsCollection.countDocuments({ "sources.1": { $exists: true } });
+    } catch (error) {
+      logger.log(`Error counting canonical jobs: ${error.message}`, "error");
+    }
+  }
+
+  return { ...stats, total, sightings, crossSource };
+}
+
+/**
+ * Salary statistics over open jobs first seen within the last `days` days, in USD per year.
+ * @param {number} days - Window (default config.salary.statsDays)
+ * @returns {Promise<object|null>} { total, withSalary, median, average, min, max, byPeriod }, or null without MongoDB
+ */
+async function getSalaryStats(days = config.salary.statsDays) {
+  try {
+    if (!jobsCollection) {
+      return null;
+    }
+    const recent = { firstSeenAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }, status: { $ne: "closed" } };
+    const paid = { ...recent, currency: "USD", salaryAnnual: { $gt: 0 } };
+
+    const [total, withSalary, [summary], periods] = await Promise.all([
+      jobsCollection.countDocuments(recent),
+      jobsCollection.countDocuments(paid),
+      jobsCollection
+        .aggregate([
+          { $match: paid },
+          {
+            $group: {
+              _id: null,
+              average: { $avg: "$salaryAnnual" },
+              min: { $min: "$salaryAnnual" },
+              max: { $max: "$salaryAnnual" },
+            },
+          },
+        ])
+        .toArray(),
+      jobsCollection.aggregate([{ $match: paid }, { $group: { _id: "$salaryPeriod", count: { $sum: 1 } } }]).toArray(),
+    ]);
+
+    let median = null;
+    if (withSalary > 0) {
+      const [middle] = await jobsCollection
+        .find(paid)
+        .project({ salaryAnnual: 1 })
+        .sort({ salaryAnnual: 1 })
+        .skip(Math.floor(withSalary / 2))
+        .limit(1)
+        .toArray();
+      median = middle ? middle.salaryAnnual : null;
+    }
+
+    return {
+      days,
+      total,
+      withSalary,
+      median,
+      average: summary ? Math.round(summary.average) : null,
+      min: summary ? summary.min : null,
+      max: summary ? summary.max : null,
+      byPeriod: Object.fromEntries(periods.map(({ _id, count }) => [_id, count])),
+    };
+  } catch (error) {
+    logger.log(`Error getting salary stats: ${error.message}`, "error");
+    return null;
+  }
 }
 
-// Prune old entries from MongoDB cache
-async function pruneCache(source) {
+// Prune least recently seen jobs once the canonical collection exceeds its maximum size
+async function pruneCache() {
   try {
-    if (!collections[source]) {
+    if (!jobsCollection) {
       return;
     }
 
-    const count = await collections[source].countDocuments();
-    if (count <= config.mongo.maxCacheSize) {
+    const maxJobs =
+      config.mongo.maxJobs || config.mongo.maxCacheSize * Object.keys(jobCaches).length;
+    const count = await jobsCollection.countDocuments();
+    if (count <= maxJobs) {
       return;
     }
 
-    // Find the timestamp of the Nth most recent document
-    const cutoffDocs = await collections[source]
+    // Find the lastSeenAt of the Nth most recently seen job
+    const cutoffDocs = await jobsCollection
       .find({})
-      .sort({ timestamp: -1 })
-      .skip(config.mongo.maxCacheSize - 1)
+      .sort({ lastSeenAt: -1 })
+      .skip(maxJobs - 1)
       .limit(1)
       .toArray();
 
@@ -574,20 +804,15 @@ async function pruneCache(source) {
       return;
     }
 
-    const cutoffTimestamp = cutoffDocs[0].timestamp;
-
-    // Delete all documents older than the cutoff
-    const deleteResult = await collections[source].deleteMany({
-      timestamp: { $lt: cutoffTimestamp },
+    const deleteResult = await jobsCollection.deleteMany({
+      lastSeenAt: { $lt: cutoffDocs[0].lastSeenAt },
     });
-    logger.log(
-      `Pruned ${deleteResult.deletedCount} old entries from ${source} job cache.`
-    );
+    logger.log(`Pruned ${deleteResult.deletedCount} old entries from the jobs collection.`);
 
-    // Reload in-memory cache
-    await loadSourceCache(source);
+    // Reload in-memory caches
+    await loadCache();
   } catch (error) {
-    logger.log(`Error pruning ${source} cache: ${error.message}`, "error");
+    logger.log(`Error pruning jobs collection: ${error.message}`, "error");
   }
 }
 
@@ -602,7 +827,9 @@ async function close() {
 
 async function getJobsFromSource(source, time = "day") {
   try {
-    const collection = db.collection(`${source}_jobs`);
+    if (!jobsCollection) {
+      return [];
+    }
     const now = new Date();
     let startDate;
 
@@ -620,9 +847,9 @@ async function getJobsFromSource(source, time = "day") {
         startDate = new Date(now - 24 * 60 * 60 * 1000);
     }
 
-    const jobs = await collection
+    const jobs = await jobsCollection
       .find({
-        postedAt: { $gte: startDate },
+        sightings: { $elemMatch: { source, scrapedAt: { $gte: startDate } } },
       })
       .toArray();
 
@@ -633,8 +860,308 @@ async function getJobsFromSource(source, time = "day") {
   }
 }
 
+// Escape user input for use inside a RegExp
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build a jobs collection query from findJobs / streamJobs filters.
+ * @param {object} filters - See findJobs
+ * @returns {object} MongoDB query
+ */
+function buildJobsQuery(filters) {
+  const query = {};
+  if (filters.source) query["sightings.source"] = filters.source;
+  if (filters.role) query.role = filters.role;
+  if (filters.category) query.category = filters.category;
+  if (filters.company) query.company = { $regex: escapeRegex(filters.company), $options: "i" };
+  if (filters.since || filters.until) {
+    query.firstSeenAt = {};
+    if (filters.since) query.firstSeenAt.$gte = filters.since;
+    if (filters.until) query.firstSeenAt.$lt = filters.until;
+  }
+  if (filters.postedSince || filters.postedUntil) {
+    query.postedAt = {};
+    if (filters.postedSince) query.postedAt.$gte = filters.postedSince;
+    if (filters.postedUntil) query.postedAt.$lt = filters.postedUntil;
+  }
+  if (filters.minSalary) query.salaryAnnual = { $gte: filters.minSalary };
+  if (filters.status === "closed") query.status = "closed";
+  if (filters.status === "open") query.status = { $ne: "closed" };
+  if (filters.q) {
+    const pattern = { $regex: escapeRegex(filters.q), $options: "i" };
+    query.$or = [{ title: pattern }, { company: pattern }, { location: pattern }];
+  }
+  return query;
+}
+
+// Newest first, by first seen or (sort: "posted") by posting time; or (sort: "salary") best paid first
+function jobsSort(filters) {
+  if (filters.sort === "salary") return { salaryAnnual: -1, firstSeenAt: -1 };
+  return filters.sort === "posted" ? { postedAt: -1, firstSeenAt: -1 } : { firstSeenAt: -1 };
+}
+
+/**
+ * Query canonical jobs with filters and pagination (newest first).
+ * @param {object} filters - Query filters
+ * @param {string} filters.source - Only jobs seen on this source
+ * @param {string} filters.role - "intern" or "new_grad"
+ * @param {string} filters.category - software_engineering, data_analysis or data_science_engineer
+ * @param {string} filters.company - Case-insensitive substring of the company name
+ * @param {Date} filters.since - Only jobs first seen at or after this time
+ * @param {Date} filters.until - Only jobs first seen before this time
+ * @param {Date} filters.postedSince - Only jobs posted at or after this time (jobs without postedAt are left out)
+ * @param {Date} filters.postedUntil - Only jobs posted before this time
+ * @param {number} filters.minSalary - Only jobs whose yearly salary (salaryAnnual) is at least this
+ * @param {string} filters.q - Case-insensitive text search over title, company and location
+ * @param {string} filters.status - "open" or "closed"
+ * @param {string} filters.sort - "seen" (first seen, default), "posted" (postedAt; undated jobs last)
+ *   or "salary" (salaryAnnual; jobs without a salary last)
+ * @param {number} filters.page - 1-based page number (default: 1)
+ * @param {number} filters.limit - Page size (default and cap from config.api)
+ * @returns {Promise<object>} { jobs, total, page, limit }
+ */
+async function findJobs(filters = {}) {
+  const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(filters.limit, 10) || config.api.defaultPageSize, 1),
+    config.api.maxPageSize
+  );
+
+  if (!jobsCollection) {
+    return { jobs: [], total: 0, page, limit };
+  }
+
+  const query = buildJobsQuery(filters);
+
+  const [jobs, total] = await Promise.all([
+    jobsCollection
+      .find(query)
+      .project({ _id: 0 })
+      .sort(jobsSort(filters))
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray(),
+    jobsCollection.countDocuments(query),
+  ]);
+
+  return { jobs, total, page, limit };
+}
+
+/**
+ * Cursor over every canonical job matching the filters (newest first), for exports
+ * too large to load at once. The caller iterates it with for await and closes it.
+ * @param {object} filters - Same filters as findJobs, without paging
+ * @param {object} projection - Fields to return (default: all but _id)
+ * @returns {object|null} MongoDB cursor, or null if MongoDB is not connected
+ */
+function streamJobs(filters = {}, projection = { _id: 0 }) {
+  if (!jobsCollection) {
+    return null;
+  }
+  return jobsCollection
+    .find(buildJobsQuery(filters))
+    .project(projection)
+    .sort(jobsSort(filters));
+}
+
+/**
+ * Get one canonical job with all of its sightings.
+ * @param {string} normalizedId - Job's normalizedId
+ * @returns {Promise<object|null>} Job document or null if not found
+ */
+async function getJobByNormalizedId(normalizedId) {
+  if (!jobsCollection) {
+    return null;
+  }
+  return await jobsCollection.findOne({ normalizedId }, { projection: { _id: 0 } });
+}
+
+/**
+ * Remember where jobs were posted so their embeds can be edited later (e.g. when closed),
+ * and in which servers, so a job is posted at most once per server.
+ * @param {Array<object>} posts - { normalizedId, guildId, channelId, messageId, embedIndex }
+ * @returns {Promise<number>} Number of jobs updated
+ */
+async function recordDiscordMessages(posts) {
+  try {
+    if (!jobsCollection || !posts || posts.length === 0) {
+      return 0;
+    }
+    const postedAt = new Date();
+    const result = await jobsCollection.bulkWrite(
+      posts.map((post) => ({
+        updateOne: {
+          filter: { normalizedId: post.normalizedId },
+          update: {
+            $push: {
+              discordMessages: {
+                $each: [
+                  {
+                    guildId: post.guildId || null,
+                    channelId: post.channelId,
+                    messageId: post.messageId,
+                    embedIndex: post.embedIndex,
+                    postedAt,
+                  },
+                ],
+                $slice: -20, // A job reposted many times keeps its latest messages
+              },
+            },
+            ...(post.guildId ? { $addToSet: { postedGuilds: post.guildId } } : {}),
+          },
+        },
+      })),
+      { ordered: false }
+    );
+    return result.modifiedCount;
+  } catch (error) {
+    logger.log(`Error recording Discord messages: ${error.message}`, "error");
+    return 0;
+  }
+}
+
+/**
+ * Store the fields the enrichment stage read from job descriptions and detail pages.
+ * @param {Array<object>} jobs - Enriched jobs (see services/jobEnrichment)
+ * @returns {Promise<number>} Number of jobs updated
+ */
+async function saveJobEnrichment(jobs) {
+  try {
+    if (!jobsCollection || !jobs || jobs.length === 0) {
+      return 0;
+    }
+    const result = await jobsCollection.bulkWrite(
+      jobs.map((job) => ({
+        updateOne: {
+          filter: { normalizedId: job.normalizedId || generateJobId(job) },
+          update: {
+            $set: {
+              description: job.description || "",
+              salary: job.salary || "",
+              ...salaryFields(job),
+              // The full description can say what the listing didn't ("this is a hybrid role")
+              ...locationFields(job),
+              sponsorship: job.sponsorship || "unknown",
+              requiresCitizenship: !!job.requiresCitizenship,
+              clearanceRequired: !!job.clearanceRequired,
+              sponsorshipSource: job.sponsorshipSource || null,
+              gradYears: job.gradYears || [],
+              enrichedAt: job.enrichedAt,
+              enrichmentStatus: job.enrichmentStatus,
+            },
+          },
+        },
+      })),
+      { ordered: false }
+    );
+    return result.modifiedCount;
+  } catch (error) {
+    logger.log(`Error saving job enrichment: ${error.message}`, "error");
+    return 0;
+  }
+}
+
+/**
+ * Open jobs due for a link-liveness check, least recently checked first.
+ * @param {object} options - Query options
+ * @param {number} options.limit - Maximum jobs to return
+ * @param {Date} options.checkedBefore - Skip jobs checked at or after this time
+ * @param {Date} options.seenAfter - Skip jobs last seen before this time
+ * @returns {Promise<Array>} Jobs ({ normalizedId, title, company, url, sources })
+ */
+async function getJobsForLivenessCheck(options = {}) {
+  try {
+    if (!jobsCollection) {
+      return [];
+    }
+    return await jobsCollection
+      .find({
+        status: { $ne: "closed" },
+        url: { $regex: "^https?://" },
+        lastSeenAt: { $gte: options.seenAfter },
+        $or: [
+          { lastCheckedAt: { $exists: false } },
+          { lastCheckedAt: { $lt: options.checkedBefore } },
+        ],
+      })
+      .project({ _id: 0, normalizedId: 1, title: 1, company: 1, url: 1, sources: 1 })
+      .sort({ lastCheckedAt: 1 })
+      .limit(options.limit || 100)
+      .toArray();
+  } catch (error) {
+    logger.log(`Error getting jobs for liveness check: ${error.message}`, "error");
+    return [];
+  }
+}
+
+/**
+ * Save the outcome of a liveness check; a "closed" outcome also closes the job.
+ * @param {string} normalizedId - Job's normalizedId
+ * @param {object} check - { status: "open" | "closed" | "unknown", reason, httpStatus }
+ * @returns {Promise<object|null>} The job (with discordMessages) if this check closed it, else null
+ */
+async function recordLivenessCheck(normalizedId, check) {
+  try {
+    if (!jobsCollection) {
+      return null;
+    }
+    const checkedAt = new Date();
+    const lastCheck = {
+      status: check.status,
+      reason: check.reason || null,
+      httpStatus: check.httpStatus || null,
+    };
+
+    if (check.status !== "closed") {
+      await jobsCollection.updateOne({ normalizedId }, { $set: { lastCheckedAt: checkedAt, lastCheck } });
+      return null;
+    }
+    return await markJobClosed(normalizedId, check.reason, { lastCheckedAt: checkedAt, lastCheck });
+  } catch (error) {
+    logger.log(`Error recording liveness check for ${normalizedId}: ${error.message}`, "error");
+    return null;
+  }
+}
+
+/**
+ * Mark a job closed (no longer accepting applications).
+ * @param {string} normalizedId - Job's normalizedId
+ * @param {string} reason - Why it is considered closed
+ * @param {object} extra - Additional fields to set
+ * @returns {Promise<object|null>} The job as it was before closing, or null if unknown or already closed
+ */
+async function markJobClosed(normalizedId, reason, extra = {}) {
+  try {
+    if (!jobsCollection) {
+      return null;
+    }
+    const job = await jobsCollection.findOne(
+      { normalizedId, status: { $ne: "closed" } },
+      { projection: { _id: 0, normalizedId: 1, title: 1, company: 1, url: 1, discordMessages: 1 } }
+    );
+    if (!job) {
+      return null;
+    }
+    await jobsCollection.updateOne(
+      { normalizedId },
+      { $set: { ...extra, status: "closed", closedAt: new Date(), closedReason: reason || null } }
+    );
+    return job;
+  } catch (error) {
+    logger.log(`Error marking job ${normalizedId} closed: ${error.message}`, "error");
+    return null;
+  }
+}
+
+// Source keys that have a job cache (linkedin, github, ...)
+function getSourceKeys() {
+  return Object.keys(jobCaches);
+}
+
 /**
- * Get all existing normalizedIds from all collections.
+ * Get all existing normalizedIds from the canonical jobs collection.
  * Used to take a snapshot before scraping starts so that jobs added
  * during the current run are not falsely treated as "old".
  * @returns {Set<string>} Set of all known normalizedIds
@@ -642,19 +1169,16 @@ async function getJobsFromSource(source, time = "day") {
 async function getAllNormalizedIds() {
   const ids = new Set();
   try {
-    if (!collections || Object.keys(collections).length === 0) {
+    if (!jobsCollection) {
       return ids;
     }
-    for (const [source, collection] of Object.entries(collections)) {
-      if (!collection) continue;
-      const docs = await collection
-        .find({ normalizedId: { $exists: true, $ne: "" } })
-        .project({ normalizedId: 1, _id: 0 })
-        .toArray();
-      docs.forEach((doc) => {
-        if (doc.normalizedId) ids.add(doc.normalizedId);
-      });
-    }
+    const docs = await jobsCollection
+      .find({})
+      .project({ normalizedId: 1, _id: 0 })
+      .toArray();
+    docs.forEach((doc) => {
+      if (doc.normalizedId) ids.add(doc.normalizedId);
+    });
     logger.log(`📸 Snapshot: ${ids.size} existing normalizedIds from MongoDB`);
   } catch (error) {
     logger.log(`Error getting all normalizedIds: ${error.message}`, "error");
@@ -662,6 +1186,774 @@ async function getAllNormalizedIds() {
   return ids;
 }
 
+/**
+ * Fold the legacy per-source collections (linkedin_jobs, github_jobs, ...) into the
+ * canonical jobs collection. Each legacy document becomes a sighting; safe to re-run.
+ * Also backfills derived fields (canonicalCompany, role, category) on older jobs.
+ * @param {object} options - Migration options
+ * @param {boolean} options.dryRun - Only count what would be migrated
+ * @param {number} options.batchSize - Legacy documents per bulk write (default: 500)
+ * @returns {Promise<object>} { sources: { [source]: documentsRead }, read, uniqueJobs, backfilled, jobsBefore, jobsAfter }
+ */
+async function migrateLegacyCollections(options = {}) {
+  if (!jobsCollection) {
+    throw new Error("MongoDB is not connected");
+  }
+
+  const batchSize = options.batchSize || 500;
+  const existingNames = new Set(
+    (await db.listCollections({}, { nameOnly: true }).toArray()).map((c) => c.name)
+  );
+  const summary = {
+    sources: {},
+    read: 0,
+    uniqueJobs: 0,
+    jobsBefore: await jobsCollection.countDocuments(),
+    jobsAfter: 0,
+  };
+  const normalizedIds = new Set();
+
+  for (const source of Object.keys(jobCaches)) {
+    const name = config.mongo.collections[source];
+    if (!name || !existingNames.has(name)) continue;
+
+    let read = 0;
+    let operations = [];
+    const cursor = db.collection(name).find({}).sort({ timestamp: 1 });
+    for await (const doc of cursor) {
+      const job = { ...doc, id: doc.jobId };
+      const seenAt = doc.scrapedAt || doc.timestamp || new Date();
+      normalizedIds.add(job.normalizedId || generateJobId(job));
+      operations.push(...buildSightingOperations(job, source, seenAt));
+      read++;
+
+      if (operations.length >= batchSize * 2) {
+        if (!options.dryRun) await jobsCollection.bulkWrite(operations);
+        operations = [];
+      }
+    }
+    if (operations.length > 0 && !options.dryRun) {
+      await jobsCollection.bulkWrite(operations);
+    }
+
+    summary.sources[source] = read;
+    summary.read += read;
+    logger.log(`📦 ${name}: ${read} documents ${options.dryRun ? "to migrate" : "migrated"}`);
+  }
+
+  summary.uniqueJobs = normalizedIds.size;
+  summary.backfilled = await backfillDerivedFields(options);
+  summary.jobsAfter = options.dryRun
+    ? summary.jobsBefore
+    : await jobsCollection.countDocuments();
+  if (!options.dryRun) await loadCache();
+  return summary;
+}
+
+/**
+ * Set the derived fields newer code relies on, on jobs stored before they existed:
+ * - canonicalCompany, for fuzzy duplicate lookups
+ * - role and category, for the API filters
+ * - postedAt, for date queries (relative posted dates count back from firstSeenAt)
+ * - sponsorship, for the sponsorship filters
+ * - the parsed salary fields, for min_salary and salary sorting
+ * - locations and workModel, for the location and remote filters
+ * @param {object} options - { dryRun, batchSize }
+ * @returns {Promise<number>} Number of jobs updated (or that would be, on a dry run)
+ */
+async function backfillDerivedFields(options = {}) {
+  const batchSize = options.batchSize || 500;
+  let updated = 0;
+  let operations = [];
+
+  const cursor = jobsCollection
+    .find({
+      $or: [
+        { canonicalCompany: { $exists: false } },
+        { role: { $exists: false } },
+        { category: { $exists: false } },
+        { postedAt: { $exists: false } },
+        { sponsorship: { $exists: false } },
+        { salaryPeriod: { $exists: false } },
+        { locations: { $exists: false } },
+      ],
+    })
+    .project({
+      title: 1,
+      company: 1,
+      description: 1,
+      metadata: 1,
+      canonicalCompany: 1,
+      role: 1,
+      category: 1,
+      postedDate: 1,
+      postedAt: 1,
+      firstSeenAt: 1,
+      sponsorship: 1,
+      salary: 1,
+      salaryPeriod: 1,
+      location: 1,
+      workModel: 1,
+      locations: 1,
+    });
+  for await (const doc of cursor) {
+    const set = {};
+    if (doc.canonicalCompany === undefined) set.canonicalCompany = normalizeCompany(doc.company);
+    if (doc.role === undefined) set.role = detectJobRole(doc);
+    if (doc.category === undefined) set.category = categorizeJob(doc);
+    if (doc.postedAt === undefined) {
+      const { postedAt, confidence } = parsePostedDate(doc.postedDate, doc.firstSeenAt || new Date());
+      set.postedAt = postedAt;
+      set.postedAtConfidence = confidence;
+    }
+    if (doc.sponsorship === undefined) Object.assign(set, classifyWorkAuthorization(doc));
+    if (doc.salaryPeriod === undefined) Object.assign(set, salaryFields(doc));
+    if (doc.locations === undefined) Object.assign(set, locationFields(doc));
+    operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: set } } });
+    updated++;
+
+    if (operations.length >= batchSize) {
+      if (!options.dryRun) await jobsCollection.bulkWrite(operations);
+      operations = [];
+    }
+  }
+  if (operations.length > 0 && !options.dryRun) {
+    await jobsCollection.bulkWrite(operations);
+  }
+
+  logger.log(`🏷️ Derived fields: ${updated} jobs ${options.dryRun ? "to backfill" : "backfilled"}`);
+  return updated;
+}
+
+/**
+ * Save a finished scrape run (one document with per-task rows).
+ * @param {object} run - Run record built by services/runHistory.js
+ * @returns {Promise<string|null>} Inserted run id, or null if not persisted
+ */
+async function saveScrapeRun(run) {
+  try {
+    if (!scrapeRunsCollection) {
+      logger.log("MongoDB not available, scrape run not saved to history", "warn");
+      return null;
+    }
+    const result = await scrapeRunsCollection.insertOne({ ...run, createdAt: new Date() });
+    logger.log(`📝 Saved scrape run ${result.insertedId} (${(run.tasks || []).length} tasks)`);
+    return result.insertedId.toString();
+  } catch (error) {
+    logger.log(`Error saving scrape run: ${error.message}`, "error");
+    return null;
+  }
+}
+
+/**
+ * Get recent scrape runs, newest first.
+ * @param {object} options - Query options
+ * @param {number} options.limit - Maximum runs to return (default: 20, max: 100)
+ * @param {string} options.source - Only runs that included this source
+ * @param {number} options.days - Only runs started within this many days
+ * @returns {Promise<Array>} Scrape run documents
+ */
+async function getScrapeRuns(options = {}) {
+  try {
+    if (!scrapeRunsCollection) {
+      return [];
+    }
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+    const query = {};
+    if (options.source) {
+      query["tasks.source"] = options.source.toLowerCase();
+    }
+    if (options.days) {
+      query.startedAt = { $gte: new Date(Date.now() - options.days * 24 * 60 * 60 * 1000) };
+    }
+    return await scrapeRunsCollection
+      .find(query)
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .toArray();
+  } catch (error) {
+    logger.log(`Error getting scrape runs: ${error.message}`, "error");
+    return [];
+  }
+}
+
+/**
+ * Aggregate per-task rows into daily totals per source, for trend views.
+ * @param {object} options - Query options
+ * @param {number} options.days - How far back to look (default: 28)
+ * @param {string} options.source - Only this source
+ * @returns {Promise<Array>} Rows of { day, source, runs, jobsFound, newJobs, errors, failedTasks, avgDurationMs }
+ */
+async function getScrapeRunTrends(options = {}) {
+  try {
+    if (!scrapeRunsCollection) {
+      return [];
+    }
+    const days = parseInt(options.days, 10) || 28;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const taskMatch = options.source ? { "tasks.source": options.source.toLowerCase() } : {};
+
+    const rows = await scrapeRunsCollection
+      .aggregate([
+        { $match: { startedAt: { $gte: since } } },
+        { $unwind: "$tasks" },
+        { $match: taskMatch },
+        {
+          $group: {
+            _id: {
+              day: { $dateToString: { format: "%Y-%m-%d", date: "$startedAt" } },
+              source: "$tasks.source",
+            },
+            runs: { $sum: 1 },
+            jobsFound: { $sum: "$tasks.jobsFound" },
+            newJobs: { $sum: "$tasks.newJobs" },
+            errors: { $sum: "$tasks.errorCount" },
+            failedTasks: { $sum: { $cond: [{ $eq: ["$tasks.status", "failed"] }, 1, 0] } },
+            avgDurationMs: { $avg: "$tasks.durationMs" },
+          },
+        },
+        { $sort: { "_id.day": -1, "_id.source": 1 } },
+      ])
+      .toArray();
+
+    return rows.map((row) => ({
+      day: row._id.day,
+      source: row._id.source,
+      runs: row.runs,
+      jobsFound: row.jobsFound,
+      newJobs: row.newJobs,
+      errors: row.errors,
+      failedTasks: row.failedTasks,
+      avgDurationMs: Math.round(row.avgDurationMs || 0),
+    }));
+  } catch (error) {
+    logger.log(`Error getting scrape run trends: ${error.message}`, "error");
+    return [];
+  }
+}
+
+/**
+ * Save a new job alert subscription.
+ * @param {object} subscription - Subscription document ({ subscriptionId, userId, filters, ... })
+ * @returns {Promise<boolean>} True if saved
+ */
+async function addSubscription(subscription) {
+  try {
+    if (!subscriptionsCollection) {
+      logger.log("MongoDB not available, subscription not saved", "warn");
+      return false;
+    }
+    await subscriptionsCollection.insertOne({
+      ...subscription,
+      createdAt: new Date(),
+      lastMatchedAt: null,
+      matchCount: 0,
+    });
+    logger.log(`🔔 Saved subscription ${subscription.subscriptionId} for user ${subscription.userId}`);
+    return true;
+  } catch (error) {
+    logger.log(`Error saving subscription: ${error.message}`, "error");
+    return false;
+  }
+}
+
+/**
+ * Get job alert subscriptions, optionally for a single user.
+ * @param {string} userId - Discord user id (omit for all users)
+ * @returns {Promise<Array>} Subscription documents, oldest first
+ */
+async function getSubscriptions(userId = null) {
+  try {
+    if (!subscriptionsCollection) {
+      return [];
+    }
+    const query = userId ? { userId } : {};
+    return await subscriptionsCollection.find(query).sort({ createdAt: 1 }).toArray();
+  } catch (error) {
+    logger.log(`Error getting subscriptions: ${error.message}`, "error");
+    return [];
+  }
+}
+
+/**
+ * Remove a user's subscription (or all of them).
+ * @param {string} userId - Discord user id
+ * @param {string|null} subscriptionId - Subscription to remove, or null for all
+ * @returns {Promise<number>} Number of subscriptions removed
+ */
+async function removeSubscription(userId, subscriptionId = null) {
+  try {
+    if (!subscriptionsCollection) {
+      return 0;
+    }
+    const query = subscriptionId ? { userId, subscriptionId } : { userId };
+    const result = await subscriptionsCollection.deleteMany(query);
+    logger.log(`🔕 Removed ${result.deletedCount} subscription(s) for user ${userId}`);
+    return result.deletedCount;
+  } catch (error) {
+    logger.log(`Error removing subscription: ${error.message}`, "error");
+    return 0;
+  }
+}
+
+/**
+ * Record that a subscription matched and was delivered.
+ * @param {string} subscriptionId - Subscription id
+ * @param {number} count - Number of jobs delivered
+ */
+async function recordSubscriptionMatches(subscriptionId, count) {
+  try {
+    if (!subscriptionsCollection || count === 0) {
+      return;
+    }
+    await subscriptionsCollection.updateOne(
+      { subscriptionId },
+      { $set: { lastMatchedAt: new Date() }, $inc: { matchCount: count } }
+    );
+  } catch (error) {
+    logger.log(`Error updating subscription ${subscriptionId}: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Record a job in a user's application pipeline (buttons, /applied, /status-update).
+ * Without `force` the status only moves forward along config.applications.pipeline,
+ * so saving a job the user already applied to keeps it as applied.
+ * @param {object} user - { id, username } of the Discord user
+ * @param {object} job - Stored job ({ normalizedId, title, company, url })
+ * @param {string} status - A config.applications.pipeline status (saved, applied, oa, ...)
+ * @param {object} options - { force: set even if it moves backwards, note: saved with the history entry }
+ * @returns {Promise<object|null>} { status, previousStatus }, or null if not saved
+ */
+async function setUserJobStatus(user, job, status, options = {}) {
+  try {
+    if (!userJobsCollection) {
+      return null;
+    }
+    const pipeline = config.applications.pipeline;
+    const filter = { userId: user.id, normalizedId: job.normalizedId };
+    const existing = await userJobsCollection.findOne(filter, { projection: { status: 1 } });
+    const previousStatus = existing?.status || null;
+    if (
+      !options.force &&
+      previousStatus &&
+      pipeline.indexOf(previousStatus) >= pipeline.indexOf(status)
+    ) {
+      return { status: previousStatus, previousStatus };
+    }
+
+    const now = new Date();
+    await userJobsCollection.updateOne(
+      filter,
+      {
+        $set: {
+          username: user.username,
+          title: job.title,
+          company: job.company,
+          location: job.location,
+          url: job.url,
+          status,
+          hidden: false,
+          updatedAt: now,
+        },
+        $setOnInsert: { createdAt: now },
+        $push: { history: { status, at: now, note: options.note || null } },
+      },
+      { upsert: true }
+    );
+    return { status, previousStatus };
+  } catch (error) {
+    logger.log(`Error saving job status for user ${user.id}: ${error.message}`, "error");
+    return null;
+  }
+}
+
+/**
+ * A user's tracked jobs (hidden ones left out), most recently updated first.
+ * @param {string} userId - Discord user id
+ * @param {object} options - Query options
+ * @param {string} options.status - Only this pipeline status (omit for all)
+ * @param {number} options.page - 1-based page number (default: 1)
+ * @param {number} options.limit - Page size; 0 returns every job (default: config.applications.pageSize)
+ * @returns {Promise<object>} { jobs, total, page, limit }
+ */
+async function getUserJobs(userId, options = {}) {
+  const page = Math.max(parseInt(options.page, 10) || 1, 1);
+  const limit = options.limit ?? config.applications.pageSize;
+
+  try {
+    if (!userJobsCollection) {
+      return { jobs: [], total: 0, page, limit };
+    }
+    const query = { userId, hidden: { $ne: true }, status: options.status || { $ne: null } };
+    let cursor = userJobsCollection
+      .find(query, { projection: { _id: 0 } })
+      .sort({ updatedAt: -1 });
+    if (limit > 0) {
+      cursor = cursor.skip((page - 1) * limit).limit(limit);
+    }
+    const [jobs, total] = await Promise.all([cursor.toArray(), userJobsCollection.countDocuments(query)]);
+    return { jobs, total, page, limit };
+  } catch (error) {
+    logger.log(`Error getting tracked jobs for user ${userId}: ${error.message}`, "error");
+    return { jobs: [], total: 0, page, limit };
+  }
+}
+
+/**
+ * Count a user's tracked jobs per pipeline status.
+ * @param {string} userId - Discord user id
+ * @returns {Promise<object>} { saved: 3, applied: 5, ... }
+ */
+async function getUserJobCounts(userId) {
+  try {
+    if (!userJobsCollection) {
+      return {};
+    }
+    const rows = await userJobsCollection
+      .aggregate([
+        { $match: { userId, hidden: { $ne: true }, status: { $ne: null } } },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ])
+      .toArray();
+    return Object.fromEntries(rows.map((row) => [row._id, row.count]));
+  } catch (error) {
+    logger.log(`Error counting tracked jobs for user ${userId}: ${error.message}`, "error");
+    return {};
+  }
+}
+
+/**
+ * Find stored jobs by the handle users see: the ID in the embed footer (a normalizedId
+ * prefix), a full normalizedId, or the job's URL.
+ * @param {string} handle - Job ID prefix or URL
+ * @returns {Promise<Array>} Up to 5 matching jobs (more than one means the handle is ambiguous)
+ */
+async function findJobsByHandle(handle) {
+  try {
+    if (!jobsCollection || !handle) {
+      return [];
+    }
+    const query = /^https?:\/\//i.test(handle)
+      ? { $or: [{ url: handle }, { "sightings.url": handle }] }
+      : { normalizedId: { $regex: `^${escapeRegex(handle.toLowerCase())}` } };
+    return await jobsCollection
+      .find(query)
+      .project({ _id: 0, normalizedId: 1, title: 1, company: 1, location: 1, url: 1, status: 1 })
+      .limit(5)
+      .toArray();
+  } catch (error) {
+    logger.log(`Error finding job "${handle}": ${error.message}`, "error");
+    return [];
+  }
+}
+
+/**
+ * Hide a job for a user ("Not relevant").
+ * @param {object} user - { id, username } of the Discord user
+ * @param {object} job - Stored job ({ normalizedId, title, company, url })
+ * @returns {Promise<boolean>} True if saved
+ */
+async function hideUserJob(user, job) {
+  try {
+    if (!userJobsCollection) {
+      return false;
+    }
+    const now = new Date();
+    await userJobsCollection.updateOne(
+      { userId: user.id, normalizedId: job.normalizedId },
+      {
+        $set: {
+          username: user.username,
+          title: job.title,
+          company: job.company,
+          url: job.url,
+          hidden: true,
+          updatedAt: now,
+        },
+        $setOnInsert: { createdAt: now, status: null },
+        $push: { history: { status: "hidden", at: now } },
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    logger.log(`Error hiding job for user ${user.id}: ${error.message}`, "error");
+    return false;
+  }
+}
+
+/**
+ * Add a user's report on a job to the admin review queue.
+ * Each job has one report per type; repeat reports from other users raise its count.
+ * @param {object} job - Stored job ({ normalizedId, title, company, url, sources })
+ * @param {string} type - "not_relevant" or "broken_link"
+ * @param {object} user - { id, username } of the reporting user
+ * @returns {Promise<object|null>} { report, alreadyReported }, or null if not saved
+ */
+async function addJobReport(job, type, user) {
+  try {
+    if (!jobReportsCollection) {
+      return null;
+    }
+    const filter = { normalizedId: job.normalizedId, type };
+    const existing = await jobReportsCollection.findOne(filter);
+    if (existing?.reporters?.includes(user.id)) {
+      return { report: existing, alreadyReported: true };
+    }
+
+    const now = new Date();
+    const result = await jobReportsCollection.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          title: job.title,
+          company: job.company,
+          url: job.url,
+          sources: job.sources || [],
+          lastReportedAt: now,
+        },
+        $setOnInsert: {
+          reportId: crypto.randomBytes(3).toString("hex"),
+          status: "open",
+          firstReportedAt: now,
+        },
+        $addToSet: { reporters: user.id },
+        $inc: { count: 1 },
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+    logger.log(`🚩 ${type} report on "${job.title}" @ ${job.company} by ${user.username}`);
+    return { report: result.value, alreadyReported: false };
+  } catch (error) {
+    logger.log(`Error saving ${type} report for ${job.normalizedId}: ${error.message}`, "error");
+    return null;
+  }
+}
+
+/**
+ * Reports in the admin review queue, most reported first.
+ * @param {object} options - Query options
+ * @param {string} options.type - "not_relevant" or "broken_link" (omit for both)
+ * @param {string} options.status - open, resolved or dismissed (default: open)
+ * @param {number} options.limit - Maximum reports to return (default: 15)
+ * @returns {Promise<Array>} Report documents
+ */
+async function getJobReports(options = {}) {
+  try {
+    if (!jobReportsCollection) {
+      return [];
+    }
+    const query = { status: options.status || "open" };
+    if (options.type) query.type = options.type;
+    return await jobReportsCollection
+      .find(query, { projection: { _id: 0 } })
+      .sort({ count: -1, lastReportedAt: -1 })
+      .limit(options.limit || 15)
+      .toArray();
+  } catch (error) {
+    logger.log(`Error getting job reports: ${error.message}`, "error");
+    return [];
+  }
+}
+
+/**
+ * Close a report in the review queue.
+ * @param {string} reportId - Report id shown by /review list
+ * @param {string} status - "resolved" or "dismissed"
+ * @param {string} reviewedBy - Who handled it (Discord username, or "link-check")
+ * @param {string} note - Optional note
+ * @returns {Promise<object|null>} Updated report, or null if not found
+ */
+async function updateJobReportStatus(reportId, status, reviewedBy, note = null) {
+  try {
+    if (!jobReportsCollection) {
+      return null;
+    }
+    const result = await jobReportsCollection.findOneAndUpdate(
+      { reportId },
+      { $set: { status, reviewedBy, reviewNote: note, reviewedAt: new Date() } },
+      { returnDocument: "after", projection: { _id: 0 } }
+    );
+    return result.value;
+  } catch (error) {
+    logger.log(`Error updating job report ${reportId}: ${error.message}`, "error");
+    return null;
+  }
+}
+
+/**
+ * Get the include/exclude terms admins added with /filter.
+ * @returns {Promise<Array>} Override documents ({ term, list, addedBy, addedAt }), oldest first
+ */
+async function getFilterOverrides() {
+  try {
+    if (!filterOverridesCollection) {
+      return [];
+    }
+    return await filterOverridesCollection
+      .find({}, { projection: { _id: 0 } })
+      .sort({ addedAt: 1 })
+      .toArray();
+  } catch (error) {
+    logger.log(`Error getting filter overrides: ${error.message}`, "error");
+    return [];
+  }
+}
+
+/**
+ * Load the /filter terms from Mongo into the relevance rules (utils/jobRules.js).
+ * @returns {Promise<number>} Number of terms applied
+ */
+async function applyFilterOverrides() {
+  const overrides = await getFilterOverrides();
+  setRuntimeOverrides({
+    include: overrides.filter((o) => o.list === "include").map((o) => o.term),
+    exclude: overrides.filter((o) => o.list === "exclude").map((o) => o.term),
+  });
+  if (overrides.length > 0) {
+    logger.log(`🧰 Applied ${overrides.length} filter override(s) from /filter`);
+  }
+  return overrides.length;
+}
+
+/**
+ * Add an include or exclude term and apply it right away.
+ * @param {string} list - "include" or "exclude"
+ * @param {string} term - Rule term (see utils/jobRules.js for the syntax)
+ * @param {string} addedBy - Discord username of the admin
+ * @returns {Promise<boolean|null>} True if added, false if it already existed, null on error
+ */
+async function addFilterOverride(list, term, addedBy) {
+  try {
+    if (!filterOverridesCollection) {
+      return null;
+    }
+    const result = await filterOverridesCollection.updateOne(
+      { list, term },
+      { $setOnInsert: { list, term, addedBy, addedAt: new Date() } },
+      { upsert: true }
+    );
+    await applyFilterOverrides();
+    return result.upsertedCount > 0;
+  } catch (error) {
+    logger.log(`Error adding filter override "${term}": ${error.message}`, "error");
+    return null;
+  }
+}
+
+/**
+ * Remove a term added with /filter (from either list) and apply the change right away.
+ * @param {string} term - Rule term as it was added
+ * @returns {Promise<Array<string>>} Lists the term was removed from
+ */
+async function removeFilterOverride(term) {
+  try {
+    if (!filterOverridesCollection) {
+      return [];
+    }
+    const existing = await filterOverridesCollection.find({ term }).toArray();
+    if (existing.length === 0) {
+      return [];
+    }
+    await filterOverridesCollection.deleteMany({ term });
+    await applyFilterOverrides();
+    return existing.map((override) => override.list);
+  } catch (error) {
+    logger.log(`Error removing filter override "${term}": ${error.message}`, "error");
+    return [];
+  }
+}
+
+/**
+ * Servers each job was already posted in.
+ * @param {Array<string>} normalizedIds - Job ids
+ * @returns {Promise<Map>} normalizedId -> Set of guild ids (jobs never posted are left out)
+ */
+async function getPostedGuilds(normalizedIds) {
+  const posted = new Map();
+  try {
+    if (!jobsCollection || !normalizedIds || normalizedIds.length === 0) {
+      return posted;
+    }
+    const jobs = await jobsCollection
+      .find(
+        { normalizedId: { $in: normalizedIds }, "postedGuilds.0": { $exists: true } },
+        { projection: { _id: 0, normalizedId: 1, postedGuilds: 1 } }
+      )
+      .toArray();
+    jobs.forEach((job) => posted.set(job.normalizedId, new Set(job.postedGuilds)));
+    return posted;
+  } catch (error) {
+    logger.log(`Error getting posted guilds: ${error.message}`, "error");
+    return posted;
+  }
+}
+
+/**
+ * Get the /setup settings of every server.
+ * @returns {Promise<Array<object>>} guild_settings documents
+ */
+async function getAllGuildSettings() {
+  try {
+    if (!guildSettingsCollection) {
+      return [];
+    }
+    return await guildSettingsCollection.find({}, { projection: { _id: 0 } }).toArray();
+  } catch (error) {
+    logger.log(`Error getting guild settings: ${error.message}`, "error");
+    return [];
+  }
+}
+
+/**
+ * Load the /setup settings from Mongo into the channel routing (utils/guildRouting.js).
+ * @returns {Promise<number>} Number of servers set up
+ */
+async function applyGuildSettings() {
+  const settings = await getAllGuildSettings();
+  setGuildSettings(settings);
+  if (settings.length > 0) {
+    logger.log(`🏠 Loaded channel settings for ${settings.length} server(s)`);
+  }
+  return settings.length;
+}
+
+/**
+ * Change a server's settings and apply them right away. A server's first change starts
+ * from defaultGuildSettings (the CHANNEL_ID_* channels for the GUILD_ID server).
+ * @param {string} guildId - Discord guild id
+ * @param {object} update - MongoDB update ($set, $addToSet, $pull, ...)
+ * @param {object} meta - { guildName, updatedBy }
+ * @returns {Promise<object|null>} Updated settings, or null on error
+ */
+async function updateGuildSettings(guildId, update, meta = {}) {
+  try {
+    if (!guildSettingsCollection) {
+      return null;
+    }
+    // Seed first: $setOnInsert on "channels" would conflict with $set on "channels.intern.x"
+    await guildSettingsCollection.updateOne(
+      { guildId },
+      { $setOnInsert: { ...defaultGuildSettings(guildId), createdAt: new Date() } },
+      { upsert: true }
+    );
+    const result = await guildSettingsCollection.findOneAndUpdate(
+      { guildId },
+      {
+        ...update,
+        $set: { ...update.$set, guildName: meta.guildName || null, updatedBy: meta.updatedBy || null, updatedAt: new Date() },
+      },
+      { returnDocument: "after", projection: { _id: 0 } }
+    );
+    await applyGuildSettings();
+    return result.value;
+  } catch (error) {
+    logger.log(`Error updating settings for guild ${guildId}: ${error.message}`, "error");
+    return null;
+  }
+}
+
 module.exports = {
   connect,
   loadCache,
@@ -677,7 +1969,40 @@ module.exports = {
   clearAllCaches,
   getCacheStats,
   getAllCacheStats,
+  getSalaryStats,
   close,
   getJobsFromSource,
+  findJobs,
+  streamJobs,
+  getJobByNormalizedId,
+  getSourceKeys,
+  recordDiscordMessages,
+  getPostedGuilds,
+  saveJobEnrichment,
+  getAllGuildSettings,
+  applyGuildSettings,
+  updateGuildSettings,
+  getJobsForLivenessCheck,
+  recordLivenessCheck,
+  markJobClosed,
+  migrateLegacyCollections,
+  saveScrapeRun,
+  getScrapeRuns,
+  getScrapeRunTrends,
+  addSubscription,
+  getSubscriptions,
+  removeSubscription,
+  recordSubscriptionMatches,
+  setUserJobStatus,
+  getUserJobs,
+  getUserJobCounts,
+  findJobsByHandle,
+  hideUserJob,
+  addJobReport,
+  getJobReports,
+  updateJobReportStatus,
+  getFilterOverrides,
+  addFilterOverride,
+  removeFilterOverride,
   isConnected: () => isConnected,
 };
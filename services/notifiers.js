@@ -0,0 +1,384 @@
+// services/notifiers.js - Deliver new jobs to notifier sinks: Discord plus config-defined webhooks
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const config = require("../config");
+const logger = require("./logger");
+const { enrichJobs } = require("./jobEnrichment");
+const { withWorkAuthorization } = require("../utils/jobDetails");
+const { withSalary, meetsMinSalary } = require("../utils/salary");
+const { withLocation, matchesLocation, isRemote } = require("../utils/location");
+const {
+  routeJobsToChannels,
+  postJobsToChannels,
+  generateJobId,
+  retryWithBackoff,
+} = require("../utils/helpers");
+
+const SIGNATURE_HEADER = "X-Job-Bot-Signature";
+const TIMESTAMP_HEADER = "X-Job-Bot-Timestamp";
+const DELIVERY_HEADER = "X-Job-Bot-Delivery";
+// Slack allows 50 blocks per message: a header plus this many jobs stays well under
+const SLACK_JOBS_PER_MESSAGE = 20;
+
+// Invalid sink definitions already warned about, so each is logged once
+const warnedSinks = new Set();
+// Personal filters of the command whose scrape is delivering (e.g. /linkedin min_salary location), across awaits
+const callerFilters = new AsyncLocalStorage();
+
+/**
+ * Run a function and collect the new jobs it delivers that pass a caller's personal filters.
+ * Delivery itself is unchanged: the scrape has already stored every job as seen, so the
+ * channels and sinks still get all of them, and the caller is sent the matches afterwards.
+ * @param {object} filters - { minSalary, location, remoteOnly }: stated yearly pay at least minSalary,
+ *   in the location (see utils/location matchesLocation), remote
+ * @param {Array} matches - Filled with the matching jobs (routed, with role and category)
+ * @param {Function} fn - Function to run (e.g. a scrape command)
+ * @returns {*} Whatever fn returns
+ */
+function collectMatchingJobs(filters, matches, fn) {
+  return callerFilters.run({ filters, matches }, fn);
+}
+
+// Whether a job passes a caller's min_salary, location and remote_only
+function matchesCallerFilters(job, { minSalary, location, remoteOnly }) {
+  return (
+    meetsMinSalary(job, minSalary) && (!location || matchesLocation(job, location)) && (!remoteOnly || isRemote(job))
+  );
+}
+
+/**
+ * HMAC signature of a webhook body, sent as X-Job-Bot-Signature.
+ * Receivers recompute it from X-Job-Bot-Timestamp and the raw body.
+ * @param {string} secret - Shared secret of the sink
+ * @param {string|number} timestamp - Unix seconds, as sent in X-Job-Bot-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/**
+ * Check a webhook signature in constant time
+ * @param {string} secret - Shared secret of the sink
+ * @param {string|number} timestamp - X-Job-Bot-Timestamp header
+ * @param {string} body - Raw request body
+ * @param {string} signature - X-Job-Bot-Signature header
+ * @returns {boolean} True if the signature matches
+ */
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const provided = Buffer.from(String(signature || ""));
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Sinks to deliver to: Discord, then config.notifiers.sinks, then NOTIFIER_SINKS.
+ * Definitions without a known type or an http(s) URL are skipped with a warning.
+ * @returns {Array<object>} Enabled sinks
+ */
+function getSinks() {
+  const notifierConfig = config.notifiers || {};
+  const sinks = [];
+
+  if (notifierConfig.discord?.enabled !== false) {
+    sinks.push({ name: "discord", type: "discord", ...notifierConfig.discord });
+  }
+
+  let envSinks = [];
+  if (process.env.NOTIFIER_SINKS) {
+    try {
+      envSinks = JSON.parse(process.env.NOTIFIER_SINKS);
+    } catch (error) {
+      if (!warnedSinks.has("NOTIFIER_SINKS")) {
+        logger.log(`⚠️ NOTIFIER_SINKS is not valid JSON, ignoring it: ${error.message}`, "warn");
+        warnedSinks.add("NOTIFIER_SINKS");
+      }
+    }
+  }
+
+  for (const [index, sink] of [...(notifierConfig.sinks || []), ...[].concat(envSinks)].entries()) {
+    if (!sink || sink.enabled === false) continue;
+    const name = sink.name || `${sink.type || "sink"}-${index + 1}`;
+    if (!SINK_TYPES[sink.type] || sink.type === "discord" || !/^https?:\/\//i.test(sink.url || "")) {
+      if (!warnedSinks.has(name)) {
+        logger.log(`⚠️ Notifier sink "${name}" needs type "webhook" or "slack" and an http(s) url; skipping it`, "warn");
+        warnedSinks.add(name);
+      }
+      continue;
+    }
+    sinks.push({ ...sink, name });
+  }
+
+  return sinks;
+}
+
+/**
+ * Whether a sink wants a routed job
+ * @param {object} sink - Sink definition
+ * @param {object} job - Job with role and category
+ * @returns {boolean} True if the sink's role and category filters allow it
+ */
+function sinkAccepts(sink, job) {
+  const roles = [].concat(sink.roles || []);
+  const categories = [].concat(sink.categories || []);
+  return (
+    (roles.length === 0 || roles.includes(job.role)) &&
+    (categories.length === 0 || categories.includes(job.category))
+  );
+}
+
+/**
+ * The job fields sent to webhooks
+ * @param {object} job - Routed job (with role and category)
+ * @param {string} sourceName - Name of the source
+ * @returns {object} Payload job
+ */
+function toPayloadJob(job, sourceName) {
+  return {
+    normalizedId: job.normalizedId || generateJobId(job),
+    title: job.title,
+    company: job.company || "",
+    location: job.location || "",
+    url: job.url,
+    postedDate: job.postedDate || "",
+    salary: job.salary || "",
+    salaryMin: job.salaryMin ?? null,
+    salaryMax: job.salaryMax ?? null,
+    salaryPeriod: job.salaryPeriod ?? null,
+    currency: job.currency ?? null,
+    salaryAnnual: job.salaryAnnual ?? null,
+    workModel: job.workModel || "",
+    locations: job.locations || [],
+    sponsorship: job.sponsorship || "unknown",
+    requiresCitizenship: !!job.requiresCitizenship,
+    clearanceRequired: !!job.clearanceRequired,
+    gradYears: job.gradYears || [],
+    role: job.role,
+    category: job.category,
+    source: sourceName,
+  };
+}
+
+// Split a list into chunks of at most `size`
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * POST to a sink, retrying network errors, 408, 429 and 5xx with backoff.
+ * buildRequest runs for every attempt so signatures carry a fresh timestamp.
+ * @param {object} sink - Sink definition
+ * @param {Function} buildRequest - () => { body, headers }
+ */
+async function postWithRetry(sink, buildRequest) {
+  const notifierConfig = config.notifiers || {};
+
+  await retryWithBackoff(
+    async () => {
+      const { body, headers } = buildRequest();
+      const response = await fetch(sink.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", "User-Agent": "job-scraper-bot", ...headers },
+        body,
+        signal: AbortSignal.timeout(notifierConfig.requestTimeoutMs || 10000),
+      });
+      if (response.ok) return;
+
+      const text = await response.text().catch(() => "");
+      const error = new Error(`HTTP ${response.status}${text ? `: ${text.substring(0, 200)}` : ""}`);
+      error.retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+      const retryAfter = parseInt(response.headers.get("retry-after"), 10);
+      if (!isNaN(retryAfter)) error.retryAfterMs = retryAfter * 1000;
+      throw error;
+    },
+    {
+      ...notifierConfig.retry,
+      ...(sink.retries !== undefined ? { retries: sink.retries } : {}),
+      ...(sink.retryDelayMs !== undefined ? { baseDelayMs: sink.retryDelayMs } : {}),
+      label: `Notifier sink "${sink.name}"`,
+      shouldRetry: (error) => error.retryable !== false,
+    }
+  );
+}
+
+/**
+ * Generic webhook sink: JSON POSTs of up to sink.batchSize jobs (default 50), signed
+ * when the sink has a secret. Every batch carries a delivery id that stays the same
+ * across retries, so receivers can drop duplicates.
+ */
+async function sendToWebhook(sink, jobs, context) {
+  for (const batch of chunk(jobs, sink.batchSize || 50)) {
+    const deliveryId = crypto.randomUUID();
+    const payload = {
+      event: "jobs.new",
+      deliveryId,
+      source: context.sourceName,
+      jobs: batch.map((job) => toPayloadJob(job, context.sourceName)),
+    };
+
+    await postWithRetry(sink, () => {
+      const body = JSON.stringify({ ...payload, sentAt: new Date().toISOString() });
+      const headers = { [DELIVERY_HEADER]: deliveryId };
+      if (sink.secret) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        headers[TIMESTAMP_HEADER] = String(timestamp);
+        headers[SIGNATURE_HEADER] = signPayload(sink.secret, timestamp, body);
+      }
+      return { body, headers };
+    });
+  }
+}
+
+// Escape text for Slack mrkdwn; "|" would end the text of a <url|text> link
+function slackText(text) {
+  return String(text || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\|/g, "¦");
+}
+
+// Escape a URL for the url part of a Slack <url|text> link
+function slackUrl(url) {
+  return String(url || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\|/g, "%7C");
+}
+
+/**
+ * Slack incoming-webhook messages for routed jobs: one header per role/category,
+ * like the Discord channel posts, then one section block per job
+ * @param {Array} jobs - Routed jobs (with role and category)
+ * @param {string} sourceName - Name of the source
+ * @returns {Array<object>} Slack message payloads
+ */
+function buildSlackMessages(jobs, sourceName) {
+  const byRoute = new Map();
+  for (const job of jobs) {
+    const routeKey = `${job.role}::${job.category}`;
+    if (!byRoute.has(routeKey)) byRoute.set(routeKey, []);
+    byRoute.get(routeKey).push(job);
+  }
+
+  const messages = [];
+  for (const routeJobs of byRoute.values()) {
+    const { role, category } = routeJobs[0];
+    const header = `*${slackText(sourceName)}* - ${routeJobs.length} new ${role === "intern" ? "internship" : "new grad"} posting${routeJobs.length !== 1 ? "s" : ""} (${category.replace(/_/g, " ")})`;
+
+    for (const batch of chunk(routeJobs, SLACK_JOBS_PER_MESSAGE)) {
+      const blocks = [{ type: "section", text: { type: "mrkdwn", text: header } }];
+      for (const job of batch) {
+        const details = [job.company, job.location, job.salary, job.postedDate]
+          .filter((value) => value && value !== "Not specified")
+          .map(slackText)
+          .join(" · ");
+        blocks.push({
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `*<${slackUrl(job.url)}|${slackText(job.title).substring(0, 150)}>*${details ? `\n${details}` : ""}`,
+          },
+        });
+      }
+      messages.push({ text: header.replace(/\*/g, ""), blocks });
+    }
+  }
+  return messages;
+}
+
+// Slack sink: one incoming-webhook message per route batch
+async function sendToSlack(sink, jobs, context) {
+  for (const message of buildSlackMessages(jobs, context.sourceName)) {
+    const body = JSON.stringify(message);
+    await postWithRetry(sink, () => ({ body, headers: {} }));
+  }
+}
+
+// Discord sink: channel posts (and subscription DMs) grouped by route, as before
+async function sendToDiscord(sink, jobs, context) {
+  const routedJobs = new Map();
+  for (const job of jobs) {
+    const routeKey = `${job.role}::${job.category}`;
+    if (!routedJobs.has(routeKey)) routedJobs.set(routeKey, []);
+    routedJobs.get(routeKey).push(job);
+  }
+  await postJobsToChannels(routedJobs, context.client, context.sourceName, context.delay, {
+    retry: {
+      ...config.notifiers?.retry,
+      ...(sink.retries !== undefined ? { retries: sink.retries } : {}),
+    },
+  });
+}
+
+const SINK_TYPES = {
+  discord: sendToDiscord,
+  webhook: sendToWebhook,
+  slack: sendToSlack,
+};
+
+/**
+ * Enrich and route new jobs once, then hand each sink the jobs its role/category filters accept.
+ * Sinks run side by side, so a slow or failing webhook never holds up Discord.
+ * @param {Array} jobs - New jobs
+ * @param {object} context - { client, sourceName, defaultRole, delay }
+ * @returns {Promise<object>} Per sink: { delivered, error }
+ */
+async function notifyJobs(jobs, context) {
+  const { client, defaultRole = "intern" } = context;
+  // The offline stand-in client marks collection passes and dry runs: deliver nothing
+  if (!client || client.offline || !jobs?.length) {
+    return {};
+  }
+
+  // Classified either way, so sponsorship, salary and location filters work without enrichment
+  const enrichedJobs = (await enrichJobs(jobs)).map((job) => withLocation(withSalary(withWorkAuthorization(job))));
+
+  const routed = [];
+  for (const [routeKey, routeJobs] of routeJobsToChannels(enrichedJobs, defaultRole).entries()) {
+    const [role, category] = routeKey.split("::");
+    routeJobs.filter((job) => job.title && job.url).forEach((job) => routed.push({ ...job, role, category }));
+  }
+
+  const caller = callerFilters.getStore();
+  if (caller) {
+    caller.matches.push(...routed.filter((job) => matchesCallerFilters(job, caller.filters)));
+  }
+
+  const summary = {};
+  await Promise.all(
+    getSinks().map(async (sink) => {
+      const sinkJobs = routed.filter((job) => sinkAccepts(sink, job));
+      if (sinkJobs.length === 0) return;
+      try {
+        await SINK_TYPES[sink.type](sink, sinkJobs, context);
+        summary[sink.name] = { delivered: sinkJobs.length };
+        if (sink.type !== "discord") {
+          logger.log(`📡 Sent ${sinkJobs.length} jobs to notifier sink "${sink.name}"`);
+        }
+      } catch (error) {
+        summary[sink.name] = { delivered: 0, error: error.message };
+        logger.log(`❌ Notifier sink "${sink.name}" failed for ${context.sourceName}: ${error.message}`, "error");
+      }
+    })
+  );
+  return summary;
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  DELIVERY_HEADER,
+  signPayload,
+  verifySignature,
+  getSinks,
+  buildSlackMessages,
+  notifyJobs,
+  collectMatchingJobs,
+};
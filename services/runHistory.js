@@ -0,0 +1,128 @@
+// services/runHistory.js - Build and persist scrape run history records
+const mongoService = require("./mongo");
+const logger = require("./logger");
+
+/**
+ * Derive the source key from a task or scraper name.
+ * "LinkedIn (Internships)" -> "linkedin", "JobRight" -> "jobright"
+ * @param {string} name - Task or scraper name
+ * @returns {string} Lowercase source key
+ */
+function getSourceKey(name) {
+  return (name || "unknown")
+    .split("(")[0]
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Build a per-task row from a collectJobsFromSource result.
+ * @param {object} result - Task result ({ name, role, priority, jobsFound, rawJobsFound, errorCount, skipped, reason, duration, startedAt })
+ * @param {string} status - "success" | "empty" | "failed" | "skipped"
+ * @returns {object} Task row
+ */
+function createTaskRecord(result, status) {
+  const durationMs = result.duration || 0;
+  const startedAt = result.startedAt || new Date(Date.now() - durationMs);
+  return {
+    source: getSourceKey(result.name),
+    name: result.name,
+    role: result.role || "both",
+    priority: result.priority || null,
+    status,
+    jobsFound: result.rawJobsFound ?? result.jobsFound ?? 0,
+    newJobs: status === "skipped" ? 0 : result.jobsFound || 0,
+    errorCount: result.errorCount || 0,
+    reason: result.reason || null,
+    startedAt,
+    endedAt: new Date(startedAt.getTime() + durationMs),
+    durationMs,
+  };
+}
+
+/**
+ * Save a run to the scrape_runs collection.
+ * @param {object} run - Run details
+ * @param {string} run.trigger - What started the run ("cli", "schedule:daily", "command:linkedin", ...)
+ * @param {Date} run.startedAt - Run start time
+ * @param {Date} run.endedAt - Run end time
+ * @param {Array<object>} run.tasks - Per-task rows from createTaskRecord
+ * @param {object} run.totals - Run-level counters (unique jobs, new jobs, optimization stats)
+ * @returns {Promise<string|null>} Saved run id, or null if not persisted
+ */
+async function recordRun({ trigger, startedAt, endedAt, tasks, totals = {} }) {
+  try {
+    const end = endedAt || new Date();
+    return await mongoService.saveScrapeRun({
+      trigger: trigger || "manual",
+      startedAt,
+      endedAt: end,
+      durationMs: end - startedAt,
+      sources: [...new Set(tasks.map((task) => task.source))],
+      tasks,
+      totals: {
+        jobsFound: tasks.reduce((sum, task) => sum + task.jobsFound, 0),
+        newJobs: tasks.reduce((sum, task) => sum + task.newJobs, 0),
+        errors: tasks.reduce((sum, task) => sum + task.errorCount, 0),
+        successful: tasks.filter((task) => task.status === "success").length,
+        empty: tasks.filter((task) => task.status === "empty").length,
+        failed: tasks.filter((task) => task.status === "failed").length,
+        skipped: tasks.filter((task) => task.status === "skipped").length,
+        ...totals,
+      },
+    });
+  } catch (error) {
+    logger.log(`Error recording scrape run: ${error.message}`, "error");
+    return null;
+  }
+}
+
+/**
+ * Build a per-task row from a raw scraper result (scrapeAllJobs return value).
+ * @param {string} source - Source key (e.g. "linkedin")
+ * @param {string} role - Role scraped
+ * @param {Date} startedAt - When the scraper was started
+ * @param {object} result - Scraper result ({ success, jobsFound, errorCount, jobs }) or { error }
+ * @returns {object} Task row
+ */
+function createScraperTaskRecord(source, role, startedAt, result) {
+  const endedAt = new Date();
+  const failed = !result || result.error || result.success === false;
+  return {
+    source: getSourceKey(source),
+    name: source,
+    role: role || "both",
+    priority: null,
+    status: failed ? "failed" : result.jobsFound > 0 ? "success" : "empty",
+    jobsFound: Math.max(result?.jobs?.length || 0, result?.jobsFound || 0),
+    newJobs: result?.jobsFound || 0,
+    errorCount: result?.errorCount || (result?.error ? 1 : 0),
+    reason: result?.error || null,
+    startedAt,
+    endedAt,
+    durationMs: endedAt - startedAt,
+  };
+}
+
+/**
+ * Record a single-scraper run (commands that call a scraper directly).
+ * @param {string} source - Source key (e.g. "linkedin")
+ * @param {string} role - Role scraped
+ * @param {string} trigger - What started the run
+ * @param {Date} startedAt - When the scraper was started
+ * @param {object} result - Scraper result ({ success, jobsFound, errorCount, jobs }) or { error }
+ * @returns {Promise<string|null>} Saved run id, or null if not persisted
+ */
+async function recordScraperResult(source, role, trigger, startedAt, result) {
+  const task = createScraperTaskRecord(source, role, startedAt, result);
+  return recordRun({ trigger, startedAt, endedAt: task.endedAt, tasks: [task] });
+}
+
+module.exports = {
+  getSourceKey,
+  createTaskRecord,
+  createScraperTaskRecord,
+  recordRun,
+  recordScraperResult,
+};
@@ -0,0 +1,239 @@
+// services/scheduler.js - In-process cron scheduling for comprehensive scrapes
+const cron = require("node-cron");
+const cronParser = require("cron-parser");
+const config = require("../config");
+const logger = require("./logger");
+
+// Registered schedules keyed by name
+const schedules = new Map();
+// Scrapes running outside the schedules (slash and ! commands, API runs), so nothing starts a second run of a source
+const activeRuns = new Map();
+let nextActiveRunId = 1;
+
+/**
+ * Check whether two source lists overlap (null means every source)
+ * @param {Array<string>|null} a - First source list
+ * @param {Array<string>|null} b - Second source list
+ * @returns {boolean}
+ */
+function sourcesOverlap(a, b) {
+  if (!a || !b) return true;
+  return a.some((source) => b.includes(source));
+}
+
+/**
+ * Record a scrape started outside the schedules until it finishes
+ * @param {string} label - How conflicts describe it (e.g. "command jobslinkedin")
+ * @param {Array<string>|null} sources - Sources it scrapes (null = all)
+ * @returns {Function} Call when the scrape ends
+ */
+function trackRun(label, sources) {
+  const id = nextActiveRunId++;
+  activeRuns.set(id, { label, sources });
+  return () => activeRuns.delete(id);
+}
+
+/**
+ * Find a running scrape (scheduled, command or API) that covers any of the given sources
+ * @param {Array<string>|null} sources - Sources the new run would scrape (null = all)
+ * @param {object} except - Schedule entry to leave out (the one asking)
+ * @returns {string|null} Description of the conflicting run, or null if none
+ */
+function findRunningConflict(sources, except = null) {
+  for (const entry of schedules.values()) {
+    if (entry !== except && entry.running && sourcesOverlap(entry.sources, sources)) {
+      return `scheduled run "${entry.name}" is still in progress`;
+    }
+  }
+  for (const run of activeRuns.values()) {
+    if (sourcesOverlap(run.sources, sources)) {
+      return `${run.label} is still in progress`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the list of schedule definitions from config.
+ * The main daily schedule comes from config.dailyScraping.schedule; any
+ * entries in config.dailyScraping.schedules are added alongside it.
+ * @returns {Array<object>} Schedule definitions ({ name, cron, sources })
+ */
+function getScheduleDefinitions() {
+  const dailyConfig = config.dailyScraping || {};
+  const definitions = [];
+
+  if (dailyConfig.enabled && dailyConfig.schedule) {
+    definitions.push({ name: "daily", cron: dailyConfig.schedule, sources: null });
+  }
+
+  for (const entry of dailyConfig.schedules || []) {
+    if (!entry || entry.enabled === false) continue;
+    if (!entry.name || !entry.cron) {
+      logger.log(`Skipping schedule with missing name or cron: ${JSON.stringify(entry)}`, "warn");
+      continue;
+    }
+    definitions.push({
+      name: entry.name,
+      cron: entry.cron,
+      sources: Array.isArray(entry.sources) ? entry.sources : null,
+    });
+  }
+
+  return definitions;
+}
+
+/**
+ * Compute the next run time for a cron expression.
+ * @param {string} expression - Cron expression
+ * @returns {Date|null} Next run time or null if the expression can't be parsed
+ */
+function getNextRun(expression) {
+  try {
+    const interval = cronParser.parseExpression(expression, {
+      tz: config.dailyScraping?.timezone,
+    });
+    return interval.next().toDate();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Run a single schedule tick. Skips the tick if the previous run of the
+ * same schedule, or any other run of the same sources (another schedule, a command
+ * or an API scrape), is still going.
+ * @param {object} entry - Registered schedule entry
+ * @param {object} client - Discord client
+ */
+async function runScheduledScrape(entry, client) {
+  if (entry.running) {
+    entry.skippedTicks++;
+    logger.log(
+      `⏭️ Schedule "${entry.name}" tick skipped: previous run still in progress (started ${entry.lastStart.toLocaleString()})`,
+      "warn"
+    );
+    return;
+  }
+  const conflict = findRunningConflict(entry.sources, entry);
+  if (conflict) {
+    entry.skippedTicks++;
+    logger.log(`⏭️ Schedule "${entry.name}" tick skipped: ${conflict}`, "warn");
+    return;
+  }
+
+  // Loaded lazily so the scheduler can be required without pulling in every scraper
+  const { runComprehensiveScrape } = require("../scrape");
+
+  entry.running = true;
+  entry.lastStart = new Date();
+  logger.log(
+    `⏰ Schedule "${entry.name}" triggered${entry.sources ? ` (sources: ${entry.sources.join(", ")})` : ""}`
+  );
+
+  try {
+    const results = await runComprehensiveScrape(client, {
+      sources: entry.sources,
+      trigger: `schedule:${entry.name}`,
+    });
+    entry.lastSuccess = true;
+    entry.lastError = null;
+    logger.log(
+      `✅ Schedule "${entry.name}" completed: ${results.successful.length} successful, ${results.failed.length} failed, ${results.skipped.length} skipped`
+    );
+  } catch (error) {
+    entry.lastSuccess = false;
+    entry.lastError = error.message;
+    logger.log(`❌ Schedule "${entry.name}" failed: ${error.message}`, "error");
+  } finally {
+    entry.running = false;
+    entry.lastEnd = new Date();
+  }
+}
+
+/**
+ * Register all configured cron jobs.
+ * @param {object} client - Discord client used for posting results
+ * @returns {number} Number of schedules registered
+ */
+function start(client) {
+  if (!config.dailyScraping?.inProcessScheduler) {
+    logger.log("In-process scheduler disabled (SCHEDULER_ENABLED=false)");
+    return 0;
+  }
+
+  stop();
+
+  for (const definition of getScheduleDefinitions()) {
+    if (!cron.validate(definition.cron)) {
+      logger.log(`Invalid cron expression for schedule "${definition.name}": ${definition.cron}`, "error");
+      continue;
+    }
+    if (schedules.has(definition.name)) {
+      logger.log(`Duplicate schedule name "${definition.name}", keeping the first one`, "warn");
+      continue;
+    }
+
+    const entry = {
+      ...definition,
+      running: false,
+      lastStart: null,
+      lastEnd: null,
+      lastSuccess: null,
+      lastError: null,
+      skippedTicks: 0,
+      task: null,
+    };
+
+    entry.task = cron.schedule(definition.cron, () => runScheduledScrape(entry, client), {
+      timezone: config.dailyScraping?.timezone,
+    });
+
+    schedules.set(definition.name, entry);
+    const nextRun = getNextRun(definition.cron);
+    logger.log(
+      `📅 Registered schedule "${definition.name}" (${definition.cron})${nextRun ? `, next run ${nextRun.toLocaleString()}` : ""}`
+    );
+  }
+
+  return schedules.size;
+}
+
+/**
+ * Stop and unregister all cron jobs.
+ */
+function stop() {
+  for (const entry of schedules.values()) {
+    if (entry.task) entry.task.stop();
+  }
+  schedules.clear();
+}
+
+/**
+ * Get the status of every registered schedule (for /status).
+ * @returns {Array<object>} Schedule status entries
+ */
+function getScheduleStatus() {
+  return Array.from(schedules.values()).map((entry) => ({
+    name: entry.name,
+    cron: entry.cron,
+    sources: entry.sources,
+    running: entry.running,
+    nextRun: getNextRun(entry.cron),
+    lastStart: entry.lastStart,
+    lastEnd: entry.lastEnd,
+    lastSuccess: entry.lastSuccess,
+    lastError: entry.lastError,
+    skippedTicks: entry.skippedTicks,
+  }));
+}
+
+module.exports = {
+  start,
+  stop,
+  getScheduleStatus,
+  getNextRun,
+  sourcesOverlap,
+  trackRun,
+  findRunningConflict,
+};
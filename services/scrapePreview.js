@@ -0,0 +1,131 @@
+// services/scrapePreview.js - Dry-run previews: what a scrape would post, channel by channel
+const { AttachmentBuilder, EmbedBuilder } = require("discord.js");
+const { routeJobsToChannels } = require("../utils/helpers");
+const { getChannelTargets } = require("../utils/guildRouting");
+
+/**
+ * Create an empty preview for a dry run
+ * @returns {object} { routes: Map of "role::category" -> route, sources: per-source counts, totals }
+ */
+function createPreview() {
+  return { routes: new Map(), sources: [], totals: null };
+}
+
+/**
+ * Add the jobs a source would send, routed the same way as sendJobsToDiscord
+ * @param {object} preview - Preview from createPreview()
+ * @param {string} sourceName - Source or task name (e.g. "LinkedIn (Internships)")
+ * @param {Array} jobs - Jobs the source would post
+ * @param {string} defaultRole - Role used when a job doesn't carry one
+ */
+function addToPreview(preview, sourceName, jobs, defaultRole = "intern") {
+  let count = 0;
+
+  for (const [routeKey, channelJobs] of routeJobsToChannels(jobs || [], defaultRole).entries()) {
+    // sendJobsToDiscord skips jobs without a title or URL
+    const postable = channelJobs.filter((job) => job.title && job.url);
+    if (postable.length === 0) continue;
+
+    if (!preview.routes.has(routeKey)) {
+      const [role, category] = routeKey.split("::");
+      // One channel per server set up for the route
+      const channelIds = getChannelTargets(role, category).map((target) => target.channelId);
+      preview.routes.set(routeKey, { role, category, channelId: channelIds[0] || null, channelIds, posts: [] });
+    }
+    preview.routes.get(routeKey).posts.push(
+      ...postable.map((job) => ({
+        source: sourceName,
+        title: job.title,
+        company: job.company || "",
+        location: job.location || "",
+        postedDate: job.postedDate || "",
+        url: job.url,
+      }))
+    );
+    count += postable.length;
+  }
+
+  preview.sources.push({ name: sourceName, role: defaultRole, posts: count });
+}
+
+/**
+ * Total number of posts in a preview
+ * @param {object} preview - Preview from createPreview()
+ * @returns {number} Posts across all channels
+ */
+function countPosts(preview) {
+  return [...preview.routes.values()].reduce((sum, route) => sum + route.posts.length, 0);
+}
+
+/**
+ * Plain-text report of a preview, for the console and the slash command attachment
+ * @param {object} preview - Preview from createPreview()
+ * @returns {string} One block per channel, one line per post
+ */
+function formatPreviewText(preview) {
+  const lines = [`DRY RUN: nothing was saved or sent. ${countPosts(preview)} post(s) would go out.`];
+
+  if (preview.totals) {
+    const { collectedJobs, relevantJobs, uniqueJobs, dailyNewJobs } = preview.totals;
+    lines.push(`Pipeline: ${collectedJobs} collected → ${relevantJobs} relevant → ${uniqueJobs} unique → ${dailyNewJobs} new today`);
+  }
+  for (const source of preview.sources) {
+    lines.push(`  ${source.name} (${source.role}): ${source.posts} post(s)`);
+  }
+
+  for (const route of preview.routes.values()) {
+    lines.push("");
+    lines.push(
+      `#${route.role}/${route.category} ${route.channelIds.length > 0 ? `(channel ${route.channelIds.join(", ")})` : "(no channel configured, would be skipped)"}: ${route.posts.length} post(s)`
+    );
+    for (const post of route.posts) {
+      const details = [post.company, post.location, post.postedDate].filter(Boolean).join(" · ");
+      lines.push(`  [${post.source}] ${post.title}${details ? ` (${details})` : ""}`);
+      lines.push(`    ${post.url}`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Discord reply for a preview: one embed field per channel plus the full list as a text file
+ * @param {object} preview - Preview from createPreview()
+ * @param {string} title - What was previewed (e.g. "LinkedIn (intern)")
+ * @returns {object} Message payload ({ embeds, files })
+ */
+function buildPreviewReply(preview, title) {
+  const total = countPosts(preview);
+  const embed = new EmbedBuilder()
+    .setTitle(`🔍 Preview: ${title}`.substring(0, 256))
+    .setColor("#95a5a6")
+    .setDescription(
+      `Dry run, nothing was saved or posted. **${total}** post${total !== 1 ? "s" : ""} would go out.` +
+        (preview.totals
+          ? `\n${preview.totals.collectedJobs} collected → ${preview.totals.relevantJobs} relevant → ${preview.totals.uniqueJobs} unique → ${preview.totals.dailyNewJobs} new today`
+          : "")
+    );
+
+  for (const route of [...preview.routes.values()].slice(0, 25)) {
+    const sample = route.posts
+      .slice(0, 5)
+      .map((post) => `• ${post.title} @ ${post.company || "?"}`.substring(0, 150))
+      .join("\n");
+    const more = route.posts.length > 5 ? `\n…and ${route.posts.length - 5} more` : "";
+    embed.addFields({
+      name: `${route.role} / ${route.category.replace("_", " ")} (${route.posts.length})`,
+      value: `${route.channelIds.length > 0 ? route.channelIds.map((id) => `<#${id}>`).join(" ") : "⚠️ No channel configured, would be skipped"}\n${sample}${more}`.substring(0, 1024),
+    });
+  }
+
+  const file = new AttachmentBuilder(Buffer.from(formatPreviewText(preview), "utf8"), { name: "preview.txt" });
+  return { embeds: [embed], files: total > 0 ? [file] : [] };
+}
+
+module.exports = {
+  createPreview,
+  addToPreview,
+  countPosts,
+  formatPreviewText,
+  buildPreviewReply,
+};
@@ -0,0 +1,181 @@
+// services/scrapeTracker.js - Start scrapes over HTTP and track their progress in memory
+const crypto = require("crypto");
+const config = require("../config");
+const logger = require("./logger");
+const scheduler = require("./scheduler");
+
+const ROLES = ["intern", "new_grad", "both"];
+const TIME_FILTERS = ["day", "three_days", "week", "month"];
+
+// Tracked runs keyed by id, oldest first (Map keeps insertion order)
+const runs = new Map();
+
+// Loaded lazily so the API can be required without pulling in every scraper
+function getScrapeModule() {
+  return require("../scrape");
+}
+
+/**
+ * Source keys a single-source run accepts (keys of availableScrapers in scrape.js)
+ * @returns {Array<string>} Source keys
+ */
+function getAvailableSources() {
+  return Object.keys(getScrapeModule().availableScrapers);
+}
+
+/**
+ * Find a running scrape (API, scheduled or command) that covers any of the given sources
+ * @param {Array<string>|null} sources - Sources the new run would scrape (null = all)
+ * @returns {string|null} Description of the conflicting run, or null if none
+ */
+function findConflict(sources) {
+  return scheduler.findRunningConflict(sources);
+}
+
+// Drop the oldest finished runs once more than config.api.maxTrackedScrapes are kept
+function pruneRuns() {
+  const maxRuns = config.api.maxTrackedScrapes;
+  for (const [id, run] of runs) {
+    if (runs.size <= maxRuns) break;
+    if (run.status !== "running") runs.delete(id);
+  }
+}
+
+/**
+ * Summarize a runComprehensiveScrape result for the API response
+ * @param {object} results - runComprehensiveScrape results
+ * @returns {object} Result summary
+ */
+function summarizeComprehensiveResult(results) {
+  return {
+    historyRunId: results.runId ? String(results.runId) : null,
+    newJobs: results.totalJobsFound,
+    durationSec: results.duration,
+    successful: results.successful,
+    failed: results.failed,
+    skipped: results.skipped,
+  };
+}
+
+/**
+ * Start a scrape in the background and return its tracking record right away.
+ * @param {object} request - Scrape request
+ * @param {string} request.source - Source key, or "all" for a comprehensive run (default: "all")
+ * @param {string} request.role - intern, new_grad or both (default: "both")
+ * @param {string} request.timeFilter - day, three_days, week or month (default: each source's own)
+ * @param {object} client - Discord client the scrapers post with
+ * @returns {object} { run } on success, or { error, status } (400 invalid, 409 conflict)
+ */
+function startScrape(request, client) {
+  const source = String(request.source || "all").toLowerCase();
+  const role = request.role || "both";
+  const timeFilter = request.timeFilter || null;
+
+  if (source !== "all" && !getAvailableSources().includes(source)) {
+    return {
+      status: 400,
+      error: `Unknown source "${request.source}". Use "all" or one of: ${getAvailableSources().join(", ")}`,
+    };
+  }
+  if (!ROLES.includes(role)) {
+    return { status: 400, error: `Unknown role "${role}". Use one of: ${ROLES.join(", ")}` };
+  }
+  if (timeFilter && !TIME_FILTERS.includes(timeFilter)) {
+    return {
+      status: 400,
+      error: `Unknown timeFilter "${timeFilter}". Use one of: ${TIME_FILTERS.join(", ")}`,
+    };
+  }
+
+  const sources = source === "all" ? null : [source];
+  const conflict = findConflict(sources);
+  if (conflict) {
+    return { status: 409, error: `A scrape of ${source === "all" ? "these sources" : source} is already running: ${conflict}` };
+  }
+
+  const run = {
+    id: crypto.randomUUID(),
+    source,
+    sources,
+    role,
+    timeFilter,
+    status: "running",
+    startedAt: new Date(),
+    endedAt: null,
+    progress: { phase: "starting", completedTasks: 0, totalTasks: null, lastTask: null },
+    result: null,
+    error: null,
+  };
+  runs.set(run.id, run);
+  pruneRuns();
+  // Shared with the scheduler and commands, so none of them starts the same sources meanwhile
+  const release = scheduler.trackRun(`run ${run.id} (${source})`, sources);
+
+  logger.log(`🌐 API scrape ${run.id} started (source: ${source}, role: ${role}, timeFilter: ${timeFilter || "default"})`);
+  executeRun(run, client).finally(release);
+
+  return { run };
+}
+
+/**
+ * Run the scrape and record its progress and outcome on the tracking record
+ * @param {object} run - Tracking record from startScrape
+ * @param {object} client - Discord client
+ */
+async function executeRun(run, client) {
+  const { runComprehensiveScrape, runSpecificScraper } = getScrapeModule();
+  const options = {
+    trigger: `api:${run.source}`,
+    role: run.role,
+    timeFilter: run.timeFilter || undefined,
+    onProgress: (progress) => {
+      run.progress = { ...run.progress, ...progress };
+    },
+  };
+
+  try {
+    if (run.source === "all") {
+      const results = await runComprehensiveScrape(client, options);
+      run.result = summarizeComprehensiveResult(results);
+      run.status = "succeeded";
+    } else {
+      const result = await runSpecificScraper(run.source, client, options);
+      run.result = {
+        historyRunId: result.historyRunId ? String(result.historyRunId) : null,
+        jobsFound: result.jobsFound || 0,
+        durationSec: result.duration,
+      };
+      run.status = result.success ? "succeeded" : "failed";
+      run.error = result.success ? null : result.error;
+    }
+  } catch (error) {
+    run.status = "failed";
+    run.error = error.message;
+    logger.log(`❌ API scrape ${run.id} failed: ${error.message}`, "error");
+  } finally {
+    run.endedAt = new Date();
+    run.progress = { ...run.progress, phase: "done" };
+    logger.log(`🌐 API scrape ${run.id} ${run.status} in ${Math.round((run.endedAt - run.startedAt) / 1000)}s`);
+  }
+}
+
+/**
+ * Get a tracked run for the API (without internal fields)
+ * @param {string} id - Run id returned by startScrape
+ * @returns {object|null} Run, or null if unknown or already pruned
+ */
+function getScrape(id) {
+  const run = runs.get(id);
+  if (!run) return null;
+
+  const { sources, ...publicRun } = run;
+  return {
+    ...publicRun,
+    durationMs: (run.endedAt || new Date()) - run.startedAt,
+  };
+}
+
+module.exports = {
+  startScrape,
+  getScrape,
+};
@@ -0,0 +1,245 @@
+// services/subscriptions.js - Personal job alert subscriptions delivered by DM
+const crypto = require("crypto");
+const config = require("../config");
+const logger = require("./logger");
+const mongoService = require("./mongo");
+const {
+  generateJobId,
+  createJobEmbed,
+  getSourceEmbedColor,
+} = require("../utils/helpers");
+const { matchesLocation, isRemote } = require("../utils/location");
+
+// Jobs already DMed per user, so the same posting isn't sent twice when
+// several scrapers (or roles) hand it to sendJobsToDiscord in one run
+const deliveredJobs = new Map();
+const MAX_DELIVERED_PER_USER = 2000;
+
+const VALID_ROLES = ["intern", "new_grad", "both"];
+const VALID_CATEGORIES = ["software_engineering", "data_analysis", "data_science_engineer"];
+
+/**
+ * Split a comma-separated option into a cleaned, lowercase list
+ * @param {string} value - Raw option value ("google, meta")
+ * @returns {Array<string>} List of terms
+ */
+function parseList(value) {
+  if (!value) return [];
+  return [
+    ...new Set(
+      value
+        .split(",")
+        .map((term) => term.trim().toLowerCase().substring(0, 50))
+        .filter(Boolean)
+    ),
+  ].slice(0, 10);
+}
+
+/**
+ * Build and save a subscription from slash command options
+ * @param {string} userId - Discord user id
+ * @param {string} username - Discord username (for logs and admin listing)
+ * @param {object} options - Raw options ({ keywords, companies, locations, remoteOnly, hideNoSponsorship, role, category })
+ * @returns {Promise<object>} { subscription } on success or { error } with a user-facing message
+ */
+async function createSubscription(userId, username, options = {}) {
+  if (!mongoService.isConnected()) {
+    return { error: "Subscriptions are unavailable right now (database not connected)." };
+  }
+
+  const filters = {
+    keywords: parseList(options.keywords),
+    companies: parseList(options.companies),
+    locations: parseList(options.locations),
+    remoteOnly: options.remoteOnly === true,
+    hideNoSponsorship: options.hideNoSponsorship === true,
+    role: VALID_ROLES.includes(options.role) ? options.role : "both",
+    category: VALID_CATEGORIES.includes(options.category) ? options.category : null,
+  };
+
+  const hasFilter =
+    filters.keywords.length > 0 ||
+    filters.companies.length > 0 ||
+    filters.locations.length > 0 ||
+    filters.remoteOnly ||
+    filters.hideNoSponsorship ||
+    filters.role !== "both" ||
+    filters.category;
+  if (!hasFilter) {
+    return { error: "Add at least one filter (keywords, companies, locations, remote only, sponsorship, role or category)." };
+  }
+
+  const existing = await mongoService.getSubscriptions(userId);
+  const maxPerUser = config.subscriptions?.maxPerUser || 10;
+  if (existing.length >= maxPerUser) {
+    return { error: `You already have ${existing.length} subscriptions (max ${maxPerUser}). Remove one with /unsubscribe first.` };
+  }
+
+  const subscription = {
+    subscriptionId: crypto.randomBytes(3).toString("hex"),
+    userId,
+    username,
+    filters,
+  };
+  const saved = await mongoService.addSubscription(subscription);
+  if (!saved) {
+    return { error: "Could not save your subscription. Please try again later." };
+  }
+  return { subscription };
+}
+
+/**
+ * Describe a subscription's filters in one line
+ * @param {object} subscription - Subscription document
+ * @returns {string} Human-readable description
+ */
+function describeSubscription(subscription) {
+  const filters = subscription.filters || {};
+  const parts = [];
+  if (filters.keywords?.length) parts.push(`keywords: ${filters.keywords.join(", ")}`);
+  if (filters.companies?.length) parts.push(`companies: ${filters.companies.join(", ")}`);
+  if (filters.locations?.length) parts.push(`locations: ${filters.locations.join(", ")}`);
+  if (filters.remoteOnly) parts.push("remote only");
+  if (filters.hideNoSponsorship) parts.push("visa sponsorship possible");
+  if (filters.role && filters.role !== "both") parts.push(`role: ${filters.role}`);
+  if (filters.category) parts.push(`category: ${filters.category.replace(/_/g, " ")}`);
+  return parts.join(" | ") || "all jobs";
+}
+
+/**
+ * Check whether a routed job matches a subscription's filters.
+ * Every filter that is set must match; within a list any term may match.
+ * Locations match as places (a city, state, country or "remote"), so "ny" doesn't match Sunnyvale.
+ * @param {object} job - Job with role and category already assigned by routeJobsToChannels
+ * @param {object} filters - Subscription filters
+ * @returns {boolean} True if the job matches
+ */
+function matchesSubscription(job, filters = {}) {
+  const title = (job.title || "").toLowerCase();
+  const description = (job.description || "").toLowerCase();
+  const company = (job.company || "").toLowerCase();
+
+  if (filters.role && filters.role !== "both" && job.role !== filters.role) return false;
+  if (filters.category && job.category !== filters.category) return false;
+  if (filters.remoteOnly && !isRemote(job)) return false;
+  if (filters.hideNoSponsorship && job.sponsorship === "no") return false;
+  if (
+    filters.keywords?.length &&
+    !filters.keywords.some((keyword) => title.includes(keyword) || description.includes(keyword))
+  ) {
+    return false;
+  }
+  if (filters.companies?.length && !filters.companies.some((name) => company.includes(name))) {
+    return false;
+  }
+  if (filters.locations?.length && !filters.locations.some((place) => matchesLocation(job, place))) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Check whether a job was already DMed to a user
+ * @param {string} userId - Discord user id
+ * @param {string} jobKey - Job normalizedId
+ * @returns {boolean} True if it was delivered before
+ */
+function wasDelivered(userId, jobKey) {
+  return deliveredJobs.get(userId)?.has(jobKey) || false;
+}
+
+/**
+ * Remember that a job was DMed to a user
+ * @param {string} userId - Discord user id
+ * @param {string} jobKey - Job normalizedId
+ */
+function markDelivered(userId, jobKey) {
+  if (!deliveredJobs.has(userId)) deliveredJobs.set(userId, new Set());
+  const seen = deliveredJobs.get(userId);
+  seen.add(jobKey);
+  if (seen.size > MAX_DELIVERED_PER_USER) {
+    seen.delete(seen.values().next().value);
+  }
+}
+
+/**
+ * Match new jobs against all subscriptions and DM each subscriber their matches
+ * @param {Array} jobs - Routed jobs (with role and category) from sendJobsToDiscord
+ * @param {object} client - Discord client
+ * @param {string} sourceName - Name of the source (used in embeds)
+ * @param {function} delay - Delay function for rate limiting
+ * @returns {Promise<number>} Number of job alerts delivered
+ */
+async function deliverJobAlerts(jobs, client, sourceName, delay) {
+  const subscriptionConfig = config.subscriptions || {};
+  // Comprehensive runs pass a mock client without users; nothing to DM there
+  if (subscriptionConfig.enabled === false || !jobs?.length || !client?.users?.fetch) {
+    return 0;
+  }
+
+  const subscriptions = await mongoService.getSubscriptions();
+  if (subscriptions.length === 0) return 0;
+
+  // userId -> { jobs: Map(jobKey -> job), hits: Map(subscriptionId -> count) }
+  const matchesByUser = new Map();
+  for (const subscription of subscriptions) {
+    for (const job of jobs) {
+      if (!matchesSubscription(job, subscription.filters)) continue;
+      const jobKey = job.normalizedId || generateJobId(job);
+      if (!matchesByUser.has(subscription.userId)) {
+        matchesByUser.set(subscription.userId, { jobs: new Map(), hits: new Map() });
+      }
+      const entry = matchesByUser.get(subscription.userId);
+      if (!entry.jobs.has(jobKey)) entry.jobs.set(jobKey, job);
+      entry.hits.set(subscription.subscriptionId, (entry.hits.get(subscription.subscriptionId) || 0) + 1);
+    }
+  }
+
+  const maxPerUser = subscriptionConfig.maxJobsPerUserPerBatch || 30;
+  const perMessage = Math.min(subscriptionConfig.maxJobsPerDm || 10, 10);
+  const dmDelay = subscriptionConfig.delayBetweenDmsMs ?? 1000;
+  const embedColor = getSourceEmbedColor(sourceName);
+  let delivered = 0;
+
+  for (const [userId, entry] of matchesByUser.entries()) {
+    // Only jobs whose DM actually went out are marked, so ones past the cap or in a failed DM can be sent later
+    const newJobs = [...entry.jobs.entries()]
+      .filter(([jobKey]) => !wasDelivered(userId, jobKey))
+      .slice(0, maxPerUser);
+    if (newJobs.length === 0) continue;
+
+    let sent = 0;
+    try {
+      const user = await client.users.fetch(userId);
+      await user.send(
+        `🔔 **${newJobs.length}** new job${newJobs.length !== 1 ? "s" : ""} matching your subscriptions (${sourceName})`
+      );
+      for (let i = 0; i < newJobs.length; i += perMessage) {
+        const chunk = newJobs.slice(i, i + perMessage);
+        await user.send({ embeds: chunk.map(([, job]) => createJobEmbed(job, sourceName, embedColor)) });
+        for (const [jobKey] of chunk) markDelivered(userId, jobKey);
+        sent += chunk.length;
+        if (delay) await delay(dmDelay);
+      }
+      for (const [subscriptionId, count] of entry.hits.entries()) {
+        await mongoService.recordSubscriptionMatches(subscriptionId, count);
+      }
+    } catch (error) {
+      // Usually the user has DMs from server members disabled
+      logger.log(`⚠️ Could not DM job alerts to user ${userId}: ${error.message}`, "warn");
+    }
+    delivered += sent;
+  }
+
+  if (delivered > 0) {
+    logger.log(`🔔 Delivered ${delivered} job alerts to ${matchesByUser.size} subscriber(s) (${sourceName})`);
+  }
+  return delivered;
+}
+
+module.exports = {
+  createSubscription,
+  describeSubscription,
+  matchesSubscription,
+  deliverJobAlerts,
+};
@@ -0,0 +1,156 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const config = require("../config");
+const mongoService = require("../services/mongo");
+const { createApiRouter } = require("../services/api");
+
+let server;
+let baseUrl;
+const originals = {};
+
+before(async () => {
+  for (const name of ["isConnected", "findJobs", "getJobByNormalizedId"]) {
+    originals[name] = mongoService[name];
+  }
+  mongoService.isConnected = () => true;
+  mongoService.findJobs = async (filters) => ({
+    jobs: [{ normalizedId: "abc", title: "Software Engineer Intern", filters }],
+    total: 1,
+    page: 1,
+    limit: 25,
+  });
+  mongoService.getJobByNormalizedId = async (id) => (id === "abc" ? { normalizedId: "abc" } : null);
+
+  const app = express();
+  app.use("/api", createApiRouter());
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => {
+  Object.assign(mongoService, originals);
+  config.api.apiKey = process.env.API_KEY;
+  server.close();
+});
+
+const get = (path, key) => fetch(`${baseUrl}${path}`, { headers: key ? { "X-API-Key": key } : {} });
+
+test("API is disabled without API_KEY and rejects bad keys", async () => {
+  config.api.apiKey = undefined;
+  assert.equal((await get("/jobs", "anything")).status, 503);
+
+  config.api.apiKey = "secret";
+  assert.equal((await get("/jobs")).status, 401);
+  assert.equal((await get("/jobs", "wrong")).status, 401);
+});
+
+test("GET /api/jobs validates filters and passes them to findJobs", async () => {
+  config.api.apiKey = "secret";
+
+  const bad = await get("/jobs?role=senior", "secret");
+  assert.equal(bad.status, 400);
+
+  const res = await get("/jobs?source=LinkedIn&role=intern&since=7d&q=engineer", "secret");
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.total, 1);
+  assert.equal(body.totalPages, 1);
+  const { filters } = body.jobs[0];
+  assert.equal(filters.source, "linkedin");
+  assert.equal(filters.role, "intern");
+  assert.equal(filters.q, "engineer");
+  assert.ok(Date.now() - new Date(filters.since) >= 7 * 24 * 60 * 60 * 1000 - 1000);
+});
+
+test("GET /api/jobs/:normalizedId returns 404 for unknown jobs", async () => {
+  config.api.apiKey = "secret";
+  assert.equal((await get("/jobs/abc", "secret")).status, 200);
+  assert.equal((await get("/jobs/missing", "secret")).status, 404);
+});
+
+test("POST /api/scrape needs the bearer token and rejects overlapping runs", async () => {
+  const scrape = require("../scrape");
+  const original = scrape.runSpecificScraper;
+  let finish;
+  scrape.runSpecificScraper = (source, client, options) => {
+    options.onProgress({ phase: "scraping", completedTasks: 0, totalTasks: 1 });
+    return new Promise((resolve) => {
+      finish = () => resolve({ success: true, duration: 1, jobsFound: 3, historyRunId: "h1" });
+    });
+  };
+  config.api.scrapeToken = "token";
+
+  const post = (body, token = "token") =>
+    fetch(`${baseUrl}/scrape`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+      body: JSON.stringify(body),
+    });
+
+  try {
+    assert.equal((await post({ source: "github" }, "wrong")).status, 401);
+    assert.equal((await post({ source: "nowhere" })).status, 400);
+
+    const started = await post({ source: "github", role: "intern", timeFilter: "week" });
+    assert.equal(started.status, 202);
+    const { id } = await started.json();
+
+    assert.equal((await post({ source: "github" })).status, 409);
+    assert.equal((await post({ source: "all" })).status, 409);
+
+    const statusUrl = `${baseUrl}/scrape/${id}`;
+    const auth = { headers: { Authorization: "Bearer token" } };
+    let run = await (await fetch(statusUrl, auth)).json();
+    assert.equal(run.status, "running");
+    assert.equal(run.progress.phase, "scraping");
+
+    finish();
+    await new Promise((resolve) => setImmediate(resolve));
+    run = await (await fetch(statusUrl, auth)).json();
+    assert.equal(run.status, "succeeded");
+    assert.equal(run.result.jobsFound, 3);
+  } finally {
+    scrape.runSpecificScraper = original;
+    config.api.scrapeToken = process.env.SCRAPE_API_TOKEN;
+  }
+});
+
+test("POST /api/scrape rejects sources a Discord command is scraping", async () => {
+  const githubScraper = require("../scrapers/github");
+  const { executeCommand } = require("../services/commandHandler");
+  const scrape = require("../scrape");
+  const original = githubScraper.scrapeAllJobs;
+  const originalSpecific = scrape.runSpecificScraper;
+  scrape.runSpecificScraper = async () => ({ success: true, duration: 0, jobsFound: 0 });
+  let finish;
+  githubScraper.scrapeAllJobs = () =>
+    new Promise((resolve) => {
+      finish = () => resolve({ success: true, jobsFound: 0, errorCount: 0, lastRun: new Date() });
+    });
+  config.api.scrapeToken = "token";
+
+  const post = (body) =>
+    fetch(`${baseUrl}/scrape`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: "Bearer token" },
+      body: JSON.stringify(body),
+    });
+
+  try {
+    const command = executeCommand("jobsgithub", { role: "intern" }, { channels: { cache: { get: () => null } } });
+    const conflict = await post({ source: "github" });
+    assert.equal(conflict.status, 409);
+    assert.match((await conflict.json()).error, /command jobsgithub is still in progress/);
+
+    finish();
+    await command;
+    const started = await post({ source: "github" });
+    assert.equal(started.status, 202);
+  } finally {
+    githubScraper.scrapeAllJobs = original;
+    scrape.runSpecificScraper = originalSpecific;
+    config.api.scrapeToken = process.env.SCRAPE_API_TOKEN;
+  }
+});
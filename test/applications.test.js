@@ -0,0 +1,53 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoService = require("../services/mongo");
+const { resolveJob, buildApplicationsCsv } = require("../services/applications");
+
+const jobs = [
+  { normalizedId: "3f2a9c1b7d0011223344556677889900", title: "Software Engineer Intern", company: "Acme" },
+  { normalizedId: "3f2a9c1b7dffeeddccbbaa9988776655", title: "Data Analyst Intern", company: "Globex" },
+];
+const originalFind = mongoService.findJobsByHandle;
+
+before(() => {
+  mongoService.findJobsByHandle = async (handle) =>
+    handle.startsWith("http")
+      ? jobs.filter((job) => handle === `https://jobs.example/${job.company}`)
+      : jobs.filter((job) => job.normalizedId.startsWith(handle.toLowerCase()));
+});
+
+after(() => {
+  mongoService.findJobsByHandle = originalFind;
+});
+
+test("resolveJob accepts footer IDs and URLs and explains bad handles", async () => {
+  assert.equal((await resolveJob("3f2a9c1b7d00")).job.company, "Acme");
+  assert.equal((await resolveJob("<https://jobs.example/Globex>")).job.company, "Globex");
+
+  assert.match((await resolveJob("3f2a9c1b7d")).error, /matches several jobs/);
+  assert.match((await resolveJob("abcdef")).error, /No stored job/);
+  assert.match((await resolveJob("acme intern")).error, /footer of a job post/);
+});
+
+test("buildApplicationsCsv quotes values and flattens the history", () => {
+  const csv = buildApplicationsCsv([
+    {
+      ...jobs[0],
+      status: "interview",
+      location: "Austin, TX",
+      url: "https://jobs.example/Acme",
+      updatedAt: new Date("2026-10-02T12:00:00Z"),
+      history: [
+        { status: "applied", at: new Date("2026-09-20T12:00:00Z"), note: null },
+        { status: "interview", at: new Date("2026-10-02T12:00:00Z"), note: "onsite \"loop\"" },
+      ],
+    },
+  ]);
+
+  assert.equal(
+    csv,
+    "status,title,company,location,url,job_id,updated_at,history\n" +
+      'interview,Software Engineer Intern,Acme,"Austin, TX",https://jobs.example/Acme,3f2a9c1b7d,2026-10-02T12:00:00.000Z,' +
+      '"applied 2026-09-20; interview 2026-10-02 (onsite ""loop"")"\n'
+  );
+});
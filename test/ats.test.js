@@ -0,0 +1,73 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { readJsonFixture } = require("./support");
+const { generateJobId } = require("../utils/helpers");
+const { fetchCompanyJobs, setHttpClient } = require("../scrapers/ats");
+
+// Serve recorded board responses by URL instead of hitting the network
+function serveFixtures(byHost) {
+  const requested = [];
+  setHttpClient(async (url) => {
+    requested.push(url);
+    const host = new URL(url).host;
+    if (!byHost[host]) throw new Error(`Unexpected request: ${url}`);
+    return readJsonFixture(byHost[host]);
+  });
+  return requested;
+}
+
+afterEach(() => setHttpClient(null));
+
+test("parses a Greenhouse board", async () => {
+  const requested = serveFixtures({ "boards-api.greenhouse.io": "greenhouse-board.json" });
+  const jobs = await fetchCompanyJobs({ name: "Acme Robotics", board: "greenhouse", token: "acmerobotics" });
+
+  assert.deepEqual(requested, ["https://boards-api.greenhouse.io/v1/boards/acmerobotics/jobs?content=true"]);
+  assert.equal(jobs.length, 2);
+  assert.deepEqual(jobs[0], {
+    title: "Software Engineer Intern, Summer 2027",
+    location: "San Francisco, CA",
+    url: "https://boards.greenhouse.io/acmerobotics/jobs/4012345",
+    postedDate: "2026-10-16",
+    description: "Build robots & the software that runs them. Python",
+    department: "Engineering",
+    atsJobId: "4012345",
+    company: "Acme Robotics",
+    source: "ats",
+    atsBoard: "greenhouse",
+    id: generateJobId(jobs[0]),
+    normalizedId: generateJobId(jobs[0]),
+  });
+  assert.equal(jobs[1].postedDate, "2026-10-01");
+});
+
+test("parses Lever postings", async () => {
+  serveFixtures({ "api.lever.co": "lever-postings.json" });
+  const jobs = await fetchCompanyJobs({ name: "Globex", board: "Lever", token: "globex" });
+
+  assert.equal(jobs.length, 1);
+  assert.equal(jobs[0].title, "New Grad Software Engineer");
+  assert.equal(jobs[0].location, "New York, NY");
+  assert.equal(jobs[0].postedDate, "2026-10-15");
+  assert.equal(jobs[0].department, "Platform");
+  assert.equal(jobs[0].workModel, "hybrid");
+  assert.equal(jobs[0].atsBoard, "lever");
+});
+
+test("parses an Ashby board and skips unlisted postings", async () => {
+  serveFixtures({ "api.ashbyhq.com": "ashby-board.json" });
+  const jobs = await fetchCompanyJobs({ name: "Initech", board: "ashby", token: "initech" });
+
+  assert.equal(jobs.length, 1);
+  assert.equal(jobs[0].title, "Machine Learning Engineer, New Grad");
+  assert.equal(jobs[0].location, "Remote - US");
+  assert.equal(jobs[0].workModel, "Remote");
+  assert.equal(jobs[0].postedDate, "2026-10-15");
+});
+
+test("rejects unsupported boards", async () => {
+  await assert.rejects(
+    fetchCompanyJobs({ name: "Hooli", board: "workday", token: "hooli" }),
+    /Unsupported ATS board/
+  );
+});
@@ -0,0 +1,120 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const express = require("express");
+const mongoService = require("../services/mongo");
+const { createFeedRouter, jobPublishedAt } = require("../services/feeds");
+
+let server;
+let baseUrl;
+let lastFilters;
+const originals = {};
+
+const jobs = [
+  {
+    normalizedId: "abc123",
+    title: "Software Engineer Intern",
+    company: "Ben & Jerry's",
+    location: "Remote",
+    url: "https://jobs.example/1?a=1&b=2",
+    postedDate: "2 days ago",
+    sources: ["linkedin", "github"],
+    firstSeenAt: new Date("2026-10-15T12:00:00Z"),
+  },
+  {
+    normalizedId: "def456",
+    title: "Backend Intern",
+    company: "Globex",
+    url: "https://jobs.example/2",
+    postedDate: "Not specified",
+    sources: ["ats"],
+    firstSeenAt: new Date("2026-10-14T08:00:00Z"),
+  },
+];
+
+before(async () => {
+  for (const name of ["isConnected", "findJobs"]) {
+    originals[name] = mongoService[name];
+  }
+  mongoService.isConnected = () => true;
+  mongoService.findJobs = async (filters) => {
+    lastFilters = filters;
+    return { jobs, total: jobs.length, page: 1, limit: 50 };
+  };
+
+  const app = express();
+  app.use("/feeds", createFeedRouter());
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/feeds`;
+});
+
+after(() => {
+  Object.assign(mongoService, originals);
+  server.close();
+});
+
+test("RSS feeds list open jobs for the role and category with stable GUIDs", async () => {
+  const res = await fetch(`${baseUrl}/intern/software_engineering.xml`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /application\/rss\+xml/);
+  assert.deepEqual(
+    { role: lastFilters.role, category: lastFilters.category, status: lastFilters.status },
+    { role: "intern", category: "software_engineering", status: "open" }
+  );
+
+  const xml = await res.text();
+  assert.match(xml, /<title>Intern · Software Engineering jobs<\/title>/);
+  assert.match(xml, /<guid isPermaLink="false">abc123<\/guid>/);
+  assert.match(xml, /<title>Software Engineer Intern @ Ben &amp; Jerry&apos;s<\/title>/);
+  assert.match(xml, /<link>https:\/\/jobs\.example\/1\?a=1&amp;b=2<\/link>/);
+  // "2 days ago" counts back from when the job was first seen
+  assert.match(xml, /<pubDate>Tue, 13 Oct 2026 12:00:00 GMT<\/pubDate>/);
+  // Unparseable posted dates fall back to the first-seen time
+  assert.match(xml, /<pubDate>Wed, 14 Oct 2026 08:00:00 GMT<\/pubDate>/);
+});
+
+test("all-category and Atom feeds; unknown feeds are 404", async () => {
+  const res = await fetch(`${baseUrl}/new_grad/all.atom`);
+  assert.equal(res.status, 200);
+  assert.equal(lastFilters.category, undefined);
+  const xml = await res.text();
+  assert.match(xml, /<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom">/);
+  assert.match(xml, /<id>urn:job:abc123<\/id>/);
+  assert.match(xml, /<updated>2026-10-15T12:00:00\.000Z<\/updated>/);
+
+  assert.equal((await fetch(`${baseUrl}/senior/all.xml`)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/intern/marketing.xml`)).status, 404);
+  assert.equal((await fetch(`${baseUrl}/intern/all.json`)).status, 404);
+});
+
+// fetch() adds "Cache-Control: no-cache" to conditional requests, which disables 304s; feed readers don't
+const statusWith = (path, headers) =>
+  new Promise((resolve, reject) => {
+    http.get(`${baseUrl}${path}`, { headers }, (res) => resolve(res.resume().statusCode)).on("error", reject);
+  });
+
+test("conditional GETs get 304 when the feed hasn't changed", async () => {
+  const first = await fetch(`${baseUrl}/intern/all.xml`);
+  const etag = first.headers.get("etag");
+  const lastModified = first.headers.get("last-modified");
+  assert.ok(etag);
+  assert.equal(lastModified, "Thu, 15 Oct 2026 12:00:00 GMT");
+
+  assert.equal(await statusWith("/intern/all.xml", { "If-None-Match": etag }), 304);
+  assert.equal(await statusWith("/intern/all.xml", { "If-Modified-Since": lastModified }), 304);
+  assert.equal(await statusWith("/intern/all.xml", { "If-None-Match": '"stale"' }), 200);
+});
+
+test("jobs are dated by postedAt, or their posted date counted back from first seen", () => {
+  const firstSeenAt = new Date("2026-01-03T00:00:00Z");
+  // "Dec 30" seen in January is last year's
+  assert.deepEqual(jobPublishedAt({ postedDate: "Dec 30", firstSeenAt }), new Date(2025, 11, 30));
+  assert.deepEqual(jobPublishedAt({ postedDate: "3d", firstSeenAt }), new Date("2025-12-31T00:00:00Z"));
+  assert.deepEqual(
+    jobPublishedAt({ postedDate: "3d", postedAt: new Date("2025-12-20T08:00:00Z"), firstSeenAt }),
+    new Date("2025-12-20T08:00:00Z")
+  );
+  // Never after first seen
+  assert.deepEqual(jobPublishedAt({ postedAt: new Date("2026-02-01T00:00:00Z"), firstSeenAt }), firstSeenAt);
+});
@@ -0,0 +1,76 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseHtmlFixture } = require("./support");
+const { parseReadmeTables, postsToJobs } = require("../scrapers/github");
+
+const repo = {
+  name: "SimplifyJobs-NewGrad",
+  url: "https://github.com/SimplifyJobs/New-Grad-Positions",
+  type: "new_grad",
+};
+
+test("walks README tables under recognised section headers", async () => {
+  const posts = await parseHtmlFixture("github-readme.html", repo.url, parseReadmeTables, repo.url);
+
+  assert.deepEqual(
+    posts.map((post) => [post.company, post.role, post.date, post.category, post.closed]),
+    [
+      ["Acme Robotics", "Software Engineer I", "0d", "software_engineering", false],
+      ["Globex", "Backend Engineer, New Grad", "3d", "software_engineering", false],
+      ["Initech", "Software Engineer", "5d", "software_engineering", true],
+      ["Initech", "Machine Learning Engineer", "1d", "data_science_engineer", false],
+    ]
+  );
+  assert.equal(posts[0].link, "https://jobs.acme.example/apply/123?utm_source=Simplify");
+  assert.ok(!posts.some((post) => post.company === "Umbrella"));
+});
+
+test("falls back to the first table when no section matches", async () => {
+  const offSeason = { name: "Sharunkumar-OffSeason", url: "https://github.com/Sharunkumar/Off-Season-2026-Internships" };
+  const posts = await parseHtmlFixture("github-readme-single-table.html", offSeason.url, parseReadmeTables, offSeason.url);
+
+  assert.deepEqual(
+    posts.map((post) => [post.company, post.location, post.link, post.date, post.category]),
+    [
+      ["Hooli", "Mountain View, CA", "https://hooli.example/jobs/1", "Oct 15", undefined],
+      ["Pied Piper", "Palo Alto, CA", "", "Oct 12", undefined],
+    ]
+  );
+});
+
+test("converts README posts to job objects", async () => {
+  const posts = await parseHtmlFixture("github-readme.html", repo.url, parseReadmeTables, repo.url);
+  const jobs = postsToJobs(posts, repo);
+
+  assert.deepEqual(jobs[0], {
+    id: "simplifyjobs-newgrad_acme robotics_0d",
+    title: "Acme Robotics - Software Engineer I",
+    company: "Acme Robotics",
+    location: "San Francisco, CA",
+    url: "https://jobs.acme.example/apply/123?utm_source=Simplify",
+    postedDate: "0d",
+    description: "Role: Software Engineer I | Location: San Francisco, CA",
+    metadata: "",
+    salary: "",
+    workModel: "",
+    source: "github",
+    role: "new_grad",
+    category: "software_engineering",
+    repoUrl: repo.url,
+    closed: false,
+  });
+  assert.equal(jobs[2].closed, true);
+  assert.equal(jobs[2].url, repo.url);
+});
+
+test("uses the repo url and config when a post has no link or category", () => {
+  const [job] = postsToJobs(
+    [{ company: "Pied Piper", role: "Data Engineering Intern", location: "Palo Alto, CA", link: "", date: "Oct 12" }],
+    { name: "Off", url: "https://github.com/x/y", category: "data_science_engineer" },
+    "intern"
+  );
+
+  assert.equal(job.url, "https://github.com/x/y");
+  assert.equal(job.role, "intern");
+  assert.equal(job.category, "data_science_engineer");
+});
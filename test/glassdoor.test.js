@@ -0,0 +1,46 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseHtmlFixture } = require("./support");
+const { parseGlassdoorJobListings } = require("../scrapers/glassdoor");
+
+const PAGE_URL = "https://www.glassdoor.com/Job/software-engineer-intern-jobs-SRCH_KO0,24.htm";
+
+test("parses Glassdoor partner and regular listings", async () => {
+  const jobs = await parseHtmlFixture("glassdoor-search.html", PAGE_URL, parseGlassdoorJobListings, 10);
+
+  assert.deepEqual(
+    jobs.map((job) => job.id),
+    [
+      "glassdoor-1009988776655",
+      "glassdoor-software-engineer-intern-acme-robotics-JV_IC1147401_KO0",
+      "glassdoor-1009555444333",
+    ]
+  );
+
+  const [partner, regular] = jobs;
+  assert.equal(partner.isPartnerListing, true);
+  assert.equal(partner.title, "Data Science Intern");
+  assert.equal(partner.company, "Initech");
+  assert.equal(partner.salary, "$45.00 Per Hour (Employer provided)");
+
+  assert.equal(regular.title, "Software Engineer Intern");
+  assert.equal(regular.company, "Acme Robotics");
+  assert.equal(regular.location, "San Francisco, CA");
+  assert.equal(regular.salary, "$40.00 - $50.00 Per Hour");
+  assert.equal(regular.postedDate, "2d");
+  assert.equal(regular.source, "glassdoor");
+});
+
+test("does not read job links inside cards as separate listings", async () => {
+  const jobs = await parseHtmlFixture("glassdoor-search.html", PAGE_URL, parseGlassdoorJobListings, 10);
+  assert.ok(jobs.every((job) => job.title !== "Title Not Available"));
+});
+
+test("skips aggregator employers and applies defaults", async () => {
+  const jobs = await parseHtmlFixture("glassdoor-search.html", PAGE_URL, parseGlassdoorJobListings, 10);
+  const globex = jobs.find((job) => job.company === "Globex");
+
+  assert.ok(!jobs.some((job) => job.company === "Jobright.ai"));
+  assert.equal(globex.salary, "Not specified");
+  assert.equal(globex.postedDate, "N/A");
+});
@@ -0,0 +1,108 @@
+const { test, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../config");
+const mongoService = require("../services/mongo");
+const guildRouting = require("../utils/guildRouting");
+const { postJobsToChannels, getChannelId } = require("../utils/helpers");
+
+const originalChannels = config.channels;
+const originalDefaultGuildId = config.defaultGuildId;
+const originalJobButtons = config.jobButtons;
+const originalGetPostedGuilds = mongoService.getPostedGuilds;
+const originalRecordDiscordMessages = mongoService.recordDiscordMessages;
+
+afterEach(() => {
+  config.channels = originalChannels;
+  config.defaultGuildId = originalDefaultGuildId;
+  guildRouting.setGuildSettings([]);
+});
+
+after(() => {
+  config.jobButtons = originalJobButtons;
+  mongoService.getPostedGuilds = originalGetPostedGuilds;
+  mongoService.recordDiscordMessages = originalRecordDiscordMessages;
+});
+
+const guild = (guildId, channelId, extra = {}) => ({
+  ...guildRouting.defaultGuildSettings(guildId),
+  channels: { intern: { software_engineering: channelId }, new_grad: {} },
+  ...extra,
+});
+
+test("env channels act as the GUILD_ID server until it runs /setup", () => {
+  config.defaultGuildId = "g1";
+  config.channels = { intern: { software_engineering: "env-chan" }, new_grad: {} };
+
+  assert.deepEqual(guildRouting.getChannelTargets("intern", "software_engineering"), [
+    { guildId: "g1", channelId: "env-chan" },
+  ]);
+  assert.equal(guildRouting.isJobChannel("env-chan"), true);
+
+  // Stored settings win over the env vars; other servers are added alongside
+  guildRouting.setGuildSettings([guild("g1", "setup-chan"), guild("g2", "other-chan")]);
+  assert.deepEqual(guildRouting.getChannelTargets("intern", "software_engineering"), [
+    { guildId: "g1", channelId: "setup-chan" },
+    { guildId: "g2", channelId: "other-chan" },
+  ]);
+  assert.equal(getChannelId("intern", "software_engineering", null, "g2"), "other-chan");
+  assert.equal(guildRouting.isJobChannel("env-chan"), false);
+});
+
+test("guild sources and exclude filters decide which jobs a server accepts", () => {
+  const settings = guild("g1", "c1", {
+    sources: ["github", "ats"],
+    filters: { excludeKeywords: ["senior*"], excludeCompanies: ["/^globex/i"] },
+  });
+  const job = { title: "Software Engineer Intern", company: "Acme", source: "github" };
+
+  assert.equal(guildRouting.guildAcceptsJob(settings, job), true);
+  assert.equal(guildRouting.guildAcceptsJob(settings, { ...job, source: "linkedin" }), false);
+  assert.equal(guildRouting.guildAcceptsJob(settings, { ...job, title: "Seniority Track Intern" }), false);
+  assert.equal(guildRouting.guildAcceptsJob(settings, { ...job, company: "Globex Corp" }), false);
+});
+
+test("postJobsToChannels posts each job once per server", async () => {
+  config.channels = { intern: {}, new_grad: {} };
+  config.jobButtons = { ...originalJobButtons, enabled: false };
+  guildRouting.setGuildSettings([
+    guild("g1", "c1"),
+    guild("g2", "c2", { filters: { excludeKeywords: [], excludeCompanies: ["Initech"] } }),
+    guild("g3", "c3"),
+  ]);
+  // g3 already got the first job in an earlier run
+  mongoService.getPostedGuilds = async () => new Map([["job-1", new Set(["g3"])]]);
+  const recorded = [];
+  mongoService.recordDiscordMessages = async (messages) => recorded.push(...messages);
+
+  const sent = {};
+  const channel = (id) => ({
+    id,
+    send: async (payload) => {
+      (sent[id] = sent[id] || []).push(payload);
+      return { id: `${id}-m${sent[id].length}` };
+    },
+  });
+  const channels = { c1: channel("c1"), c2: channel("c2"), c3: channel("c3") };
+  const client = { channels: { cache: { get: (id) => channels[id] } } };
+
+  const jobs = [
+    { normalizedId: "job-1", title: "Software Engineer Intern", company: "Acme", url: "https://jobs.example/1" },
+    { normalizedId: "job-2", title: "Backend Intern", company: "Initech", url: "https://jobs.example/2" },
+  ];
+  const routed = () => new Map([["intern::software_engineering", jobs]]);
+  const embedCount = (id) => (sent[id] || []).filter((payload) => payload.embeds).reduce((n, p) => n + p.embeds.length, 0);
+
+  await postJobsToChannels(routed(), client, "Fixture", async () => {});
+  assert.equal(embedCount("c1"), 2);
+  assert.equal(embedCount("c2"), 1); // Initech is filtered out there
+  assert.equal(embedCount("c3"), 1); // job-1 was posted there before
+  assert.deepEqual(
+    recorded.map((entry) => `${entry.guildId}:${entry.normalizedId}`).sort(),
+    ["g1:job-1", "g1:job-2", "g2:job-1", "g3:job-2"]
+  );
+
+  // Posting the same jobs again in this process sends nothing new
+  await postJobsToChannels(routed(), client, "Fixture", async () => {});
+  assert.equal(embedCount("c1"), 2);
+  assert.equal(embedCount("c3"), 1);
+});
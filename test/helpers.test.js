@@ -0,0 +1,50 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  evaluateParser,
+  filterJobsByDate,
+  filterRelevantJobs,
+  categorizeJob,
+} = require("../utils/helpers");
+
+test("evaluateParser serializes the parser and its arguments", async () => {
+  let expression = "";
+  const page = { evaluate: async (expr) => (expression = expr) };
+  function parseCards(root, limit, label) {
+    return [root, limit, label];
+  }
+
+  await evaluateParser(page, parseCards, 5, "a\"b");
+  assert.equal(expression, `(${parseCards.toString()})(document, 5, "a\\"b")`);
+});
+
+test("filterJobsByDate keeps jobs inside the window", () => {
+  const jobs = [
+    { title: "today", postedDate: "0d" },
+    { title: "two days", postedDate: "2 days ago" },
+    { title: "old", postedDate: "45d" },
+  ];
+
+  assert.deepEqual(filterJobsByDate(jobs, "week").map((job) => job.title), ["today", "two days"]);
+  assert.deepEqual(filterJobsByDate(jobs, "day").map((job) => job.title), ["today"]);
+});
+
+test("filterRelevantJobs applies role and exclusion rules", () => {
+  const jobs = [
+    { title: "Software Engineer Intern", company: "Acme" },
+    { title: "Senior Software Engineer", company: "Acme" },
+    { title: "Software Engineer Intern", company: "Jobright.ai" },
+    { title: "Software Engineer, New Grad", company: "Globex" },
+  ];
+
+  assert.deepEqual(
+    filterRelevantJobs(jobs, "intern").map((job) => `${job.title} @ ${job.company}`),
+    ["Software Engineer Intern @ Acme"]
+  );
+});
+
+test("categorizeJob routes by title", () => {
+  assert.equal(categorizeJob({ title: "Data Scientist Intern" }), "data_science_engineer");
+  assert.equal(categorizeJob({ title: "Data Analyst, New Grad" }), "data_analysis");
+  assert.equal(categorizeJob({ title: "Backend Software Engineer" }), "software_engineering");
+});
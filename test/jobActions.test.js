@@ -0,0 +1,115 @@
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoService = require("../services/mongo");
+const jobLiveness = require("../services/jobLiveness");
+const {
+  buildJobButtonRow,
+  parseJobButtonId,
+  handleJobButton,
+  summarizeReportedTerms,
+} = require("../services/jobActions");
+
+const job = {
+  normalizedId: "0123456789abcdef0123456789abcdef",
+  title: "Acme - Software Engineer Intern",
+  company: "Acme",
+  url: "https://boards.greenhouse.io/acme/jobs/1",
+  sources: ["ats"],
+};
+const originals = {};
+const calls = [];
+
+// Minimal stand-in for a Discord button interaction
+function fakeInteraction(customId) {
+  const interaction = {
+    customId,
+    user: { id: "u1", username: "ada" },
+    deferred: false,
+    replies: [],
+    async deferReply() {
+      interaction.deferred = true;
+    },
+    async editReply(content) {
+      interaction.replies.push(content);
+    },
+    async reply(content) {
+      interaction.replies.push(content);
+    },
+  };
+  return interaction;
+}
+
+before(() => {
+  for (const name of ["isConnected", "getJobByNormalizedId", "setUserJobStatus", "hideUserJob", "addJobReport", "updateJobReportStatus", "markJobClosed"]) {
+    originals[name] = mongoService[name];
+  }
+  mongoService.isConnected = () => true;
+  mongoService.getJobByNormalizedId = async (id) => (id === job.normalizedId ? job : null);
+  mongoService.setUserJobStatus = async (user, stored, status) => {
+    calls.push(["status", user.id, status]);
+    return { status, previousStatus: null };
+  };
+  mongoService.hideUserJob = async (user) => calls.push(["hide", user.id]);
+  mongoService.addJobReport = async (stored, type) => {
+    calls.push(["report", type]);
+    return { report: { reportId: "r1" }, alreadyReported: false };
+  };
+  mongoService.updateJobReportStatus = async (reportId, status) => calls.push(["review", reportId, status]);
+  mongoService.markJobClosed = async () => job;
+});
+
+afterEach(() => {
+  calls.length = 0;
+  jobLiveness.setHttpClient(null);
+});
+
+after(() => Object.assign(mongoService, originals));
+
+test("button rows round-trip the job id and number each button", () => {
+  const row = buildJobButtonRow(job.normalizedId, 2).toJSON();
+
+  assert.deepEqual(
+    row.components.map((button) => button.label),
+    ["Save #2", "Applied #2", "Not relevant #2", "Broken link #2"]
+  );
+  assert.deepEqual(parseJobButtonId(row.components[2].custom_id), {
+    action: "not_relevant",
+    normalizedId: job.normalizedId,
+  });
+  assert.equal(parseJobButtonId("other:save:abc"), null);
+  assert.equal(parseJobButtonId("job:delete:abc"), null);
+});
+
+test("save and not relevant are recorded for the clicking user", async () => {
+  const save = fakeInteraction(`job:save:${job.normalizedId}`);
+  assert.equal(await handleJobButton(save), true);
+  assert.match(save.replies[0], /Saved \*\*Acme - Software Engineer Intern\*\*/);
+
+  const hide = fakeInteraction(`job:not_relevant:${job.normalizedId}`);
+  await handleJobButton(hide);
+
+  assert.deepEqual(calls, [["status", "u1", "saved"], ["hide", "u1"], ["report", "not_relevant"]]);
+  assert.equal(await handleJobButton(fakeInteraction("something-else")), false);
+});
+
+test("a broken link report closes the job when the link check confirms it", async () => {
+  jobLiveness.setHttpClient(async (url) => ({ status: 404, url, text: "" }));
+  const click = fakeInteraction(`job:broken_link:${job.normalizedId}`);
+  await handleJobButton(click, null);
+
+  assert.deepEqual(calls, [["report", "broken_link"], ["review", "r1", "resolved"]]);
+  assert.match(click.replies[0], /confirmed .* is closed/);
+});
+
+test("summarizeReportedTerms suggests repeated title words, skipping generic and company words", () => {
+  const terms = summarizeReportedTerms([
+    { title: "Hardware Test Intern", company: "Acme", count: 2 },
+    { title: "Acme - Test Technician Intern", company: "Acme", count: 1 },
+    { title: "Software Engineer Intern", company: "Globex", count: 1 },
+  ]);
+
+  assert.deepEqual(terms, [
+    { term: "test", count: 3 },
+    { term: "hardware", count: 2 },
+  ]);
+});
@@ -0,0 +1,107 @@
+const { test, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../config");
+const { extractJobPosting, analyzeJobText } = require("../utils/jobDetails");
+const { enrichJobs, setHttpClient } = require("../services/jobEnrichment");
+const { createJobEmbed } = require("../utils/helpers");
+
+const originalEnrichment = config.enrichment;
+
+before(() => {
+  config.enrichment = { ...originalEnrichment, enabled: true, delayBetweenRequestsMs: 5, perDomainConcurrency: 2 };
+});
+
+afterEach(() => setHttpClient(null));
+
+after(() => {
+  config.enrichment = originalEnrichment;
+});
+
+test("detail pages are read from JSON-LD, then description markup", () => {
+  const jsonLd = extractJobPosting(`<html><script type="application/ld+json">${JSON.stringify({
+    "@context": "https://schema.org",
+    "@graph": [
+      {
+        "@type": "JobPosting",
+        description: "&lt;p&gt;Build tools.&lt;/p&gt;&lt;ul&gt;&lt;li&gt;Class of 2027&lt;/li&gt;&lt;/ul&gt;",
+        baseSalary: { currency: "USD", value: { minValue: 40, maxValue: 55, unitText: "HOUR" } },
+      },
+    ],
+  })}</script></html>`);
+  assert.deepEqual(jsonLd, { description: "Build tools.\n• Class of 2027", salary: "$40 - $55 per hour", via: "jsonld" });
+
+  const markup = extractJobPosting(
+    '<div class="description__text"><div class="show-more-less-html__markup">We will <b>not</b> sponsor visas.<br>Apply now</div></div>'
+  );
+  assert.deepEqual(markup, { description: "We will not sponsor visas.\nApply now", salary: "", via: "markup" });
+});
+
+test("analyzeJobText finds salary, sponsorship, citizenship, clearance and grad years", () => {
+  assert.deepEqual(
+    analyzeJobText(
+      "Pay range: $45/hr to $55/hr. Must be a U.S. citizen with an active Secret clearance. Graduating between December 2026 and June 2027."
+    ),
+    {
+      salary: "$45/hr to $55/hr",
+      sponsorship: "no",
+      requiresCitizenship: true,
+      clearanceRequired: true,
+      gradYears: [2026, 2027],
+    }
+  );
+
+  assert.equal(analyzeJobText("We do not offer H-1B sponsorship for this role.").sponsorship, "no");
+  assert.equal(analyzeJobText("Candidates requiring sponsorship now or in the future are not eligible.").sponsorship, "no");
+  assert.equal(analyzeJobText("H-1B sponsorship is available.").sponsorship, "yes");
+  assert.equal(analyzeJobText("Visa requirements: see our careers FAQ.").sponsorship, "unknown");
+  const open = analyzeJobText("Open to U.S. citizens or permanent residents. Win a $5 gift card!");
+  assert.equal(open.requiresCitizenship, false);
+  assert.equal(open.salary, "");
+});
+
+test("enrichJobs visits detail pages with a per-domain limit and fills badges", async () => {
+  let active = 0;
+  let maxActive = 0;
+  const requested = [];
+  setHttpClient(async (url) => {
+    requested.push(url);
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    active--;
+    return {
+      status: 200,
+      url,
+      text: '<div class="show-more-less-html__markup">Salary: $120,000 - $150,000 per year. We are unable to sponsor visas.</div>',
+    };
+  });
+
+  const linkedinJobs = Array.from({ length: 5 }, (_, i) => ({
+    title: `Software Engineer ${i}`,
+    company: "Acme",
+    url: `https://www.linkedin.com/jobs/view/${i}`,
+    source: "linkedin",
+  }));
+  const githubJob = {
+    title: "Class of 2026 New Grad SWE",
+    company: "Globex",
+    url: "https://www.linkedin.com/jobs/view/99",
+    source: "github",
+  };
+
+  const enriched = await enrichJobs([...linkedinJobs, githubJob]);
+
+  // Only the LinkedIn-sourced jobs are fetched, never more than two at a time
+  assert.equal(requested.length, 5);
+  assert.equal(maxActive, 2);
+  assert.equal(enriched[0].enrichmentStatus, "fetched");
+  assert.equal(enriched[0].salary, "$120,000 - $150,000 per year");
+  assert.equal(enriched[0].sponsorship, "no");
+  assert.equal(enriched[5].enrichmentStatus, "listing");
+  assert.deepEqual(enriched[5].gradYears, [2026]);
+
+  const details = createJobEmbed(enriched[0], "LinkedIn", 0x0077b5)
+    .toJSON()
+    .fields.find((field) => field.name === "Details");
+  assert.equal(details.value, "💰 $120,000 - $150,000 per year · 🛂 No visa sponsorship");
+});
@@ -0,0 +1,99 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { PassThrough } = require("stream");
+const mongoService = require("../services/mongo");
+const { buildExportFilters, writeJobsExport, exportFileName } = require("../services/jobExport");
+
+const originalStreamJobs = mongoService.streamJobs;
+
+after(() => {
+  mongoService.streamJobs = originalStreamJobs;
+});
+
+const jobs = [
+  {
+    title: 'Software Engineer Intern, "Platform"',
+    company: "Acme, Inc.",
+    location: "Montréal, QC",
+    url: "https://jobs.example/1",
+    postedDate: "2 days ago",
+    salary: "$40/hr",
+    workModel: "Hybrid",
+    sources: ["linkedin", "github"],
+    role: "intern",
+    category: "software_engineering",
+    firstSeenAt: new Date("2026-10-15T12:00:00Z"),
+  },
+  { title: "Data Analyst", company: "Globex", url: "https://jobs.example/2", sources: ["ats"] },
+];
+
+// Stand-in for a MongoDB cursor: async iterable with close()
+function fakeCursor(docs) {
+  const cursor = {
+    closed: false,
+    async *[Symbol.asyncIterator]() {
+      yield* docs;
+    },
+    async close() {
+      cursor.closed = true;
+    },
+  };
+  return cursor;
+}
+
+async function runExport(format) {
+  const cursor = fakeCursor(jobs);
+  let filters;
+  mongoService.streamJobs = (f) => {
+    filters = f;
+    return cursor;
+  };
+
+  const output = new PassThrough();
+  const chunks = [];
+  output.on("data", (chunk) => chunks.push(chunk));
+  const count = await writeJobsExport({ source: "linkedin" }, output, format);
+  return { count, filters, cursor, text: Buffer.concat(chunks).toString("utf8") };
+}
+
+test("CSV exports start with a BOM and header, and quote cells that need it", async () => {
+  const { count, filters, cursor, text } = await runExport("csv");
+
+  assert.equal(count, 2);
+  assert.deepEqual(filters, { source: "linkedin" });
+  assert.equal(cursor.closed, true);
+
+  const lines = text.split("\n");
+  assert.equal(lines[0], "\uFEFFtitle,company,location,url,postedDate,salary,workModel,source,role,category,firstSeenAt");
+  assert.equal(
+    lines[1],
+    '"Software Engineer Intern, ""Platform""","Acme, Inc.","Montréal, QC",https://jobs.example/1,2 days ago,$40/hr,Hybrid,' +
+      '"linkedin, github",intern,software_engineering,2026-10-15T12:00:00.000Z'
+  );
+  assert.equal(lines[2], "Data Analyst,Globex,,https://jobs.example/2,,,,ats,,,");
+});
+
+test("JSON Lines exports write one object per job", async () => {
+  const { count, text } = await runExport("jsonl");
+
+  assert.equal(count, 2);
+  const rows = text.trim().split("\n").map((line) => JSON.parse(line));
+  assert.equal(rows[0].source, "linkedin, github");
+  assert.equal(rows[0].firstSeenAt, "2026-10-15T12:00:00.000Z");
+  assert.deepEqual(Object.keys(rows[1]), Object.keys(rows[0]));
+  await assert.rejects(writeJobsExport({}, new PassThrough(), "xml"), /Unknown export format/);
+});
+
+test("export filters turn days and dates into a firstSeenAt range", () => {
+  const filters = buildExportFilters({ days: 7, until: "2026-02-01", role: "intern" });
+  assert.equal(filters.since.toISOString(), "2026-01-25T00:00:00.000Z");
+  assert.equal(filters.until.toISOString(), "2026-02-01T00:00:00.000Z");
+  assert.equal(filters.source, null);
+  assert.equal(exportFileName(filters, "csv"), "jobs-intern-2026-01-25-to-2026-02-01.csv");
+
+  const explicit = buildExportFilters({ since: "2026-01-01", days: 7 });
+  assert.equal(explicit.since.toISOString(), "2026-01-01T00:00:00.000Z");
+  assert.equal(explicit.until, null);
+
+  assert.throws(() => buildExportFilters({ since: "last tuesday" }), /Invalid since date/);
+});
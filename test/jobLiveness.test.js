@@ -0,0 +1,52 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { checkJobLink, buildClosedEmbed, setHttpClient } = require("../services/jobLiveness");
+
+// Answer every request with the same canned response
+function respondWith(response) {
+  setHttpClient(async (url) => ({ url, text: "", ...response }));
+}
+
+afterEach(() => setHttpClient(null));
+
+test("404 and 410 close a job; blocks and errors are inconclusive", async () => {
+  const job = { url: "https://boards.greenhouse.io/acme/jobs/1", sources: ["ats"] };
+
+  respondWith({ status: 404 });
+  assert.equal((await checkJobLink(job)).status, "closed");
+
+  respondWith({ status: 429 });
+  assert.equal((await checkJobLink(job)).status, "unknown");
+
+  setHttpClient(async () => {
+    throw new Error("ECONNRESET");
+  });
+  assert.deepEqual(await checkJobLink(job), { status: "unknown", reason: "ECONNRESET", httpStatus: null });
+});
+
+test("closed markers and takedown redirects close a job", async () => {
+  const job = { url: "https://www.linkedin.com/jobs/view/123", sources: ["linkedin"] };
+
+  respondWith({ status: 200, text: "<h1>Intern</h1><p>No longer accepting applications</p>" });
+  const closed = await checkJobLink(job);
+  assert.equal(closed.status, "closed");
+  assert.match(closed.reason, /no longer accepting applications/);
+
+  respondWith({ status: 200, url: "https://boards.greenhouse.io/acme?error=true" });
+  assert.equal((await checkJobLink(job)).status, "closed");
+
+  respondWith({ status: 200, text: "<h1>Intern</h1><button>Apply</button>" });
+  assert.equal((await checkJobLink(job)).status, "open");
+});
+
+test("buildClosedEmbed strikes through the title and adds a status field", () => {
+  const embed = buildClosedEmbed(
+    { title: "Acme - Software Engineer Intern", color: 0x0077b5, fields: [{ name: "Location", value: "Remote" }] },
+    "Link returns HTTP 404"
+  ).toJSON();
+
+  assert.equal(embed.title, "🔒 ~~Acme - Software Engineer Intern~~");
+  assert.equal(embed.color, 0x808080);
+  assert.deepEqual(embed.fields.map((field) => field.name), ["Location", "Status"]);
+  assert.match(embed.fields[1].value, /HTTP 404/);
+});
@@ -0,0 +1,63 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeCompany,
+  normalizeLocation,
+  titleTokens,
+  areLikelyDuplicates,
+} = require("../utils/jobMatching");
+const { deduplicateJobs } = require("../utils/helpers");
+
+test("normalizers strip company suffixes, state names and title noise", () => {
+  assert.equal(normalizeCompany("Google LLC"), "google");
+  assert.equal(normalizeCompany("Acme, Inc."), "acme");
+  assert.equal(normalizeCompany("Unknown Company"), "");
+  assert.equal(normalizeLocation("Mountain View, California, USA"), "mountain view ca");
+  assert.equal(normalizeLocation("New York, NY"), normalizeLocation("New York, New York"));
+  assert.equal(normalizeLocation("Not specified"), "");
+  assert.deepEqual(titleTokens("Software Engineer Intern - Summer 2026"), ["software", "engineer", "intern"]);
+  assert.deepEqual(titleTokens("Software Engineering Internship '26"), ["software", "engineer", "intern"]);
+});
+
+test("areLikelyDuplicates requires matching company, location and a similar title", () => {
+  const google = { title: "Software Engineer Intern - Summer 2026", company: "Google LLC", location: "Mountain View, CA" };
+
+  const same = areLikelyDuplicates(google, {
+    title: "Software Engineering Intern",
+    company: "Google",
+    location: "Mountain View, California",
+  }, 0.85);
+  assert.equal(same.duplicate, true);
+  assert.equal(same.score, 1);
+
+  assert.equal(areLikelyDuplicates(google, { ...google, company: "Alphabet" }, 0.85).duplicate, false);
+  assert.equal(areLikelyDuplicates(google, { ...google, location: "Seattle, WA" }, 0.85).duplicate, false);
+  assert.equal(areLikelyDuplicates(google, { ...google, title: "Data Scientist Intern" }, 0.85).duplicate, false);
+});
+
+test("postings for different seasons or years are not duplicates", () => {
+  const summer = { title: "Software Engineer Intern - Summer 2026", company: "Google", location: "Mountain View, CA" };
+
+  const fall = areLikelyDuplicates(summer, { ...summer, title: "Software Engineer Intern - Fall 2026" }, 0.85);
+  assert.deepEqual(fall, { duplicate: false, score: 0, reason: "different season" });
+
+  const newGrad = { title: "Software Engineer, New Grad 2026", company: "Google", location: "Mountain View, CA" };
+  const nextYear = areLikelyDuplicates(newGrad, { ...newGrad, title: "Software Engineer, New Grad 2027" }, 0.85);
+  assert.deepEqual(nextYear, { duplicate: false, score: 0, reason: "different year" });
+
+  // '26 is 2026, and a title without a term still matches one with it
+  assert.equal(areLikelyDuplicates(summer, { ...summer, title: "Software Engineering Internship Summer '26" }, 0.85).duplicate, true);
+  assert.equal(areLikelyDuplicates(summer, { ...summer, title: "Software Engineer Intern" }, 0.85).duplicate, true);
+});
+
+test("deduplicateJobs merges fuzzy duplicates across sources", () => {
+  const jobs = deduplicateJobs([
+    { title: "Software Engineer Intern - Summer 2026", company: "Google LLC", location: "Mountain View, CA", source: "linkedin" },
+    { title: "Software Engineering Intern", company: "Google", location: "Mountain View, California", source: "github" },
+    { title: "Product Manager Intern", company: "Google", location: "Mountain View, CA", source: "github" },
+  ]);
+
+  assert.equal(jobs.length, 2);
+  assert.deepEqual(jobs[0].sources, ["linkedin", "github"]);
+  assert.equal(jobs[1].title, "Product Manager Intern");
+});
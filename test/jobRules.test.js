@@ -0,0 +1,103 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+const { compileTerm, evaluateJob, matchRole, reloadRules, setRuntimeOverrides } = require("../utils/jobRules");
+
+after(() => {
+  config.jobFiltering.rulesFile = process.env.JOB_RULES_FILE || null;
+  reloadRules();
+});
+
+test("terms match whole words, prefixes with *, and /regex/", () => {
+  assert.equal(compileTerm("swe").regex.test("SWE Intern"), true);
+  assert.equal(compileTerm("swe").regex.test("Answer Desk"), false);
+  assert.equal(compileTerm("intern").regex.test("International Sales"), false);
+  assert.equal(compileTerm("engineer*").regex.test("Engineering Intern"), true);
+  assert.equal(compileTerm("full stack").regex.test("Full  Stack Developer"), true);
+  assert.equal(compileTerm("/\\bclass of 20\\d\\d\\b/").regex.test("SWE, Class of 2027"), true);
+});
+
+test("every decision carries the rule that made it", () => {
+  assert.deepEqual(evaluateJob({ title: "Senior Software Engineer", company: "Acme" }, { role: "intern" }), {
+    relevant: false,
+    check: "exclude",
+    reason: 'excluded keyword "senior"',
+    term: "senior",
+  });
+  assert.equal(evaluateJob({ title: "Software Engineer Intern", company: "Indeed" }).reason, 'excluded company "indeed"');
+  assert.equal(evaluateJob({ title: "Marketing Intern", company: "Acme" }).reason, "no required keyword");
+  assert.equal(
+    evaluateJob({ title: "Software Engineer", company: "Acme" }, { role: "both" }).reason,
+    "not an intern or new grad position"
+  );
+
+  const accepted = evaluateJob({ title: "Software Engineer I", company: "Acme" }, { role: "both" });
+  assert.equal(accepted.relevant, true);
+  assert.equal(accepted.reason, 'matched "software engineer*" as new_grad');
+});
+
+test("source overrides skip or replace rules, resolving task names by prefix", () => {
+  const curated = evaluateJob({ title: "Google - Software Engineer", source: "github (new grad)" }, { role: "intern" });
+  assert.equal(curated.relevant, true);
+  assert.equal(curated.check, "skip");
+
+  // ZipRecruiter's own require list keeps finance roles the default list would drop
+  const finance = { title: "Finance Intern", company: "Acme" };
+  assert.equal(evaluateJob(finance, { role: "intern" }).relevant, false);
+  assert.equal(evaluateJob({ ...finance, source: "ziprecruiter" }, { role: "intern" }).relevant, true);
+
+  assert.equal(matchRole("Software Engineering Co-op"), "intern");
+  assert.equal(matchRole("Associate Software Engineer"), "new_grad");
+  assert.equal(matchRole("Software Engineer"), null);
+});
+
+test("a JSON rules file changes the rules without code changes", () => {
+  const file = path.join(os.tmpdir(), `job-rules-${process.pid}.json`);
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      include: ["product manager*"],
+      roles: { intern: { exclude: ["unpaid"] } },
+      sources: { github: { skip: ["role"] } },
+    })
+  );
+  config.jobFiltering.rulesFile = file;
+  reloadRules();
+  fs.unlinkSync(file);
+
+  assert.equal(evaluateJob({ title: "Product Manager Intern", company: "Acme" }, { role: "intern" }).relevant, true);
+  assert.equal(
+    evaluateJob({ title: "Unpaid Software Engineer Intern", company: "Acme" }, { role: "intern" }).reason,
+    'excluded for intern by "unpaid"'
+  );
+  assert.equal(
+    evaluateJob({ title: "Acme - Senior Software Engineer", source: "github" }, { role: "intern" }).reason,
+    'excluded keyword "senior"'
+  );
+  // Role lists not in the file are kept
+  assert.equal(matchRole("Software Engineer, New Grad"), "new_grad");
+});
+
+test("runtime overrides from /filter apply without a restart", () => {
+  config.jobFiltering.rulesFile = null;
+  const title = { title: "Software Engineer Intern, Crypto Trading", company: "Acme" };
+  assert.equal(evaluateJob(title, { role: "intern" }).relevant, true);
+
+  setRuntimeOverrides({ exclude: ["crypto*"] });
+  assert.equal(evaluateJob(title, { role: "intern" }).reason, 'excluded keyword "crypto*"');
+  // Runtime terms reach sources with their own lists too, and runtime excludes sources that skip the rules
+  assert.equal(evaluateJob({ ...title, source: "ziprecruiter" }, { role: "intern" }).relevant, false);
+  assert.equal(
+    evaluateJob({ ...title, source: "github (new grad)" }, { role: "intern" }).reason,
+    'excluded keyword "crypto*" (/filter)'
+  );
+
+  setRuntimeOverrides({ include: ["staff accountant"] });
+  assert.equal(evaluateJob({ title: "Staff Accountant", company: "Acme" }).check, "include");
+
+  setRuntimeOverrides({});
+  assert.equal(evaluateJob(title, { role: "intern" }).relevant, true);
+});
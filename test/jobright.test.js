@@ -0,0 +1,47 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { readFixture } = require("./support");
+const { parseJobsFromMarkdown } = require("../scrapers/jobright");
+
+const repo = {
+  name: "JobRight-SWE-NewGrad",
+  url: "https://github.com/jobright-ai/2026-Software-Engineer-New-Grad",
+  type: "new_grad",
+};
+
+test("parses the JobRight README markdown table", () => {
+  const jobs = parseJobsFromMarkdown(readFixture("jobright-readme.md"), repo);
+
+  assert.deepEqual(jobs[0], {
+    title: "Software Engineer, New Grad",
+    company: "Acme Robotics",
+    location: "San Francisco, CA",
+    workModel: "On Site",
+    postedDate: "Oct 17",
+    url: "https://jobright.ai/jobs/info/aaa111?utm_source=1100",
+    description: "Software Engineer, New Grad at Acme Robotics - San Francisco, CA (On Site)",
+    metadata: "Source: JobRight-SWE-NewGrad",
+    salary: "",
+    source: "jobright",
+    role: "new_grad",
+    repoName: "JobRight-SWE-NewGrad",
+    normalizedId: "jobright-Acme Robotics_Software Engineer, New Grad_San Francisco, CA_Oct 17",
+  });
+});
+
+test("carries the company into ↳ sub-rows and drops duplicate or incomplete rows", () => {
+  const jobs = parseJobsFromMarkdown(readFixture("jobright-readme.md"), repo);
+
+  assert.deepEqual(
+    jobs.map((job) => [job.company, job.title]),
+    [
+      ["Acme Robotics", "Software Engineer, New Grad"],
+      ["Acme Robotics", "Backend Engineer I"],
+      ["Globex", "Associate Software Developer"],
+    ]
+  );
+});
+
+test("returns no jobs when the README has no job table", () => {
+  assert.deepEqual(parseJobsFromMarkdown("# Nothing here\n\nCheck back later.", repo), []);
+});
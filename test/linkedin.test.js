@@ -0,0 +1,47 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseHtmlFixture } = require("./support");
+const { parseLinkedInJobCards } = require("../scrapers/linkedin");
+
+const PAGE_URL = "https://www.linkedin.com/jobs/search/?keywords=software%20engineer%20intern";
+
+test("parses LinkedIn search cards into job objects", async () => {
+  const jobs = await parseHtmlFixture("linkedin-search.html", PAGE_URL, parseLinkedInJobCards, 25);
+
+  assert.equal(jobs.length, 2);
+  assert.deepEqual(jobs[0], {
+    id: "linkedin-3912345678",
+    title: "Software Engineer Intern",
+    url: "https://www.linkedin.com/jobs/view/software-engineer-intern-at-acme-robotics-3912345678?refId=abc&trackingId=def",
+    company: "Acme Robotics",
+    location: "San Francisco, CA",
+    postedDate: "1 day ago",
+    description: "",
+    metadata: "",
+    salary: "",
+    workModel: "",
+    source: "linkedin",
+  });
+});
+
+test("skips aggregator companies and cards without a link", async () => {
+  const jobs = await parseHtmlFixture("linkedin-search.html", PAGE_URL, parseLinkedInJobCards, 25);
+  const companies = jobs.map((job) => job.company);
+
+  assert.ok(!companies.includes("Jobright.ai"));
+  assert.ok(!companies.includes("Initech"));
+});
+
+test("fills fallbacks for missing location and date", async () => {
+  const jobs = await parseHtmlFixture("linkedin-search.html", PAGE_URL, parseLinkedInJobCards, 25);
+  const globex = jobs.find((job) => job.company === "Globex");
+
+  assert.equal(globex.id, "linkedin-3912345680");
+  assert.equal(globex.location, "Location not specified");
+  assert.equal(globex.postedDate, "Recently posted");
+});
+
+test("reads at most maxJobs cards", async () => {
+  const jobs = await parseHtmlFixture("linkedin-search.html", PAGE_URL, parseLinkedInJobCards, 1);
+  assert.deepEqual(jobs.map((job) => job.id), ["linkedin-3912345678"]);
+});
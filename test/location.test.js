@@ -0,0 +1,116 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseLocations, detectWorkModel, matchesLocation, withLocation } = require("../utils/location");
+const { matchesSubscription } = require("../services/subscriptions");
+const { createJobEmbed } = require("../utils/helpers");
+const { notifyJobs, collectMatchingJobs } = require("../services/notifiers");
+const config = require("../config");
+const { createWebhookReceiver } = require("../webhook-test-server");
+
+test("location strings are split into city, state and country entries", () => {
+  const places = (text) => parseLocations(text).map(({ city, state, country, remote }) => [city, state, country, remote]);
+
+  assert.deepEqual(places("Mountain View, CA"), [["Mountain View", "CA", "United States", false]]);
+  assert.deepEqual(places("Remote in USA"), [[null, null, "United States", true]]);
+  assert.deepEqual(places("NYC / SF / Seattle"), [
+    ["New York", "NY", "United States", false],
+    ["San Francisco", "CA", "United States", false],
+    ["Seattle", "WA", "United States", false],
+  ]);
+  assert.deepEqual(places("Seattle, WA, New York, NY"), [
+    ["Seattle", "WA", "United States", false],
+    ["New York", "NY", "United States", false],
+  ]);
+  assert.deepEqual(places("Sunnyvale, California, USA"), [["Sunnyvale", "CA", "United States", false]]);
+  assert.deepEqual(places("Washington, DC"), [["Washington", "DC", "United States", false]]);
+  assert.deepEqual(places("Toronto, ON, Canada"), [["Toronto", "ON", "Canada", false]]);
+  assert.deepEqual(places("United States"), [[null, null, "United States", false]]);
+  assert.deepEqual(places("Austin, TX 78701 (Hybrid)"), [["Austin", "TX", "United States", false]]);
+  assert.deepEqual(places("3 locations"), []);
+  assert.deepEqual(places("Not specified"), []);
+});
+
+test("work models come from the source, then the location, title and description", () => {
+  assert.equal(detectWorkModel({ workModel: "On Site", location: "Remote" }), "onsite");
+  assert.equal(detectWorkModel({ location: "Remote - US" }), "remote");
+  assert.equal(detectWorkModel({ location: "Seattle, WA (Hybrid)" }), "hybrid");
+  assert.equal(detectWorkModel({ location: "Boston, MA", title: "Software Engineer Intern (Remote)" }), "remote");
+  assert.equal(detectWorkModel({ location: "Boston, MA", description: "This is a hybrid role, 3 days a week in the office." }), "hybrid");
+  assert.equal(detectWorkModel({ location: "Boston, MA", description: "Our remote-friendly team values balance." }), "");
+});
+
+test("places match as typed, not as substrings", () => {
+  const job = (location) => withLocation({ title: "Software Engineer Intern", location });
+
+  assert.equal(matchesLocation(job("New York, NY"), "nyc"), true);
+  assert.equal(matchesLocation(job("Albany, NY"), "new york"), true);
+  assert.equal(matchesLocation(job("Sunnyvale, CA"), "ny"), false);
+  assert.equal(matchesLocation(job("NYC / SF / Seattle"), "california"), true);
+  assert.equal(matchesLocation(job("Austin, TX"), "usa"), true);
+  assert.equal(matchesLocation(job("Remote in USA"), "remote"), true);
+  assert.equal(matchesLocation(job("3 locations"), "seattle"), false);
+  // "LA" alone is Los Angeles; after a city it's Louisiana
+  assert.equal(matchesLocation(job("Los Angeles, CA"), "la"), true);
+  assert.equal(matchesLocation(job("LA / SF"), "los angeles"), true);
+  assert.equal(matchesLocation(job("Lafayette, LA"), "louisiana"), true);
+  assert.equal(matchesLocation(job("Lafayette, LA"), "la"), false);
+
+  assert.equal(matchesSubscription(job("Sunnyvale, CA"), { locations: ["ny"] }), false);
+  assert.equal(matchesSubscription(job("Seattle, WA"), { locations: ["ny", "seattle"] }), true);
+  assert.equal(matchesSubscription(job("Remote - US"), { remoteOnly: true }), true);
+  assert.equal(matchesSubscription(job("Seattle, WA"), { remoteOnly: true }), false);
+});
+
+test("embeds show the work model", () => {
+  const embed = createJobEmbed(
+    withLocation({ title: "Backend Intern", company: "Acme", url: "https://jobs.example/1", location: "Remote - US" }),
+    "LinkedIn",
+    0x0077b5
+  ).toJSON();
+  assert.deepEqual(
+    embed.fields.find((field) => field.name === "Work Model"),
+    { name: "Work Model", value: "🏠 Remote", inline: true }
+  );
+});
+
+test("a location run still delivers every job and collects the matches for the caller", async () => {
+  const originalNotifiers = config.notifiers;
+  const receiver = createWebhookReceiver({});
+  const server = receiver.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  config.notifiers = {
+    ...originalNotifiers,
+    discord: { enabled: false },
+    sinks: [{ name: "local", type: "webhook", url: `http://127.0.0.1:${server.address().port}/hook` }],
+  };
+  const client = { channels: { cache: { get: () => null } } };
+  const jobs = [
+    { title: "Software Engineer Intern", company: "Acme", url: "https://jobs.example/1", location: "Seattle, WA" },
+    { title: "Backend Intern", company: "Globex", url: "https://jobs.example/2", location: "Remote - US" },
+    { title: "Data Analyst Intern", company: "Initech", url: "https://jobs.example/3", location: "Austin, TX" },
+  ];
+
+  const matches = [];
+  try {
+    const summary = await collectMatchingJobs({ location: "seattle", remoteOnly: false }, matches, () =>
+      notifyJobs(jobs, { client, sourceName: "Fixture" })
+    );
+    assert.deepEqual(summary, { local: { delivered: 3 } });
+  } finally {
+    config.notifiers = originalNotifiers;
+    server.close();
+  }
+
+  assert.deepEqual(
+    receiver.locals.received[0].payload.jobs.map((job) => [job.title, job.workModel]),
+    [
+      ["Software Engineer Intern", ""],
+      ["Backend Intern", "remote"],
+      ["Data Analyst Intern", ""],
+    ]
+  );
+  assert.deepEqual(
+    matches.map((job) => job.title),
+    ["Software Engineer Intern"]
+  );
+});
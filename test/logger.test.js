@@ -0,0 +1,78 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const config = require("../config");
+const logger = require("../services/logger");
+
+const originalLogging = config.logging;
+const originalConsoleLog = console.log;
+let directory;
+
+const readLines = (name) =>
+  fs.readFileSync(path.join(directory, name), "utf8").trim().split("\n").map((line) => JSON.parse(line));
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "job-bot-logs-"));
+  config.logging = { ...originalLogging, directory, level: "info", bufferSize: 1000, rotation: {} };
+  console.log = () => {};
+});
+
+after(() => {
+  config.logging = originalLogging;
+  console.log = originalConsoleLog;
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+test("lines are JSON with the level, child context and run context", async () => {
+  const scraperLog = logger.child({ source: "fixture" });
+
+  await logger.runWithContext({ runId: "run-1" }, async () => {
+    await Promise.resolve();
+    scraperLog.log("kept", "info", { count: 3 });
+    scraperLog.debug("below the minimum level");
+    logger.warn("outside the child");
+  });
+  logger.info("after the run");
+
+  // Nothing is on disk until the buffer is flushed
+  assert.equal(fs.existsSync(path.join(directory, originalLogging.combinedFile)), false);
+  await logger.flush();
+
+  const lines = readLines(originalLogging.combinedFile);
+  assert.deepEqual(
+    lines.map(({ time, ...rest }) => rest),
+    [
+      { level: "info", msg: "kept", runId: "run-1", source: "fixture", count: 3 },
+      { level: "warn", msg: "outside the child", runId: "run-1" },
+      { level: "info", msg: "after the run" },
+    ]
+  );
+  assert.ok(!Number.isNaN(Date.parse(lines[0].time)));
+});
+
+test("files rotate past the size limit and keep maxFiles rotated copies", async () => {
+  config.logging = { ...config.logging, combinedFile: "rotating.log", rotation: { maxSizeMB: 0.0005, maxFiles: 2 } };
+  const originalConsoleError = console.error;
+  console.error = () => {};
+
+  try {
+    // Each flush is about 300 bytes, so every flush after the first rotates (limit ~524 bytes)
+    for (let i = 0; i < 5; i++) {
+      logger.error(`entry ${i} ${"x".repeat(200)}`, { error: new Error(`boom ${i}`) });
+      await logger.flush();
+    }
+  } finally {
+    console.error = originalConsoleError;
+  }
+
+  const rotated = fs.readdirSync(directory).filter((name) => /^rotating\.\d{4}-\d{2}-\d{2}\.\d+\.log$/.test(name));
+  assert.equal(rotated.length, 2);
+  // The live file holds the newest entry; errors keep their message
+  const [live] = readLines("rotating.log");
+  assert.match(live.msg, /^entry 4 /);
+  assert.equal(live.error.message, "boom 4");
+  // Errors also go to the error log
+  assert.match(readLines(originalLogging.errorFile).pop().msg, /^entry 4 /);
+});
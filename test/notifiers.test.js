@@ -0,0 +1,145 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../config");
+const { notifyJobs, signPayload, verifySignature } = require("../services/notifiers");
+const { createWebhookReceiver } = require("../webhook-test-server");
+
+const originalNotifiers = config.notifiers;
+let receiver;
+let server;
+let baseUrl;
+
+before(async () => {
+  receiver = createWebhookReceiver({ secret: "s3cret", failFirst: 1 });
+  server = receiver.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(() => {
+  receiver.locals.received.length = 0;
+});
+
+after(() => {
+  config.notifiers = originalNotifiers;
+  server.close();
+});
+
+const client = { channels: { cache: { get: () => null } } };
+const jobs = [
+  { title: "Software Engineer Intern", company: "Acme", location: "Remote", url: "https://jobs.example/1", role: "intern" },
+  { title: "Data Analyst", company: "Globex", url: "https://jobs.example/2", role: "new_grad" },
+  { title: "Backend Intern", company: "Initech", role: "intern" }, // no URL: never delivered
+];
+
+const useSinks = (sinks) => {
+  config.notifiers = { ...originalNotifiers, discord: { enabled: false }, sinks };
+};
+
+test("webhook sinks get signed JSON for their roles and retry server errors", async () => {
+  useSinks([
+    { name: "interns", type: "webhook", url: `${baseUrl}/hook`, secret: "s3cret", roles: ["intern"], retryDelayMs: 10 },
+  ]);
+
+  const summary = await notifyJobs(jobs, { client, sourceName: "Fixture" });
+
+  // The first request got a 503 and was retried
+  assert.deepEqual(summary, { interns: { delivered: 1 } });
+  assert.equal(receiver.locals.received.length, 1);
+  const { payload, deliveryId } = receiver.locals.received[0];
+  assert.ok(deliveryId);
+  assert.equal(payload.event, "jobs.new");
+  assert.equal(payload.source, "Fixture");
+  assert.deepEqual(
+    payload.jobs.map((job) => [job.title, job.role, job.category]),
+    [["Software Engineer Intern", "intern", "software_engineering"]]
+  );
+});
+
+test("client errors are not retried, and a wrong secret fails the sink", async () => {
+  useSinks([{ name: "bad-secret", type: "webhook", url: `${baseUrl}/hook`, secret: "wrong", retryDelayMs: 10 }]);
+
+  const summary = await notifyJobs(jobs, { client, sourceName: "Fixture" });
+  assert.equal(summary["bad-secret"].delivered, 0);
+  assert.match(summary["bad-secret"].error, /HTTP 401/);
+  assert.equal(receiver.locals.received.length, 0);
+});
+
+test("Slack sinks get one message per role and category", async () => {
+  useSinks([{ name: "slack", type: "slack", url: `${baseUrl}/slack`, categories: ["data_analysis"] }]);
+
+  await notifyJobs(jobs, { client, sourceName: "Fixture" });
+  assert.equal(receiver.locals.received.length, 1);
+  const { payload } = receiver.locals.received[0];
+  assert.equal(payload.text, "Fixture - 1 new new grad posting (data analysis)");
+  assert.equal(payload.blocks[1].text.text, "*<https://jobs.example/2|Data Analyst>*\nGlobex");
+});
+
+test("Slack links keep URLs with query strings and pipes intact", async () => {
+  useSinks([{ name: "slack", type: "slack", url: `${baseUrl}/slack` }]);
+  const job = {
+    title: "R&D Intern | Summer",
+    company: "Acme",
+    url: "https://jobs.example/view?id=3&ref=a|b>c",
+    role: "intern",
+  };
+
+  await notifyJobs([job], { client, sourceName: "Fixture" });
+  const { payload } = receiver.locals.received[0];
+  assert.equal(
+    payload.blocks[1].text.text,
+    "*<https://jobs.example/view?id=3&amp;ref=a%7Cb&gt;c|R&amp;D Intern ¦ Summer>*\nAcme"
+  );
+});
+
+test("offline clients (dry runs) deliver nothing and bad sinks are skipped", async () => {
+  useSinks([
+    { name: "local", type: "webhook", url: `${baseUrl}/hook` },
+    { name: "typo", type: "webhooks", url: `${baseUrl}/hook` },
+  ]);
+
+  assert.deepEqual(await notifyJobs(jobs, { client: { ...client, offline: true }, sourceName: "Fixture" }), {});
+  assert.deepEqual(Object.keys(await notifyJobs(jobs, { client, sourceName: "Fixture" })), ["local"]);
+});
+
+test("the Discord sink posts to channels and retries Discord server errors", async () => {
+  const originalChannels = config.channels;
+  config.notifiers = {
+    ...originalNotifiers,
+    discord: { enabled: true, roles: ["intern"] },
+    retry: { retries: 2, baseDelayMs: 1 },
+    sinks: [],
+  };
+  config.channels = { intern: { software_engineering: "111" }, new_grad: {} };
+
+  const sent = [];
+  let failures = 1;
+  const channel = {
+    id: "111",
+    send: async (payload) => {
+      if (failures-- > 0) throw Object.assign(new Error("Internal Server Error"), { status: 500 });
+      sent.push(payload);
+      return { id: `m${sent.length}` };
+    },
+  };
+  const discordClient = { channels: { cache: { get: (id) => (id === "111" ? channel : null) } } };
+
+  try {
+    const summary = await notifyJobs(jobs, { client: discordClient, sourceName: "Fixture", delay: async () => {} });
+    assert.deepEqual(summary, { discord: { delivered: 1 } });
+    // Header (sent on the retry), then one message with the job embed
+    assert.equal(sent.length, 2);
+    assert.match(sent[0], /1 new internship posting \(software engineering\)/);
+    assert.equal(sent[1].embeds.length, 1);
+  } finally {
+    config.channels = originalChannels;
+  }
+});
+
+test("signatures cover the timestamp and the exact body", () => {
+  const signature = signPayload("s3cret", 1700000000, '{"a":1}');
+  assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+  assert.equal(verifySignature("s3cret", 1700000000, '{"a":1}', signature), true);
+  assert.equal(verifySignature("s3cret", 1700000001, '{"a":1}', signature), false);
+  assert.equal(verifySignature("s3cret", 1700000000, '{"a": 1}', signature), false);
+});
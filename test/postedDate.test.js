@@ -0,0 +1,56 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parsePostedDate, withPostedAt } = require("../utils/postedDate");
+const { filterJobsByDate } = require("../utils/helpers");
+
+const now = new Date(2026, 0, 5, 12, 0, 0);
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const parse = (raw) => {
+  const { postedAt, confidence } = parsePostedDate(raw, now);
+  return [postedAt && postedAt.getTime(), confidence];
+};
+
+test("relative and shorthand dates count back from the scrape time", () => {
+  assert.deepEqual(parse("2 hours ago"), [now.getTime() - 2 * HOUR_MS, "exact"]);
+  assert.deepEqual(parse("an hour ago"), [now.getTime() - HOUR_MS, "exact"]);
+  assert.deepEqual(parse("Posted 3 days ago"), [now.getTime() - 3 * DAY_MS, "day"]);
+  assert.deepEqual(parse("0d"), [now.getTime(), "day"]);
+  assert.deepEqual(parse("1w"), [now.getTime() - 7 * DAY_MS, "approximate"]);
+  assert.deepEqual(parse("3mo"), [now.getTime() - 90 * DAY_MS, "approximate"]);
+  assert.deepEqual(parse("30+ days ago"), [now.getTime() - 30 * DAY_MS, "approximate"]);
+  assert.deepEqual(parse("Just posted"), [now.getTime(), "day"]);
+});
+
+test("month-day dates roll back a year when they would be in the future", () => {
+  assert.deepEqual(parse("Dec 30"), [new Date(2025, 11, 30).getTime(), "day"]);
+  assert.deepEqual(parse("Jan 4"), [new Date(2026, 0, 4).getTime(), "day"]);
+  assert.deepEqual(parse("August 24, 2024"), [new Date(2024, 7, 24).getTime(), "day"]);
+});
+
+test("timestamps are exact, and placeholders or future dates are handled", () => {
+  assert.deepEqual(parse("2026-01-02T09:30:00Z"), [Date.parse("2026-01-02T09:30:00Z"), "exact"]);
+  assert.deepEqual(parse("2030-01-01"), [now.getTime(), "day"]);
+  for (const raw of ["Hiring ongoing", "N/A", "Not specified", "Remote", "", null, undefined]) {
+    assert.deepEqual(parse(raw), [null, "unknown"], String(raw));
+  }
+});
+
+test("withPostedAt keeps a stored postedAt and filterJobsByDate returns dated jobs", () => {
+  const stored = withPostedAt({ postedDate: "2 days ago", postedAt: "2025-12-01T00:00:00Z" });
+  assert.deepEqual(stored.postedAt, new Date("2025-12-01T00:00:00Z"));
+
+  const [recent, undated] = filterJobsByDate(
+    [
+      { title: "recent", postedDate: "5 hours ago" },
+      { title: "old", postedDate: "Dec 1, 2020" },
+      { title: "undated", postedDate: "Hiring ongoing" },
+    ],
+    "week"
+  );
+  assert.equal(recent.title, "recent");
+  assert.equal(recent.postedAtConfidence, "exact");
+  assert.ok(recent.postedAt instanceof Date);
+  assert.equal(undated.postedAt, null);
+});
@@ -0,0 +1,109 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../config");
+const { parseSalary, meetsMinSalary, formatAnnual } = require("../utils/salary");
+const { createDiscordJobMessages } = require("../utils/helpers");
+const { notifyJobs, collectMatchingJobs } = require("../services/notifiers");
+const { createWebhookReceiver } = require("../webhook-test-server");
+
+const originalNotifiers = config.notifiers;
+let receiver;
+let server;
+
+before(async () => {
+  receiver = createWebhookReceiver({});
+  server = receiver.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  config.notifiers = {
+    ...originalNotifiers,
+    discord: { enabled: false },
+    sinks: [{ name: "local", type: "webhook", url: `http://127.0.0.1:${server.address().port}/hook` }],
+  };
+});
+
+after(() => {
+  config.notifiers = originalNotifiers;
+  server.close();
+});
+
+test("salary text is parsed into min, max, period, currency and a yearly figure", () => {
+  const parse = (text) => {
+    const { salaryMin, salaryMax, salaryPeriod, currency, salaryAnnual } = parseSalary(text);
+    return [salaryMin, salaryMax, salaryPeriod, currency, salaryAnnual];
+  };
+
+  assert.deepEqual(parse("$45/hr"), [45, 45, "hour", "USD", 93600]);
+  assert.deepEqual(parse("$40.00 - $50.00 Per Hour"), [40, 50, "hour", "USD", 93600]);
+  assert.deepEqual(parse("$120K - $150K a year"), [120000, 150000, "year", "USD", 135000]);
+  assert.deepEqual(parse("$8,000/month"), [8000, 8000, "month", "USD", 96000]);
+  // No period stated: inferred from the amount, and "K" on the upper bound covers both
+  assert.deepEqual(parse("$120-150K"), [120000, 150000, "year", "USD", 135000]);
+  assert.deepEqual(parse("$35 - $40"), [35, 40, "hour", "USD", 78000]);
+  assert.deepEqual(parse("CA$90,000"), [90000, 90000, "year", "CAD", 90000]);
+  assert.deepEqual(parse("£30,000 per annum"), [30000, 30000, "year", "GBP", 30000]);
+
+  assert.equal(parseSalary(""), null);
+  assert.equal(parseSalary("Competitive"), null);
+  // Numbers that aren't pay: no currency, K/M suffix or pay period
+  assert.equal(parseSalary("401(k) match"), null);
+  assert.equal(parseSalary("Generous 401k match and 20 days PTO"), null);
+  assert.equal(parseSalary("Class of 2026"), null);
+  assert.deepEqual(parse("120K-150K"), [120000, 150000, "year", "USD", 135000]);
+  assert.deepEqual(parse("45 per hour"), [45, 45, "hour", "USD", 93600]);
+  // The marked amount, not the first number in the text
+  assert.deepEqual(parse("2 yrs exp, $120K"), [120000, 120000, "year", "USD", 120000]);
+  assert.deepEqual(parse("Estimated: 3 years, $95,000"), [95000, 95000, "year", "USD", 95000]);
+  assert.deepEqual(parse("3 months, 45 per hour"), [45, 45, "hour", "USD", 93600]);
+  assert.equal(formatAnnual(93600), "$94k/yr");
+});
+
+test("min_salary keeps jobs without a salary or in another currency", () => {
+  assert.equal(meetsMinSalary({ salary: "$45/hr" }, 100000), false);
+  assert.equal(meetsMinSalary({ salary: "$60/hr" }, 100000), true);
+  assert.equal(meetsMinSalary({ salary: "" }, 100000), true);
+  assert.equal(meetsMinSalary({ salary: "£30,000 per annum" }, 100000), true);
+  assert.equal(meetsMinSalary({ salary: "$45/hr" }, null), true);
+});
+
+test("summaries can list the best-paid jobs first", () => {
+  const jobs = [
+    { title: "Unpaid Listing", company: "Acme", url: "https://jobs.example/1" },
+    { title: "Hourly Intern", company: "Globex", url: "https://jobs.example/2", salary: "$30/hr" },
+    { title: "Yearly Engineer", company: "Initech", url: "https://jobs.example/3", salary: "$120K - $150K a year" },
+  ];
+
+  const [message] = createDiscordJobMessages(jobs, 15, "salary");
+  const titles = [...message.matchAll(/\*\*(Unpaid Listing|Hourly Intern|Yearly Engineer)\*\*/g)].map((m) => m[1]);
+  assert.deepEqual(titles, ["Yearly Engineer", "Hourly Intern", "Unpaid Listing"]);
+  assert.match(message, /💰 \$120K - \$150K a year/);
+});
+
+test("a min_salary run still delivers every job and collects the matches for the caller", async () => {
+  const client = { channels: { cache: { get: () => null } } };
+  const jobs = [
+    { title: "Software Engineer Intern", company: "Acme", url: "https://jobs.example/1", role: "intern", salary: "$25/hr" },
+    { title: "Data Engineer", company: "Globex", url: "https://jobs.example/2", role: "new_grad", salary: "$130K/yr" },
+    { title: "Backend Engineer", company: "Initech", url: "https://jobs.example/3", role: "new_grad" },
+  ];
+
+  const matches = [];
+  const summary = await collectMatchingJobs({ minSalary: 100000 }, matches, () =>
+    notifyJobs(jobs, { client, sourceName: "Fixture" })
+  );
+
+  // The lower-paid job is not held back from the shared sinks (it is stored as seen by now)
+  assert.deepEqual(summary, { local: { delivered: 3 } });
+  const { payload } = receiver.locals.received[0];
+  assert.deepEqual(
+    payload.jobs.map((job) => [job.title, job.salaryAnnual, job.salaryPeriod]),
+    [
+      ["Software Engineer Intern", 52000, "hour"],
+      ["Data Engineer", 130000, "year"],
+      ["Backend Engineer", null, null],
+    ]
+  );
+  assert.deepEqual(
+    matches.map((job) => job.title),
+    ["Data Engineer", "Backend Engineer"]
+  );
+});
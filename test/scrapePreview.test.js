@@ -0,0 +1,105 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../config");
+const runHistory = require("../services/runHistory");
+const scrape = require("../scrape");
+const { createPreview, addToPreview, formatPreviewText } = require("../services/scrapePreview");
+
+const originalChannels = config.channels;
+const originalRecord = runHistory.recordScraperResult;
+
+after(() => {
+  config.channels = originalChannels;
+  runHistory.recordScraperResult = originalRecord;
+  delete scrape.availableScrapers.fixture;
+});
+
+const jobs = [
+  { title: "Software Engineer Intern", company: "Acme", url: "https://jobs.example/1", location: "Remote" },
+  { title: "Data Analyst, New Grad", company: "Globex", url: "https://jobs.example/2" },
+  { title: "Software Engineer Intern", company: "Initech" }, // no URL: never posted
+];
+
+test("previews route jobs to the channels sendJobsToDiscord would use", () => {
+  config.channels = { intern: { software_engineering: "111" }, new_grad: {} };
+  const preview = createPreview();
+  addToPreview(preview, "Fixture", jobs, "both");
+
+  assert.deepEqual([...preview.routes.keys()], ["intern::software_engineering", "new_grad::data_analysis"]);
+  assert.equal(preview.routes.get("intern::software_engineering").channelId, "111");
+  assert.equal(preview.routes.get("new_grad::data_analysis").channelId, null);
+  assert.deepEqual(preview.sources, [{ name: "Fixture", role: "both", posts: 2 }]);
+
+  const text = formatPreviewText(preview);
+  assert.match(text, /^DRY RUN: nothing was saved or sent\. 2 post\(s\) would go out\./);
+  assert.match(text, /#intern\/software_engineering \(channel 111\): 1 post\(s\)\n {2}\[Fixture\] Software Engineer Intern \(Acme · Remote\)/);
+  assert.match(text, /#new_grad\/data_analysis \(no channel configured, would be skipped\)/);
+});
+
+test("a dry run of one source records and posts nothing", async () => {
+  config.channels = { intern: { software_engineering: "111" }, new_grad: {} };
+  runHistory.recordScraperResult = async () => assert.fail("dry runs must not record history");
+
+  let scraperArgs;
+  scrape.availableScrapers.fixture = {
+    name: "Fixture",
+    scraper: async (...args) => {
+      scraperArgs = args;
+      return { jobs, jobsFound: 2 };
+    },
+  };
+
+  const result = await scrape.runSpecificScraper("fixture", null, { dryRun: true, role: "intern", timeFilter: "week" });
+
+  assert.equal(result.success, true);
+  assert.equal(result.dryRun, true);
+  assert.equal(result.historyRunId, undefined);
+  // The scraper gets a client that can't post, and is told not to save
+  assert.equal(scraperArgs[0].channels.cache.get(config.logChannelId), null);
+  assert.deepEqual(scraperArgs.slice(1), ["intern", "week", { dryRun: true }]);
+  assert.equal(result.preview.routes.get("intern::software_engineering").posts.length, 1);
+});
+
+test("a slash preview waits for a run of the same source and blocks others while it runs", async () => {
+  const scheduler = require("../services/scheduler");
+  const { handleSlash } = require("../services/commandHandler");
+  config.channels = { intern: { software_engineering: "111" }, new_grad: {} };
+  runHistory.recordScraperResult = async () => assert.fail("dry runs must not record history");
+
+  const originalLinkedIn = scrape.availableScrapers.linkedin;
+  let conflictDuringRun;
+  scrape.availableScrapers.linkedin = {
+    name: "LinkedIn",
+    scraper: async () => {
+      conflictDuringRun = scheduler.findRunningConflict(["linkedin"]);
+      return { jobs, jobsFound: 2 };
+    },
+  };
+  const replies = [];
+  const interaction = {
+    commandName: "linkedin",
+    options: { getString: () => null, getBoolean: (name) => name === "preview", getInteger: () => null },
+    reply: async (message) => replies.push(message),
+    deferReply: async () => {},
+    editReply: async (message) => replies.push(message),
+  };
+
+  try {
+    const release = scheduler.trackRun("command jobslinkedin", ["linkedin"]);
+    try {
+      await handleSlash(interaction, null);
+    } finally {
+      release();
+    }
+    assert.equal(replies.length, 1);
+    assert.match(replies[0].content, /Can't preview \/linkedin now: command jobslinkedin is still in progress/);
+    assert.equal(conflictDuringRun, undefined);
+
+    await handleSlash(interaction, null);
+    assert.equal(conflictDuringRun, "preview linkedin is still in progress");
+    assert.match(replies[1].embeds[0].toJSON().title, /Preview: LinkedIn \(both\)/);
+    assert.equal(scheduler.findRunningConflict(["linkedin"]), null);
+  } finally {
+    scrape.availableScrapers.linkedin = originalLinkedIn;
+  }
+});
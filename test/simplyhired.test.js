@@ -0,0 +1,39 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseHtmlFixture } = require("./support");
+const { parseSimplyHiredJobCards } = require("../scrapers/simplyhired");
+
+const PAGE_URL = "https://www.simplyhired.com/search?q=software+engineer+intern";
+
+test("parses SimplyHired cards and resolves relative links", async () => {
+  const jobs = await parseHtmlFixture("simplyhired-search.html", PAGE_URL, parseSimplyHiredJobCards);
+
+  assert.equal(jobs.length, 2);
+  const { id, ...fields } = jobs[0];
+  assert.match(id, /^sh-/);
+  assert.deepEqual(
+    fields,
+    {
+      title: "Software Engineer Intern",
+      url: "https://www.simplyhired.com/job/AbC123xyz",
+      company: "Acme Robotics",
+      location: "Seattle, WA",
+      postedDate: "3d",
+      description: "",
+      metadata: "",
+      salary: "",
+      workModel: "",
+      source: "simplyhired",
+    }
+  );
+  assert.equal(jobs[1].location, "Not specified");
+  assert.equal(jobs[1].postedDate, "N/A");
+});
+
+test("derives SimplyHired ids from url and title deterministically", async () => {
+  const first = await parseHtmlFixture("simplyhired-search.html", PAGE_URL, parseSimplyHiredJobCards);
+  const second = await parseHtmlFixture("simplyhired-search.html", PAGE_URL, parseSimplyHiredJobCards);
+
+  assert.notEqual(first[0].id, first[1].id);
+  assert.deepEqual(first.map((job) => job.id), second.map((job) => job.id));
+});
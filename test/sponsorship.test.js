@@ -0,0 +1,71 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseHtmlFixture } = require("./support");
+const { parseReadmeTables, postsToJobs } = require("../scrapers/github");
+const { classifyWorkAuthorization, withWorkAuthorization } = require("../utils/jobDetails");
+const { guildAcceptsJob, defaultGuildSettings } = require("../utils/guildRouting");
+const { matchesSubscription } = require("../services/subscriptions");
+const { buildJobBadges } = require("../utils/helpers");
+
+const repo = { name: "SimplifyJobs-NewGrad", url: "https://github.com/SimplifyJobs/New-Grad-Positions", type: "new_grad" };
+
+test("descriptions are classified for sponsorship and citizenship", () => {
+  const classify = (description) => classifyWorkAuthorization({ title: "Software Engineer Intern", description });
+
+  assert.deepEqual(classify("We will sponsor H-1B visas for this role."), {
+    sponsorship: "yes",
+    requiresCitizenship: false,
+    clearanceRequired: false,
+    sponsorshipSource: "text",
+  });
+  assert.equal(classify("Applicants must be authorized to work without sponsorship.").sponsorship, "no");
+  // A clearance needs citizenship, and citizens-only jobs can't sponsor
+  assert.deepEqual(classify("Active TS/SCI clearance required."), {
+    sponsorship: "no",
+    requiresCitizenship: true,
+    clearanceRequired: true,
+    sponsorshipSource: "text",
+  });
+  assert.deepEqual(classify("Open to U.S. citizens or permanent residents."), {
+    sponsorship: "unknown",
+    requiresCitizenship: false,
+    clearanceRequired: false,
+    sponsorshipSource: null,
+  });
+});
+
+test("GitHub 🛂 and 🇺🇸 markers are read from the README and win over the text", async () => {
+  const posts = await parseHtmlFixture("github-readme.html", repo.url, parseReadmeTables, repo.url);
+  const jobs = postsToJobs(posts, repo).map(withWorkAuthorization);
+
+  assert.deepEqual(
+    jobs.map((job) => [job.company, job.title, job.sponsorship, job.requiresCitizenship, job.sponsorshipSource]),
+    [
+      ["Acme Robotics", "Acme Robotics - Software Engineer I", "unknown", false, null],
+      ["Globex", "Globex - Backend Engineer, New Grad", "no", false, "marker"],
+      ["Initech", "Initech - Software Engineer", "unknown", false, null],
+      ["Initech", "Initech - Machine Learning Engineer", "no", true, "marker"],
+    ]
+  );
+
+  const marked = { ...jobs[1], description: "We are happy to sponsor H-1B visas." };
+  assert.equal(classifyWorkAuthorization(marked).sponsorship, "no");
+});
+
+test("servers and subscriptions can hide jobs without sponsorship, and embeds get a badge", () => {
+  const noSponsorship = { title: "Software Engineer Intern", company: "Acme", sponsorship: "no", requiresCitizenship: false };
+  const unknown = { ...noSponsorship, sponsorship: "unknown" };
+
+  const guild = defaultGuildSettings("g1");
+  assert.equal(guildAcceptsJob(guild, noSponsorship), true);
+  const hiding = { ...guild, filters: { ...guild.filters, hideNoSponsorship: true } };
+  assert.equal(guildAcceptsJob(hiding, noSponsorship), false);
+  assert.equal(guildAcceptsJob(hiding, unknown), true);
+
+  assert.equal(matchesSubscription(noSponsorship, { hideNoSponsorship: true }), false);
+  assert.equal(matchesSubscription(unknown, { hideNoSponsorship: true }), true);
+
+  assert.deepEqual(buildJobBadges(noSponsorship), ["🛂 No visa sponsorship"]);
+  assert.deepEqual(buildJobBadges({ ...noSponsorship, requiresCitizenship: true }), ["🇺🇸 US citizens only"]);
+  assert.deepEqual(buildJobBadges({ ...unknown, sponsorship: "yes" }), ["✅ Sponsors visas"]);
+});
@@ -0,0 +1,50 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../config");
+const mongoService = require("../services/mongo");
+const { deliverJobAlerts } = require("../services/subscriptions");
+
+test("job alerts are only marked delivered once their DM goes out", async () => {
+  const originalSubscriptions = config.subscriptions;
+  const { getSubscriptions, recordSubscriptionMatches } = mongoService;
+  config.subscriptions = { ...originalSubscriptions, enabled: true, maxJobsPerUserPerBatch: 2, maxJobsPerDm: 10 };
+  mongoService.getSubscriptions = async () => [{ subscriptionId: "sub-1", userId: "user-1", filters: {} }];
+  mongoService.recordSubscriptionMatches = async () => {};
+
+  const received = [];
+  let dmsOpen = false;
+  const client = {
+    users: {
+      fetch: async () => ({
+        send: async (message) => {
+          if (!dmsOpen) throw new Error("Cannot send messages to this user");
+          if (message.embeds) received.push(...message.embeds.map((embed) => embed.toJSON().title));
+        },
+      }),
+    },
+  };
+  const jobs = ["One", "Two", "Three"].map((name, i) => ({
+    title: `${name} Intern`,
+    company: "Acme",
+    url: `https://jobs.example/${i}`,
+    normalizedId: `job-${i}`,
+  }));
+
+  try {
+    // DMs closed: nothing is sent, and nothing is lost
+    assert.equal(await deliverJobAlerts(jobs, client, "Fixture"), 0);
+
+    dmsOpen = true;
+    assert.equal(await deliverJobAlerts(jobs, client, "Fixture"), 2);
+    // The job past the cap goes out with the next batch
+    assert.equal(await deliverJobAlerts(jobs, client, "Fixture"), 1);
+    assert.equal(await deliverJobAlerts(jobs, client, "Fixture"), 0);
+  } finally {
+    config.subscriptions = originalSubscriptions;
+    mongoService.getSubscriptions = getSubscriptions;
+    mongoService.recordSubscriptionMatches = recordSubscriptionMatches;
+  }
+
+  assert.equal(received.length, 3);
+  assert.equal(new Set(received).size, 3);
+});
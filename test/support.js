@@ -0,0 +1,67 @@
+// test/support.js - Shared helpers for the offline fixture tests
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { JSDOM } = require("jsdom");
+const { evaluateParser } = require("../utils/helpers");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+// Parsers log progress with console.log in the browser; keep test output readable
+const quietConsole = { log() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Read a checked-in fixture file
+ * @param {string} name - File name under test/fixtures
+ * @returns {string} File contents
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), "utf8");
+}
+
+/**
+ * Read and parse a JSON fixture
+ * @param {string} name - File name under test/fixtures
+ * @returns {*} Parsed JSON
+ */
+function readJsonFixture(name) {
+  return JSON.parse(readFixture(name));
+}
+
+/**
+ * Run a scraper's DOM parser against an HTML fixture the same way the scraper
+ * does in Puppeteer: the parser is serialized by evaluateParser and evaluated in
+ * a fresh context that only has `document`, so a parser that leans on anything
+ * outside itself fails here just as it would in the browser.
+ * @param {string} name - HTML fixture under test/fixtures
+ * @param {string} pageUrl - URL the page was saved from (resolves relative links)
+ * @param {Function} parser - Parser function taking (root, ...args)
+ * @param {...*} args - Extra parser arguments
+ * @returns {Promise<*>} Parser result
+ */
+async function parseHtmlFixture(name, pageUrl, parser, ...args) {
+  const dom = new JSDOM(readFixture(name), { url: pageUrl });
+  const page = {
+    // Puppeteer hands results back as JSON, so do the same
+    evaluate: async (expression) =>
+      JSON.parse(
+        JSON.stringify(
+          vm.runInNewContext(expression, {
+            document: dom.window.document,
+            console: quietConsole,
+          })
+        )
+      ),
+  };
+  try {
+    return await evaluateParser(page, parser, ...args);
+  } finally {
+    dom.window.close();
+  }
+}
+
+module.exports = {
+  readFixture,
+  readJsonFixture,
+  parseHtmlFixture,
+};
@@ -0,0 +1,39 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseHtmlFixture } = require("./support");
+const { generateJobId } = require("../utils/helpers");
+const {
+  parseZipRecruiterJobCards,
+  finalizeZipRecruiterJobs,
+} = require("../scrapers/ziprecruiter");
+
+const PAGE_URL = "https://www.ziprecruiter.com/jobs-search?search=software+engineer+intern";
+
+test("parses ZipRecruiter article cards and drops duplicate titles", async () => {
+  const jobs = await parseHtmlFixture("ziprecruiter-search.html", PAGE_URL, parseZipRecruiterJobCards);
+
+  assert.deepEqual(
+    jobs.map((job) => [job.title, job.company, job.location, job.postedDate]),
+    [
+      ["Software Engineer Intern", "Acme Robotics", "Austin, TX", "2 days ago"],
+      ["Junior Data Analyst", "Globex Corporation", "Remote", "Recent"],
+    ]
+  );
+  assert.equal(
+    jobs[0].url,
+    "https://www.ziprecruiter.com/c/Acme-Robotics/Job/Software-Engineer-Intern/-in-Austin,TX?jid=a1b2c3"
+  );
+  assert.ok(jobs.every((job) => job.source === "ziprecruiter"));
+});
+
+test("normalizes ZipRecruiter jobs with stable ids", async () => {
+  const raw = await parseHtmlFixture("ziprecruiter-search.html", PAGE_URL, parseZipRecruiterJobCards);
+  const [job] = finalizeZipRecruiterJobs(raw);
+
+  assert.equal(job.title, "software engineer intern");
+  assert.equal(job.company, "acme robotics");
+  assert.equal(job.location, "austin, tx");
+  assert.equal(job.normalizedId, generateJobId(raw[0]));
+  assert.equal(job.id, job.normalizedId);
+  assert.equal(job.jobId, job.normalizedId);
+});
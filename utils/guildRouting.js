@@ -0,0 +1,154 @@
+// utils/guildRouting.js - Per-server channel routing, sources and filters (/setup, stored in Mongo)
+const config = require("../config");
+const { compileTerm } = require("./jobRules");
+
+const ROLES = ["intern", "new_grad"];
+const CATEGORIES = ["software_engineering", "data_analysis", "data_science_engineer"];
+// Jobs remembered per guild as posted, on top of postedGuilds in Mongo
+const MAX_POSTED_PER_GUILD = 5000;
+
+// guildId -> settings document from the guild_settings collection
+let guildSettings = new Map();
+// guildId -> Set of normalizedIds already posted there
+const postedByGuild = new Map();
+
+/**
+ * Replace the in-memory guild settings (called after every load or change in Mongo)
+ * @param {Array<object>} docs - guild_settings documents
+ */
+function setGuildSettings(docs = []) {
+  guildSettings = new Map(docs.map((doc) => [doc.guildId, doc]));
+}
+
+/**
+ * Settings for a guild with nothing stored yet. The server in GUILD_ID starts from the
+ * CHANNEL_ID_* env vars, so single-server setups keep their channels after /setup.
+ * @param {string} guildId - Discord guild id
+ * @returns {object} Settings document (without timestamps)
+ */
+function defaultGuildSettings(guildId) {
+  const channels = {};
+  for (const role of ROLES) {
+    channels[role] = {};
+    for (const category of CATEGORIES) {
+      channels[role][category] =
+        guildId === config.defaultGuildId ? config.channels?.[role]?.[category] || null : null;
+    }
+  }
+  return { guildId, channels, sources: [], filters: { excludeKeywords: [], excludeCompanies: [], hideNoSponsorship: false } };
+}
+
+/**
+ * Every guild that receives jobs: the ones set up with /setup, plus the env var channels
+ * (config.channels) as the GUILD_ID server until that server runs /setup itself
+ * @returns {Array<object>} Guild settings
+ */
+function getGuilds() {
+  const guilds = [...guildSettings.values()];
+  const legacyId = config.defaultGuildId || "default";
+  const hasEnvChannels = ROLES.some((role) => Object.values(config.channels?.[role] || {}).some(Boolean));
+
+  if (hasEnvChannels && !guildSettings.has(legacyId)) {
+    guilds.unshift({ ...defaultGuildSettings(config.defaultGuildId), guildId: legacyId, channels: config.channels });
+  }
+  return guilds;
+}
+
+/**
+ * Settings for one guild: stored, or the defaults
+ * @param {string} guildId - Discord guild id
+ * @returns {object} Guild settings
+ */
+function getGuildSettings(guildId) {
+  return getGuilds().find((guild) => guild.guildId === guildId) || defaultGuildSettings(guildId);
+}
+
+/**
+ * Every guild channel for a role and category
+ * @param {string} role - intern or new_grad
+ * @param {string} category - Job category
+ * @returns {Array<object>} { guildId, channelId } per guild with a channel for the route
+ */
+function getChannelTargets(role, category) {
+  return getGuilds()
+    .map((guild) => ({ guildId: guild.guildId, channelId: guild.channels?.[role]?.[category] || null }))
+    .filter((target) => target.channelId);
+}
+
+/**
+ * Whether a channel receives jobs in any guild (legacy ! commands are accepted there)
+ * @param {string} channelId - Discord channel id
+ * @returns {boolean} True if some guild routes jobs to it
+ */
+function isJobChannel(channelId) {
+  return getGuilds().some((guild) =>
+    ROLES.some((role) => Object.values(guild.channels?.[role] || {}).includes(channelId))
+  );
+}
+
+/**
+ * Whether a guild wants a job, going by its enabled sources and exclude filters.
+ * Keyword and company terms match like the relevance rules (whole words, "word*", /regex/).
+ * With filters.hideNoSponsorship, jobs classified sponsorship "no" are left out.
+ * @param {object} guild - Guild settings
+ * @param {object} job - Job with title, company, source and sponsorship
+ * @returns {boolean} True if the job may be posted in the guild
+ */
+function guildAcceptsJob(guild, job) {
+  const sources = guild.sources || [];
+  if (sources.length > 0 && job.source && !sources.includes(job.source)) {
+    return false;
+  }
+
+  const filters = guild.filters || {};
+  if (filters.hideNoSponsorship && job.sponsorship === "no") {
+    return false;
+  }
+  const matches = (terms, text) =>
+    (terms || []).some((term) => {
+      try {
+        return compileTerm(term).regex.test(text || "");
+      } catch (error) {
+        return false;
+      }
+    });
+  return !matches(filters.excludeKeywords, job.title) && !matches(filters.excludeCompanies, job.company);
+}
+
+/**
+ * Whether a job was already posted in a guild during this process
+ * @param {string} guildId - Discord guild id
+ * @param {string} normalizedId - Job id
+ * @returns {boolean} True if posted
+ */
+function wasPosted(guildId, normalizedId) {
+  return postedByGuild.get(guildId)?.has(normalizedId) || false;
+}
+
+/**
+ * Remember jobs as posted in a guild (the oldest are forgotten past MAX_POSTED_PER_GUILD)
+ * @param {string} guildId - Discord guild id
+ * @param {Array<string>} normalizedIds - Job ids
+ */
+function markPosted(guildId, normalizedIds) {
+  if (!postedByGuild.has(guildId)) postedByGuild.set(guildId, new Set());
+  const posted = postedByGuild.get(guildId);
+  normalizedIds.forEach((id) => posted.add(id));
+  while (posted.size > MAX_POSTED_PER_GUILD) {
+    posted.delete(posted.values().next().value);
+  }
+}
+
+module.exports = {
+  ROLES,
+  CATEGORIES,
+  setGuildSettings,
+  defaultGuildSettings,
+  getGuilds,
+  getGuildSettings,
+  getChannelTargets,
+  isJobChannel,
+  guildAcceptsJob,
+  wasPosted,
+  markPosted,
+};
@@ -2,6 +2,11 @@ const crypto = require("crypto");
 const { EmbedBuilder } = require("discord.js");
 const loggerService = require("../services/logger");
 const config = require("../config");
+const { buildMatchProfile, findFuzzyDuplicate } = require("./jobMatching");
+const { evaluateJob, matchRole } = require("./jobRules");
+const { withPostedAt } = require("./postedDate");
+const { salaryFields } = require("./salary");
+const { getChannelTargets, getGuildSettings, guildAcceptsJob, wasPosted, markPosted } = require("./guildRouting");
 
 /**
  * Generate a unique job ID based on job data.
@@ -30,30 +35,59 @@ function normalizeJob(job) {
 }
 
 /**
- * Deduplicate jobs across all sources
+ * Deduplicate jobs across all sources.
+ * Exact matches share a normalizedId; when fuzzy deduplication is enabled, jobs
+ * whose canonical company, location and title are near-identical are merged too.
  * @param {Array} allJobs - Array of job objects from all sources
  * @returns {Array} Deduplicated jobs
  */
 function deduplicateJobs(allJobs) {
   const seenJobs = new Map();
   const deduplicatedJobs = [];
+  // Kept jobs grouped by canonical company, so fuzzy checks only compare within a company
+  const fuzzyBuckets = new Map();
+  const fuzzyEnabled = config.deduplication?.fuzzy !== false;
 
   for (const job of allJobs) {
     const normalizedJob = normalizeJob(job);
     const jobId = normalizedJob.normalizedId;
 
-    if (!seenJobs.has(jobId)) {
+    let existingJob = seenJobs.get(jobId);
+    let profile = null;
+
+    if (!existingJob && fuzzyEnabled) {
+      profile = buildMatchProfile(job);
+      const match = findFuzzyDuplicate(
+        profile,
+        fuzzyBuckets.get(profile.company) || [],
+        config.deduplication.titleSimilarityThreshold
+      );
+      if (match) {
+        existingJob = match.candidate.job;
+        seenJobs.set(jobId, existingJob);
+        loggerService.log(
+          `🔀 Fuzzy duplicate merged: "${job.title}" @ ${job.company} (${job.source}) → "${existingJob.title}" @ ${existingJob.company} (${match.reason}, score ${match.score.toFixed(2)})`
+        );
+      }
+    }
+
+    if (!existingJob) {
       // First time seeing this job
-      seenJobs.set(jobId, {
+      const entry = {
         ...job,
         sources: [job.source],
         firstSeen: job.postedDate || new Date().toISOString(),
         normalizedId: jobId
-      });
-      deduplicatedJobs.push(seenJobs.get(jobId));
+      };
+      seenJobs.set(jobId, entry);
+      deduplicatedJobs.push(entry);
+
+      if (profile && profile.company) {
+        if (!fuzzyBuckets.has(profile.company)) fuzzyBuckets.set(profile.company, []);
+        fuzzyBuckets.get(profile.company).push({ profile, job: entry });
+      }
     } else {
       // Job already exists, add source if different
-      const existingJob = seenJobs.get(jobId);
       if (!existingJob.sources.includes(job.source)) {
         existingJob.sources.push(job.source);
       }
@@ -93,6 +127,17 @@ function sortJobsByRelevance(jobs) {
   });
 }
 
+/**
+ * Sort jobs best paid first (by yearly salary); jobs without a salary keep their
+ * relevance order after them
+ * @param {Array} jobs - Array of job objects
+ * @returns {Array} Sorted jobs
+ */
+function sortJobsBySalary(jobs) {
+  const annual = (job) => job.salaryAnnual ?? salaryFields(job).salaryAnnual ?? -1;
+  return sortJobsByRelevance(jobs).sort((a, b) => annual(b) - annual(a));
+}
+
 /**
  * Format job for Discord message
  * @param {object} job - Job object
@@ -105,20 +150,22 @@ function formatJobForDiscord(job, index) {
   const location = job.location || "Remote";
   const sources = job.sources?.length > 1 ? ` (${job.sources.join(", ")})` : "";
   const date = job.firstSeen ? new Date(job.firstSeen).toLocaleDateString() : "Recent";
+  const salary = job.salary ? ` | 💰 ${job.salary}` : "";
   
   // More concise format to fit more jobs per message
-  return `${index}. **${title}** at ${company}${sources}\n   📍 ${location} | 📅 ${date}\n   🔗 ${job.url || "No link"}\n`;
+  return `${index}. **${title}** at ${company}${sources}\n   📍 ${location} | 📅 ${date}${salary}\n   🔗 ${job.url || "No link"}\n`;
 }
 
 /**
  * Split jobs into Discord-compatible messages
  * @param {Array} jobs - Array of job objects
  * @param {number} maxJobsPerMessage - Maximum jobs per message (default: 15)
+ * @param {string} sortBy - "relevance" or "salary" (default: config.salary.summarySort)
  * @returns {Array} Array of message strings
  */
-function createDiscordJobMessages(jobs, maxJobsPerMessage = 15) {
+function createDiscordJobMessages(jobs, maxJobsPerMessage = 15, sortBy = config.salary?.summarySort) {
   const messages = [];
-  const sortedJobs = sortJobsByRelevance(jobs);
+  const sortedJobs = sortBy === "salary" ? sortJobsBySalary(jobs) : sortJobsByRelevance(jobs);
   const maxCharsPerMessage = 1900; // Conservative limit for Discord
 
   let currentMessage = `**🎯 Daily Job Summary**\n`;
@@ -361,31 +408,55 @@ function createSourceSummaryMessages(sourceName, jobs, metadata = {}) {
  * @param {function} delay - Delay function for rate limiting
  */
 /**
- * Get the Discord channel object for a given role and category
+ * Get the Discord channel object for a given role and category in one server
  * @param {string} role - Role type: "intern" or "new_grad"
  * @param {string} category - Job category
  * @param {object} client - Discord client
+ * @param {string} guildId - Server (default: the first one with a channel for the route)
  * @returns {Promise<object|null>} Discord channel object or null if not found
  */
-async function getChannel(role, category, client) {
+async function getChannel(role, category, client, guildId = null) {
   if (!client) return null;
   
-  const channelId = getChannelId(role, category, client);
+  const channelId = getChannelId(role, category, client, guildId);
   if (!channelId) return null;
   
-  // Try cache first
+  return fetchChannel(client, channelId);
+}
+
+/**
+ * Get the channel for a role and category in every server set up to receive it
+ * @param {string} role - Role type: "intern" or "new_grad"
+ * @param {string} category - Job category
+ * @param {object} client - Discord client
+ * @returns {Promise<Array<object>>} { guildId, channel } for each channel that could be found
+ */
+async function getChannels(role, category, client) {
+  if (!client) return [];
+
+  const channels = [];
+  for (const { guildId, channelId } of getChannelTargets(role, category)) {
+    const channel = await fetchChannel(client, channelId);
+    if (channel) {
+      channels.push({ guildId, channel });
+    } else {
+      loggerService.log(`⚠️ Could not find channel ${channelId} for ${role}::${category} in guild ${guildId}`, "warn");
+    }
+  }
+  return channels;
+}
+
+// Channel from the client cache, fetched when it isn't cached (important for some environments)
+async function fetchChannel(client, channelId) {
   let channel = client.channels.cache.get(channelId);
-  
-  // If not in cache, try fetching (important for some environments)
   if (!channel) {
     try {
       channel = await client.channels.fetch(channelId);
     } catch (err) {
-      // loggerService.log(`⚠️ Could not fetch channel ${channelId}: ${err.message}`, "warn");
+      loggerService.log(`Could not fetch channel ${channelId}: ${err.message}`, "debug");
     }
   }
-  
-  return channel;
+  return channel || null;
 }
 
 /**
@@ -423,47 +494,54 @@ async function sendSourceSummaryToDiscord(channel, sourceName, jobs, metadata =
     // 2. Route summaries to appropriate category channels
     const routedJobs = routeJobsToChannels(jobs, defaultRole);
     
-    // Send summary to each channel
-    for (const [routeKey, channelJobs] of routedJobs.entries()) {
+    // Send summary to each channel, in every server with a channel for the route
+    for (const [routeKey, routeJobs] of routedJobs.entries()) {
       const [role, category] = routeKey.split("::");
       
-      const targetChannel = await getChannel(role, category, client);
+      const targets = await getChannels(role, category, client);
       
-      if (!targetChannel) {
-        loggerService.log(`⚠️ Could not find channel for ${routeKey}, skipping ${channelJobs.length} jobs summary`, "warn");
+      if (targets.length === 0) {
+        loggerService.log(`⚠️ Could not find channel for ${routeKey}, skipping ${routeJobs.length} jobs summary`, "warn");
         continue;
       }
       
-      // Create metadata for this specific route
-      const routeMetadata = {
-        ...metadata,
-        role: role,
-        category: category,
-        jobsFound: channelJobs.length
-      };
+      for (const { guildId, channel: targetChannel } of targets) {
+        // Only the jobs this server's sources and filters let through
+        const guild = getGuildSettings(guildId);
+        const channelJobs = routeJobs.filter((job) => guildAcceptsJob(guild, job));
+        if (channelJobs.length === 0) continue;
+
+        // Create metadata for this specific route
+        const routeMetadata = {
+          ...metadata,
+          role: role,
+          category: category,
+          jobsFound: channelJobs.length
+        };
       
-      // Create and send messages for this channel
-      const messages = createSourceSummaryMessages(sourceName, channelJobs, routeMetadata);
+        // Create and send messages for this channel
+        const messages = createSourceSummaryMessages(sourceName, channelJobs, routeMetadata);
       
-      for (let i = 0; i < messages.length; i++) {
-        const message = messages[i];
+        for (let i = 0; i < messages.length; i++) {
+          const message = messages[i];
         
-        // Validate message length before sending
-        if (message.length > 2000) {
-          loggerService.log(`⚠️ Message ${i + 1} for ${sourceName} (${routeKey}) exceeds Discord limit (${message.length} chars), truncating...`, "warn");
-          const truncatedMessage = message.substring(0, 1900) + "...\n*[Message truncated due to length]*";
-          await targetChannel.send(truncatedMessage);
-        } else {
-          await targetChannel.send(message);
-        }
+          // Validate message length before sending
+          if (message.length > 2000) {
+            loggerService.log(`⚠️ Message ${i + 1} for ${sourceName} (${routeKey}) exceeds Discord limit (${message.length} chars), truncating...`, "warn");
+            const truncatedMessage = message.substring(0, 1900) + "...\n*[Message truncated due to length]*";
+            await targetChannel.send(truncatedMessage);
+          } else {
+            await targetChannel.send(message);
+          }
         
-        // Rate limiting between messages
-        if (i < messages.length - 1) {
-          await delay(1500);
+          // Rate limiting between messages
+          if (i < messages.length - 1) {
+            await delay(1500);
+          }
         }
-      }
       
-      loggerService.log(`✅ Sent ${messages.length} summary messages for ${sourceName} to ${routeKey} channel`);
+        loggerService.log(`✅ Sent ${messages.length} summary messages for ${sourceName} to ${routeKey} channel (guild ${guildId})`);
+      }
     }
   } catch (error) {
     loggerService.log(`❌ Error sending ${sourceName} summary to Discord: ${error.message}`, "error");
@@ -471,183 +549,25 @@ async function sendSourceSummaryToDiscord(channel, sourceName, jobs, metadata =
 }
 
 /**
- * Check if a job is relevant based on title, company, and description
+ * Check if a job is relevant under the config.jobFiltering rules (see utils/jobRules.js)
  * @param {string} title - Job title
  * @param {string} company - Company name
- * @param {string} description - Job description
+ * @param {string} description - Job description (not used by the rules)
  * @param {string} role - Role type filter
+ * @param {string} source - Source key, for per-source rule overrides
  * @returns {boolean} Whether the job is relevant
  */
-function isRelevantJob(title, company, description, role = null) {
-  if (!title) {
-    console.log("❌ Job filtered out (no title)");
-    return false;
+function isRelevantJob(title, company, description, role = null, source = null) {
+  const decision = evaluateJob({ title, company, description, source }, { role });
+  if (decision.check === "skip") {
+    return true;
   }
-
-  const titleLower = title.toLowerCase();
-  const companyLower = (company || "").toLowerCase();
-  const descriptionLower = (description || "").toLowerCase();
-
-  // Skip only known aggregator/spam companies; allow "Unknown Company" / "Company not specified"
-  // so scrapers (e.g. SimplyHired) that miss company/location still keep title-relevant jobs
-  const excludedCompanies = ["jobright", "indeed", "ziprecruiter", "simplyhired", "glassdoor"];
-  if (excludedCompanies.some((c) => companyLower.includes(c))) {
-    console.log(`❌ Job filtered out (aggregator company): "${title}"`);
-    return false;
-  }
-
-  // --- EXCLUDED KEYWORDS: only match against title (not description to avoid false positives) ---
-  // Use word-boundary-aware matching for short keywords to prevent substring false positives
-  const excludedExactTitle = [
-    // Non-software engineering disciplines
-    "geotechnical", "civil", "mechanical", "electrical", "chemical", "biomedical",
-    "environmental", "nuclear", "petroleum", "mining", "construction",
-    "hvac", "plumbing", "welding",
-    "field service", "field engineer", "field technician",
-    "process engineer", "project engineer", "design engineer", "sales engineer",
-    "technical support engineer", "field application",
-    "hardware engineer", "firmware engineer", "rf engineer",
-    "analog engineer", "digital design engineer",
-    "water resources", "structural", "urban planning", "surveying",
-    "materials engineer", "metallurgical", "ceramic", "polymer", "textile",
-    "food engineer", "agricultural", "forest engineer", "packaging engineer",
-    "safety engineer", "regulatory engineer", "clinical engineer",
-    "bioprocess", "pharmaceutical", "medical device", "laboratory",
-    "research engineer", "operations engineer", "facility engineer",
-    "building engineer", "energy engineer", "power engineer",
-    "control engineer", "instrumentation", "automation engineer",
-    "industrial engineer", "logistics engineer", "supply chain engineer",
-
-    // Seniority / management (too senior for intern/new grad)
-    "manager", "director", "principal", "senior", "staff",
-    "consultant", "advisor",
-    "product manager", "project manager", "program manager", "scrum master",
-    "agile coach", "internship coordinator",
-
-    // Non-tech roles
-    "customer service", "help desk", "administrative", "clerical",
-    "receptionist", "secretary",
-    "teacher", "instructor", "professor", "educator",
-    "writer", "editor", "journalist", "reporter",
-    "nurse", "doctor", "physician", "healthcare",
-    "lawyer", "attorney", "paralegal",
-    "accountant", "bookkeeper",
-    "chef", "cook", "restaurant", "hospitality", "hotel",
-    "driver", "delivery", "warehouse", "inventory",
-    "retail", "cashier", "store", "shop",
-  ];
-
-  for (const keyword of excludedExactTitle) {
-    if (titleLower.includes(keyword)) {
-      console.log(`❌ Job filtered out (excluded keyword "${keyword}"): "${title}"`);
-      return false;
-    }
-  }
-
-  // --- REQUIRED KEYWORDS: at least one must be present in title ---
-  const requiredKeywords = [
-    // Core software engineering
-    "software engineer", "software developer", "software development",
-    "swe", "sde",
-    "frontend", "backend", "fullstack", "full-stack", "full stack",
-    "web developer", "web development", "mobile developer", "app developer",
-    "application developer", "systems engineer", "platform engineer",
-    
-    // Data engineering/science
-    "data engineer", "data scientist", "data analyst", "data analytics",
-    "machine learning", "ml engineer", "ai engineer", "artificial intelligence",
-    "analytics engineer", "business intelligence", "bi engineer",
-    
-    // Business analysis
-    "business analyst", "business analytics",
-    
-    // DevOps/Infrastructure
-    "devops", "site reliability", "sre", "infrastructure engineer",
-    "cloud engineer",
-    
-    // Cybersecurity
-    "cybersecurity", "security engineer", "information security",
-    
-    // Emerging tech
-    "blockchain", "fintech", "quantitative", "algorithm",
-    
-    // Entry level indicators (these count as required keywords too)
-    "software", "developer", "engineer", "programmer", "coding",
-    "data", "analyst",
-  ];
-
-  const hasRequiredKeyword = requiredKeywords.some(keyword => 
-    titleLower.includes(keyword)
-  );
-
-  if (!hasRequiredKeyword) {
-    console.log(`❌ Job filtered out (no required keywords): "${title}"`);
-    return false;
-  }
-
-  // --- ROLE-SPECIFIC FILTERING ---
-  const internKeywords = ["intern", "internship", "co-op", "coop", "student"];
-  
-  // Comprehensive new grad / entry-level detection patterns
-  const newGradKeywords = [
-    "new grad", "new graduate", "entry level", "entry-level",
-    "junior", "recent graduate", "early career",
-    "university grad", "university graduate", "college grad", "college graduate",
-    "new college grad", "new college graduate",
-    // Roman numeral / number level indicators (I, 1, 0)
-    "engineer i", "engineer 1", "engineer 0",
-    "developer i", "developer 1", "developer 0",
-    "analyst i", "analyst 1", "analyst 0",
-    "scientist i", "scientist 1", "scientist 0",
-    // "Software Engineer I", "SDE I", etc.
-    "sde i", "sde 1", "swe i", "swe 1",
-    // "Associate" when used as a level indicator (Associate Software Engineer)
-    "associate software", "associate data", "associate developer",
-    "associate engineer", "associate analyst",
-    // "Level 0", "Level 1", "Level I"
-    "level 0", "level 1", "level i",
-    // Common new grad title patterns
-    "2025 start", "2026 start", "2025 grad", "2026 grad",
-    "class of 2025", "class of 2026",
-  ];
-
-  // Also check with regex for patterns like "Software Engineer I" at end of title
-  // or "Engineer I -" in middle of title
-  const newGradRegexPatterns = [
-    /\b(?:engineer|developer|analyst|scientist)\s+[i1]\b/i,
-    /\b(?:engineer|developer|analyst|scientist)\s+[i1]\s*[-–—]/i,
-    /\bengineer\s+[i1]\s*$/i,
-    /\bdeveloper\s+[i1]\s*$/i,
-    /\banalyst\s+[i1]\s*$/i,
-    /\bscientist\s+[i1]\s*$/i,
-  ];
-
-  if (role === "intern") {
-    const hasInternKeyword = internKeywords.some(keyword => titleLower.includes(keyword));
-    if (!hasInternKeyword) {
-      console.log(`❌ Job filtered out (not an intern position): "${title}"`);
-      return false;
-    }
-  } else if (role === "new_grad") {
-    const hasNewGradKeyword = newGradKeywords.some(keyword => titleLower.includes(keyword));
-    const hasNewGradPattern = newGradRegexPatterns.some(regex => regex.test(title));
-    if (!hasNewGradKeyword && !hasNewGradPattern) {
-      console.log(`❌ Job filtered out (not a new grad position): "${title}"`);
-      return false;
-    }
-  } else if (role === "both") {
-    const hasInternKeyword = internKeywords.some(keyword => titleLower.includes(keyword));
-    const hasNewGradKeyword = newGradKeywords.some(keyword => titleLower.includes(keyword));
-    const hasNewGradPattern = newGradRegexPatterns.some(regex => regex.test(title));
-    
-    if (!hasInternKeyword && !hasNewGradKeyword && !hasNewGradPattern) {
-      console.log(`❌ Job filtered out (not an intern or new grad position): "${title}"`);
-      return false;
-    }
+  if (decision.relevant) {
+    loggerService.debug(`✅ Job accepted (${decision.reason}): "${title}"`, { source });
+  } else {
+    loggerService.debug(`❌ Job filtered out (${decision.reason}): "${title}"`, { source });
   }
-
-  console.log(`✅ Job accepted: "${title}"`);
-  return true;
+  return decision.relevant;
 }
 
 /**
@@ -661,14 +581,14 @@ function isRelevantJob(title, company, description, role = null) {
  */
 function filterRelevantJobs(jobs, role = null, options = {}) {
   if (!Array.isArray(jobs)) {
-    console.log("❌ Invalid jobs array provided to filterRelevantJobs");
+    loggerService.warn("❌ Invalid jobs array provided to filterRelevantJobs");
     return [];
   }
 
   const skipSources = Array.isArray(options.skipSources) ? options.skipSources : [];
   const skipSourceCheck = typeof options.skipSourceCheck === "function" ? options.skipSourceCheck : null;
 
-  console.log(`🔍 Filtering ${jobs.length} jobs for role: ${role || "any"}`);
+  loggerService.debug(`🔍 Filtering ${jobs.length} jobs for role: ${role || "any"}`);
 
   const filteredJobs = jobs.filter(job => {
     // Check skip by exact source match (legacy)
@@ -684,23 +604,25 @@ function filterRelevantJobs(jobs, role = null, options = {}) {
       job.title,
       job.company,
       job.description,
-      role
+      role,
+      job.source
     );
   });
 
-  console.log(`✅ Filtered to ${filteredJobs.length} relevant jobs`);
+  loggerService.info(`✅ Filtered to ${filteredJobs.length} of ${jobs.length} jobs as relevant (role: ${role || "any"})`);
   return filteredJobs;
 }
 
 /**
- * Filter jobs to only include those posted in the last day
+ * Filter jobs to only include those posted in the time period. The returned jobs
+ * carry postedAt / postedAtConfidence (see utils/postedDate.js).
  * @param {Array} jobs - Array of job objects
  * @param {string} timeFilter - Time filter ("day", "three_days", "week", "month")
  * @returns {Array} Filtered jobs from the specified time period
  */
 function filterJobsByDate(jobs, timeFilter = "day") {
   if (!Array.isArray(jobs)) {
-    console.log("❌ Invalid jobs array provided to filterJobsByDate");
+    loggerService.warn("❌ Invalid jobs array provided to filterJobsByDate");
     return [];
   }
 
@@ -735,135 +657,29 @@ function filterJobsByDate(jobs, timeFilter = "day") {
       cutoffDate = defaultYesterday;
   }
 
-  console.log(`🔍 Filtering ${jobs.length} jobs for posts since ${cutoffDate.toLocaleString()}`);
+  loggerService.debug(`🔍 Filtering ${jobs.length} jobs for posts since ${cutoffDate.toLocaleString()}`);
 
   let unparseableDateLogged = false;
-  const filteredJobs = jobs.filter(job => {
-    // Try to parse the posted date
-    let jobDate;
-
-    if (job.postedDate) {
-      // Handle various date formats
-      if (typeof job.postedDate === 'string') {
-        // Try to parse common date formats
-        const dateStr = job.postedDate.toLowerCase().trim();
-
-        // Skip empty or invalid date strings
-        if (!dateStr || dateStr === '' || dateStr === 'n/a' || dateStr === 'unknown') {
-          return true;
-        }
-
-        // "Just posted", "Today" -> treat as now (include)
-        if (/^just\s*posted|^today$/i.test(dateStr)) {
-          jobDate = new Date();
-        }
-        // "Yesterday"
-        else if (/^yesterday$/i.test(dateStr)) {
-          jobDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1, 12, 0, 0, 0);
-        }
-        // "Hiring ongoing" / "Ongoing" -> include (treat as recent)
-        else if (/hiring\s*ongoing|ongoing$/i.test(dateStr)) {
-          jobDate = new Date();
-        }
-        // "30+ days ago" or "N days ago" with optional +
-        else if (dateStr.includes('ago') && dateStr.match(/(\d+)\s*\+\s*days?\s*ago/i)) {
-          const timeMatch = dateStr.match(/(\d+)\s*\+\s*days?\s*ago/i);
-          const amount = parseInt(timeMatch[1], 10);
-          jobDate = new Date(now.getTime() - Math.min(amount, 90) * 24 * 60 * 60 * 1000);
-        }
-        // Handle GitHub age format (0d, 1d, 2d, 9d, etc.)
-        else if (dateStr.match(/^\d+d$/)) {
-          const timeMatch = dateStr.match(/^(\d+)d$/);
-          if (timeMatch) {
-            const amount = parseInt(timeMatch[1]);
-            jobDate = new Date(now.getTime() - amount * 24 * 60 * 60 * 1000);
-          }
-        }
-        // Handle GitHub age format with "mo" (1mo, 2mo, 3mo, etc.)
-        else if (dateStr.match(/^\d+mo$/)) {
-          const timeMatch = dateStr.match(/^(\d+)mo$/);
-          if (timeMatch) {
-            const amount = parseInt(timeMatch[1]);
-            jobDate = new Date(now.getTime() - amount * 30 * 24 * 60 * 60 * 1000);
-          }
-        }
-        // Handle "m" shorthand (1m, 2m, 3m, etc.)
-        else if (dateStr.match(/^\d+m$/)) {
-          const timeMatch = dateStr.match(/^(\d+)m$/);
-          if (timeMatch) {
-            const amount = parseInt(timeMatch[1]);
-            jobDate = new Date(now.getTime() - amount * 30 * 24 * 60 * 60 * 1000);
-          }
+  const filteredJobs = jobs
+    .map((job) => withPostedAt(job, now))
+    .filter((job) => {
+      // Jobs without a usable date are kept (don't filter out)
+      if (!job.postedAt) {
+        if (!unparseableDateLogged && job.postedDate) {
+          loggerService.debug(`⚠️ Could not parse date for job: "${job.title}" - including it (further unparseable dates in this batch not logged)`, { postedDate: job.postedDate });
+          unparseableDateLogged = true;
         }
-        // Handle relative dates like "2 hours ago", "1 day ago", "30+ days ago", etc.
-        else if (dateStr.includes('ago')) {
-          const timeMatch = dateStr.match(/(\d+)\s*(hour|day|week|month)s?\s*ago/i);
-          if (timeMatch) {
-            const amount = parseInt(timeMatch[1]);
-            const unit = timeMatch[2].toLowerCase();
-            
-            switch (unit) {
-              case 'hour':
-                jobDate = new Date(now.getTime() - amount * 60 * 60 * 1000);
-                break;
-              case 'day':
-                jobDate = new Date(now.getTime() - amount * 24 * 60 * 60 * 1000);
-                break;
-              case 'week':
-                jobDate = new Date(now.getTime() - amount * 7 * 24 * 60 * 60 * 1000);
-                break;
-              case 'month':
-                jobDate = new Date(now.getTime() - amount * 30 * 24 * 60 * 60 * 1000);
-                break;
-            }
-          }
-        }
-        // Handle JobRight date format like "Aug 24", "Aug 23"
-        else if (dateStr.match(/^[A-Za-z]{3}\s+\d{1,2}$/)) {
-          const monthMap = {
-            'jan': 0, 'feb': 1, 'mar': 2, 'apr': 3, 'may': 4, 'jun': 5,
-            'jul': 6, 'aug': 7, 'sep': 8, 'oct': 9, 'nov': 10, 'dec': 11
-          };
-          
-          const dateMatch = dateStr.toLowerCase().match(/(\w{3})\s+(\d+)/);
-          if (dateMatch) {
-            const month = monthMap[dateMatch[1]];
-            const day = parseInt(dateMatch[2]);
-            
-            if (month !== undefined && !isNaN(day)) {
-              // Create date at start of day to avoid time comparison issues
-              jobDate = new Date(now.getFullYear(), month, day, 0, 0, 0, 0);
-            }
-          }
-        } else {
-          // Try to parse as a regular date
-          jobDate = new Date(job.postedDate);
-        }
-      } else if (job.postedDate instanceof Date) {
-        jobDate = job.postedDate;
+        return true;
       }
-    }
-    
-    // If we couldn't parse the date, include the job (don't filter out)
-    if (!jobDate || isNaN(jobDate.getTime())) {
-      if (!unparseableDateLogged) {
-        console.log(`⚠️ Could not parse date for job: "${job.title}" - including it (further unparseable dates in this batch not logged)`);
-        unparseableDateLogged = true;
+
+      const isRecent = job.postedAt >= cutoffDate;
+      if (!isRecent) {
+        loggerService.debug(`❌ Job filtered out (too old): "${job.title}" - posted ${job.postedAt.toLocaleDateString()} (${job.postedAtConfidence || "stored"})`);
       }
-      return true;
-    }
-    
-    // Check if job was posted after the cutoff date
-    const isRecent = jobDate >= cutoffDate;
-    
-    if (!isRecent) {
-      console.log(`❌ Job filtered out (too old): "${job.title}" - posted ${jobDate.toLocaleDateString()}`);
-    }
-    
-    return isRecent;
-  });
+      return isRecent;
+    });
 
-  console.log(`✅ Filtered to ${filteredJobs.length} recent jobs (posted in last ${timeFilter})`);
+  loggerService.info(`✅ Filtered to ${filteredJobs.length} of ${jobs.length} recent jobs (posted in last ${timeFilter})`);
   return filteredJobs;
 }
 
@@ -960,21 +776,27 @@ function categorizeJob(job) {
 }
 
 /**
- * Get the Discord channel ID for a given role and category
- * @param {string} role - Role type: "intern" or "new_grad"
+ * Get the Discord channel ID for a given role and category in one server
+ * (getChannelTargets in utils/guildRouting.js lists every server's channel)
+ * @param {string} role - Role type: "intern" or "new_grad" ("log" for the log channel)
  * @param {string} category - Job category: "software_engineering", "data_analysis", or "data_science_engineer"
  * @param {object} client - Discord client (optional, for fallback)
+ * @param {string} guildId - Server (default: the first one with a channel for the route)
  * @returns {string|null} Channel ID or null if not found
  */
-function getChannelId(role, category, client = null) {
+function getChannelId(role, category, client = null, guildId = null) {
   // Normalize role
   const normalizedRole = role === "new_grad" ? "new_grad" : "intern";
   
-  // Get channel ID from config
-  const channelId =
-    role === "log"
-      ? config.logChannelId
-      : config.channels?.[normalizedRole]?.[category] || null;
+  // Log channel from config; job channels from /setup or the CHANNEL_ID_* env vars
+  let channelId = null;
+  if (role === "log") {
+    channelId = config.logChannelId;
+  } else {
+    const targets = getChannelTargets(normalizedRole, category);
+    const target = guildId ? targets.find((t) => t.guildId === guildId) : targets[0];
+    channelId = target?.channelId || null;
+  }
   
   if (!channelId) {
     loggerService.log(`⚠️ No channel ID found for role: ${normalizedRole}, category: ${category}`, "warn");
@@ -988,6 +810,27 @@ function getChannelId(role, category, client = null) {
 // The synchronous version that was here has been removed to prevent
 // the duplicate declaration from overwriting the async one.
 
+/**
+ * Determine a job's role: its own intern/new_grad role if set, otherwise
+ * keywords in the title, otherwise the default
+ * @param {object} job - Job object
+ * @param {string} defaultRole - Role to fall back to ("both" falls back to "intern")
+ * @returns {string} "intern" or "new_grad"
+ */
+function detectJobRole(job, defaultRole = "intern") {
+  const role = job.role || defaultRole;
+  if (role === "intern" || role === "new_grad") {
+    return role;
+  }
+
+  const titleRole = matchRole(job.title, job.source);
+  if (titleRole) {
+    return titleRole;
+  }
+  // Use defaultRole if we can't determine from title
+  return defaultRole === "new_grad" ? "new_grad" : "intern";
+}
+
 /**
  * Route jobs to appropriate channels based on role and category
  * Groups jobs by role + category and returns a map
@@ -999,37 +842,8 @@ function routeJobsToChannels(jobs, defaultRole = "intern") {
   const routedJobs = new Map();
   
   for (const job of jobs) {
-    // Determine role from job (prefer specific role) or use default
-    let role = job.role || defaultRole;
-    
-    // If role is still "both" or not specifically intern/new_grad, try to detect from title
-    if (role === "both" || (role !== "intern" && role !== "new_grad")) {
-      const title = (job.title || "").toLowerCase();
-      const internKeywords = ["intern", "internship", "co-op", "coop", "student"];
-      const newGradKeywords = [
-        "new grad", "new graduate", "entry level", "entry-level",
-        "junior", "recent graduate", "early career",
-        "university grad", "university graduate", "college grad", "college graduate",
-        "new college grad", "new college graduate",
-        "engineer i", "engineer 1", "engineer 0",
-        "developer i", "developer 1", "developer 0",
-        "analyst i", "analyst 1", "analyst 0",
-        "scientist i", "scientist 1", "scientist 0",
-        "sde i", "sde 1", "swe i", "swe 1",
-        "associate software", "associate data", "associate developer",
-        "associate engineer", "associate analyst",
-        "level 0", "level 1", "level i",
-      ];
-      
-      if (internKeywords.some(keyword => title.includes(keyword))) {
-        role = "intern";
-      } else if (newGradKeywords.some(keyword => title.includes(keyword))) {
-        role = "new_grad";
-      } else {
-        // Use defaultRole if we can't determine from title
-        role = defaultRole === "both" ? "intern" : defaultRole;
-      }
-    }
+    // Determine role from job (prefer specific role), the title, or the default
+    const role = detectJobRole(job, defaultRole);
     
     // Categorize the job
     const category = categorizeJob(job);
@@ -1063,58 +877,179 @@ function getSourceEmbedColor(sourceName) {
   if (sourceLower.includes("github")) return config.github?.embedColor ? parseInt(config.github.embedColor.replace("#", "0x")) : 0x1e90ff;
   if (sourceLower.includes("ziprecruiter")) return config.ziprecruiter?.embedColor ? parseInt(config.ziprecruiter.embedColor.replace("#", "0x")) : 0x1e90ff;
   if (sourceLower.includes("jobright")) return config.jobright?.embedColor ? parseInt(config.jobright.embedColor.replace("#", "0x")) : 0x1e90ff;
+  if (sourceLower.startsWith("ats")) return config.ats?.embedColor ? parseInt(config.ats.embedColor.replace("#", "0x")) : 0x2e8b57;
   return 0x0077b5; // Default LinkedIn blue
 }
 
 /**
- * Send jobs to Discord channels with proper routing based on role and category
+ * Short job ID shown in embed footers; /applied and /status-update accept it as the job handle
+ * @param {object} job - Job object
+ * @returns {string} First 10 characters of the job's normalizedId
+ */
+function getJobHandle(job) {
+  return (job.normalizedId || generateJobId(job)).substring(0, 10);
+}
+
+/**
+ * Escape one CSV value
+ * @param {*} value - Cell value (Dates become ISO strings)
+ * @returns {string} Quoted if it contains a comma, quote or newline
+ */
+function csvCell(value) {
+  const text = value instanceof Date ? value.toISOString() : String(value ?? "");
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Embed labels for the normalized work models (see utils/location)
+const WORK_MODEL_LABELS = { remote: "🏠 Remote", hybrid: "🏢 Hybrid", onsite: "🏢 On-site" };
+
+/**
+ * Build the embed used for a single job posting (channels and DMs)
+ * @param {object} job - Job object
+ * @param {string} sourceName - Name of the source
+ * @param {number} embedColor - Embed color
+ * @param {number} position - Job's number in its message, matching its buttons (omit when there are none)
+ * @returns {EmbedBuilder} Job embed
+ */
+function createJobEmbed(job, sourceName, embedColor, position = null) {
+  const embed = new EmbedBuilder()
+    .setTitle(job.title)
+    .setURL(job.url)
+    .setColor(embedColor)
+    .setDescription(job.company || "Company not specified")
+    .addFields(
+      { name: "Location", value: job.location || "Not specified", inline: true },
+      { name: "Posted", value: job.postedDate || "Recent", inline: true }
+    )
+    .setFooter({
+      text: `${position ? `#${position} | ` : ""}Source: ${sourceName} | ID: ${getJobHandle(job)}`,
+    });
+
+  if (WORK_MODEL_LABELS[job.workModel]) {
+    embed.addFields({ name: "Work Model", value: WORK_MODEL_LABELS[job.workModel], inline: true });
+  }
+
+  const badges = buildJobBadges(job);
+  if (badges.length > 0) {
+    embed.addFields({ name: "Details", value: badges.join(" · ").slice(0, 1024), inline: false });
+  }
+  return embed;
+}
+
+/**
+ * Short badges for a job's salary, visa sponsorship, citizenship, clearance and graduation
+ * years (see utils/jobDetails). 🛂 and 🇺🇸 mean what they do in the curated GitHub lists.
+ * @param {object} job - Job with salary, sponsorship, requiresCitizenship, clearanceRequired, gradYears
+ * @returns {Array<string>} Badges, e.g. ["💰 $45/hr", "🛂 No visa sponsorship"]
+ */
+function buildJobBadges(job) {
+  const badges = [];
+  if (job.salary) badges.push(`💰 ${job.salary}`);
+  if (job.requiresCitizenship) badges.push("🇺🇸 US citizens only");
+  else if (job.sponsorship === "no") badges.push("🛂 No visa sponsorship");
+  if (job.sponsorship === "yes") badges.push("✅ Sponsors visas");
+  if (job.clearanceRequired) badges.push("🔐 Clearance required");
+  if (job.gradYears?.length) badges.push(`🎓 Class of ${job.gradYears.join("/")}`);
+  return badges;
+}
+
+/**
+ * Deliver new jobs to every notifier sink: the Discord channels plus any webhooks in
+ * config.notifiers. Keeps its old name because every scraper calls it.
  * @param {Array} jobs - Array of job objects
- * @param {object} client - Discord client
+ * @param {object} client - Discord client (none, or the offline stand-in, means deliver nothing)
  * @param {string} sourceName - Name of the source
  * @param {string} defaultRole - Default role if not specified in job
  * @param {function} delay - Delay function for rate limiting
  */
 async function sendJobsToDiscord(jobs, client, sourceName, defaultRole = "intern", delay) {
   if (!client || !jobs || jobs.length === 0) return;
-  
+
+  // Required lazily: services/notifiers -> services/mongo -> utils/helpers
+  await require("../services/notifiers").notifyJobs(jobs, { client, sourceName, defaultRole, delay });
+}
+
+/**
+ * Discord sink: post routed jobs to their role/category channel in every server, then DM
+ * matching subscribers. Each server only gets jobs its /setup sources and filters allow
+ * and that it hasn't been sent before. Sends are retried with backoff on Discord server errors.
+ * @param {Map} routedJobs - Map of "role::category" -> jobs (see routeJobsToChannels)
+ * @param {object} client - Discord client
+ * @param {string} sourceName - Name of the source
+ * @param {function} delay - Delay function for rate limiting
+ * @param {object} options - { retry: retryWithBackoff options }
+ */
+async function postJobsToChannels(routedJobs, client, sourceName, delay, options = {}) {
+  if (!client || routedJobs.size === 0) return;
+
+  // Only network errors and 5xx are worth retrying; a missing permission won't fix itself
+  const send = (channel, payload, label) =>
+    retryWithBackoff(() => channel.send(payload), {
+      ...options.retry,
+      label,
+      shouldRetry: (error) => !error.status || error.status >= 500,
+    });
+
   try {
-    // Route jobs to appropriate channels (6 channels: 3 intern + 3 new_grad)
-    const routedJobs = routeJobsToChannels(jobs, defaultRole);
     const embedColor = getSourceEmbedColor(sourceName);
 
-    // Discord: max 10 embeds per message; stay under rate limits by round-robin across channels
-    const EMBEDS_PER_MESSAGE = 10;
+    // Discord: max 10 embeds per message (5 with buttons, one row per job); stay under rate limits by round-robin across channels
+    const withButtons = !!config.jobButtons?.enabled;
+    const EMBEDS_PER_MESSAGE = withButtons ? config.jobButtons.embedsPerMessage : 10;
+    // Required lazily: services/jobActions -> services/mongo -> utils/helpers
+    const { buildJobButtonRow } = require("../services/jobActions");
     const DELAY_BETWEEN_MESSAGES_MS = config.discordSerialization?.delayBetweenMessagesMs ?? 2000;
 
-    // Build per-channel data: header + batches
+    // Required lazily: services/mongo requires this module
+    const mongoService = require("../services/mongo");
+    const jobKey = (job) => job.normalizedId || generateJobId(job);
+    // Servers each job already went to, so no server gets the same job twice
+    const postedGuilds = await mongoService.getPostedGuilds([...routedJobs.values()].flat().map(jobKey));
+
+    // Build per-channel data: header + batches, for every server with a channel for the route
     const channelSends = [];
-    for (const [routeKey, channelJobs] of routedJobs.entries()) {
+    for (const [routeKey, routeJobs] of routedJobs.entries()) {
       const [role, category] = routeKey.split("::");
-      const targetChannel = await getChannel(role, category, client);
-      if (!targetChannel) {
-        loggerService.log(`⚠️ Could not find channel for ${routeKey}, skipping ${channelJobs.length} jobs`, "warn");
+      const targets = await getChannels(role, category, client);
+      if (targets.length === 0) {
+        loggerService.log(`⚠️ Could not find channel for ${routeKey}, skipping ${routeJobs.length} jobs`, "warn");
         continue;
       }
-      const validJobs = channelJobs.filter((j) => j.title && j.url);
-      const batches = [];
-      for (let i = 0; i < validJobs.length; i += EMBEDS_PER_MESSAGE) {
-        batches.push(validJobs.slice(i, i + EMBEDS_PER_MESSAGE));
+      for (const { guildId, channel } of targets) {
+        const guild = getGuildSettings(guildId);
+        const validJobs = routeJobs.filter(
+          (j) =>
+            j.title &&
+            j.url &&
+            guildAcceptsJob(guild, j) &&
+            !wasPosted(guildId, jobKey(j)) &&
+            !postedGuilds.get(jobKey(j))?.has(guildId)
+        );
+        if (validJobs.length === 0) continue;
+
+        const batches = [];
+        for (let i = 0; i < validJobs.length; i += EMBEDS_PER_MESSAGE) {
+          batches.push(validJobs.slice(i, i + EMBEDS_PER_MESSAGE));
+        }
+        channelSends.push({
+          routeKey: `${routeKey}@${guildId}`,
+          guildId,
+          channel,
+          role,
+          category,
+          totalCount: validJobs.length,
+          batches,
+        });
       }
-      channelSends.push({
-        routeKey,
-        channel: targetChannel,
-        role,
-        category,
-        totalCount: validJobs.length,
-        batches,
-      });
     }
 
     // Send header to each channel first (one per channel, with delay)
     for (const entry of channelSends) {
       try {
-        await entry.channel.send(
-          `**${sourceName}** - ${entry.totalCount} new ${entry.role === "intern" ? "internship" : "new grad"} posting${entry.totalCount !== 1 ? "s" : ""} (${entry.category.replace("_", " ")})`
+        await send(
+          entry.channel,
+          `**${sourceName}** - ${entry.totalCount} new ${entry.role === "intern" ? "internship" : "new grad"} posting${entry.totalCount !== 1 ? "s" : ""} (${entry.category.replace("_", " ")})`,
+          `Discord header to ${entry.routeKey}`
         );
         await delay(DELAY_BETWEEN_MESSAGES_MS);
       } catch (err) {
@@ -1126,28 +1061,32 @@ async function sendJobsToDiscord(jobs, client, sourceName, defaultRole = "intern
     let roundIndex = 0;
     let sentPerChannel = {};
     channelSends.forEach((e) => { sentPerChannel[e.routeKey] = 0; });
+    // Where each job landed, so its embed can be edited later (e.g. marked closed)
+    const postedMessages = [];
 
     while (true) {
       let anySent = false;
       for (const entry of channelSends) {
         if (roundIndex >= entry.batches.length) continue;
         const batch = entry.batches[roundIndex];
-        const embeds = batch.map((job) =>
-          new EmbedBuilder()
-            .setTitle(job.title)
-            .setURL(job.url)
-            .setColor(embedColor)
-            .setDescription(job.company || "Company not specified")
-            .addFields(
-              { name: "Location", value: job.location || "Not specified", inline: true },
-              { name: "Posted", value: job.postedDate || "Recent", inline: true }
-            )
-            .setFooter({
-              text: `Source: ${sourceName} | ID: ${job.id ? job.id.substring(0, 10) : "unknown"}`,
-            })
+        const embeds = batch.map((job, index) =>
+          createJobEmbed(job, sourceName, embedColor, withButtons ? index + 1 : null)
         );
+        const components = withButtons
+          ? batch.map((job, index) => buildJobButtonRow(job.normalizedId || generateJobId(job), index + 1))
+          : [];
         try {
-          await entry.channel.send({ embeds });
+          const message = await send(entry.channel, { embeds, components }, `Discord batch to ${entry.routeKey}`);
+          markPosted(entry.guildId, batch.map(jobKey));
+          batch.forEach((job, embedIndex) =>
+            postedMessages.push({
+              normalizedId: jobKey(job),
+              guildId: entry.guildId,
+              channelId: entry.channel.id,
+              messageId: message.id,
+              embedIndex,
+            })
+          );
           sentPerChannel[entry.routeKey] += batch.length;
           anySent = true;
           await delay(DELAY_BETWEEN_MESSAGES_MS);
@@ -1162,6 +1101,20 @@ async function sendJobsToDiscord(jobs, client, sourceName, defaultRole = "intern
     for (const [routeKey, count] of Object.entries(sentPerChannel)) {
       loggerService.log(`✅ Sent ${count} jobs to Discord channel ${routeKey}`);
     }
+
+    await mongoService.recordDiscordMessages(postedMessages);
+
+    // DM matching jobs to personal subscribers, using the same role/category routing.
+    // Required lazily: services/subscriptions -> services/mongo -> utils/helpers
+    const routedForAlerts = [];
+    for (const [routeKey, channelJobs] of routedJobs.entries()) {
+      const [role, category] = routeKey.split("::");
+      channelJobs
+        .filter((j) => j.title && j.url)
+        .forEach((job) => routedForAlerts.push({ ...job, role, category }));
+    }
+    const { deliverJobAlerts } = require("../services/subscriptions");
+    await deliverJobAlerts(routedForAlerts, client, sourceName, delay);
   } catch (error) {
     loggerService.log(`Error sending jobs to Discord: ${error.message}`, "error");
   }
@@ -1176,13 +1129,84 @@ function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Run an async operation, retrying failures with exponential backoff
+ * @param {Function} fn - async (attempt) => result
+ * @param {object} options - Retry options
+ * @param {number} options.retries - Retries after the first attempt (default: 3)
+ * @param {number} options.baseDelayMs - Wait before the first retry, doubled each time (default: 1000)
+ * @param {number} options.maxDelayMs - Longest wait between attempts (default: 30000)
+ * @param {Function} options.shouldRetry - (error) => boolean; false gives up right away
+ * @param {string} options.label - What is being retried, for logs
+ * @returns {Promise<*>} Result of the first successful attempt
+ * @throws {Error} The last error once retries run out
+ */
+async function retryWithBackoff(fn, options = {}) {
+  const {
+    retries = 3,
+    baseDelayMs = 1000,
+    maxDelayMs = 30000,
+    shouldRetry = () => true,
+    label = "Operation",
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+      // A server's Retry-After (error.retryAfterMs) wins when it asks for longer
+      const wait = Math.min(Math.max(baseDelayMs * 2 ** attempt, error.retryAfterMs || 0), maxDelayMs);
+      loggerService.log(`🔁 ${label} failed (${error.message}); retry ${attempt + 1}/${retries} in ${wait}ms`, "warn");
+      await delay(wait);
+    }
+  }
+}
+
+/**
+ * Run a self-contained DOM parser inside a Puppeteer page. The parser is a plain
+ * function taking (root, ...args), so tests can call it directly on a fixture DOM.
+ * @param {object} page - Puppeteer page
+ * @param {Function} parser - Parser function; must not reference anything outside itself
+ * @param {...*} args - JSON-serializable arguments passed after the document
+ * @returns {Promise<*>} Parser result
+ */
+function evaluateParser(page, parser, ...args) {
+  forwardPageConsole(page, { parser: parser.name });
+  const argList = ["document", ...args.map((arg) => JSON.stringify(arg))].join(", ");
+  return page.evaluate(`(${parser.toString()})(${argList})`);
+}
+
+// Pages whose browser console already goes to the logger
+const forwardedPages = new WeakSet();
+
+/**
+ * Send a Puppeteer page's console output (e.g. parser progress) to the logger at debug
+ * level, and browser-side errors as warnings. Safe to call more than once per page.
+ * @param {object} page - Puppeteer page
+ * @param {object} fields - Extra fields for each line (e.g. { parser })
+ */
+function forwardPageConsole(page, fields = {}) {
+  if (typeof page?.on !== "function" || forwardedPages.has(page)) return;
+  forwardedPages.add(page);
+  page.on("console", (message) => {
+    const level = message.type() === "error" ? "warn" : "debug";
+    loggerService.log(`🌐 ${message.text()}`, level, { browser: true, ...fields });
+  });
+}
+
 module.exports = {
   generateJobId,
+  getJobHandle,
+  csvCell,
   normalizeJob,
   deduplicateJobs,
   sortJobsByRelevance,
   formatJobForDiscord,
   createDiscordJobMessages,
+  sortJobsBySalary,
   createDailySummaryMessage,
   createSourceSummaryMessages,
   sendSourceSummaryToDiscord,
@@ -1192,7 +1216,16 @@ module.exports = {
   categorizeJob,
   getChannelId,
   getChannel,
+  getChannels,
+  detectJobRole,
   routeJobsToChannels,
+  getSourceEmbedColor,
+  createJobEmbed,
+  buildJobBadges,
   sendJobsToDiscord,
-  delay
+  postJobsToChannels,
+  delay,
+  retryWithBackoff,
+  evaluateParser,
+  forwardPageConsole
 };
@@ -0,0 +1,266 @@
+// utils/jobDetails.js - Read job detail pages and description text: salary, sponsorship, citizenship, clearance, grad year
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", ndash: "–", mdash: "—", rsquo: "'", lsquo: "'", rdquo: '"', ldquo: '"', bull: "•" };
+
+/**
+ * Decode named and numeric HTML entities
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return String(text || "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === "#") {
+      const value = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) ? String.fromCodePoint(value) : entity;
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Turn description HTML into plain text, keeping paragraph and list breaks
+ * @param {string} html - HTML (possibly entity-escaped, as in JSON-LD)
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  if (!html) return "";
+  return decodeEntities(
+    decodeEntities(html)
+      .replace(/<\s*(script|style)[^>]*>[\s\S]*?<\/\s*\1\s*>/gi, " ")
+      .replace(/<\s*(br|\/p|\/div|\/li|\/h\d|\/ul|\/ol)[^>]*>/gi, "\n")
+      .replace(/<\s*li[^>]*>/gi, "\n• ")
+      .replace(/<[^>]+>/g, " ")
+  )
+    .replace(/[ \t\f\v ]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// Every JobPosting object in a page's JSON-LD blocks (including arrays and @graph)
+function findJsonLdPostings(html) {
+  const postings = [];
+  const visit = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    const type = node["@type"];
+    if (type === "JobPosting" || (Array.isArray(type) && type.includes("JobPosting"))) postings.push(node);
+    if (node["@graph"]) visit(node["@graph"]);
+  };
+
+  const pattern = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = pattern.exec(html))) {
+    try {
+      visit(JSON.parse(match[1].trim()));
+    } catch (error) {
+      // Broken JSON-LD: try the next block
+    }
+  }
+  return postings;
+}
+
+const PERIODS = { HOUR: "hour", DAY: "day", WEEK: "week", MONTH: "month", YEAR: "year" };
+
+/**
+ * Salary text from a JSON-LD baseSalary, e.g. "$120,000 - $150,000 per year"
+ * @param {object} baseSalary - schema.org MonetaryAmount
+ * @returns {string} Salary text, or "" if there is none
+ */
+function formatBaseSalary(baseSalary) {
+  const value = baseSalary?.value;
+  if (!baseSalary || value === undefined) return "";
+  const amounts = typeof value === "object" ? [value.minValue ?? value.value, value.maxValue] : [value];
+  const numbers = amounts.map(Number).filter((amount) => Number.isFinite(amount) && amount > 0);
+  if (numbers.length === 0) return "";
+
+  const currency = baseSalary.currency || "USD";
+  const money = (amount) =>
+    `${currency === "USD" ? "$" : `${currency} `}${amount.toLocaleString("en-US", { maximumFractionDigits: 2 })}`;
+  const range = numbers.length > 1 && numbers[1] !== numbers[0] ? `${money(numbers[0])} - ${money(numbers[1])}` : money(numbers[0]);
+  const period = PERIODS[String(value.unitText || baseSalary.unitText || "").toUpperCase()];
+  return period ? `${range} per ${period}` : range;
+}
+
+// Description containers of pages without JSON-LD (LinkedIn guest job view, ZipRecruiter)
+const DESCRIPTION_PATTERNS = [
+  /<div[^>]*class="[^"]*show-more-less-html__markup[^"]*"[^>]*>([\s\S]*?)<\/div>/i,
+  /<div[^>]*class="[^"]*job_description[^"]*"[^>]*>([\s\S]*?)<\/div>\s*<\/div>/i,
+];
+
+/**
+ * Pull the description (and salary, when the page states one) out of a job detail page.
+ * Tries the page's JSON-LD JobPosting first, then known description containers, then
+ * the meta description.
+ * @param {string} html - Detail page HTML
+ * @returns {object} { description, salary, via } (via: "jsonld", "markup", "meta" or null)
+ */
+function extractJobPosting(html) {
+  const posting = findJsonLdPostings(html || "")[0];
+  if (posting?.description) {
+    return { description: htmlToText(posting.description), salary: formatBaseSalary(posting.baseSalary), via: "jsonld" };
+  }
+
+  for (const pattern of DESCRIPTION_PATTERNS) {
+    const match = (html || "").match(pattern);
+    if (match && htmlToText(match[1])) {
+      return { description: htmlToText(match[1]), salary: "", via: "markup" };
+    }
+  }
+
+  const meta = (html || "").match(/<meta[^>]*(?:name|property)=["'](?:og:)?description["'][^>]*content=["']([^"']*)["']/i);
+  if (meta && meta[1].trim()) {
+    return { description: htmlToText(meta[1]), salary: "", via: "meta" };
+  }
+  return { description: "", salary: "", via: null };
+}
+
+const AMOUNT = String.raw`\$\s?\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?\s?[kK]?`;
+const PERIOD = String.raw`(?:\s?(?:\/|per|an?)\s?(?:hour|hr|year|yr|annum|month|week))`;
+const SALARY_PATTERN = new RegExp(String.raw`${AMOUNT}${PERIOD}?(?:\s?(?:-|–|—|to)\s?${AMOUNT})?${PERIOD}?`, "gi");
+
+/**
+ * First pay figure in a description: a range, or an amount with a period or of at least $1,000
+ * @param {string} text - Description text
+ * @returns {string} Salary text as written, or ""
+ */
+function findSalary(text) {
+  for (const match of String(text || "").matchAll(SALARY_PATTERN)) {
+    const found = match[0].trim();
+    const isRange = /(?:-|–|—|to)\s?\$/.test(found);
+    const hasPeriod = new RegExp(`${PERIOD}$`, "i").test(found);
+    const amount = parseFloat(found.replace(/[$,\s]/g, ""));
+    if (isRange || hasPeriod || /[kK]/.test(found) || amount >= 1000) {
+      return found;
+    }
+  }
+  return "";
+}
+
+// Checked before the "sponsors" phrases: "we do not offer H-1B sponsorship" mentions both
+const NO_SPONSORSHIP = [
+  /\b(?:do(?:es)?|will|can|are)\s*(?:not|n't)\s+(?:offer|provide|support)\s+(?:any\s+)?(?:visa\s+|h-?1b\s+|immigration\s+|employment\s+)*sponsorship/i,
+  /\b(?:will|can|do(?:es)?|are|is)\s*(?:not|n't)\s*(?:be\s+)?(?:able\s+to\s+|going\s+to\s+)?(?:offer\s+|provide\s+)?sponsor/i,
+  /\b(?:unable|not\s+able)\s+to\s+(?:offer\s+|provide\s+)?(?:visa\s+|immigration\s+)?sponsor/i,
+  /\bno\s+(?:visa\s+|immigration\s+|h-?1b\s+)?sponsorship/i,
+  /\bsponsorship\s+(?:is\s+)?(?:not\s+(?:available|offered|provided)|unavailable)/i,
+  /\bwithout\s+(?:the\s+)?(?:need\s+for\s+|requiring\s+)?(?:current\s+or\s+future\s+)?(?:visa\s+|employer\s+|immigration\s+)?sponsorship/i,
+  /\bnot\s+(?:eligible|considered)\s+for\s+(?:visa\s+)?sponsorship/i,
+  /\brequir\w*\s+(?:visa\s+|employer\s+|immigration\s+)?sponsorship[^.]{0,60}\b(?:not\s+eligible|not\s+be\s+considered)/i,
+];
+const SPONSORSHIP = [
+  /\b(?:will|can|do(?:es)?|are\s+able\s+to)\s+sponsor/i,
+  /\b(?:visa|h-?1b|immigration)\s+sponsorship\s+(?:is\s+)?(?:available|offered|provided)/i,
+  /\bsponsorship\s+(?:is\s+)?(?:available|offered|provided)/i,
+  /\bsponsors?\s+h-?1b/i,
+];
+const CITIZENSHIP = [
+  /\b(?:u\.?s\.?|united\s+states)\s+citizen(?:s|ship)?\b(?!\s+(?:or|and)\s+(?:permanent|green|lawful))/i,
+  /\bcitizenship\s+(?:is\s+)?required/i,
+  /\bmust\s+be\s+a\s+citizen/i,
+  /\bITAR\b/,
+];
+const CLEARANCE = [
+  /\b(?:security|secret|government|dod|active)\s+clearance/i,
+  /\bclearance\s+(?:is\s+)?required/i,
+  /\bTS\s*\/\s*SCI\b/i,
+  /\btop\s+secret\b/i,
+  /\bpublic\s+trust\b/i,
+];
+
+/**
+ * Visa sponsorship stated in the text
+ * @param {string} text - Title and description
+ * @returns {string} "no", "yes", or "unknown" when it isn't mentioned
+ */
+function findSponsorship(text) {
+  if (NO_SPONSORSHIP.some((pattern) => pattern.test(text))) return "no";
+  if (SPONSORSHIP.some((pattern) => pattern.test(text))) return "yes";
+  return "unknown";
+}
+
+/**
+ * Graduation years a posting asks for ("Class of 2026", "graduating in May 2027", "2026 grads")
+ * @param {string} text - Title and description
+ * @returns {Array<number>} Sorted years (empty if none)
+ */
+function findGradYears(text) {
+  const years = new Set();
+  const patterns = [
+    /\b(?:class\s+of|graduat\w*|grad(?:uation)?\s+date)[^.\n]{0,60}?\b(20[2-4]\d)\b(?:\s*(?:-|–|and|or|to)\s*(?:[a-z]+\s+)?(20[2-4]\d)\b)?/gi,
+    /\b(20[2-4]\d)\s+(?:grads?|graduates?|new\s+grads?)\b/gi,
+  ];
+  for (const pattern of patterns) {
+    for (const match of String(text || "").matchAll(pattern)) {
+      match.slice(1).filter(Boolean).forEach((year) => years.add(Number(year)));
+    }
+  }
+  return [...years].sort();
+}
+
+/**
+ * Structured requirements from a job's title and description.
+ * A clearance needs US citizenship, and a job limited to citizens can't sponsor a visa.
+ * @param {string} text - Title and description
+ * @returns {object} { salary, sponsorship, requiresCitizenship, clearanceRequired, gradYears }
+ */
+function analyzeJobText(text) {
+  const value = String(text || "");
+  const clearanceRequired = CLEARANCE.some((pattern) => pattern.test(value));
+  const requiresCitizenship = clearanceRequired || CITIZENSHIP.some((pattern) => pattern.test(value));
+  return {
+    salary: findSalary(value),
+    sponsorship: requiresCitizenship ? "no" : findSponsorship(value),
+    requiresCitizenship,
+    clearanceRequired,
+    gradYears: findGradYears(value),
+  };
+}
+
+/**
+ * Classify whether a job sponsors visas and whether it is limited to US citizens.
+ * Markers a source sets itself (sponsorshipSource "marker", e.g. the 🛂 / 🇺🇸 of
+ * curated GitHub lists) are authoritative: the text can add a citizenship
+ * requirement but never lifts one, and never turns a marked "no" into "yes".
+ * @param {object} job - Job with title and description (and any source markers)
+ * @returns {object} { sponsorship: "yes" | "no" | "unknown", requiresCitizenship, clearanceRequired, sponsorshipSource: "marker" | "text" | null }
+ */
+function classifyWorkAuthorization(job) {
+  const found = analyzeJobText([job.title, job.description].filter(Boolean).join("\n"));
+  if (job.sponsorshipSource !== "marker") {
+    return {
+      sponsorship: found.sponsorship,
+      requiresCitizenship: found.requiresCitizenship,
+      clearanceRequired: found.clearanceRequired,
+      sponsorshipSource: found.sponsorship === "unknown" ? null : "text",
+    };
+  }
+
+  const requiresCitizenship = !!job.requiresCitizenship || found.requiresCitizenship;
+  return {
+    sponsorship: job.sponsorship === "no" || requiresCitizenship ? "no" : found.sponsorship,
+    requiresCitizenship,
+    clearanceRequired: found.clearanceRequired,
+    sponsorshipSource: "marker",
+  };
+}
+
+/**
+ * A job with its sponsorship / citizenship classification applied (see classifyWorkAuthorization)
+ * @param {object} job - Job
+ * @returns {object} Copy of the job with sponsorship, requiresCitizenship, clearanceRequired and sponsorshipSource
+ */
+function withWorkAuthorization(job) {
+  return { ...job, ...classifyWorkAuthorization(job) };
+}
+
+module.exports = {
+  htmlToText,
+  extractJobPosting,
+  findSalary,
+  findSponsorship,
+  findGradYears,
+  analyzeJobText,
+  classifyWorkAuthorization,
+  withWorkAuthorization,
+};
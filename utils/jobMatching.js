@@ -0,0 +1,251 @@
+// utils/jobMatching.js - Fuzzy duplicate detection layered on top of the exact job id hash
+const config = require("../config");
+const { US_STATES } = require("./location");
+
+// Legal-entity suffixes that differ between sources for the same employer
+const COMPANY_SUFFIXES = new Set([
+  "inc",
+  "incorporated",
+  "llc",
+  "llp",
+  "lp",
+  "ltd",
+  "limited",
+  "corp",
+  "corporation",
+  "co",
+  "company",
+  "plc",
+  "gmbh",
+  "ag",
+  "sa",
+  "pbc",
+]);
+
+// Placeholders scrapers use when the company is missing; these never match
+const UNKNOWN_COMPANIES = new Set(["", "unknown", "unknown company", "company not specified", "company details unavailable"]);
+
+// Longest names first so "west virginia" is not rewritten as "west va"
+const STATE_PATTERN = new RegExp(
+  `\\b(${Object.keys(US_STATES)
+    .sort((a, b) => b.length - a.length)
+    .join("|")})\\b`,
+  "g"
+);
+
+const COUNTRY_PATTERN = /\b(united states of america|united states|usa|us)\b/g;
+
+// Placeholders scrapers use when the location is missing; these match any location
+const UNKNOWN_LOCATIONS = new Set(["", "not specified", "location not specified", "n a", "unknown"]);
+
+const TITLE_SEASON_PATTERN = /\b(summer|fall|autumn|winter|spring)\b/g;
+const TITLE_YEAR_PATTERN = /(\b(19|20)\d{2}\b|'\d{2}\b)/g;
+
+const TITLE_STOPWORDS = new Set(["a", "an", "and", "the", "of", "for", "to", "in", "at", "with"]);
+
+// Spelling variants that should compare as the same token
+const TITLE_SYNONYMS = {
+  internship: "intern",
+  engineering: "engineer",
+  eng: "engineer",
+  swe: "software",
+  sr: "senior",
+  jr: "junior",
+  grad: "graduate",
+};
+
+/**
+ * Canonical company name: lowercase, punctuation removed and trailing legal
+ * suffixes (Inc, LLC, Corp, ...) dropped, so "Google LLC" matches "Google".
+ * @param {string} company - Company name as scraped
+ * @returns {string} Canonical company name ("" when unknown)
+ */
+function normalizeCompany(company) {
+  const tokens = (company || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/\.com\b/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  while (tokens.length > 1 && COMPANY_SUFFIXES.has(tokens[tokens.length - 1])) {
+    tokens.pop();
+  }
+
+  const canonical = tokens.join(" ");
+  return UNKNOWN_COMPANIES.has(canonical) ? "" : canonical;
+}
+
+/**
+ * Canonical location: US state names become their abbreviations and country
+ * noise is dropped, so "Mountain View, California" matches "Mountain View, CA, USA".
+ * @param {string} location - Location as scraped
+ * @returns {string} Canonical location ("" when unknown)
+ */
+function normalizeLocation(location) {
+  const canonical = (location || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(STATE_PATTERN, (name) => US_STATES[name])
+    .replace(COUNTRY_PATTERN, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  return UNKNOWN_LOCATIONS.has(canonical) ? "" : canonical;
+}
+
+/**
+ * Reduce a token to a comparable stem ("Engineering" -> "engineer", "Systems" -> "system")
+ * @param {string} token - Lowercase title token
+ * @returns {string} Stemmed token
+ */
+function stemToken(token) {
+  if (TITLE_SYNONYMS[token]) return TITLE_SYNONYMS[token];
+  if (token.length > 4 && token.endsWith("s") && !/(ss|us|is)$/.test(token)) {
+    return token.slice(0, -1);
+  }
+  return token;
+}
+
+/**
+ * Title tokens with season/year noise, punctuation and stopwords removed
+ * @param {string} title - Job title as scraped
+ * @returns {Array<string>} Unique stemmed tokens
+ */
+function titleTokens(title) {
+  const cleaned = (title || "")
+    .toLowerCase()
+    .replace(TITLE_SEASON_PATTERN, " ")
+    .replace(TITLE_YEAR_PATTERN, " ")
+    .replace(/co-op/g, "coop")
+    .replace(/[^a-z0-9]+/g, " ");
+
+  return [
+    ...new Set(
+      cleaned
+        .split(/\s+/)
+        .filter((token) => token && !TITLE_STOPWORDS.has(token))
+        .map(stemToken)
+    ),
+  ];
+}
+
+/**
+ * Dice coefficient between two token lists (1 = same tokens, 0 = nothing shared)
+ * @param {Array<string>} a - First token list
+ * @param {Array<string>} b - Second token list
+ * @returns {number} Similarity between 0 and 1
+ */
+function tokenSimilarity(a, b) {
+  if (a.length === 0 && b.length === 0) return 1;
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const setB = new Set(b);
+  const shared = a.filter((token) => setB.has(token)).length;
+  return (2 * shared) / (a.length + b.length);
+}
+
+/**
+ * Precompute the canonical fields used for matching so a job can be compared
+ * against many candidates without re-normalizing it each time
+ * @param {object} job - Job object (title, company, location)
+ * @returns {object} Match profile { company, location, tokens }
+ */
+function buildMatchProfile(job) {
+  return {
+    company: normalizeCompany(job.company),
+    location: normalizeLocation(job.location),
+    tokens: titleTokens(job.title),
+    ...titleTerm(job.title),
+  };
+}
+
+/**
+ * Season and year a title is for, kept out of the title tokens but compared on their own:
+ * "Intern - Summer 2026" and "Intern - Fall 2026" are different postings
+ * @param {string} title - Job title
+ * @returns {object} { season, year }, each null when the title doesn't say
+ */
+function titleTerm(title) {
+  const lower = (title || "").toLowerCase();
+  const season = lower.match(TITLE_SEASON_PATTERN)?.[0] || null;
+  const year = lower.match(TITLE_YEAR_PATTERN)?.[0] || null;
+  return {
+    season: season === "autumn" ? "fall" : season,
+    year: year ? (year.startsWith("'") ? `20${year.slice(1)}` : year) : null,
+  };
+}
+
+/**
+ * Decide whether two jobs are the same posting under different spellings.
+ * Companies must match after canonicalization, locations must match (a missing
+ * location matches anything), seasons and years in the titles must match (likewise)
+ * and the title tokens must reach the threshold.
+ * @param {object} a - Job object or match profile
+ * @param {object} b - Job object or match profile
+ * @param {number} threshold - Minimum title similarity (defaults to config)
+ * @returns {object} { duplicate, score, reason }
+ */
+function areLikelyDuplicates(a, b, threshold = config.deduplication.titleSimilarityThreshold) {
+  const profileA = a.tokens ? a : buildMatchProfile(a);
+  const profileB = b.tokens ? b : buildMatchProfile(b);
+
+  if (!profileA.company || profileA.company !== profileB.company) {
+    return { duplicate: false, score: 0, reason: "different company" };
+  }
+
+  if (profileA.location && profileB.location && profileA.location !== profileB.location) {
+    return { duplicate: false, score: 0, reason: "different location" };
+  }
+
+  // A title without a season or year matches any; two that both have one must agree
+  if (profileA.season && profileB.season && profileA.season !== profileB.season) {
+    return { duplicate: false, score: 0, reason: "different season" };
+  }
+  if (profileA.year && profileB.year && profileA.year !== profileB.year) {
+    return { duplicate: false, score: 0, reason: "different year" };
+  }
+
+  const score = tokenSimilarity(profileA.tokens, profileB.tokens);
+  if (score < threshold) {
+    return { duplicate: false, score, reason: "title below similarity threshold" };
+  }
+
+  return { duplicate: true, score, reason: score === 1 ? "same canonical title" : "similar title" };
+}
+
+/**
+ * Find the best fuzzy duplicate of a job among candidates
+ * @param {object} profile - Match profile of the job being checked
+ * @param {Array<object>} candidates - Entries with a `profile` property
+ * @param {number} threshold - Minimum title similarity (defaults to config)
+ * @returns {object|null} { candidate, score, reason } or null when nothing matches
+ */
+function findFuzzyDuplicate(profile, candidates, threshold) {
+  let best = null;
+
+  for (const candidate of candidates) {
+    const result = areLikelyDuplicates(profile, candidate.profile, threshold);
+    if (result.duplicate && (!best || result.score > best.score)) {
+      best = { candidate, score: result.score, reason: result.reason };
+      if (result.score === 1) break;
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  normalizeCompany,
+  normalizeLocation,
+  titleTokens,
+  titleTerm,
+  tokenSimilarity,
+  buildMatchProfile,
+  areLikelyDuplicates,
+  findFuzzyDuplicate,
+};
@@ -0,0 +1,297 @@
+// utils/jobRules.js - Declarative job relevance rules (config.jobFiltering) with a reason for every decision
+const fs = require("fs");
+const config = require("../config");
+const logger = require("../services/logger");
+
+// Checks in the order they run; source overrides can skip any of them
+const CHECKS = ["companies", "include", "exclude", "require", "role"];
+const ROLE_LABELS = { intern: "an intern", new_grad: "a new grad" };
+
+// Compiled rules: "default" plus one entry per source key with overrides
+let compiledRules = null;
+
+// Terms added at runtime by admins (/filter), stored in Mongo and appended to every rule set
+let runtimeOverrides = { include: [], exclude: [] };
+
+/**
+ * Compile one rule term into a matcher.
+ * Plain terms match whole words ("swe" doesn't match "answer"), "engineer*" matches
+ * word prefixes, and "/pattern/flags" is taken as a regular expression.
+ * @param {string} term - Rule term from config
+ * @returns {object} { term, regex }
+ */
+function compileTerm(term) {
+  const text = String(term).trim();
+  const literal = /^\/(.+)\/([a-z]*)$/.exec(text);
+  if (literal) {
+    const flags = literal[2].includes("i") ? literal[2] : `${literal[2]}i`;
+    return { term: text, regex: new RegExp(literal[1], flags) };
+  }
+
+  const prefix = text.endsWith("*");
+  const escaped = (prefix ? text.slice(0, -1) : text)
+    .toLowerCase()
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\s+/g, "\\s+");
+  return {
+    term: text,
+    regex: new RegExp(`(?<![a-z0-9])${escaped}${prefix ? "" : "(?![a-z0-9])"}`, "i"),
+  };
+}
+
+/**
+ * First term in a compiled list that matches the text
+ * @param {Array<object>} terms - Compiled terms
+ * @param {string} text - Title or company
+ * @returns {string|null} The matching term as written in the rules, or null
+ */
+function findMatch(terms, text) {
+  const match = terms.find(({ regex }) => regex.test(text));
+  return match ? match.term : null;
+}
+
+/**
+ * Read the JSON rules file (config.jobFiltering.rulesFile), if one is set
+ * @returns {object} Rules from the file, or {} if unset or unreadable
+ */
+function readRulesFile() {
+  const file = config.jobFiltering.rulesFile;
+  if (!file) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    logger.log(`⚠️ Could not read job rules file ${file}, using config.js rules: ${error.message}`, "warn");
+    return {};
+  }
+}
+
+/**
+ * Combine rule sets: top-level lists are replaced, roles and sources are merged per key
+ * @param {object} base - Rules to start from
+ * @param {object} layer - Rules that take precedence
+ * @returns {object} Merged rules
+ */
+function mergeRules(base, layer) {
+  const merged = { ...base, ...layer };
+  for (const key of ["roles", "sources"]) {
+    merged[key] = { ...(base[key] || {}) };
+    for (const [name, rules] of Object.entries(layer[key] || {})) {
+      merged[key][name] = { ...(merged[key][name] || {}), ...rules };
+    }
+  }
+  return merged;
+}
+
+/**
+ * Compile a rule set (lists become matchers)
+ * @param {object} rules - Rules in config.jobFiltering shape
+ * @param {Array<string>} skip - Checks to skip
+ * @returns {object} Compiled rules
+ */
+function compileRuleSet(rules, skip = []) {
+  const compileList = (list) => (list || []).map(compileTerm);
+  return {
+    skip,
+    excludedCompanies: compileList(rules.excludedCompanies),
+    include: compileList(rules.include),
+    exclude: compileList(rules.exclude),
+    // Admins' /filter excludes, checked even where the source skips the exclude list
+    runtimeExclude: compileList(runtimeOverrides.exclude),
+    require: compileList(rules.require),
+    roles: Object.fromEntries(
+      Object.entries(rules.roles || {}).map(([role, roleRules]) => [
+        role,
+        { match: compileList(roleRules.match), exclude: compileList(roleRules.exclude) },
+      ])
+    ),
+  };
+}
+
+/**
+ * Append the runtime include/exclude terms to a rule set
+ * @param {object} rules - Rules in config.jobFiltering shape
+ * @returns {object} Rules with the runtime terms added
+ */
+function withRuntimeOverrides(rules) {
+  return {
+    ...rules,
+    include: [...(rules.include || []), ...runtimeOverrides.include],
+    exclude: [...(rules.exclude || []), ...runtimeOverrides.exclude],
+  };
+}
+
+/**
+ * Load and compile the rules: config.jobFiltering, then the rules file on top, then
+ * the runtime overrides. Called lazily on first use; call again after editing the rules file.
+ * @returns {object} { default, sources } compiled rules
+ */
+function reloadRules() {
+  const rules = mergeRules(config.jobFiltering, readRulesFile());
+  const sources = {};
+
+  for (const [source, override] of Object.entries(rules.sources || {})) {
+    const { skip, ...lists } = override;
+    const skipChecks = skip === true ? [...CHECKS] : Array.isArray(skip) ? skip : [];
+    sources[source.toLowerCase()] = compileRuleSet(
+      withRuntimeOverrides(mergeRules(rules, lists)),
+      skipChecks
+    );
+  }
+
+  compiledRules = { default: compileRuleSet(withRuntimeOverrides(rules)), sources };
+  return compiledRules;
+}
+
+/**
+ * Replace the runtime include/exclude terms and recompile, so they apply right away
+ * @param {object} overrides - { include: [terms], exclude: [terms] }
+ */
+function setRuntimeOverrides(overrides = {}) {
+  runtimeOverrides = {
+    include: [...(overrides.include || [])],
+    exclude: [...(overrides.exclude || [])],
+  };
+  reloadRules();
+}
+
+/**
+ * The rules currently in effect, before compiling (for /filter list)
+ * @returns {object} { rules: merged config and rules file, runtime: runtime terms }
+ */
+function describeRules() {
+  return {
+    rules: mergeRules(config.jobFiltering, readRulesFile()),
+    runtime: runtimeOverrides,
+  };
+}
+
+/**
+ * Rules for a source: its overrides if it has any, otherwise the defaults.
+ * Scrape task names such as "github (new grad)" resolve by prefix.
+ * @param {string} source - Source key or task name (optional)
+ * @returns {object} { key, rules }
+ */
+function getRules(source) {
+  const rules = compiledRules || reloadRules();
+  const name = String(source || "").toLowerCase();
+  const key = Object.keys(rules.sources).find((sourceKey) => name.startsWith(sourceKey));
+  return key ? { key, rules: rules.sources[key] } : { key: null, rules: rules.default };
+}
+
+/**
+ * Role a title matches on its own ("intern" wins over "new_grad")
+ * @param {string} title - Job title
+ * @param {string} source - Source key (optional, for per-source role lists)
+ * @returns {string|null} "intern", "new_grad", or null if neither matches
+ */
+function matchRole(title, source = null) {
+  const { rules } = getRules(source);
+  for (const role of ["intern", "new_grad"]) {
+    if (rules.roles[role] && findMatch(rules.roles[role].match, title || "")) {
+      return role;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a title against one role's rules
+ * @param {object} roleRules - Compiled role rules ({ match, exclude })
+ * @param {string} title - Job title
+ * @returns {object} { ok, term } (term is the matching or excluding term)
+ */
+function checkRole(roleRules, title) {
+  if (!roleRules) return { ok: false, term: null };
+  const excluded = findMatch(roleRules.exclude, title);
+  if (excluded) return { ok: false, term: excluded, excluded: true };
+  const matched = findMatch(roleRules.match, title);
+  return { ok: !!matched, term: matched };
+}
+
+/**
+ * Decide whether a job is relevant, and why.
+ * @param {object} job - Job ({ title, company, source })
+ * @param {object} options - { role: "intern" | "new_grad" | "both" | null, source: overrides job.source }
+ * @returns {object} { relevant, reason, check, term } — check is the rule that decided
+ *   ("title", "skip", "companies", "include", "exclude", "require", "role" or "accept")
+ */
+function evaluateJob(job, options = {}) {
+  const title = job.title || "";
+  const company = job.company || "";
+  const role = options.role || null;
+  const { key, rules } = getRules(options.source || job.source);
+  const runs = (check) => !rules.skip.includes(check);
+  const decide = (relevant, check, reason, term = null) => ({ relevant, check, reason, term });
+
+  if (!title) {
+    return decide(false, "title", "no title");
+  }
+  // Sources that skip the exclude list (the curated GitHub lists) still honour /filter add-exclude
+  const runtimeExcluded = runs("exclude") ? null : findMatch(rules.runtimeExclude, title);
+  const runtimeDecision = () =>
+    decide(false, "exclude", `excluded keyword "${runtimeExcluded}" (/filter)`, runtimeExcluded);
+  if (rules.skip.length === CHECKS.length) {
+    if (runtimeExcluded) return runtimeDecision();
+    return decide(true, "skip", `rules skipped for source "${key}"`);
+  }
+
+  if (runs("companies")) {
+    const excludedCompany = findMatch(rules.excludedCompanies, company);
+    if (excludedCompany) {
+      return decide(false, "companies", `excluded company "${excludedCompany}"`, excludedCompany);
+    }
+  }
+
+  const included = runs("include") ? findMatch(rules.include, title) : null;
+  let matchedTerm = included;
+
+  if (!included) {
+    if (runs("exclude")) {
+      const excluded = findMatch(rules.exclude, title);
+      if (excluded) return decide(false, "exclude", `excluded keyword "${excluded}"`, excluded);
+    } else if (runtimeExcluded) {
+      return runtimeDecision();
+    }
+    if (runs("require")) {
+      matchedTerm = findMatch(rules.require, title);
+      if (!matchedTerm) return decide(false, "require", "no required keyword");
+    }
+  }
+
+  if (runs("role") && ["intern", "new_grad", "both"].includes(role)) {
+    const roles = role === "both" ? ["intern", "new_grad"] : [role];
+    const results = roles.map((name) => ({ name, ...checkRole(rules.roles[name], title) }));
+    const accepted = results.find((result) => result.ok);
+    if (!accepted) {
+      const excluded = results.find((result) => result.excluded);
+      if (excluded) {
+        return decide(false, "role", `excluded for ${excluded.name} by "${excluded.term}"`, excluded.term);
+      }
+      const label = role === "both" ? "an intern or new grad" : ROLE_LABELS[role];
+      return decide(false, "role", `not ${label} position`);
+    }
+    return decide(
+      true,
+      included ? "include" : "accept",
+      `${included ? "included by" : "matched"} "${matchedTerm || accepted.term}" as ${accepted.name}`,
+      matchedTerm || accepted.term
+    );
+  }
+
+  return decide(
+    true,
+    included ? "include" : "accept",
+    matchedTerm ? `${included ? "included by" : "matched"} "${matchedTerm}"` : "no rules rejected it",
+    matchedTerm
+  );
+}
+
+module.exports = {
+  compileTerm,
+  evaluateJob,
+  matchRole,
+  reloadRules,
+  setRuntimeOverrides,
+  describeRules,
+};
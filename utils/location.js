@@ -0,0 +1,293 @@
+// utils/location.js - Split location strings into city/state/country entries and detect remote, hybrid or on-site work
+
+const US_STATES = {
+  alabama: "al", alaska: "ak", arizona: "az", arkansas: "ar", california: "ca",
+  colorado: "co", connecticut: "ct", delaware: "de", florida: "fl", georgia: "ga",
+  hawaii: "hi", idaho: "id", illinois: "il", indiana: "in", iowa: "ia",
+  kansas: "ks", kentucky: "ky", louisiana: "la", maine: "me", maryland: "md",
+  massachusetts: "ma", michigan: "mi", minnesota: "mn", mississippi: "ms",
+  missouri: "mo", montana: "mt", nebraska: "ne", nevada: "nv",
+  "new hampshire": "nh", "new jersey": "nj", "new mexico": "nm", "new york": "ny",
+  "north carolina": "nc", "north dakota": "nd", ohio: "oh", oklahoma: "ok",
+  oregon: "or", pennsylvania: "pa", "rhode island": "ri", "south carolina": "sc",
+  "south dakota": "sd", tennessee: "tn", texas: "tx", utah: "ut", vermont: "vt",
+  virginia: "va", washington: "wa", "west virginia": "wv", wisconsin: "wi",
+  wyoming: "wy", "district of columbia": "dc",
+};
+const US_STATE_CODES = new Set(Object.values(US_STATES));
+
+const CANADIAN_PROVINCES = {
+  ontario: "on", "british columbia": "bc", quebec: "qc", alberta: "ab", manitoba: "mb", "nova scotia": "ns",
+};
+const CANADIAN_PROVINCE_CODES = new Set(Object.values(CANADIAN_PROVINCES));
+
+const US = "United States";
+const COUNTRIES = {
+  "united states": US, "united states of america": US, usa: US, us: US, america: US,
+  canada: "Canada", "united kingdom": "United Kingdom", uk: "United Kingdom", england: "United Kingdom",
+  ireland: "Ireland", germany: "Germany", france: "France", netherlands: "Netherlands", poland: "Poland",
+  spain: "Spain", india: "India", singapore: "Singapore", japan: "Japan", australia: "Australia",
+  israel: "Israel", mexico: "Mexico", brazil: "Brazil",
+};
+
+// Nicknames and cities listed without their state
+const KNOWN_CITIES = {
+  nyc: ["New York", "ny"], "new york city": ["New York", "ny"], manhattan: ["New York", "ny"],
+  sf: ["San Francisco", "ca"], "san francisco": ["San Francisco", "ca"],
+  "bay area": ["San Francisco Bay Area", "ca"], "sf bay area": ["San Francisco Bay Area", "ca"],
+  "san francisco bay area": ["San Francisco Bay Area", "ca"],
+  la: ["Los Angeles", "ca"], "los angeles": ["Los Angeles", "ca"], "san diego": ["San Diego", "ca"],
+  "san jose": ["San Jose", "ca"], "mountain view": ["Mountain View", "ca"], "palo alto": ["Palo Alto", "ca"],
+  sunnyvale: ["Sunnyvale", "ca"], "menlo park": ["Menlo Park", "ca"], cupertino: ["Cupertino", "ca"],
+  seattle: ["Seattle", "wa"], redmond: ["Redmond", "wa"], bellevue: ["Bellevue", "wa"],
+  austin: ["Austin", "tx"], dallas: ["Dallas", "tx"], houston: ["Houston", "tx"],
+  boston: ["Boston", "ma"], chicago: ["Chicago", "il"], denver: ["Denver", "co"], atlanta: ["Atlanta", "ga"],
+  pittsburgh: ["Pittsburgh", "pa"], philadelphia: ["Philadelphia", "pa"], miami: ["Miami", "fl"],
+  "salt lake city": ["Salt Lake City", "ut"], dc: ["Washington", "dc"], "washington dc": ["Washington", "dc"],
+  toronto: ["Toronto", "on"],
+};
+
+const REMOTE_PATTERN = /\b(?:remote|anywhere|work\s+from\s+home|wfh)\b/i;
+const HYBRID_PATTERN = /\bhybrid\b/i;
+const ONSITE_PATTERN = /\b(?:on[\s-]?site|in[\s-](?:office|person))\b/i;
+const WORK_MODEL_WORDS = /\b(?:fully\s+)?(?:remote|hybrid|on[\s-]?site|in[\s-](?:office|person)|anywhere|work\s+from\s+home|wfh)\b/gi;
+
+// Only strong phrases count in descriptions: "remote" alone is often about the team or benefits
+const DESCRIPTION_WORK_MODELS = [
+  {
+    pattern: /\b(?:5|five)\s+days\s+(?:a|per)\s+week\s+in\s+(?:the\s+|our\s+)?office\b|\b(?:on[\s-]?site|in[\s-]office)\s+(?:role|position|job)\b/i,
+    workModel: "onsite",
+  },
+  {
+    pattern: /\b(?:[1-4]|one|two|three|four)\s+days\s+(?:a|per)\s+week\s+in\s+(?:the\s+|our\s+)?office\b|\bhybrid\s+(?:role|position|schedule|work|model)\b/i,
+    workModel: "hybrid",
+  },
+  {
+    pattern: /\b(?:fully|100%|completely)\s+remote\b|\bremote\s+(?:role|position|job)\b|\bwork\s+from\s+anywhere\b/i,
+    workModel: "remote",
+  },
+];
+
+// "3 locations", "Multiple Locations": a count, not places
+const UNLISTED_PATTERN =
+  /^(?:(?:\d+|multiple|various|several)\s+)?locations?$|^(?:various|multiple|n\s*\/?\s*a|not specified|location not specified|unknown|tbd)$/i;
+
+// Between places: "NYC / SF / Seattle", "Austin; Denver", "Seattle or Remote"
+const PLACE_SEPARATORS = /\s*[/;|•\n]\s*|\s+(?:or|and|&)\s+/;
+// Between the parts of one place: "Mountain View, CA", "Remote - US"
+const PART_SEPARATORS = /\s*,\s*|\s+[-–—]\s+/;
+
+// Lowercase lookup key: "U.S." -> "us", "Greater Seattle Area" keeps its words
+const lookupKey = (text) => text.toLowerCase().replace(/\./g, "").replace(/\s+/g, " ").trim();
+
+const titleCase = (text) =>
+  text === text.toLowerCase() || text === text.toUpperCase()
+    ? text.toLowerCase().replace(/\b[a-z]/g, (letter) => letter.toUpperCase())
+    : text;
+
+// A KNOWN_CITIES entry as a classified part
+function knownCity(key) {
+  const [city, state] = KNOWN_CITIES[key];
+  return { kind: "city", city, state, country: CANADIAN_PROVINCE_CODES.has(state) ? "Canada" : US };
+}
+
+/**
+ * What one comma-separated part of a location is
+ * @param {string} part - e.g. "Mountain View", "CA", "USA", "Greater Seattle Area"
+ * @param {boolean} afterCity - Whether a city (or a state name that may be one) came right before it
+ * @returns {object} { kind: "country" | "state" | "city", city, state, country, stateName }
+ */
+function classifyPart(part, afterCity = false) {
+  let key = lookupKey(part);
+  if (COUNTRIES[key]) return { kind: "country", country: COUNTRIES[key] };
+  // A nickname on its own is the city ("LA"); after a city it's a state code ("Lafayette, LA")
+  if (!afterCity && part.length === 2 && KNOWN_CITIES[key]) return knownCity(key);
+  if (US_STATES[key]) return { kind: "state", state: US_STATES[key], country: US, stateName: titleCase(part) };
+  if (CANADIAN_PROVINCES[key]) return { kind: "state", state: CANADIAN_PROVINCES[key], country: "Canada" };
+  if (part.length === 2 && US_STATE_CODES.has(key)) return { kind: "state", state: key, country: US };
+  if (part.length === 2 && CANADIAN_PROVINCE_CODES.has(key)) return { kind: "state", state: key, country: "Canada" };
+
+  if (!KNOWN_CITIES[key]) key = key.replace(/^greater\s+/, "").replace(/\s+(?:metropolitan\s+|metro\s+)?area$/, "");
+  if (KNOWN_CITIES[key]) return knownCity(key);
+  return { kind: "city", city: titleCase(part.replace(/^greater\s+|\s+(?:metropolitan\s+|metro\s+)?area$/gi, "")) };
+}
+
+/**
+ * Group the parts of one place string into entries: "Seattle, WA, New York, NY" is two
+ * places, "Mountain View, CA, USA" one. A state name with nothing before it and a
+ * state code after it was a city ("New York, NY", "Washington, DC").
+ * @param {Array<string>} parts - Parts in order
+ * @returns {Array<object>} { city, state, country } entries
+ */
+function groupParts(parts) {
+  const entries = [];
+  let current = null;
+  const flush = () => {
+    if (current) entries.push(current);
+    current = null;
+  };
+
+  for (const part of parts) {
+    // "Washington" before "DC" may still turn out to be a city
+    const place = classifyPart(part, !!current && ((!!current.city && !current.state) || !!current.stateName));
+    if (place.kind === "country") {
+      if (current && current.country && current.country !== place.country) flush();
+      current = current || {};
+      current.country = place.country;
+    } else if (place.kind === "state") {
+      if (current && !current.city && current.stateName) {
+        current = { city: current.stateName, state: place.state, country: place.country };
+      } else if (current && current.state === place.state) {
+        continue;
+      } else if (current && current.city && !current.state) {
+        current.state = place.state;
+        current.country = current.country || place.country;
+      } else {
+        flush();
+        current = { state: place.state, country: place.country, stateName: place.stateName };
+      }
+    } else {
+      flush();
+      current = { city: place.city, state: place.state, country: place.country };
+    }
+  }
+  flush();
+
+  return entries.map(({ city, state, country }) => ({
+    city: city || null,
+    state: state ? state.toUpperCase() : null,
+    country: country || null,
+  }));
+}
+
+/**
+ * Split a location string into places, e.g. "NYC / SF / Seattle" into three,
+ * "Remote in USA" into { country: "United States", remote: true }.
+ * @param {string} text - Location as scraped
+ * @returns {Array<object>} { city, state, country, remote } entries; empty when the string names
+ *   no place ("3 locations", "Not specified")
+ */
+function parseLocations(text) {
+  const value = String(text || "").trim();
+  if (!value || UNLISTED_PATTERN.test(value)) return [];
+
+  const locations = [];
+  for (const piece of value.split(PLACE_SEPARATORS)) {
+    const remote = REMOTE_PATTERN.test(piece);
+    const parts = piece
+      .replace(/\(([^)]*)\)/g, ", $1")
+      .replace(WORK_MODEL_WORDS, ",")
+      .replace(/\b\d{5}(?:-\d{4})?\b/g, "")
+      .split(PART_SEPARATORS)
+      .map((part) =>
+        part
+          .replace(/^[^\p{L}\d]+|[^\p{L}\d.]+$/gu, "")
+          .replace(/^(?:in|within|based\s+in|from)\s+/i, "")
+          .trim()
+      )
+      .filter((part) => part && !UNLISTED_PATTERN.test(part));
+
+    const places = groupParts(parts);
+    if (places.length === 0 && remote) {
+      locations.push({ city: null, state: null, country: null, remote: true });
+    }
+    locations.push(...places.map((place) => ({ ...place, remote })));
+  }
+  return locations;
+}
+
+/**
+ * "remote", "hybrid" or "onsite" as stated in a work model, location or title ("" when none is)
+ * @param {string} text - e.g. "On Site", "Remote in USA", "Seattle, WA (Hybrid)"
+ * @returns {string} Work model
+ */
+function normalizeWorkModel(text) {
+  const value = String(text || "");
+  if (HYBRID_PATTERN.test(value)) return "hybrid";
+  if (REMOTE_PATTERN.test(value)) return "remote";
+  if (ONSITE_PATTERN.test(value)) return "onsite";
+  return "";
+}
+
+/**
+ * Work model of a job: what its source said (Jobright, Greenhouse / Lever / Ashby),
+ * else its location, else its title, else a clear statement in its description
+ * @param {object} job - Job with workModel, location, title, description
+ * @returns {string} "remote", "hybrid", "onsite" or "" when unknown
+ */
+function detectWorkModel(job) {
+  const stated = normalizeWorkModel(job.workModel) || normalizeWorkModel(job.location) || normalizeWorkModel(job.title);
+  if (stated) return stated;
+  const described = DESCRIPTION_WORK_MODELS.find(({ pattern }) => pattern.test(job.description || ""));
+  return described ? described.workModel : "";
+}
+
+/**
+ * The structured location fields for a job
+ * @param {object} job - Job with location (and workModel, title, description)
+ * @returns {object} { locations, workModel }
+ */
+function locationFields(job) {
+  return { locations: parseLocations(job.location), workModel: detectWorkModel(job) };
+}
+
+/**
+ * A job with its locations and work model set
+ * @param {object} job - Job
+ * @returns {object} Copy of the job with locations and a normalized workModel
+ */
+function withLocation(job) {
+  return { ...job, ...locationFields(job) };
+}
+
+/**
+ * Whether a job can be done remotely
+ * @param {object} job - Job (with or without its location fields)
+ * @returns {boolean} True for remote jobs
+ */
+function isRemote(job) {
+  return detectWorkModel(job) === "remote";
+}
+
+// A city must match by name (and state, when both have one); a state or country on its own matches any place in it
+function samePlace(place, wanted) {
+  if (wanted.city) {
+    return (
+      (place.city || "").toLowerCase() === wanted.city.toLowerCase() &&
+      (!wanted.state || !place.state || place.state === wanted.state)
+    );
+  }
+  if (wanted.state) return place.state === wanted.state;
+  return !!wanted.country && place.country === wanted.country;
+}
+
+/**
+ * Whether a job is in a place given as users type it: "seattle", "ny", "new york",
+ * "california", "nyc", "usa", "remote". "ny" doesn't match Sunnyvale.
+ * @param {object} job - Job with locations (or location text)
+ * @param {string} query - Place to match; several can be given as "seattle / nyc"
+ * @returns {boolean} True if any of the job's places matches any of the query's
+ */
+function matchesLocation(job, query) {
+  const wanted = parseLocations(query);
+  if (wanted.length === 0) return true;
+  const places = Array.isArray(job.locations) ? job.locations : parseLocations(job.location);
+  const remote = isRemote(job);
+
+  return wanted.some((want) => {
+    if (want.remote && !remote) return false;
+    if (!want.city && !want.state && !want.country) return true;
+    return places.some((place) => samePlace(place, want));
+  });
+}
+
+module.exports = {
+  US_STATES,
+  parseLocations,
+  normalizeWorkModel,
+  detectWorkModel,
+  locationFields,
+  withLocation,
+  isRemote,
+  matchesLocation,
+};
@@ -0,0 +1,128 @@
+// utils/postedDate.js - Turn the posted dates sources show ("2 hours ago", "3mo", "Aug 24") into timestamps
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * How much a parsed postedAt can be trusted:
+ * exact (a timestamp, or minutes/hours ago), day (the calendar day is known),
+ * approximate (weeks/months ago, "30+ days ago") or unknown (no date; postedAt is null)
+ */
+const CONFIDENCE = ["exact", "day", "approximate", "unknown"];
+
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+
+// Unit words and shorthands. "m" is a month, as in the GitHub lists' "3m" / "3mo".
+const UNITS = [
+  { pattern: /^(mins?|minutes?)$/, ms: MINUTE_MS, confidence: "exact" },
+  { pattern: /^(h|hrs?|hours?)$/, ms: HOUR_MS, confidence: "exact" },
+  { pattern: /^(d|days?)$/, ms: DAY_MS, confidence: "day" },
+  { pattern: /^(w|wks?|weeks?)$/, ms: 7 * DAY_MS, confidence: "approximate" },
+  { pattern: /^(m|mos?|months?)$/, ms: 30 * DAY_MS, confidence: "approximate" },
+  { pattern: /^(y|yrs?|years?)$/, ms: 365 * DAY_MS, confidence: "approximate" },
+];
+
+const PLACEHOLDERS = ["", "n/a", "na", "unknown", "not specified", "none", "-", "—"];
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * "Aug 24", "August 24, 2025" or "24 Aug". Without a year, a date more than a day
+ * after `now` is last year's ("Dec 30" seen in January).
+ * @param {string} text - Lowercased date text
+ * @param {Date} now - Reference time
+ * @returns {Date|null} Start of that day, or null if it isn't a month-day date
+ */
+function parseMonthDay(text, now) {
+  const match =
+    text.match(/^([a-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?$/) ||
+    text.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]{3,9})\.?(?:,?\s+(\d{4}))?$/);
+  if (!match) return null;
+
+  const [monthName, dayText] = /^\d/.test(match[1]) ? [match[2], match[1]] : [match[1], match[2]];
+  const month = MONTHS[monthName.slice(0, 3)];
+  const day = parseInt(dayText, 10);
+  if (month === undefined || day < 1 || day > 31) return null;
+
+  if (match[3]) {
+    return new Date(parseInt(match[3], 10), month, day);
+  }
+  const date = new Date(now.getFullYear(), month, day);
+  if (date.getTime() > now.getTime() + DAY_MS) {
+    date.setFullYear(now.getFullYear() - 1);
+  }
+  return date;
+}
+
+/**
+ * Parse a posted date as a source shows it: relative ("2 hours ago", "30+ days ago",
+ * "an hour ago"), shorthand ("0d", "3mo", "2w"), words ("Just posted", "Today",
+ * "Yesterday"), month-day ("Aug 24") or a full date / ISO timestamp.
+ * A job is never dated after `now`.
+ * @param {string|Date|number} raw - Posted date from the source
+ * @param {Date} now - When the job was scraped; relative dates count back from it (default: now)
+ * @returns {object} { postedAt: Date|null, confidence } (see CONFIDENCE)
+ */
+function parsePostedDate(raw, now = new Date()) {
+  const result = (date, confidence) =>
+    date && !isNaN(date.getTime())
+      ? { postedAt: date > now ? new Date(now.getTime()) : date, confidence }
+      : { postedAt: null, confidence: "unknown" };
+
+  if (raw instanceof Date) return result(new Date(raw.getTime()), "exact");
+  if (typeof raw === "number") return result(new Date(raw), "exact");
+  if (typeof raw !== "string") return result(null);
+
+  const text = raw
+    .toLowerCase()
+    .replace(/^(re)?posted\s*(on\s*)?:?\s*|^(active|updated)\s*:?\s*/, "")
+    .replace(/[.!]+$/, "")
+    .trim();
+  if (PLACEHOLDERS.includes(text) || /ongoing/.test(text)) return result(null);
+
+  if (/^(just\s*(now|posted)|today|new)$/.test(text)) return result(new Date(now.getTime()), "day");
+  if (text === "yesterday") return result(new Date(startOfDay(now).getTime() - DAY_MS / 2), "day");
+
+  // "2 hours ago", "30+ days ago", "an hour ago", "0d", "3mo", "30d+"
+  const relative = text.match(/^(\d+|an?|one)\s*(\+)?\s*([a-z]+)\s*(\+)?(\s+ago)?$/);
+  if (relative) {
+    const unit = UNITS.find(({ pattern }) => pattern.test(relative[3]));
+    if (unit) {
+      const amount = /^\d+$/.test(relative[1]) ? parseInt(relative[1], 10) : 1;
+      // "30+ days" is a lower bound on the age
+      const confidence = relative[2] || relative[4] ? "approximate" : unit.confidence;
+      return result(new Date(now.getTime() - amount * unit.ms), confidence);
+    }
+  }
+
+  const monthDay = parseMonthDay(text, now);
+  if (monthDay) return result(monthDay, "day");
+
+  // Full dates and timestamps ("2025-08-24", "08/24/2025", "2025-08-24T10:00:00Z")
+  if (/\d/.test(text)) {
+    return result(new Date(raw.trim()), /\d{1,2}:\d{2}/.test(text) ? "exact" : "day");
+  }
+  return result(null);
+}
+
+/**
+ * A scraped job with postedAt and postedAtConfidence set from its postedDate.
+ * Jobs that already carry postedAt (e.g. read back from MongoDB) keep it.
+ * @param {object} job - Job with postedDate
+ * @param {Date} now - When the job was scraped (default: now)
+ * @returns {object} Copy of the job with postedAt / postedAtConfidence
+ */
+function withPostedAt(job, now = new Date()) {
+  if (job.postedAt) {
+    return job.postedAt instanceof Date ? job : { ...job, postedAt: new Date(job.postedAt) };
+  }
+  const { postedAt, confidence } = parsePostedDate(job.postedDate, now);
+  return { ...job, postedAt, postedAtConfidence: confidence };
+}
+
+module.exports = {
+  CONFIDENCE,
+  parsePostedDate,
+  withPostedAt,
+};
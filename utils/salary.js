@@ -0,0 +1,164 @@
+// utils/salary.js - Turn salary text ("$45/hr", "$120K - $150K a year") into min/max/period/currency and a yearly figure
+const config = require("../config");
+
+const PERIODS = ["hour", "day", "week", "month", "year"];
+
+// "per hour", "an hour", "/hr", "hourly", ...
+const PER = String.raw`(?:\b(?:per|an?)\s*|\/\s*)`;
+const PERIOD_PATTERNS = [
+  { pattern: new RegExp(String.raw`${PER}(?:hour|hr|h)\b|\bhourly\b`, "i"), period: "hour" },
+  { pattern: new RegExp(String.raw`${PER}day\b|\bdaily\b`, "i"), period: "day" },
+  { pattern: new RegExp(String.raw`${PER}(?:week|wk)\b|\bweekly\b`, "i"), period: "week" },
+  { pattern: new RegExp(String.raw`${PER}(?:month|mo)\b|\bmonthly\b`, "i"), period: "month" },
+  { pattern: new RegExp(String.raw`${PER}(?:year|yr|annum)\b|\b(?:yearly|annual(?:ly)?)\b`, "i"), period: "year" },
+];
+
+// Currency symbols and codes, most specific first ("CA$" before "$")
+const CURRENCIES = [
+  { pattern: /\bCA\$|\bC\$|\bCAD\b/i, currency: "CAD" },
+  { pattern: /\bA\$|\bAUD\b/i, currency: "AUD" },
+  { pattern: /£|\bGBP\b/i, currency: "GBP" },
+  { pattern: /€|\bEUR\b/i, currency: "EUR" },
+  { pattern: /₹|\bINR\b/i, currency: "INR" },
+  { pattern: /\$|\bUSD\b/i, currency: "USD" },
+];
+
+const AMOUNT = /(\d+(?:\.\d+)?)\s*([km])?\b/i;
+const RANGE = new RegExp(
+  `${AMOUNT.source}(?:\\s*(?:-|–|—|to)\\s*(?:[A-Z]{0,3}\\$|[£€₹])?\\s*${AMOUNT.source})?`,
+  "i"
+);
+
+// A currency right before an amount, or a pay period right after it
+const CURRENCY_BEFORE = /(?:[A-Z]{0,3}\$|[£€₹]|\b(?:USD|CAD|AUD|GBP|EUR|INR))\s*$/i;
+const PERIOD_AFTER = new RegExp(
+  `^\\s*(?:${PERIOD_PATTERNS.map(({ pattern }) => `(?:${pattern.source})`).join("|")})`,
+  "i"
+);
+
+const scale = (number, suffix) => number * ({ k: 1e3, m: 1e6 }[String(suffix || "").toLowerCase()] || 1);
+
+/**
+ * Pay period when the text doesn't say: small amounts are hourly, five-figure
+ * and larger amounts yearly, anything in between monthly
+ * @param {number} amount - Lower amount
+ * @returns {string} Period
+ */
+function inferPeriod(amount) {
+  if (amount <= config.salary.maxHourlyAmount) return "hour";
+  if (amount < config.salary.minYearlyAmount) return "month";
+  return "year";
+}
+
+/**
+ * Yearly equivalent of an amount paid per period (config.salary.periodsPerYear)
+ * @param {number} amount - Amount per period
+ * @param {string} period - hour, day, week, month or year
+ * @returns {number|null} Rounded yearly amount, or null for an unknown period
+ */
+function annualize(amount, period) {
+  const perYear = config.salary.periodsPerYear[period];
+  return Number.isFinite(amount) && perYear ? Math.round(amount * perYear) : null;
+}
+
+/**
+ * Parse a salary as sources write it: "$45/hr", "$40.00 - $50.00 Per Hour",
+ * "$120K - $150K a year", "$8,000/month", "CA$90,000", "$80K (Glassdoor est.)".
+ * @param {string} text - Salary text
+ * @returns {object|null} { salaryMin, salaryMax, salaryPeriod, currency, salaryAnnual } or null when
+ *   there is no amount, or nothing marks the number as pay (a currency, a K/M suffix or a
+ *   pay period: "401(k) match" and "Class of 2026" aren't salaries). The first amount marked
+ *   that way is used ("2 yrs exp, $120K" is $120K). salaryAnnual is the yearly equivalent of
+ *   the range's midpoint.
+ */
+function parseSalary(text) {
+  const value = String(text || "")
+    .replace(/\b401\s*\(?k\)?/gi, " ")
+    .replace(/(\d),(?=\d{3}\b)/g, "$1");
+  // The amount marked as pay, not just the first number ("2 yrs exp, $120K")
+  const amounts = [...value.matchAll(new RegExp(RANGE.source, "gi"))];
+  const match =
+    amounts.find(
+      (m) =>
+        m[2] ||
+        m[4] ||
+        CURRENCY_BEFORE.test(value.slice(0, m.index)) ||
+        PERIOD_AFTER.test(value.slice(m.index + m[0].length))
+    ) || amounts[0];
+  if (!match) return null;
+
+  let low = scale(parseFloat(match[1]), match[2]);
+  let high = match[3] ? scale(parseFloat(match[3]), match[4]) : low;
+  // "$120-150K": the suffix of the upper bound applies to both
+  if (match[3] && !match[2] && match[4] && low < 1000) low = scale(parseFloat(match[1]), match[4]);
+  if (!(low > 0)) return null;
+  if (high < low) [low, high] = [high, low];
+
+  const stated = PERIOD_PATTERNS.find(({ pattern }) => pattern.test(value));
+  const marked = CURRENCIES.find(({ pattern }) => pattern.test(value));
+  if (!stated && !marked && !match[2] && !match[4]) return null;
+  const salaryPeriod = stated ? stated.period : inferPeriod(low);
+  const currency = marked ? marked.currency : "USD";
+
+  return {
+    salaryMin: low,
+    salaryMax: high,
+    salaryPeriod,
+    currency,
+    salaryAnnual: annualize((low + high) / 2, salaryPeriod),
+  };
+}
+
+/**
+ * The parsed salary fields for a job, all null when its salary can't be read
+ * @param {object} job - Job with salary text
+ * @returns {object} { salaryMin, salaryMax, salaryPeriod, currency, salaryAnnual }
+ */
+function salaryFields(job) {
+  return (
+    parseSalary(job.salary) || { salaryMin: null, salaryMax: null, salaryPeriod: null, currency: null, salaryAnnual: null }
+  );
+}
+
+/**
+ * A job with its salary fields set from its salary text
+ * @param {object} job - Job
+ * @returns {object} Copy of the job with salaryMin, salaryMax, salaryPeriod, currency and salaryAnnual
+ */
+function withSalary(job) {
+  return { ...job, ...salaryFields(job) };
+}
+
+/**
+ * Whether a job meets a minimum yearly salary in USD. Jobs without a readable salary,
+ * or paid in another currency, pass: most listings don't state one.
+ * @param {object} job - Job with salaryAnnual and currency (or salary text)
+ * @param {number} minSalary - Minimum yearly amount (falsy: no minimum)
+ * @returns {boolean} True if the job may be shown
+ */
+function meetsMinSalary(job, minSalary) {
+  if (!minSalary) return true;
+  const { salaryAnnual, currency } = job.salaryAnnual !== undefined ? job : salaryFields(job);
+  return salaryAnnual === null || currency !== "USD" || salaryAnnual >= minSalary;
+}
+
+/**
+ * Short yearly figure for summaries, e.g. "$105k/yr"
+ * @param {number} amount - Yearly amount
+ * @param {string} currency - Currency code (default USD)
+ * @returns {string} Formatted amount
+ */
+function formatAnnual(amount, currency = "USD") {
+  const prefix = currency === "USD" ? "$" : `${currency} `;
+  return `${prefix}${Math.round(amount / 1000)}k/yr`;
+}
+
+module.exports = {
+  PERIODS,
+  parseSalary,
+  annualize,
+  salaryFields,
+  withSalary,
+  meetsMinSalary,
+  formatAnnual,
+};
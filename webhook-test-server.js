@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// webhook-test-server.js - Local stand-in for a webhook or Slack receiver, for trying notifier sinks
+// Usage: node webhook-test-server.js [--port=4000] [--secret=...] [--fail=N]
+// Then point a sink at it, e.g. NOTIFIER_SINKS='[{"name":"local","type":"webhook","url":"http://localhost:4000/hook","secret":"..."}]'
+// (Slack sinks: use http://localhost:4000/slack)
+require("dotenv").config();
+const express = require("express");
+const loggerService = require("./services/logger");
+const { SIGNATURE_HEADER, TIMESTAMP_HEADER, DELIVERY_HEADER, verifySignature } = require("./services/notifiers");
+
+/**
+ * Build the receiver app. Every POST is recorded in app.locals.received.
+ * @param {object} options - Receiver options
+ * @param {string} options.secret - Reject requests whose signature doesn't match (401), except on /slack
+ * @param {number} options.failFirst - Answer the first N requests with 503, to exercise retries
+ * @returns {express.Application} Express app
+ */
+function createWebhookReceiver(options = {}) {
+  const app = express();
+  app.locals.received = [];
+  let failuresLeft = options.failFirst || 0;
+
+  // Raw body: the signature covers the exact bytes that were sent
+  app.post("*", express.text({ type: "*/*", limit: "5mb" }), (req, res) => {
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      loggerService.log(`🧪 ${req.path}: answering 503 on purpose (${failuresLeft} more to fail)`, "warn");
+      return res.status(503).send("failing on purpose");
+    }
+
+    // Slack messages aren't signed, so anything posted to /slack skips the check
+    if (options.secret && req.path !== "/slack" && !verifySignature(options.secret, req.get(TIMESTAMP_HEADER), req.body, req.get(SIGNATURE_HEADER))) {
+      loggerService.log(`🧪 ${req.path}: bad or missing signature`, "warn");
+      return res.status(401).send("invalid signature");
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(req.body);
+    } catch (error) {
+      return res.status(400).send("invalid JSON");
+    }
+
+    app.locals.received.push({ path: req.path, deliveryId: req.get(DELIVERY_HEADER) || null, payload });
+    // Slack messages carry a header block, then one block per job
+    const count = payload.jobs ? payload.jobs.length : Math.max((payload.blocks || []).length - 1, 0);
+    loggerService.log(`🧪 ${req.path}: received ${count} job(s)${payload.source ? ` from ${payload.source}` : ""}`);
+    for (const job of payload.jobs || []) {
+      loggerService.log(`   [${job.role}/${job.category}] ${job.title} @ ${job.company} ${job.url}`);
+    }
+    // Slack answers "ok" as plain text
+    res.status(200).send("ok");
+  });
+
+  return app;
+}
+
+if (require.main === module) {
+  const arg = (name) => process.argv.find((a) => a.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const port = parseInt(arg("port"), 10) || 4000;
+  const secret = arg("secret") || process.env.WEBHOOK_TEST_SECRET;
+
+  createWebhookReceiver({ secret, failFirst: parseInt(arg("fail"), 10) || 0 }).listen(port, () => {
+    loggerService.log(
+      `🧪 Webhook test receiver on http://localhost:${port} (${secret ? "checking signatures" : "no secret: signatures not checked"})`
+    );
+  });
+}
+
+module.exports = { createWebhookReceiver };